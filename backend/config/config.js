@@ -1,11 +1,26 @@
+const path = require('path');
+
 module.exports = {
     port: process.env.PORT || 5000,
     nodeEnv: process.env.NODE_ENV || 'development',
     
+    // Language model used for scripts, rewrites and translation
+    llm: {
+        provider: process.env.LLM_PROVIDER || 'openai', // 'openai', 'gemini' or 'mock' (offline, deterministic)
+        scriptMode: process.env.SCRIPT_MODE || 'freeform', // 'freeform' or 'timeline' (timed segments)
+        maxRetries: 2 // Extra attempts when a structured response is malformed
+    },
+    
     // API Keys
     openai: {
         apiKey: process.env.OPENAI_API_KEY,
-        model: 'gpt-4o',
+        model: process.env.OPENAI_MODEL || 'gpt-4o',
+        maxTokens: 1000
+    },
+    
+    gemini: {
+        apiKey: process.env.GEMINI_API_KEY,
+        model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
         maxTokens: 1000
     },
     
@@ -15,6 +30,34 @@ module.exports = {
         model: process.env.ELEVENLABS_MODEL || 'eleven_monolingual_v1'
     },
     
+    // Text-to-speech engine; requests can pick another with `ttsProvider`
+    tts: {
+        provider: process.env.TTS_PROVIDER || 'elevenlabs', // 'elevenlabs', 'local' (espeak-ng or piper) or 'mock' (offline tone/silence)
+        voiceCacheTtl: 10 * 60 * 1000, // How long a provider's voice list is reused (ms)
+        previewText: "Hi! This is how I'll sound narrating your video.",
+        previewCacheSize: 20, // Synthesized previews kept in memory
+        local: {
+            engine: process.env.LOCAL_TTS_ENGINE || 'espeak-ng', // 'espeak-ng' or 'piper'
+            binary: process.env.LOCAL_TTS_PATH || null, // Defaults to the engine name on PATH
+            voice: process.env.LOCAL_TTS_VOICE || 'en-us', // espeak-ng voice, or piper model name
+            piperModelDir: process.env.PIPER_MODEL_DIR || './storage/voices', // Holds <voice>.onnx models
+            wordsPerMinute: 175 // espeak-ng rate at speed 1.0
+        },
+        mock: {
+            voice: 'mock-tone', // 'mock-tone' beeps once per word, 'mock-silence' is silent
+            wordsPerSecond: 2.5,
+            sampleRate: 16000,
+            frequency: 440
+        }
+    },
+    
+    // Video record storage
+    database: {
+        driver: process.env.DB_DRIVER || 'sqlite', // 'sqlite' or 'json'
+        sqlitePath: process.env.SQLITE_PATH || path.join(__dirname, '..', 'data', 'videos.db'),
+        jsonPath: path.join(__dirname, '..', 'data', 'videos.json') // Legacy store, imported once into SQLite
+    },
+    
     // File handling
     upload: {
         maxSize: 100 * 1024 * 1024, // 100MB
@@ -23,17 +66,175 @@ module.exports = {
         processedDir: './storage/processed',
         tempDir: './storage/temp',
         framesDir: './storage/frames',
-        audioDir: './storage/audio'
+        audioDir: './storage/audio',
+        musicDir: './storage/music',
+        fillerDir: './storage/filler',
+        allowedAudioMimeTypes: ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/aac', 'audio/mp4', 'audio/x-m4a', 'audio/ogg']
     },
     
     // FFmpeg settings
     ffmpeg: {
         frameRate: 1/3, // Extract 1 frame every 3 seconds
         maxFrames: 10,
+        frameExtraction: process.env.FRAME_EXTRACTION || 'scene', // 'scene' (scene changes) or 'interval' (fixed rate)
+        sceneThreshold: 0.3, // Scene change score (0-1) that starts a new scene
+        minFrameSpacing: 3, // Seconds between frames taken from the same scene
         audioFormat: 'mp3',
         audioBitrate: '128k'
     },
     
+    // Vertical 9:16 output for shorts. 'auto' picks a mode from the source
+    // aspect ratio; see ffmpegService.chooseReframeMode.
+    reframe: {
+        mode: process.env.REFRAME_MODE || 'auto', // 'auto', 'center', 'blur', 'track' or 'none'
+        width: 1080,
+        height: 1920,
+        crf: 20, // x264 quality for the reframed video
+        preset: 'veryfast',
+        blurStrength: 20, // boxblur radius of the padded background
+        tracking: {
+            sampleRate: 2, // Frames per second analyzed for motion and saliency
+            analysisWidth: 160, // Frames are shrunk to this width before analysis
+            saliencyWeight: 0.5, // Share of edge contrast vs. motion in a column's score
+            smoothing: 0.7, // Exponential smoothing of the crop path (0 = none)
+            maxPanSpeed: 0.25, // Fastest pan, as a fraction of the pan range per second
+            deadZone: 0.03, // Ignore moves smaller than this fraction of the range
+            maxKeyframes: 120 // Keyframes kept in the crop expression
+        }
+    },
+
+    // Highlight detection for long uploads
+    highlights: {
+        duration: 30, // Default candidate length in seconds
+        minDuration: 15,
+        maxDuration: 60,
+        candidates: 5, // Windows returned per analysis
+        step: 1, // Seconds between candidate start times
+        maxOverlap: 0.25, // Share of a window that may overlap a better-ranked one
+        snapTolerance: 1.5, // Move a window's start onto a scene cut this close
+        analysisWidth: 160, // Frames are shrunk to this width before scene scoring
+        weights: {
+            audio: 0.4, // Loudness
+            motion: 0.35, // Frame-to-frame change
+            scenes: 0.25 // Scene cuts per second
+        },
+        crf: 20, // x264 quality for the trimmed clip
+        preset: 'veryfast'
+    },
+
+    // Edit decision lists rendered into a master clip before processing
+    edit: {
+        minRate: 0.25, // Slowest speed ramp
+        maxRate: 4, // Fastest speed ramp
+        minClipDuration: 0.1, // Kept ranges shorter than this (seconds) are dropped
+        minSegmentDuration: 0.3, // Script segments shorter than this after an edit are dropped
+        crf: 20, // x264 quality for the rendered master
+        preset: 'veryfast'
+    },
+
+    // Multi-clip compilations stitched into one video
+    compilation: {
+        minClips: 2,
+        maxClips: 10,
+        // FFmpeg xfade transitions offered between clips ('none' is a hard cut)
+        transitions: ['none', 'fade', 'fadeblack', 'fadewhite', 'dissolve', 'wipeleft', 'wiperight', 'slideleft', 'slideright', 'slideup', 'slidedown', 'circleopen', 'circleclose', 'smoothleft', 'smoothright'],
+        transition: 'none',
+        transitionDuration: 0.5, // Seconds; capped at half the shortest clip
+        maxTransitionDuration: 2,
+        fps: 30, // Common frame rate; the frame size defaults to the first clip's
+        sampleRate: 48000,
+        crf: 20, // x264 quality for the stitched video
+        preset: 'veryfast'
+    },
+
+    // Split-screen layouts that pair the clip with filler footage from the library
+    layout: {
+        type: process.env.LAYOUT || 'single', // 'single', 'split' or 'pip'
+        split: {
+            mainPosition: 'top' // Half the main clip takes; the filler gets the other one
+        },
+        pip: {
+            corner: 'bottom-right', // Where the filler inset sits over the main clip
+            scale: 0.35, // Inset width as a fraction of the frame width
+            margin: 40 // Pixels between the inset and the frame edges
+        }
+    },
+    
+    // Subtitle timing
+    subtitles: {
+        alignment: process.env.SUBTITLE_ALIGNMENT || 'elevenlabs', // 'elevenlabs' (timestamps from the TTS provider) or 'local' (silence-based)
+        silenceThresholdDb: -35, // Audio below this level counts as a pause
+        minSilenceDuration: 0.2, // Shortest pause (seconds) used as a break
+        maxWordsPerCue: 7,
+        maxCueDuration: 3.5, // Seconds
+        maxCueGap: 0.6 // Start a new cue after a pause this long
+    },
+    
+    // Fitting the voiceover to the clip length. Narration off by more than
+    // `tolerance` is regenerated at a different speed, then time-stretched;
+    // if even that can't close the gap the script is rewritten first.
+    narrationFit: {
+        enabled: process.env.NARRATION_FIT !== 'false',
+        tolerance: 0.05, // How early narration may end, as a fraction of the clip length
+        minSpeed: 0.85, // ElevenLabs speed range that still sounds natural
+        maxSpeed: 1.15,
+        maxTempo: 1.1, // Largest atempo stretch either way
+        maxRewrites: 1,
+        segmentGap: 0.2 // Minimum silence between timed segments (seconds)
+    },
+    
+    // Voiceover mixing. 'replace' drops the clip's own audio; 'mix' keeps it
+    // and ducks it under the narration.
+    audioMix: {
+        mode: process.env.AUDIO_MIX_MODE || 'replace',
+        voiceGain: 0, // dB
+        originalGain: -6, // dB
+        ducking: {
+            threshold: 0.05, // Voice level (0-1) that starts ducking
+            ratio: 8,
+            attack: 20, // ms
+            release: 400 // ms
+        }
+    },
+    
+    // Background music mixed under the narration
+    music: {
+        gain: -12, // dB, applied after loudness normalization
+        loudness: -16, // Target integrated loudness (LUFS)
+        fadeIn: 0.5, // Seconds
+        fadeOut: 1.5 // Seconds
+    },
+    
+    // Per-platform posting limits for generated titles, captions and hashtags.
+    // Hashtags are appended to the description, so they count toward its length.
+    socialPlatforms: {
+        tiktok: {
+            name: 'TikTok',
+            titleLength: 0, // No separate title; the caption is the description
+            descriptionLength: 2200,
+            maxHashtags: 8
+        },
+        youtubeShorts: {
+            name: 'YouTube Shorts',
+            titleLength: 100,
+            descriptionLength: 5000,
+            maxHashtags: 15, // YouTube ignores every hashtag on a video with more than 15
+            requiredHashtags: ['#Shorts']
+        },
+        instagramReels: {
+            name: 'Instagram Reels',
+            titleLength: 0,
+            descriptionLength: 2200,
+            maxHashtags: 30
+        }
+    },
+    
+    // Background job queue
+    queue: {
+        concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2, // Jobs running at the same time
+        maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 1 // Runs per job before it is marked failed
+    },
+    
     // Rate limiting
     rateLimit: {
         windowMs: 15 * 60 * 1000, // 15 minutes
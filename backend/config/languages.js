@@ -0,0 +1,25 @@
+// Languages available for subtitle translation, keyed by ISO 639-1 code.
+// `iso3` is the ISO 639-2 code written to track metadata in MP4 files.
+
+module.exports = {
+    en: { name: 'English', iso3: 'eng' },
+    es: { name: 'Spanish', iso3: 'spa' },
+    fr: { name: 'French', iso3: 'fra' },
+    de: { name: 'German', iso3: 'deu' },
+    it: { name: 'Italian', iso3: 'ita' },
+    pt: { name: 'Portuguese', iso3: 'por' },
+    nl: { name: 'Dutch', iso3: 'nld' },
+    pl: { name: 'Polish', iso3: 'pol' },
+    tr: { name: 'Turkish', iso3: 'tur' },
+    ru: { name: 'Russian', iso3: 'rus' },
+    uk: { name: 'Ukrainian', iso3: 'ukr' },
+    ar: { name: 'Arabic', iso3: 'ara' },
+    hi: { name: 'Hindi', iso3: 'hin' },
+    bn: { name: 'Bengali', iso3: 'ben' },
+    id: { name: 'Indonesian', iso3: 'ind' },
+    vi: { name: 'Vietnamese', iso3: 'vie' },
+    th: { name: 'Thai', iso3: 'tha' },
+    ja: { name: 'Japanese', iso3: 'jpn' },
+    ko: { name: 'Korean', iso3: 'kor' },
+    zh: { name: 'Chinese', iso3: 'zho' }
+};
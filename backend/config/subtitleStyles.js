@@ -0,0 +1,66 @@
+// Subtitle styling shared by the subtitle service and request validation
+
+module.exports = {
+    // Color names accepted anywhere a subtitle color is expected
+    colors: {
+        white: '#FFFFFF',
+        black: '#000000',
+        yellow: '#FFFF00',
+        red: '#FF0000',
+        green: '#00FF00',
+        blue: '#0000FF',
+        cyan: '#00FFFF',
+        magenta: '#FF00FF'
+    },
+
+    // Named presets, selected with `styling.preset`. Fields set alongside
+    // the preset override it.
+    presets: {
+        classic: {
+            fontName: 'Arial',
+            fontSize: 24,
+            fontColor: 'white',
+            outlineColor: 'black',
+            outline: 2,
+            shadow: 0,
+            bold: false,
+            position: 'bottom',
+            marginV: 20
+        },
+        'bold-yellow': {
+            fontName: 'Arial',
+            fontSize: 28,
+            fontColor: 'yellow',
+            outlineColor: 'black',
+            outline: 3,
+            shadow: 1,
+            bold: true,
+            position: 'bottom',
+            marginV: 30
+        },
+        boxed: {
+            fontName: 'Arial',
+            fontSize: 22,
+            fontColor: 'white',
+            backgroundColor: 'black',
+            backgroundOpacity: 0.6,
+            outline: 1,
+            shadow: 0,
+            bold: false,
+            position: 'bottom',
+            marginV: 25
+        },
+        brainrot: {
+            fontName: 'Impact',
+            fontSize: 40,
+            fontColor: 'white',
+            highlightColor: 'yellow',
+            outlineColor: 'black',
+            outline: 4,
+            shadow: 2,
+            bold: true,
+            position: 'center',
+            maxWordsPerLine: 2
+        }
+    }
+};
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const compilationModel = require('../models/compilationModel');
+const videoModel = require('../models/videoModel');
+const jobModel = require('../models/jobModel');
+const compilationService = require('../services/compilationService');
+const jobQueueService = require('../services/jobQueueService');
+const progressService = require('../services/progressService');
+const { successResponse, errorResponse, notFoundResponse } = require('../utils/responseUtils');
+
+// Queue job type for stitching a compilation
+const RENDER_COMPILATION_JOB = 'compilation.render';
+
+/**
+ * Find the first video of a list that is missing or has lost its file
+ * @param {string[]} videoIds - Video IDs
+ * @returns {string|null} The missing video ID, or null if all exist
+ */
+const findMissingVideo = (videoIds) => videoIds.find(videoId => {
+    const video = videoModel.findById(videoId);
+    return !video || !fs.existsSync(videoModel.getSourcePath(video));
+}) || null;
+
+/**
+ * Create a compilation from uploaded videos, in play order
+ */
+const createCompilation = async (req, res) => {
+    try {
+        const missing = findMissingVideo(req.body.videoIds);
+        if (missing) {
+            return errorResponse(res, `Video ${missing} not found`, 404);
+        }
+
+        const compilation = compilationModel.create(req.body);
+
+        console.log(`🎬 Created compilation "${compilation.title}" with ${compilation.videoIds.length} clips`);
+        successResponse(res, compilation, 'Compilation created successfully', 201);
+
+    } catch (error) {
+        console.error('Create compilation error:', error);
+        errorResponse(res, 'Failed to create compilation', 500, error);
+    }
+};
+
+/**
+ * List compilations, newest first
+ */
+const listCompilations = async (req, res) => {
+    try {
+        const compilations = compilationModel.findAll();
+        successResponse(res, { compilations, total: compilations.length }, 'Compilations retrieved successfully');
+
+    } catch (error) {
+        console.error('List compilations error:', error);
+        errorResponse(res, 'Failed to list compilations', 500, error);
+    }
+};
+
+/**
+ * Get a single compilation
+ */
+const getCompilation = async (req, res) => {
+    try {
+        const compilation = compilationModel.findById(req.params.compilationId);
+        if (!compilation) {
+            return notFoundResponse(res, 'Compilation');
+        }
+
+        successResponse(res, compilation, 'Compilation retrieved successfully');
+
+    } catch (error) {
+        console.error('Get compilation error:', error);
+        errorResponse(res, 'Failed to get compilation', 500, error);
+    }
+};
+
+/**
+ * Change the clips, their order, the transition or the output format.
+ * The compilation has to be rendered again to apply them.
+ */
+const updateCompilation = async (req, res) => {
+    try {
+        const { compilationId } = req.params;
+
+        const compilation = compilationModel.findById(compilationId);
+        if (!compilation) {
+            return notFoundResponse(res, 'Compilation');
+        }
+        if (compilation.status === 'rendering') {
+            return errorResponse(res, 'Compilation is being rendered', 409);
+        }
+
+        const missing = req.body.videoIds ? findMissingVideo(req.body.videoIds) : null;
+        if (missing) {
+            return errorResponse(res, `Video ${missing} not found`, 404);
+        }
+
+        const updated = compilationModel.update(compilationId, { ...req.body, status: 'draft' });
+        successResponse(res, updated, 'Compilation updated; render it to apply the changes');
+
+    } catch (error) {
+        console.error('Update compilation error:', error);
+        errorResponse(res, 'Failed to update compilation', 500, error);
+    }
+};
+
+/**
+ * Stitch the clips into one video (runs as a queued job). Status and
+ * FFmpeg progress are published on the video's event stream.
+ * @param {string} compilationId - Compilation ID
+ * @param {string} videoId - Video record the render writes to
+ * @param {string} jobId - Render job, which holds the video's lock
+ * @returns {Promise<object>} { compilationId, videoId, duration }
+ */
+const renderCompilationAsync = async (compilationId, videoId, jobId) => {
+    try {
+        const compilation = compilationModel.findById(compilationId);
+        if (!compilation) {
+            throw new Error(`Compilation ${compilationId} not found`);
+        }
+
+        compilationModel.update(compilationId, { status: 'rendering', error: null });
+        progressService.publish(videoId, 'status', { status: 'rendering' });
+
+        const { video, timeline, format } = await compilationService.renderCompilation(compilation, {
+            videoId,
+            jobId,
+            onProgress: progressService.progressReporter(videoId, 'compilation')
+        });
+
+        compilationModel.update(compilationId, {
+            status: 'rendered',
+            videoId: video.id,
+            clips: timeline.clips,
+            duration: timeline.duration,
+            render: { ...format, transition: timeline.transition },
+            renderedAt: new Date().toISOString()
+        });
+        progressService.publish(videoId, 'status', { status: video.status });
+
+        console.log(`🎬 Rendered compilation ${compilationId} (${timeline.duration}s) as video ${video.id}`);
+        return { compilationId, videoId: video.id, duration: timeline.duration };
+    } catch (error) {
+        console.error(`Rendering failed for compilation ${compilationId}:`, error);
+        compilationModel.update(compilationId, { status: 'failed', error: error.message });
+        progressService.publish(videoId, 'status', { status: 'failed', error: error.message });
+        throw error;
+    }
+};
+
+jobQueueService.registerHandler(RENDER_COMPILATION_JOB, ({ compilationId, videoId }, job) =>
+    renderCompilationAsync(compilationId, videoId, job.id));
+
+/**
+ * Queue the stitching of the clips into one video. The result is a
+ * regular video record (`videoId`); process it to add commentary,
+ * voiceover and subtitles.
+ */
+const renderCompilation = async (req, res) => {
+    try {
+        const { compilationId } = req.params;
+
+        const compilation = compilationModel.findById(compilationId);
+        if (!compilation) {
+            return notFoundResponse(res, 'Compilation');
+        }
+        if (compilation.status === 'rendering' || (compilation.videoId && jobModel.findActiveByVideoId(compilation.videoId))) {
+            return errorResponse(res, 'Compilation is already being rendered or processed', 409);
+        }
+
+        const missing = findMissingVideo(compilation.videoIds);
+        if (missing) {
+            return errorResponse(res, `Video ${missing} not found`, 404);
+        }
+
+        // A first render picks its video ID now, so clients can follow
+        // /api/videos/:videoId/events and the job holds that video's lock
+        const videoId = compilation.videoId || uuidv4();
+        compilationModel.update(compilationId, { status: 'rendering', error: null });
+        const job = jobQueueService.enqueue(RENDER_COMPILATION_JOB, { compilationId, videoId }, { videoId });
+        compilationModel.update(compilationId, { jobId: job.id });
+
+        successResponse(res, {
+            compilationId,
+            videoId,
+            jobId: job.id,
+            status: 'rendering'
+        }, 'Compilation render queued', 202);
+
+    } catch (error) {
+        console.error('Render compilation error:', error);
+        errorResponse(res, 'Failed to render compilation', 500, error);
+    }
+};
+
+/**
+ * Delete a compilation. Its rendered video stays in the video list.
+ */
+const deleteCompilation = async (req, res) => {
+    try {
+        const compilation = compilationModel.findById(req.params.compilationId);
+        if (!compilation) {
+            return notFoundResponse(res, 'Compilation');
+        }
+        if (compilation.status === 'rendering') {
+            return errorResponse(res, 'Compilation is being rendered', 409);
+        }
+
+        compilationModel.deleteById(compilation.id);
+        successResponse(res, { compilationId: compilation.id, videoId: compilation.videoId }, 'Compilation deleted successfully');
+
+    } catch (error) {
+        console.error('Delete compilation error:', error);
+        errorResponse(res, 'Failed to delete compilation', 500, error);
+    }
+};
+
+module.exports = {
+    createCompilation,
+    listCompilations,
+    getCompilation,
+    updateCompilation,
+    renderCompilation,
+    deleteCompilation
+};
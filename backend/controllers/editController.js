@@ -0,0 +1,163 @@
+const videoModel = require('../models/videoModel');
+const jobModel = require('../models/jobModel');
+const ffmpegService = require('../services/ffmpegService');
+const editService = require('../services/editService');
+const { successResponse, errorResponse, notFoundResponse } = require('../utils/responseUtils');
+
+// Stages that depend on the master. The script is shifted rather than
+// regenerated, so resuming keeps it.
+const EDIT_STAGES = ['edit', 'frameExtraction', 'audioGeneration', 'reframe', 'videoMerging'];
+
+/**
+ * Upload duration, from the record when an earlier run or analysis measured it
+ * @param {object} video - Video record
+ * @returns {Promise<number>} Duration in seconds
+ */
+const getSourceDuration = async (video) =>
+    video.sourceDuration || video.highlightAnalysis?.duration || await ffmpegService.getVideoDuration(video.filePath);
+
+/**
+ * Move the script and word timings from the current master onto a new one
+ * @param {object} video - Video record
+ * @param {object[]} fromPieces - Pieces of the current master
+ * @param {object[]} toPieces - Pieces of the new master
+ * @returns {object} { shifted, droppedSegments }
+ */
+const shiftTimings = (video, fromPieces, toPieces) => {
+    if (video.wordTimings) {
+        videoModel.update(video.id, {
+            wordTimings: editService.remapTimings(video.wordTimings, fromPieces, toPieces)
+        });
+    }
+
+    // Untimed scripts are spread over the clip at render time, so only timed ones move
+    if (!video.script?.segments?.length) {
+        return { shifted: false, droppedSegments: 0 };
+    }
+
+    const { script, dropped } = editService.remapScript(video.script, fromPieces, toPieces);
+    videoModel.addScriptVersion(video.id, script, { source: 'edited' });
+    return { shifted: true, droppedSegments: dropped };
+};
+
+/**
+ * Replace the edit list (or clear it with null), shifting the script to
+ * the new master and resetting the stages rendered from the old one
+ * @param {object} video - Video record
+ * @param {object|null} editList - New edit list
+ * @param {number} sourceDuration - Upload duration in seconds
+ * @returns {object} { plan, script } with the compiled new edit and the shift result
+ * @throws {Error} When the edit list doesn't fit the upload
+ */
+const applyEditList = (video, editList, sourceDuration) => {
+    const plan = editService.compileEditList(editList, video.trim, sourceDuration);
+    const previous = editService.compileEditList(video.editList, video.trim, sourceDuration);
+
+    const script = shiftTimings(video, previous.pieces, plan.pieces);
+    videoModel.updateEditList(video.id, editList);
+    videoModel.resetStages(video.id, EDIT_STAGES);
+
+    return { plan, script };
+};
+
+/**
+ * Get the edit list and the master it compiles to
+ */
+const getEditList = async (req, res) => {
+    try {
+        const video = videoModel.findById(req.params.videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        const sourceDuration = await getSourceDuration(video);
+        const plan = editService.hasEdits(video)
+            ? editService.compileEditList(video.editList, video.trim, sourceDuration)
+            : null;
+
+        successResponse(res, {
+            videoId: video.id,
+            editList: video.editList || null,
+            trim: video.trim || null,
+            sourceDuration,
+            plan,
+            masterVideoPath: video.masterVideoPath || null
+        }, 'Edit list retrieved successfully');
+
+    } catch (error) {
+        console.error('Get edit list error:', error);
+        errorResponse(res, 'Failed to get edit list', 500, error);
+    }
+};
+
+/**
+ * Save an edit decision list: in/out points, removed ranges, speed per
+ * range and clip order, all in upload time. The next processing run
+ * renders it into the master the rest of the pipeline works on.
+ */
+const saveEditList = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+        if (jobModel.findActiveByVideoId(videoId)) {
+            return errorResponse(res, 'Video is already being processed', 409);
+        }
+
+        const sourceDuration = await getSourceDuration(video);
+        let result;
+        try {
+            result = applyEditList(video, req.body, sourceDuration);
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+
+        console.log(`✂️ Edit list saved for ${videoId}: ${result.plan.pieces.length} piece(s), ${result.plan.duration}s`);
+        successResponse(res, {
+            videoId,
+            editList: req.body,
+            sourceDuration,
+            plan: result.plan,
+            script: result.script
+        }, 'Edit list saved; resume processing to render it');
+
+    } catch (error) {
+        console.error('Save edit list error:', error);
+        errorResponse(res, 'Failed to save edit list', 500, error);
+    }
+};
+
+/**
+ * Drop the edit list; the picked highlight (if any) still applies
+ */
+const clearEditList = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+        if (jobModel.findActiveByVideoId(videoId)) {
+            return errorResponse(res, 'Video is already being processed', 409);
+        }
+
+        const sourceDuration = await getSourceDuration(video);
+        const { plan, script } = applyEditList(video, null, sourceDuration);
+
+        successResponse(res, { videoId, editList: null, plan, script }, 'Edit list cleared successfully');
+
+    } catch (error) {
+        console.error('Clear edit list error:', error);
+        errorResponse(res, 'Failed to clear edit list', 500, error);
+    }
+};
+
+module.exports = {
+    getEditList,
+    saveEditList,
+    clearEditList
+};
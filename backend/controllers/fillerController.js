@@ -0,0 +1,126 @@
+const fillerModel = require('../models/fillerModel');
+const videoModel = require('../models/videoModel');
+const fillerService = require('../services/fillerService');
+const { successResponse, errorResponse, notFoundResponse } = require('../utils/responseUtils');
+
+/**
+ * Upload a clip to the filler library
+ */
+const uploadClip = async (req, res) => {
+    try {
+        const clip = await fillerService.addClip(req.file, req.body);
+
+        console.log(`🎮 Added filler clip "${clip.title}" (${clip.id})`);
+        successResponse(res, clip, 'Filler clip uploaded successfully', 201);
+
+    } catch (error) {
+        console.error('Filler upload error:', error);
+        errorResponse(res, 'Failed to upload filler clip', 500, error);
+    }
+};
+
+/**
+ * List clips, optionally filtered by ?tag=
+ */
+const listClips = async (req, res) => {
+    try {
+        const clips = fillerModel.findAll({ tag: req.query.tag });
+        const tags = [...new Set(fillerModel.findAll().flatMap(clip => clip.tags))].sort();
+
+        successResponse(res, { clips, tags, total: clips.length }, 'Filler clips retrieved successfully');
+
+    } catch (error) {
+        console.error('List filler error:', error);
+        errorResponse(res, 'Failed to list filler clips', 500, error);
+    }
+};
+
+/**
+ * Get a single clip
+ */
+const getClip = async (req, res) => {
+    try {
+        const clip = fillerModel.findById(req.params.clipId);
+        if (!clip) {
+            return notFoundResponse(res, 'Filler clip');
+        }
+
+        successResponse(res, clip, 'Filler clip retrieved successfully');
+
+    } catch (error) {
+        console.error('Get filler error:', error);
+        errorResponse(res, 'Failed to get filler clip', 500, error);
+    }
+};
+
+/**
+ * Delete a clip and its file
+ */
+const deleteClip = async (req, res) => {
+    try {
+        if (!fillerService.removeClip(req.params.clipId)) {
+            return notFoundResponse(res, 'Filler clip');
+        }
+
+        successResponse(res, null, 'Filler clip deleted successfully');
+
+    } catch (error) {
+        console.error('Delete filler error:', error);
+        errorResponse(res, 'Failed to delete filler clip', 500, error);
+    }
+};
+
+/**
+ * Save a layout on a video; it is applied on the next render
+ */
+const setLayout = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        if (!videoModel.findById(videoId)) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        if (req.body.fillerId && !fillerModel.findById(req.body.fillerId)) {
+            return notFoundResponse(res, 'Filler clip');
+        }
+
+        const video = videoModel.updateLayout(videoId, req.body);
+
+        successResponse(res, { videoId, layout: video.layout }, 'Layout saved successfully');
+
+    } catch (error) {
+        console.error('Set layout error:', error);
+        errorResponse(res, 'Failed to save layout', 500, error);
+    }
+};
+
+/**
+ * Clear a video's layout so config.layout.type applies again
+ */
+const clearLayout = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        if (!videoModel.findById(videoId)) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        videoModel.updateLayout(videoId, null);
+
+        successResponse(res, { videoId, layout: null }, 'Layout cleared successfully');
+
+    } catch (error) {
+        console.error('Clear layout error:', error);
+        errorResponse(res, 'Failed to clear layout', 500, error);
+    }
+};
+
+module.exports = {
+    uploadClip,
+    listClips,
+    getClip,
+    deleteClip,
+    setLayout,
+    clearLayout
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const videoModel = require('../models/videoModel');
+const jobModel = require('../models/jobModel');
+const ffmpegService = require('../services/ffmpegService');
+const highlightService = require('../services/highlightService');
+const config = require('../config/config');
+const { successResponse, errorResponse, notFoundResponse } = require('../utils/responseUtils');
+
+/**
+ * A new clip invalidates everything the pipeline produced from the old one
+ * @param {object} video - Video record
+ */
+const resetPipeline = (video) => {
+    const stages = Object.keys(video.stages || {}).filter(stage => stage !== 'upload');
+    videoModel.resetStages(video.id, stages);
+};
+
+/**
+ * Score the upload by loudness, motion and scene cuts and rank candidate
+ * windows. The analysis is kept, so asking for another length is instant
+ * unless `refresh` is set.
+ */
+const findHighlights = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const { duration = config.highlights.duration, count, refresh = false } = req.body;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+        if (!fs.existsSync(video.filePath)) {
+            return errorResponse(res, 'Video file not found', 404);
+        }
+
+        const analysis = !refresh && video.highlightAnalysis
+            ? video.highlightAnalysis
+            : await highlightService.analyzeVideo(video.filePath);
+        const { timeline, candidates } = highlightService.rankWindows(analysis, { duration, count });
+
+        const highlights = { duration, candidates, analyzedAt: analysis.analyzedAt };
+        videoModel.update(videoId, { highlightAnalysis: analysis, highlights });
+
+        console.log(`🔎 Found ${candidates.length} highlight(s) for ${videoId}`);
+        successResponse(res, {
+            videoId,
+            sourceDuration: analysis.duration,
+            hasAudio: analysis.hasAudio,
+            candidates,
+            timeline,
+            selected: video.trim || null
+        }, 'Highlights found successfully');
+
+    } catch (error) {
+        console.error('Highlight detection error:', error);
+        errorResponse(res, 'Failed to detect highlights', 500, error);
+    }
+};
+
+/**
+ * Get the last ranked highlights and the selected one
+ */
+const getHighlights = async (req, res) => {
+    try {
+        const video = videoModel.findById(req.params.videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        successResponse(res, {
+            videoId: video.id,
+            sourceDuration: video.highlightAnalysis?.duration || null,
+            ...(video.highlights || { duration: null, candidates: [], analyzedAt: null }),
+            selected: video.trim || null
+        }, 'Highlights retrieved successfully');
+
+    } catch (error) {
+        console.error('Get highlights error:', error);
+        errorResponse(res, 'Failed to get highlights', 500, error);
+    }
+};
+
+/**
+ * Pick a ranked highlight (`rank`) or a custom window (`start`, `end`).
+ * The next processing run trims the upload to it.
+ */
+const selectHighlight = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const { rank } = req.body;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+        if (jobModel.findActiveByVideoId(videoId)) {
+            return errorResponse(res, 'Video is already being processed', 409);
+        }
+
+        let { start, end } = req.body;
+        if (rank !== undefined) {
+            const candidate = (video.highlights?.candidates || []).find(entry => entry.rank === rank);
+            if (!candidate) {
+                return notFoundResponse(res, 'Highlight');
+            }
+            ({ start, end } = candidate);
+        } else {
+            const sourceDuration = video.highlightAnalysis?.duration || await ffmpegService.getVideoDuration(video.filePath);
+            if (end > sourceDuration + 0.5) {
+                return errorResponse(res, `Highlight ends after the video (${sourceDuration.toFixed(1)}s)`, 400);
+            }
+            if (end - start > config.highlights.maxDuration) {
+                return errorResponse(res, `Highlights are limited to ${config.highlights.maxDuration} seconds`, 400);
+            }
+            end = Math.min(end, sourceDuration);
+        }
+
+        const trim = { start, end, rank: rank || null, selectedAt: new Date().toISOString() };
+        videoModel.updateTrim(videoId, trim);
+        resetPipeline(video);
+
+        successResponse(res, { videoId, trim }, 'Highlight selected; process the video to render it');
+
+    } catch (error) {
+        console.error('Select highlight error:', error);
+        errorResponse(res, 'Failed to select highlight', 500, error);
+    }
+};
+
+/**
+ * Go back to processing the full upload
+ */
+const clearHighlight = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+        if (jobModel.findActiveByVideoId(videoId)) {
+            return errorResponse(res, 'Video is already being processed', 409);
+        }
+
+        videoModel.updateTrim(videoId, null);
+        resetPipeline(video);
+
+        successResponse(res, { videoId, trim: null }, 'Highlight cleared successfully');
+
+    } catch (error) {
+        console.error('Clear highlight error:', error);
+        errorResponse(res, 'Failed to clear highlight', 500, error);
+    }
+};
+
+module.exports = {
+    findHighlights,
+    getHighlights,
+    selectHighlight,
+    clearHighlight
+};
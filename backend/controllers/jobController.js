@@ -0,0 +1,50 @@
+const jobModel = require('../models/jobModel');
+const jobQueueService = require('../services/jobQueueService');
+const { successResponse, errorResponse, notFoundResponse } = require('../utils/responseUtils');
+
+/**
+ * List jobs, optionally filtered by status, type or video
+ */
+const listJobs = async (req, res) => {
+    try {
+        const { status, type, videoId } = req.query;
+        const limit = parseInt(req.query.limit, 10) || 50;
+
+        // Newest first for the listing
+        const jobs = jobModel.findAll({ status, type, videoId }).reverse().slice(0, limit);
+
+        successResponse(res, {
+            jobs,
+            queue: jobQueueService.getQueueStats()
+        }, 'Jobs retrieved successfully');
+
+    } catch (error) {
+        console.error('List jobs error:', error);
+        errorResponse(res, 'Failed to list jobs', 500, error);
+    }
+};
+
+/**
+ * Get a single job
+ */
+const getJob = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+
+        const job = jobModel.findById(jobId);
+        if (!job) {
+            return notFoundResponse(res, 'Job');
+        }
+
+        successResponse(res, job, 'Job retrieved successfully');
+
+    } catch (error) {
+        console.error('Get job error:', error);
+        errorResponse(res, 'Failed to get job', 500, error);
+    }
+};
+
+module.exports = {
+    listJobs,
+    getJob
+};
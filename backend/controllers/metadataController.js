@@ -0,0 +1,98 @@
+const videoModel = require('../models/videoModel');
+const metadataService = require('../services/metadataService');
+const config = require('../config/config');
+const { successResponse, errorResponse, notFoundResponse } = require('../utils/responseUtils');
+
+/**
+ * Generate titles, descriptions and hashtags for each platform from the
+ * video's script and store them on the record
+ */
+const generateMetadata = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+        if (!video.script?.script) {
+            return errorResponse(res, 'Video has no script to describe', 400);
+        }
+
+        const metadata = await metadataService.generateMetadata(video.script.script, {
+            platforms: req.body.platforms,
+            style: req.body.style || video.style
+        });
+        videoModel.updateSocialMetadata(videoId, metadata);
+
+        console.log(`🏷️ Generated social metadata for ${videoId} (${Object.keys(metadata.platforms).join(', ')})`);
+        successResponse(res, {
+            videoId,
+            metadata,
+            limits: config.socialPlatforms
+        }, 'Social metadata generated successfully', 201);
+
+    } catch (error) {
+        console.error('Generate metadata error:', error);
+        errorResponse(res, 'Failed to generate social metadata', 500, error);
+    }
+};
+
+/**
+ * Get a video's stored social metadata and the platform limits
+ */
+const getMetadata = async (req, res) => {
+    try {
+        const video = videoModel.findById(req.params.videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        successResponse(res, {
+            videoId: video.id,
+            metadata: video.socialMetadata || null,
+            limits: config.socialPlatforms
+        }, 'Social metadata retrieved successfully');
+
+    } catch (error) {
+        console.error('Get metadata error:', error);
+        errorResponse(res, 'Failed to get social metadata', 500, error);
+    }
+};
+
+/**
+ * Save edited titles, descriptions and hashtags
+ */
+const updateMetadata = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        const result = metadataService.applyEdits(video.socialMetadata, req.body.platforms);
+        if (result.error) {
+            return errorResponse(res, result.error, 400);
+        }
+
+        videoModel.updateSocialMetadata(videoId, result.metadata);
+
+        successResponse(res, {
+            videoId,
+            metadata: result.metadata,
+            limits: config.socialPlatforms
+        }, 'Social metadata updated successfully');
+
+    } catch (error) {
+        console.error('Update metadata error:', error);
+        errorResponse(res, 'Failed to update social metadata', 500, error);
+    }
+};
+
+module.exports = {
+    generateMetadata,
+    getMetadata,
+    updateMetadata
+};
@@ -0,0 +1,130 @@
+const musicModel = require('../models/musicModel');
+const videoModel = require('../models/videoModel');
+const musicService = require('../services/musicService');
+const { successResponse, errorResponse, notFoundResponse } = require('../utils/responseUtils');
+
+/**
+ * Upload a track to the music library
+ */
+const uploadTrack = async (req, res) => {
+    try {
+        const track = await musicService.addTrack(req.file, req.body);
+
+        console.log(`🎵 Added music track "${track.title}" (${track.id})`);
+        successResponse(res, track, 'Music track uploaded successfully', 201);
+
+    } catch (error) {
+        console.error('Music upload error:', error);
+        errorResponse(res, 'Failed to upload music track', 500, error);
+    }
+};
+
+/**
+ * List tracks, optionally filtered by ?mood=&tag=&minBpm=&maxBpm=
+ */
+const listTracks = async (req, res) => {
+    try {
+        const { mood, tag } = req.query;
+        const minBpm = parseInt(req.query.minBpm, 10) || null;
+        const maxBpm = parseInt(req.query.maxBpm, 10) || null;
+
+        const tracks = musicModel.findAll({ mood, tag, minBpm, maxBpm });
+
+        successResponse(res, { tracks, total: tracks.length }, 'Music tracks retrieved successfully');
+
+    } catch (error) {
+        console.error('List music error:', error);
+        errorResponse(res, 'Failed to list music tracks', 500, error);
+    }
+};
+
+/**
+ * Get a single track
+ */
+const getTrack = async (req, res) => {
+    try {
+        const track = musicModel.findById(req.params.trackId);
+        if (!track) {
+            return notFoundResponse(res, 'Music track');
+        }
+
+        successResponse(res, track, 'Music track retrieved successfully');
+
+    } catch (error) {
+        console.error('Get music error:', error);
+        errorResponse(res, 'Failed to get music track', 500, error);
+    }
+};
+
+/**
+ * Delete a track and its file
+ */
+const deleteTrack = async (req, res) => {
+    try {
+        if (!musicService.removeTrack(req.params.trackId)) {
+            return notFoundResponse(res, 'Music track');
+        }
+
+        successResponse(res, null, 'Music track deleted successfully');
+
+    } catch (error) {
+        console.error('Delete music error:', error);
+        errorResponse(res, 'Failed to delete music track', 500, error);
+    }
+};
+
+/**
+ * Attach a library track to a video; it is mixed in on the next merge
+ */
+const attachMusic = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        if (!videoModel.findById(videoId)) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        const track = musicModel.findById(req.body.trackId);
+        if (!track) {
+            return notFoundResponse(res, 'Music track');
+        }
+
+        const video = videoModel.updateMusic(videoId, req.body);
+
+        successResponse(res, { videoId, music: video.music, track }, 'Music attached successfully');
+
+    } catch (error) {
+        console.error('Attach music error:', error);
+        errorResponse(res, 'Failed to attach music', 500, error);
+    }
+};
+
+/**
+ * Detach background music from a video
+ */
+const detachMusic = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        if (!videoModel.findById(videoId)) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        videoModel.updateMusic(videoId, null);
+
+        successResponse(res, { videoId, music: null }, 'Music detached successfully');
+
+    } catch (error) {
+        console.error('Detach music error:', error);
+        errorResponse(res, 'Failed to detach music', 500, error);
+    }
+};
+
+module.exports = {
+    uploadTrack,
+    listTracks,
+    getTrack,
+    deleteTrack,
+    attachMusic,
+    detachMusic
+};
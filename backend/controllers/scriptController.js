@@ -0,0 +1,180 @@
+const videoModel = require('../models/videoModel');
+const scriptService = require('../services/scriptService');
+const { diffWords, diffStats } = require('../utils/diffUtils');
+const { successResponse, errorResponse, notFoundResponse } = require('../utils/responseUtils');
+
+/**
+ * Find a stored script version
+ * @param {object} video - Video record
+ * @param {number} version - Version number
+ * @returns {object|null} Version entry or null
+ */
+const findVersion = (video, version) =>
+    (video.scriptVersions || []).find(entry => entry.version === version) || null;
+
+// Version list entries leave out the full diff
+const toSummary = ({ diff, ...version }) => ({ ...version, stats: diff.stats });
+
+/**
+ * Rewrite the current script from user feedback and keep it as a new version
+ */
+const improveScript = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const { feedback } = req.body;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+        if (!video.script?.script) {
+            return errorResponse(res, 'Video has no script to improve', 400);
+        }
+
+        const style = req.body.style || video.style;
+        const result = await scriptService.improveScript(video.script.script, feedback, style);
+        if (!result.data.script) {
+            return errorResponse(res, 'Improved script was empty', 502);
+        }
+
+        // Segment timings don't survive a free rewrite, so the improved
+        // script is voiced as a whole; title and description are kept
+        const { segments, ...rest } = video.script;
+        const updated = videoModel.addScriptVersion(videoId, { ...rest, script: result.data.script }, {
+            source: 'improved',
+            summary: result.data.improvementSummary,
+            changes: result.data.changes,
+            feedback
+        });
+
+        const version = updated.scriptVersions[updated.scriptVersions.length - 1];
+        console.log(`✍️ Improved script for ${videoId} (version ${version.version})`);
+        successResponse(res, { videoId, script: updated.script, version }, 'Script improved successfully', 201);
+
+    } catch (error) {
+        console.error('Improve script error:', error);
+        errorResponse(res, 'Failed to improve script', 500, error);
+    }
+};
+
+/**
+ * List a video's script versions, oldest first
+ */
+const listVersions = async (req, res) => {
+    try {
+        const video = videoModel.findById(req.params.videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        const versions = (video.scriptVersions || []).map(toSummary);
+
+        successResponse(res, {
+            videoId: video.id,
+            currentVersion: video.scriptVersion || null,
+            versions,
+            total: versions.length
+        }, 'Script versions retrieved successfully');
+
+    } catch (error) {
+        console.error('List script versions error:', error);
+        errorResponse(res, 'Failed to list script versions', 500, error);
+    }
+};
+
+/**
+ * Get one script version with its diff against the script it replaced
+ */
+const getVersion = async (req, res) => {
+    try {
+        const video = videoModel.findById(req.params.videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        const version = findVersion(video, req.params.version);
+        if (!version) {
+            return notFoundResponse(res, 'Script version');
+        }
+
+        successResponse(res, version, 'Script version retrieved successfully');
+
+    } catch (error) {
+        console.error('Get script version error:', error);
+        errorResponse(res, 'Failed to get script version', 500, error);
+    }
+};
+
+/**
+ * Diff two script versions (?from=&to=, `to` defaults to the current version)
+ */
+const compareVersions = async (req, res) => {
+    try {
+        const video = videoModel.findById(req.params.videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        const from = findVersion(video, req.query.from);
+        const to = findVersion(video, req.query.to || video.scriptVersion);
+        if (!from || !to) {
+            return notFoundResponse(res, 'Script version');
+        }
+
+        const operations = diffWords(from.script.script, to.script.script);
+
+        successResponse(res, {
+            videoId: video.id,
+            from: toSummary(from),
+            to: toSummary(to),
+            diff: { operations, stats: diffStats(operations) }
+        }, 'Script versions compared successfully');
+
+    } catch (error) {
+        console.error('Compare script versions error:', error);
+        errorResponse(res, 'Failed to compare script versions', 500, error);
+    }
+};
+
+/**
+ * Make an earlier version current again. History is kept: the restored
+ * script is added as a new version.
+ */
+const restoreVersion = async (req, res) => {
+    try {
+        const { videoId, version: versionNumber } = req.params;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        const version = findVersion(video, versionNumber);
+        if (!version) {
+            return notFoundResponse(res, 'Script version');
+        }
+
+        const updated = videoModel.addScriptVersion(videoId, version.script, {
+            source: 'restored',
+            restoredFrom: version.version
+        });
+
+        successResponse(res, {
+            videoId,
+            script: updated.script,
+            version: updated.scriptVersions[updated.scriptVersions.length - 1]
+        }, 'Script version restored successfully');
+
+    } catch (error) {
+        console.error('Restore script version error:', error);
+        errorResponse(res, 'Failed to restore script version', 500, error);
+    }
+};
+
+module.exports = {
+    improveScript,
+    listVersions,
+    getVersion,
+    compareVersions,
+    restoreVersion
+};
@@ -1,13 +1,62 @@
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const path = require('path');
 const fs = require('fs');
 const subtitleService = require('../services/subtitleService');
 const ffmpegService = require('../services/ffmpegService');
-const elevenlabsService = require('../services/elevenlabsService');
+const narrationService = require('../services/narrationService');
+const scriptService = require('../services/scriptService');
+const musicService = require('../services/musicService');
+const fillerService = require('../services/fillerService');
+const progressService = require('../services/progressService');
 const videoModel = require('../models/videoModel');
 const config = require('../config/config');
+const subtitleStyles = require('../config/subtitleStyles');
+const languages = require('../config/languages');
 const { successResponse, errorResponse, notFoundResponse } = require('../utils/responseUtils');
 
+/**
+ * Voiceover timings stored on a video, usable only while the subtitle text
+ * is the script that was spoken
+ * @param {object} video - Video record
+ * @param {string} scriptText - Text the subtitles will show
+ * @returns {object} { wordTimings, audioPath } options for processSubtitles
+ */
+const getStoredTimings = (video, scriptText) => {
+    if (scriptText !== video.script?.script) {
+        return {};
+    }
+
+    return {
+        wordTimings: video.wordTimings || null,
+        audioPath: video.audioPath || null
+    };
+};
+
+/**
+ * Split-screen captions sit on the seam between the two halves, which is
+ * the middle of the frame
+ * @param {object} styling - Requested styling
+ * @param {string} layoutType - How the vertical frame was built (video.reframe.mode)
+ * @returns {object} Styling to burn with
+ */
+const applyLayoutStyling = (styling, layoutType) =>
+    layoutType === 'split' ? { ...styling, position: 'center' } : styling;
+
+/**
+ * List the named subtitle style presets
+ */
+const getStylePresets = async (req, res) => {
+    try {
+        successResponse(res, {
+            presets: subtitleStyles.presets,
+            colors: Object.keys(subtitleStyles.colors)
+        }, 'Subtitle style presets retrieved successfully');
+    } catch (error) {
+        console.error('Get style presets error:', error);
+        errorResponse(res, 'Failed to get subtitle style presets', 500, error);
+    }
+};
+
 /**
  * Generate subtitles from script text
  */
@@ -79,7 +128,7 @@ const addSubtitlesToVideo = async (req, res) => {
         // Get video duration if not available
         let videoDuration = video.duration;
         if (!videoDuration) {
-            videoDuration = await ffmpegService.getVideoDuration(video.filePath);
+            videoDuration = await ffmpegService.getVideoDuration(videoModel.getSourcePath(video));
             videoModel.update(videoId, { duration: videoDuration });
         }
 
@@ -90,6 +139,7 @@ const addSubtitlesToVideo = async (req, res) => {
         }
 
         const outputDir = path.join(config.upload.processedDir, videoId);
+        const subtitleStyling = applyLayoutStyling(styling, video.reframe?.mode);
 
         const result = await subtitleService.processSubtitles(
             scriptText,
@@ -99,9 +149,11 @@ const addSubtitlesToVideo = async (req, res) => {
             {
                 format,
                 addToVideo: true,
-                videoPath: video.filePath,
+                videoPath: video.reframedVideoPath || videoModel.getSourcePath(video),
                 subtitleType,
-                styling
+                styling: subtitleStyling,
+                ...getStoredTimings(video, scriptText),
+                onProgress: progressService.progressReporter(videoId, 'subtitleGeneration')
             }
         );
 
@@ -109,7 +161,9 @@ const addSubtitlesToVideo = async (req, res) => {
         const updateData = {
             subtitlePath: result.subtitlePath,
             subtitleFormat: format,
-            subtitleType
+            subtitleType,
+            subtitleStyling,
+            subtitleTiming: result.timing
         };
 
         if (result.videoWithSubtitles) {
@@ -124,7 +178,8 @@ const addSubtitlesToVideo = async (req, res) => {
             subtitlePath: result.subtitlePath,
             videoWithSubtitles: result.videoWithSubtitles,
             format: result.format,
-            subtitleType
+            subtitleType,
+            subtitleTiming: result.timing
         }, 'Subtitles added to video successfully');
 
     } catch (error) {
@@ -138,27 +193,45 @@ const addSubtitlesToVideo = async (req, res) => {
  */
 const processVideoWithSubtitles = async (req, res) => {
     console.log('🔍 DEBUG: Starting processVideoWithSubtitles');
+    let videoId = null;
     
     try {
         console.log('🔍 Step 1: Parsing request');
-        const { script, format = 'srt', subtitleType = 'hard', styling = {}, voiceId = null } = req.body;
+        // Styling, audioMix, segments and voiceSettings are parsed from multipart JSON strings by their validators
+        const {
+            script: plainScript,
+            format = 'srt',
+            subtitleType = 'hard',
+            styling = {},
+            audioMix = {},
+            voiceId = null,
+            ttsProvider = null,
+            voiceSettings = null,
+            prompt = '',
+            style = 'commentary',
+            scriptMode,
+            reframe,
+            layout
+        } = req.body;
+
+        // Timed segments carry the script text themselves
+        let segments = req.body.segments || null;
+        let script = plainScript || (segments ? segments.map(segment => segment.text).join(' ') : null);
 
         if (!req.file) {
             console.log('❌ ERROR: No file uploaded');
             return errorResponse(res, 'Video file is required', 400);
         }
 
-        if (!script) {
-            console.log('❌ ERROR: No script provided');  
-            return errorResponse(res, 'Script is required', 400);
-        }
-
         console.log('✅ Step 1 complete - Request parsed');
-        console.log('Script length:', script.length);
+        console.log('Script length:', script ? script.length : 'none (will be generated)');
         console.log('File name:', req.file.originalname);
 
         console.log('🔍 Step 2: Creating video record');
-        const videoId = uuidv4();
+        // Clients may pick the ID up front so they can subscribe to
+        // /api/videos/:videoId/events before this request completes
+        const requestedId = req.body.videoId;
+        videoId = isUuid(requestedId || '') && !videoModel.findById(requestedId) ? requestedId : uuidv4();
         const videoPath = req.file.path;
 
         const videoData = {
@@ -168,12 +241,20 @@ const processVideoWithSubtitles = async (req, res) => {
             fileSize: req.file.size,
             mimeType: req.file.mimetype,
             status: 'processing',
-            script: { script },
+            prompt,
+            style,
+            voice: voiceId,
+            ttsProvider,
+            voiceSettings,
             uploadedAt: new Date().toISOString()
         };
 
         console.log('🔍 Step 3: Calling videoModel.create');
         videoModel.create(videoData);
+        if (script) {
+            videoModel.addScriptVersion(videoId, segments ? { script, segments } : { script }, { source: 'manual' });
+        }
+        progressService.publish(videoId, 'status', { status: 'processing' });
         console.log('✅ Step 3 complete - Video record created');
 
         console.log('🔍 Step 4: Getting video duration with FFmpeg');
@@ -184,29 +265,43 @@ const processVideoWithSubtitles = async (req, res) => {
         videoModel.update(videoId, { duration: videoDuration });
         console.log('✅ Step 5 complete - Duration updated');
 
+        // Without a script, write one from frames sampled across the video
+        if (!script) {
+            console.log('🔍 Step 5b: Generating script from video frames');
+            progressService.reportStatus(videoId, 'extracting_frames');
+            const framesDir = path.join(config.upload.framesDir, videoId);
+            const frames = await ffmpegService.sampleFrames(videoPath, framesDir);
+            const framePaths = frames.map(frame => frame.path);
+            const frameTimestamps = frames.map(frame => frame.timestamp);
+            videoModel.updateFrames(videoId, framePaths, frameTimestamps);
+            progressService.reportStage(videoId, 'frameExtraction', { framesPath: framesDir, frames: framePaths });
+
+            progressService.reportStatus(videoId, 'generating_script');
+            const scriptResult = await scriptService.generateVideoScript(framePaths, prompt, style, {
+                timestamps: frameTimestamps,
+                duration: videoDuration,
+                scriptMode
+            });
+            videoModel.addScriptVersion(videoId, scriptResult.data, { source: 'generated' });
+            progressService.reportStage(videoId, 'scriptGeneration', { title: scriptResult.data.title || null });
+
+            script = scriptResult.data.script;
+            segments = scriptResult.data.segments || null;
+            console.log('✅ Step 5b complete - Script generated:', segments ? `${segments.length} timed segments` : `${script.length} characters`);
+        }
+
         console.log('🔍 Step 6: Preparing subtitle processing');
         const outputDir = path.join(config.upload.processedDir, videoId);
         console.log('Output directory:', outputDir);
 
-        console.log('🔍 Step 7: Processing subtitles');
-        const subtitleResult = await subtitleService.processSubtitles(
-            script,
-            videoDuration,
-            outputDir,
-            videoId,
-            {
-                format,
-                addToVideo: true,
-                videoPath,
-                subtitleType,
-                styling
-            }
-        );
-        console.log('✅ Step 7 complete - Subtitles processed');
-
-        // NEW: Step 8 - Generate audio with ElevenLabs
-        console.log('🔍 Step 8: Generating audio with ElevenLabs');
+        // Step 7 - Generate audio first so subtitles can be timed against it
+        console.log('🔍 Step 7: Generating audio with', ttsProvider || config.tts.provider);
+        progressService.reportStatus(videoId, 'generating_audio');
         let audioPath = null;
+        let wordTimings = null;
+        let spokenScript = script;
+        let narrationFit = null;
+        let narrationSegments = null;
         try {
             const audioFileName = `${videoId}_audio.mp3`;
             const audioOutputPath = path.join(outputDir, audioFileName);
@@ -215,29 +310,107 @@ const processVideoWithSubtitles = async (req, res) => {
             console.log('🔍 AUDIO DEBUG: Using voice ID:', voiceId || 'default');
             console.log('🔍 AUDIO DEBUG: Output path:', audioOutputPath);
             
-            const audioResult = await elevenlabsService.generateAudio(
-                script,
-                voiceId,
-                audioOutputPath,
-                { model: 'eleven_multilingual_v2' }
-            );
+            const ttsOptions = { model: 'eleven_multilingual_v2', provider: ttsProvider, ...voiceSettings };
+            const audioResult = segments
+                ? await narrationService.generateSegmentedNarration(segments, voiceId, audioOutputPath, videoDuration, ttsOptions)
+                : await narrationService.generateFittedNarration(script, voiceId, audioOutputPath, videoDuration, ttsOptions);
             
-            audioPath = audioResult.data.audioPath;
-            console.log('✅ Step 8 complete - Audio generated:', audioPath);
-            console.log('🔍 AUDIO DEBUG: Audio file size:', audioResult.data.fileSize, 'bytes');
+            audioPath = audioResult.audioPath;
+            wordTimings = audioResult.wordTimings;
+            spokenScript = audioResult.script;
+            narrationFit = audioResult.fit || null;
+            narrationSegments = audioResult.segments || null;
+            // A rewrite to fit the clip replaces the script that is spoken;
+            // a generated script's title and description are kept
+            if (spokenScript !== script) {
+                videoModel.addScriptVersion(videoId, { ...videoModel.findById(videoId).script, script: spokenScript }, { source: 'fitted' });
+            }
+            videoModel.update(videoId, {
+                audioPath,
+                wordTimings,
+                narrationFit,
+                narrationSegments
+            });
+            progressService.reportStage(videoId, 'audioGeneration', { audioPath });
+            console.log('✅ Step 7 complete - Audio generated:', audioPath);
+            console.log('🔍 AUDIO DEBUG: Audio file size:', audioResult.fileSize, 'bytes');
+            console.log('🔍 AUDIO DEBUG: Word timings:', wordTimings ? wordTimings.length : 'none');
             
         } catch (audioError) {
             console.error('❌ AUDIO ERROR: Failed to generate audio:', audioError);
             console.log('🔧 AUDIO FALLBACK: Continuing without audio generation');
         }
 
-        // NEW: Step 9 - Merge video with audio (if audio was generated)
+        // Reframe to 9:16 (or compose a split-screen layout) before burning
+        // subtitles so they are placed on the vertical frame
+        console.log('🔍 Step 7b: Reframing video to 9:16');
+        let subtitleSourcePath = videoPath;
+        let reframeResult = { mode: 'none', keyframes: null };
+        try {
+            progressService.reportStatus(videoId, 'reframing');
+            const verticalPath = path.join(outputDir, `${videoId}_vertical.mp4`);
+            const layoutOptions = fillerService.resolveLayout(layout, videoDuration);
+
+            if (layoutOptions) {
+                await ffmpegService.composeLayout(videoPath, layoutOptions.fillerPath, verticalPath, {
+                    ...layoutOptions,
+                    onProgress: progressService.progressReporter(videoId, 'reframe')
+                });
+                reframeResult = {
+                    outputPath: verticalPath,
+                    mode: layoutOptions.type,
+                    keyframes: null,
+                    fillerId: layoutOptions.fillerId,
+                    fillerStart: layoutOptions.fillerStart
+                };
+            } else {
+                reframeResult = await ffmpegService.reframeVideo(
+                    videoPath,
+                    verticalPath,
+                    { mode: reframe, onProgress: progressService.progressReporter(videoId, 'reframe') }
+                );
+            }
+            subtitleSourcePath = reframeResult.outputPath;
+            progressService.reportStage(videoId, 'reframe', { mode: reframeResult.mode });
+            console.log('✅ Step 7b complete - Reframe mode:', reframeResult.mode);
+        } catch (reframeError) {
+            console.error('❌ REFRAME ERROR: Failed to reframe video:', reframeError);
+            console.log('🔧 REFRAME FALLBACK: Using original framing');
+        }
+
+        console.log('🔍 Step 8: Processing subtitles');
+        progressService.reportStatus(videoId, 'adding_subtitles');
+        const subtitleStyling = applyLayoutStyling(styling, reframeResult.mode);
+        const subtitleResult = await subtitleService.processSubtitles(
+            spokenScript,
+            videoDuration,
+            outputDir,
+            videoId,
+            {
+                format,
+                addToVideo: true,
+                videoPath: subtitleSourcePath,
+                subtitleType,
+                styling: subtitleStyling,
+                wordTimings,
+                audioPath,
+                onProgress: progressService.progressReporter(videoId, 'subtitleGeneration')
+            }
+        );
+        progressService.reportStage(videoId, 'subtitleGeneration', {
+            subtitlePath: subtitleResult.subtitlePath,
+            videoWithSubtitlesPath: subtitleResult.videoWithSubtitles
+        });
+        console.log('✅ Step 8 complete - Subtitles processed with', subtitleResult.timing, 'timing');
+
+        // Step 9 - Merge video with audio (if audio was generated)
         console.log('🔍 Step 9: Merging video with audio');
         let finalVideoPath = subtitleResult.videoWithSubtitles;
         
         if (audioPath && fs.existsSync(audioPath)) {
             try {
                 console.log('🔍 MERGE DEBUG: Merging video with audio');
+                progressService.reportStatus(videoId, 'merging_audio');
                 console.log('🔍 MERGE DEBUG: Video path:', subtitleResult.videoWithSubtitles);
                 console.log('🔍 MERGE DEBUG: Audio path:', audioPath);
                 
@@ -247,10 +420,13 @@ const processVideoWithSubtitles = async (req, res) => {
                 const mergedVideoPath = await ffmpegService.mergeVideoWithAudio(
                     subtitleResult.videoWithSubtitles,
                     audioPath,
-                    finalVideoOutputPath
+                    finalVideoOutputPath,
+                    progressService.progressReporter(videoId, 'videoMerging'),
+                    { ...audioMix, music: musicService.resolveMusicForMix(audioMix.music) }
                 );
                 
                 finalVideoPath = mergedVideoPath;
+                progressService.reportStage(videoId, 'videoMerging', { outputPath: finalVideoPath });
                 console.log('✅ Step 9 complete - Video merged with audio:', finalVideoPath);
                 
             } catch (mergeError) {
@@ -267,6 +443,14 @@ const processVideoWithSubtitles = async (req, res) => {
             subtitlePath: subtitleResult.subtitlePath,
             subtitleFormat: format,
             subtitleType,
+            subtitleStyling,
+            subtitleTiming: subtitleResult.timing,
+            reframedVideoPath: subtitleSourcePath !== videoPath ? subtitleSourcePath : null,
+            reframe: {
+                mode: reframeResult.mode,
+                keyframes: reframeResult.keyframes,
+                ...(reframeResult.fillerId && { fillerId: reframeResult.fillerId, fillerStart: reframeResult.fillerStart })
+            },
             status: 'completed',
             processedAt: new Date().toISOString()
         };
@@ -280,6 +464,7 @@ const processVideoWithSubtitles = async (req, res) => {
         }
 
         videoModel.update(videoId, updateData);
+        progressService.publish(videoId, 'status', { status: 'completed' });
         console.log('✅ Step 10 complete - Record updated');
 
         console.log('🎉 SUCCESS: All processing complete');
@@ -292,12 +477,19 @@ const processVideoWithSubtitles = async (req, res) => {
             audioPath: audioPath,
             format: subtitleResult.format,
             subtitleType,
+            subtitleTiming: subtitleResult.timing,
+            script: spokenScript,
+            narrationFit,
+            narrationSegments,
             duration: videoDuration
         }, 'Video processed with subtitles and audio successfully', 201);
 
     } catch (error) {
         console.error('💥 CRASH in processVideoWithSubtitles:', error);
         console.error('💥 Stack trace:', error.stack);
+        if (videoId && videoModel.findById(videoId)) {
+            progressService.reportStatus(videoId, 'failed', { error: error.message });
+        }
         errorResponse(res, 'Failed to process video with subtitles and audio', 500, error);
     }
 };
@@ -314,15 +506,31 @@ const downloadSubtitleFile = async (req, res) => {
             return notFoundResponse(res, 'Video');
         }
 
-        if (!video.subtitlePath || !fs.existsSync(video.subtitlePath)) {
+        // ?lang=xx picks a translated track instead of the main subtitles
+        const { lang } = req.query;
+        let subtitlePath = video.subtitlePath;
+        let subtitleFormat = video.subtitleFormat || 'srt';
+        let suffix = '';
+
+        if (lang) {
+            const track = (video.subtitleTracks || []).find(item => item.language === lang);
+            if (!track) {
+                return notFoundResponse(res, `Subtitle track for language "${lang}"`);
+            }
+            subtitlePath = track.path;
+            subtitleFormat = track.format;
+            suffix = `.${lang}`;
+        }
+
+        if (!subtitlePath || !fs.existsSync(subtitlePath)) {
             return notFoundResponse(res, 'Subtitle file');
         }
 
-        const fileName = `${video.originalName.split('.')[0]}_subtitles.${video.subtitleFormat || 'srt'}`;
+        const fileName = `${video.originalName.split('.')[0]}_subtitles${suffix}.${subtitleFormat}`;
         
         res.setHeader('Content-Type', 'text/plain');
         res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-        res.download(video.subtitlePath, fileName);
+        res.download(subtitlePath, fileName);
 
     } catch (error) {
         console.error('Download subtitle file error:', error);
@@ -387,12 +595,19 @@ const updateSubtitleTiming = async (req, res) => {
             video.duration,
             outputDir,
             videoId,
-            { format: format || video.subtitleFormat, timing }
+            {
+                format: format || video.subtitleFormat,
+                timing,
+                videoPath: video.reframedVideoPath || videoModel.getSourcePath(video),
+                styling: video.subtitleStyling || {},
+                ...getStoredTimings(video, script)
+            }
         );
 
         // Update video record
         videoModel.update(videoId, {
             subtitlePath: result.subtitlePath,
+            subtitleTiming: result.timing,
             updatedAt: new Date().toISOString()
         });
 
@@ -400,7 +615,8 @@ const updateSubtitleTiming = async (req, res) => {
             videoId,
             subtitlePath: result.subtitlePath,
             content: result.subtitleContent,
-            format: result.format
+            format: result.format,
+            subtitleTiming: result.timing
         }, 'Subtitle timing updated successfully');
 
     } catch (error) {
@@ -409,11 +625,131 @@ const updateSubtitleTiming = async (req, res) => {
     }
 };
 
+/**
+ * Translate the stored script into target languages and mux every language
+ * as its own soft subtitle track
+ */
+const translateSubtitles = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const {
+            targetLanguages,
+            sourceLanguage = 'en',
+            defaultLanguage = sourceLanguage,
+            format = 'srt',
+            source = 'processed' // 'processed' or 'original' video as the base
+        } = req.body;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        const script = video.script?.script;
+        if (!script) {
+            return errorResponse(res, 'No script available for translation', 400);
+        }
+
+        const baseVideoPath = source === 'original'
+            ? video.reframedVideoPath || videoModel.getSourcePath(video)
+            : video.processedVideoPath || videoModel.getSourcePath(video);
+        if (!baseVideoPath || !fs.existsSync(baseVideoPath)) {
+            return errorResponse(res, 'Video file not found', 404);
+        }
+
+        let videoDuration = video.duration;
+        if (!videoDuration) {
+            videoDuration = await ffmpegService.getVideoDuration(videoModel.getSourcePath(video));
+            videoModel.update(videoId, { duration: videoDuration });
+        }
+
+        // Translations reuse the source cue timing, aligned when available
+        const words = video.wordTimings && video.wordTimings.length > 0
+            ? video.wordTimings
+            : subtitleService.estimateWordTimings(script, videoDuration);
+        const sourceCues = subtitleService.buildCuesFromWords(words);
+
+        const outputDir = path.join(config.upload.processedDir, videoId);
+        const trackLanguages = [sourceLanguage, ...targetLanguages.filter(language => language !== sourceLanguage)];
+        const tracks = [];
+
+        for (const language of trackLanguages) {
+            console.log(`🌐 Preparing ${languages[language].name} subtitles for video ${videoId}`);
+            const cues = language === sourceLanguage
+                ? sourceCues
+                : await subtitleService.translateCues(sourceCues, language);
+
+            const subtitlePath = path.join(outputDir, `${videoId}_subtitles.${language}.${format}`);
+            await subtitleService.saveSubtitleFile(subtitleService.createTimedSubtitles(cues, format), subtitlePath);
+
+            tracks.push({
+                language,
+                name: languages[language].name,
+                path: subtitlePath,
+                format,
+                default: language === defaultLanguage
+            });
+        }
+
+        const outputPath = path.join(outputDir, `${videoId}_multilang.mp4`);
+        await subtitleService.addSubtitleTracks(
+            baseVideoPath,
+            tracks,
+            outputPath,
+            { defaultLanguage },
+            progressService.progressReporter(videoId, 'subtitleTranslation')
+        );
+
+        videoModel.update(videoId, {
+            subtitleTracks: tracks,
+            multiLanguageVideoPath: outputPath
+        });
+
+        successResponse(res, {
+            videoId,
+            tracks: tracks.map(({ path: trackPath, ...track }) => ({ ...track, subtitlePath: trackPath })),
+            multiLanguageVideoPath: outputPath,
+            defaultLanguage
+        }, 'Subtitles translated successfully');
+
+    } catch (error) {
+        console.error('Translate subtitles error:', error);
+        errorResponse(res, 'Failed to translate subtitles', 500, error);
+    }
+};
+
+/**
+ * Download the video with all subtitle language tracks
+ */
+const downloadMultiLanguageVideo = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        if (!video.multiLanguageVideoPath || !fs.existsSync(video.multiLanguageVideoPath)) {
+            return notFoundResponse(res, 'Multi-language video');
+        }
+
+        res.download(video.multiLanguageVideoPath, `multilang_${video.originalName}`);
+
+    } catch (error) {
+        console.error('Download multi-language video error:', error);
+        errorResponse(res, 'Failed to download multi-language video', 500, error);
+    }
+};
+
 module.exports = {
+    getStylePresets,
     generateSubtitles,
     addSubtitlesToVideo,
     processVideoWithSubtitles,
     downloadSubtitleFile,
     getSubtitleContent,
-    updateSubtitleTiming
+    updateSubtitleTiming,
+    translateSubtitles,
+    downloadMultiLanguageVideo
 }; 
\ No newline at end of file
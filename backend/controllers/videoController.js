@@ -2,11 +2,26 @@ const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
 const ffmpegService = require('../services/ffmpegService');
-const openaiService = require('../services/openaiService');
-const elevenlabsService = require('../services/elevenlabsService');
+const scriptService = require('../services/scriptService');
+const ttsService = require('../services/ttsService');
+const narrationService = require('../services/narrationService');
+const musicService = require('../services/musicService');
+const fillerService = require('../services/fillerService');
+const editService = require('../services/editService');
+const compilationService = require('../services/compilationService');
+const jobQueueService = require('../services/jobQueueService');
+const progressService = require('../services/progressService');
 const videoModel = require('../models/videoModel');
+const jobModel = require('../models/jobModel');
 const { ensureDirectoryExists } = require('../middleware/uploadMiddleware');
 const config = require('../config/config');
+const languages = require('../config/languages');
+
+// Queue job type for the full processing pipeline
+const PROCESS_VIDEO_JOB = 'video.process';
+
+// Queue job type for per-language dubbed variants
+const DUB_VIDEO_JOB = 'video.dub';
 
 // Upload video
 const uploadVideo = async (req, res) => {
@@ -26,7 +41,9 @@ const uploadVideo = async (req, res) => {
             uploadedAt: new Date().toISOString(),
             prompt: req.body.prompt || '',
             style: req.body.style || 'casual',
-            voice: req.body.voice || null
+            voice: req.body.voice || null,
+            ttsProvider: req.body.ttsProvider || null,
+            voiceSettings: req.body.voiceSettings || null
         };
 
         videoModel.create(videoData);
@@ -52,6 +69,233 @@ const uploadVideo = async (req, res) => {
     }
 };
 
+// Pipeline stages in execution order. Each stage returns the artifacts it
+// produced, which are checkpointed on the video record so a later run can
+// skip it.
+const PIPELINE_STAGES = [
+    {
+        name: 'edit',
+        status: 'editing',
+        run: async (video) => {
+            const sourceDuration = video.sourceDuration || await ffmpegService.getVideoDuration(video.filePath);
+
+            // Without a highlight or an edit list the whole upload is processed
+            if (!editService.hasEdits(video)) {
+                videoModel.update(video.id, { masterVideoPath: null, duration: sourceDuration, sourceDuration });
+                return {};
+            }
+
+            const plan = editService.compileEditList(video.editList, video.trim, sourceDuration);
+            const outputPath = path.join(config.upload.processedDir, video.id, `${video.id}_master.mp4`);
+            const onProgress = progressService.progressReporter(video.id, 'edit');
+            const [piece] = plan.pieces;
+
+            // A plain in/out range is a straight cut
+            if (plan.pieces.length === 1 && piece.rate === 1) {
+                await ffmpegService.trimVideo(video.filePath, outputPath, piece.start, piece.end, onProgress);
+            } else {
+                await ffmpegService.renderEditList(video.filePath, outputPath, plan.pieces, onProgress);
+            }
+
+            videoModel.update(video.id, { masterVideoPath: outputPath, duration: plan.duration, sourceDuration });
+            return { masterVideoPath: outputPath };
+        },
+        isValid: (video) => editService.hasEdits(video) === !!video.masterVideoPath
+    },
+    {
+        name: 'frameExtraction',
+        status: 'extracting_frames',
+        run: async (video) => {
+            const framesDir = path.join(config.upload.framesDir, video.id);
+            const frames = await ffmpegService.sampleFrames(videoModel.getSourcePath(video), framesDir, {
+                clips: compilationService.getClipTimeline(video)
+            });
+            const framePaths = frames.map(frame => frame.path);
+            videoModel.updateFrames(video.id, framePaths, frames.map(frame => frame.timestamp));
+            return { framesPath: framesDir, frames: framePaths };
+        }
+    },
+    {
+        name: 'scriptGeneration',
+        status: 'generating_script',
+        run: async (video, options) => {
+            const prompt = options.prompt || video.prompt || 'Generate an engaging script for this video';
+            const style = options.style || video.style || 'casual';
+            const frameOptions = {
+                timestamps: video.frameTimestamps,
+                duration: video.duration || await ffmpegService.getVideoDuration(videoModel.getSourcePath(video)),
+                scriptMode: options.scriptMode || config.llm.scriptMode,
+                clips: compilationService.getClipTimeline(video)
+            };
+
+            // Timed segments are voiced and subtitled at their timestamps
+            const scriptResult = await scriptService.generateVideoScript(video.frames, prompt, style, frameOptions);
+
+            videoModel.update(video.id, { duration: frameOptions.duration });
+            videoModel.addScriptVersion(video.id, scriptResult.data, { source: 'generated' });
+            return { title: scriptResult.data.title || null };
+        },
+        isValid: (video) => !!video.script?.script,
+        // Edits shift the script instead of invalidating it, and it may hold user changes
+        keepOnRerun: true
+    },
+    {
+        name: 'audioGeneration',
+        status: 'generating_audio',
+        run: async (video, options) => {
+            const audioOutputPath = path.join(config.upload.audioDir, `${video.id}.mp3`);
+            const videoDuration = video.duration || await ffmpegService.getVideoDuration(videoModel.getSourcePath(video));
+            const provider = options.ttsProvider || video.ttsProvider || config.tts.provider;
+            // The stored voice and its settings belong to the video's own provider
+            const ownProvider = provider === (video.ttsProvider || config.tts.provider);
+            const voice = ownProvider ? video.voice : null;
+            const ttsOptions = { provider, ...(ownProvider ? video.voiceSettings : {}) };
+
+            // Timed segments are voiced one by one and placed at their timestamps
+            if (video.script.segments?.length) {
+                const audioResult = await narrationService.generateSegmentedNarration(
+                    video.script.segments,
+                    voice,
+                    audioOutputPath,
+                    videoDuration,
+                    ttsOptions
+                );
+                videoModel.update(video.id, { duration: videoDuration, narrationSegments: audioResult.segments, narrationFit: null });
+                videoModel.updateAudio(video.id, audioResult.audioPath, audioResult.wordTimings);
+                return { audioPath: audioResult.audioPath };
+            }
+
+            const audioResult = await narrationService.generateFittedNarration(
+                video.script.script,
+                voice,
+                audioOutputPath,
+                videoDuration,
+                ttsOptions
+            );
+
+            // A rewrite to fit the clip replaces the script that is spoken
+            if (audioResult.script !== video.script.script) {
+                videoModel.addScriptVersion(video.id, { ...video.script, script: audioResult.script }, { source: 'fitted' });
+            }
+            videoModel.update(video.id, { duration: videoDuration, narrationFit: audioResult.fit, narrationSegments: null });
+            videoModel.updateAudio(video.id, audioResult.audioPath, audioResult.wordTimings);
+            return { audioPath: audioResult.audioPath };
+        }
+    },
+    {
+        name: 'reframe',
+        status: 'reframing',
+        run: async (video, options) => {
+            const outputPath = path.join(config.upload.processedDir, video.id, `${video.id}_vertical.mp4`);
+            const sourcePath = videoModel.getSourcePath(video);
+
+            // Split-screen and picture-in-picture layouts build the vertical frame themselves
+            const layout = fillerService.buildLayoutOptions(video, options.layout, video.duration);
+            if (layout) {
+                await ffmpegService.composeLayout(sourcePath, layout.fillerPath, outputPath, {
+                    ...layout,
+                    onProgress: progressService.progressReporter(video.id, 'reframe')
+                });
+                videoModel.update(video.id, {
+                    reframedVideoPath: outputPath,
+                    reframe: { mode: layout.type, keyframes: null, fillerId: layout.fillerId, fillerStart: layout.fillerStart }
+                });
+                return { reframedVideoPath: outputPath, mode: layout.type };
+            }
+
+            const result = await ffmpegService.reframeVideo(sourcePath, outputPath, {
+                mode: options.reframe,
+                onProgress: progressService.progressReporter(video.id, 'reframe')
+            });
+
+            // 'none' (or a source already at the target size) keeps the upload
+            const reframedVideoPath = result.outputPath !== sourcePath ? result.outputPath : null;
+            videoModel.update(video.id, {
+                reframedVideoPath,
+                reframe: { mode: result.mode, keyframes: result.keyframes }
+            });
+            return reframedVideoPath ? { reframedVideoPath, mode: result.mode } : { mode: result.mode };
+        }
+    },
+    {
+        name: 'videoMerging',
+        status: 'merging_audio',
+        run: async (video, options) => {
+            const outputPath = path.join(config.upload.processedDir, video.id, `${video.id}_final.mp4`);
+            await ffmpegService.mergeVideoWithAudio(
+                video.reframedVideoPath || videoModel.getSourcePath(video),
+                video.audioPath,
+                outputPath,
+                progressService.progressReporter(video.id, 'videoMerging'),
+                musicService.buildMixOptions(video, options.audioMix)
+            );
+            videoModel.updateOutput(video.id, outputPath);
+            return { outputPath };
+        }
+    }
+];
+
+/**
+ * Check that a completed stage can be skipped: every *Path artifact must
+ * still exist on disk and the stage's own check (if any) must pass.
+ * @param {object} video - Video record
+ * @param {object} stage - Pipeline stage definition
+ * @returns {boolean} True if the checkpoint is usable
+ */
+const isStageCheckpointValid = (video, stage) => {
+    const checkpoint = video.stages?.[stage.name];
+    if (!checkpoint?.completed) {
+        return false;
+    }
+
+    const artifacts = checkpoint.artifacts || {};
+    const filesExist = Object.keys(artifacts)
+        .filter(key => key.endsWith('Path'))
+        .every(key => artifacts[key] && fs.existsSync(artifacts[key]));
+
+    return filesExist && (!stage.isValid || stage.isValid(video));
+};
+
+/**
+ * Find the first pipeline stage that still has to run
+ * @param {object} video - Video record
+ * @returns {string|null} Stage name, or null if every stage is done
+ */
+const getResumeStage = (video) => {
+    const stage = PIPELINE_STAGES.find(s => !isStageCheckpointValid(video, s));
+    return stage ? stage.name : null;
+};
+
+/**
+ * Queue the processing pipeline for a video
+ * @param {object} video - Video record
+ * @param {object} options - Processing options
+ * @returns {object} Created job record
+ */
+const queueProcessing = (video, options) => {
+    videoModel.update(video.id, { processingOptions: options });
+    progressService.reportStatus(video.id, 'queued', { error: null });
+
+    return jobQueueService.enqueue(PROCESS_VIDEO_JOB, { videoId: video.id, options }, { videoId: video.id });
+};
+
+// Respond with 409 if a job is already queued or running for the video
+const rejectIfActive = (res, videoId) => {
+    const activeJob = jobModel.findActiveByVideoId(videoId);
+    if (!activeJob) {
+        return false;
+    }
+
+    res.status(409).json({
+        success: false,
+        error: {
+            message: 'Video is already being processed',
+            jobId: activeJob.id
+        }
+    });
+    return true;
+};
+
 // Process video - main pipeline
 const processVideo = async (req, res) => {
     try {
@@ -65,18 +309,21 @@ const processVideo = async (req, res) => {
             });
         }
 
-        // Update status to processing
-        videoModel.updateStatus(videoId, 'processing');
+        if (rejectIfActive(res, videoId)) {
+            return;
+        }
 
-        // Start processing asynchronously
-        processVideoAsync(videoId, req.body);
+        // A fresh run starts from scratch; use /resume to keep checkpoints
+        videoModel.resetStages(videoId, PIPELINE_STAGES.map(stage => stage.name));
+        const job = queueProcessing(video, req.body);
 
-        res.json({
+        res.status(202).json({
             success: true,
             data: {
                 videoId,
-                status: 'processing',
-                message: 'Video processing started'
+                jobId: job.id,
+                status: 'queued',
+                message: 'Video processing queued'
             }
         });
     } catch (error) {
@@ -90,44 +337,258 @@ const processVideo = async (req, res) => {
     }
 };
 
-// Async video processing function
-const processVideoAsync = async (videoId, options = {}) => {
+// Resume processing from the first incomplete stage
+const resumeVideoProcessing = async (req, res) => {
     try {
+        const { videoId } = req.params;
         const video = videoModel.findById(videoId);
-        
-        // Step 1: Extract frames
-        videoModel.updateStatus(videoId, 'extracting_frames');
-        const framesPath = await ffmpegService.extractFrames(video.filePath, videoId);
-        videoModel.updateFrames(videoId, framesPath);
-
-        // Step 2: Generate script using OpenAI
-        videoModel.updateStatus(videoId, 'generating_script');
-        const prompt = options.prompt || video.prompt || 'Generate an engaging script for this video';
-        const style = options.style || video.style || 'casual';
-        const script = await openaiService.generateScript(framesPath, prompt, style);
-        videoModel.updateScript(videoId, script);
-
-        // Step 3: Generate audio using ElevenLabs
-        videoModel.updateStatus(videoId, 'generating_audio');
-        const audioPath = await elevenlabsService.generateAudio(script, videoId, video.voice);
-        videoModel.updateAudio(videoId, audioPath);
 
-        // Step 4: Merge video with new audio
-        videoModel.updateStatus(videoId, 'merging_audio');
-        const outputPath = await ffmpegService.mergeVideoWithAudio(video.filePath, audioPath, videoId);
-        videoModel.updateOutput(videoId, outputPath);
+        if (!video) {
+            return res.status(404).json({
+                success: false,
+                error: { message: 'Video not found' }
+            });
+        }
+
+        if (rejectIfActive(res, videoId)) {
+            return;
+        }
+
+        const resumeFrom = getResumeStage(video);
+        if (!resumeFrom) {
+            return res.status(400).json({
+                success: false,
+                error: { message: 'All processing stages are already completed' }
+            });
+        }
+
+        const job = queueProcessing(video, { ...video.processingOptions, ...req.body });
+
+        res.status(202).json({
+            success: true,
+            data: {
+                videoId,
+                jobId: job.id,
+                status: 'queued',
+                resumeFrom,
+                message: `Video processing will resume from ${resumeFrom}`
+            }
+        });
+    } catch (error) {
+        console.error('Resume error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Failed to resume video processing'
+            }
+        });
+    }
+};
+
+/**
+ * Reset the stages after one that is about to rerun, since they were built
+ * from its old output
+ * @param {string} videoId - Video ID
+ * @param {object} stage - Pipeline stage that reruns
+ */
+const invalidateLaterStages = (videoId, stage) => {
+    const later = PIPELINE_STAGES.slice(PIPELINE_STAGES.indexOf(stage) + 1)
+        .filter(s => !s.keepOnRerun)
+        .map(s => s.name);
+    videoModel.resetStages(videoId, later);
+};
+
+// Async video processing function (runs as a queued job).
+// Stages with a valid checkpoint are skipped, so interrupted or failed
+// runs pick up where they left off; once a stage reruns, the ones after
+// it run again too.
+const processVideoAsync = async (videoId, options = {}) => {
+    try {
+        if (!videoModel.findById(videoId)) {
+            throw new Error(`Video ${videoId} not found`);
+        }
+
+        let rerunning = false;
+        for (const stage of PIPELINE_STAGES) {
+            // Reload so each stage sees what the previous one stored
+            const video = videoModel.findById(videoId);
+
+            if (isStageCheckpointValid(video, stage)) {
+                console.log(`Video ${videoId}: skipping ${stage.name} (checkpoint found)`);
+                continue;
+            }
+
+            if (!rerunning) {
+                invalidateLaterStages(videoId, stage);
+                rerunning = true;
+            }
+
+            progressService.reportStatus(videoId, stage.status);
+            const artifacts = await stage.run(video, options);
+            progressService.reportStage(videoId, stage.name, artifacts);
+        }
 
         // Mark as completed
-        videoModel.updateStatus(videoId, 'completed');
+        progressService.reportStatus(videoId, 'completed');
         
+        const { processedVideoPath } = videoModel.findById(videoId);
         console.log(`Video ${videoId} processed successfully`);
+        return { videoId, outputPath: processedVideoPath };
     } catch (error) {
         console.error(`Processing failed for video ${videoId}:`, error);
-        videoModel.updateStatus(videoId, 'failed');
-        videoModel.updateError(videoId, error.message);
+        progressService.reportStatus(videoId, 'failed', { error: error.message });
+        throw error;
+    }
+};
+
+jobQueueService.registerHandler(PROCESS_VIDEO_JOB, ({ videoId, options }) => processVideoAsync(videoId, options));
+
+// Create dubbed variants - one output video per language
+const dubVideo = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const { languages: targetLanguages, voices = {}, source = 'original', audioMix } = req.body;
+        const video = videoModel.findById(videoId);
+
+        if (!video) {
+            return res.status(404).json({
+                success: false,
+                error: { message: 'Video not found' }
+            });
+        }
+
+        if (!video.script?.script) {
+            return res.status(400).json({
+                success: false,
+                error: { message: 'No script available for dubbing' }
+            });
+        }
+
+        if (rejectIfActive(res, videoId)) {
+            return;
+        }
+
+        targetLanguages.forEach(language => {
+            videoModel.updateVariant(videoId, language, { status: 'queued', error: null });
+        });
+
+        const job = jobQueueService.enqueue(
+            DUB_VIDEO_JOB,
+            { videoId, languages: targetLanguages, voices, source, audioMix },
+            { videoId }
+        );
+
+        res.status(202).json({
+            success: true,
+            data: {
+                videoId,
+                jobId: job.id,
+                languages: targetLanguages,
+                status: 'queued',
+                message: 'Dubbing queued'
+            }
+        });
+    } catch (error) {
+        console.error('Dub error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Failed to start dubbing'
+            }
+        });
     }
 };
 
+// Translate, voice and merge one language after another (runs as a queued
+// job). A failed language is recorded on its variant and the rest continue.
+const dubVideoAsync = async (videoId, { languages: targetLanguages, voices = {}, source = 'original', audioMix }) => {
+    const video = videoModel.findById(videoId);
+    if (!video) {
+        throw new Error(`Video ${videoId} not found`);
+    }
+
+    // The original upload (vertical, once reframed) has no burned-in
+    // captions in the source language
+    const baseVideoPath = source === 'processed' && video.processedVideoPath
+        ? video.processedVideoPath
+        : video.reframedVideoPath || videoModel.getSourcePath(video);
+    const outputDir = path.join(config.upload.processedDir, videoId);
+    const videoDuration = video.duration || await ffmpegService.getVideoDuration(baseVideoPath);
+    const completed = [];
+
+    for (const language of targetLanguages) {
+        const { name } = languages[language];
+        const voiceId = voices[language] || video.voice || null;
+
+        try {
+            console.log(`🌐 Dubbing video ${videoId} into ${name}`);
+            videoModel.updateVariant(videoId, language, { status: 'translating', name });
+            progressService.publish(videoId, 'variant', { language, status: 'translating' });
+            const audioOutputPath = path.join(config.upload.audioDir, `${videoId}_${language}.mp3`);
+            const ttsOptions = { model: 'eleven_multilingual_v2', provider: video.ttsProvider, ...video.voiceSettings };
+            let audioResult;
+
+            if (video.script.segments?.length) {
+                // Translate segment by segment so each line keeps its timestamp
+                const translation = await scriptService.translateLines(video.script.segments.map(segment => segment.text), name);
+                const segments = video.script.segments.map((segment, index) => ({
+                    ...segment,
+                    text: translation.data.lines[index]
+                }));
+
+                videoModel.updateVariant(videoId, language, { status: 'generating_audio', segments });
+                progressService.publish(videoId, 'variant', { language, status: 'generating_audio' });
+                audioResult = await narrationService.generateSegmentedNarration(segments, voiceId, audioOutputPath, videoDuration, ttsOptions);
+            } else {
+                const translation = await scriptService.translateScript(video.script.script, name);
+
+                videoModel.updateVariant(videoId, language, { status: 'generating_audio', script: translation.data.script });
+                progressService.publish(videoId, 'variant', { language, status: 'generating_audio' });
+                // Translations often run longer than the original, so fit each one
+                audioResult = await narrationService.generateFittedNarration(translation.data.script, voiceId, audioOutputPath, videoDuration, ttsOptions);
+            }
+
+            videoModel.updateVariant(videoId, language, {
+                status: 'merging_audio',
+                script: audioResult.script,
+                audioPath: audioResult.audioPath,
+                narrationFit: audioResult.fit || null,
+                narrationSegments: audioResult.segments || null
+            });
+            progressService.publish(videoId, 'variant', { language, status: 'merging_audio' });
+            const variantPath = path.join(outputDir, `${videoId}_${language}.mp4`);
+            await ffmpegService.mergeVideoWithAudio(
+                baseVideoPath,
+                audioResult.audioPath,
+                variantPath,
+                progressService.progressReporter(videoId, `dubbing:${language}`),
+                musicService.buildMixOptions(video, audioMix)
+            );
+
+            videoModel.updateVariant(videoId, language, {
+                status: 'completed',
+                voiceId: audioResult.voiceId,
+                videoPath: variantPath,
+                completedAt: new Date().toISOString()
+            });
+            progressService.publish(videoId, 'variant', { language, status: 'completed' });
+            completed.push(language);
+        } catch (error) {
+            console.error(`Dubbing into ${name} failed for video ${videoId}:`, error);
+            videoModel.updateVariant(videoId, language, { status: 'failed', error: error.message });
+            progressService.publish(videoId, 'variant', { language, status: 'failed', error: error.message });
+        }
+    }
+
+    if (completed.length === 0) {
+        throw new Error('Dubbing failed for every language');
+    }
+
+    return { videoId, languages: completed };
+};
+
+jobQueueService.registerHandler(DUB_VIDEO_JOB, ({ videoId, ...options }) => dubVideoAsync(videoId, options));
+
 // Get video status
 const getVideoStatus = async (req, res) => {
     try {
@@ -149,7 +610,10 @@ const getVideoStatus = async (req, res) => {
                 originalName: video.originalName,
                 uploadedAt: video.uploadedAt,
                 processedAt: video.processedAt,
-                error: video.error
+                error: video.error,
+                stages: video.stages,
+                variants: video.variants || {},
+                resumeFrom: video.status === 'completed' ? null : getResumeStage(video)
             }
         });
     } catch (error) {
@@ -163,6 +627,51 @@ const getVideoStatus = async (req, res) => {
     }
 };
 
+// Stream processing events (Server-Sent Events)
+const streamVideoEvents = (req, res) => {
+    const { videoId } = req.params;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
+    res.flushHeaders();
+
+    // compression() buffers output unless flushed explicitly
+    const send = (type, data) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        if (res.flush) {
+            res.flush();
+        }
+    };
+
+    // The record may not exist yet when a client subscribes before upload
+    // finishes, so a missing video is reported as a null status.
+    const video = videoModel.findById(videoId);
+    send('snapshot', {
+        videoId,
+        status: video ? video.status : null,
+        stages: video ? video.stages : null,
+        error: video ? video.error || null : null
+    });
+
+    const unsubscribe = progressService.subscribe(videoId, send);
+
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+        if (res.flush) {
+            res.flush();
+        }
+    }, 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+};
+
 // Download processed video
 const downloadVideo = async (req, res) => {
     try {
@@ -176,21 +685,43 @@ const downloadVideo = async (req, res) => {
             });
         }
 
-        if (video.status !== 'completed' || !video.outputPath) {
+        // ?lang=xx serves the dubbed variant for that language
+        const { lang } = req.query;
+        if (lang) {
+            const variant = (video.variants || {})[lang];
+
+            if (!variant || variant.status !== 'completed' || !variant.videoPath) {
+                return res.status(400).json({
+                    success: false,
+                    error: { message: `No dubbed video ready for language "${lang}"` }
+                });
+            }
+
+            if (!fs.existsSync(variant.videoPath)) {
+                return res.status(404).json({
+                    success: false,
+                    error: { message: 'Dubbed video file not found' }
+                });
+            }
+
+            return res.download(variant.videoPath, `${lang}_${video.originalName}`);
+        }
+
+        if (video.status !== 'completed' || !video.processedVideoPath) {
             return res.status(400).json({
                 success: false,
                 error: { message: 'Video not ready for download' }
             });
         }
 
-        if (!fs.existsSync(video.outputPath)) {
+        if (!fs.existsSync(video.processedVideoPath)) {
             return res.status(404).json({
                 success: false,
                 error: { message: 'Processed video file not found' }
             });
         }
 
-        res.download(video.outputPath, `processed_${video.originalName}`);
+        res.download(video.processedVideoPath, `processed_${video.originalName}`);
     } catch (error) {
         console.error('Download error:', error);
         res.status(500).json({
@@ -215,12 +746,18 @@ const getVideoFrames = async (req, res) => {
             });
         }
 
+        const timestamps = video.frameTimestamps || [];
         const frames = fs.readdirSync(video.framesPath)
             .filter(file => file.endsWith('.jpg'))
-            .map(file => ({
-                filename: file,
-                path: path.join(video.framesPath, file)
-            }));
+            .map(file => {
+                const framePath = path.join(video.framesPath, file);
+                const index = (video.frames || []).indexOf(framePath);
+                return {
+                    filename: file,
+                    path: framePath,
+                    timestamp: index >= 0 && timestamps[index] !== undefined ? timestamps[index] : null
+                };
+            });
 
         res.json({
             success: true,
@@ -277,7 +814,7 @@ const getGeneratedScript = async (req, res) => {
 const updateScript = async (req, res) => {
     try {
         const { videoId } = req.params;
-        const { script, voice } = req.body;
+        const { script, segments, voice, ttsProvider, summary } = req.body;
         
         const video = videoModel.findById(videoId);
         if (!video) {
@@ -287,16 +824,22 @@ const updateScript = async (req, res) => {
             });
         }
 
-        videoModel.updateScript(videoId, script);
-        if (voice) {
-            videoModel.updateVoice(videoId, voice);
+        // Timed segments replace the plain script; its text is kept in sync
+        const scriptRecord = segments
+            ? { script: script || segments.map(segment => segment.text).join(' '), segments }
+            : script;
+        const updated = videoModel.addScriptVersion(videoId, scriptRecord, { source: 'manual', summary });
+        if (voice || ttsProvider) {
+            // Voice IDs belong to a provider, so switching provider alone resets the voice
+            videoModel.updateVoice(videoId, { voice: voice || null, ttsProvider });
         }
 
         res.json({
             success: true,
             data: {
                 videoId,
-                script,
+                script: updated.script,
+                version: updated.scriptVersion,
                 message: 'Script updated successfully'
             }
         });
@@ -326,7 +869,13 @@ const generateAudio = async (req, res) => {
 
         // Generate audio asynchronously
         videoModel.updateStatus(videoId, 'generating_audio');
-        const audioPath = await elevenlabsService.generateAudio(video.script, videoId, video.voice);
+        const audioResult = await ttsService.synthesize(
+            video.script.script,
+            video.voice,
+            path.join(config.upload.audioDir, `${videoId}.mp3`),
+            { provider: video.ttsProvider, ...video.voiceSettings }
+        );
+        const audioPath = audioResult.audioPath;
         videoModel.updateAudio(videoId, audioPath);
 
         res.json({
@@ -391,10 +940,16 @@ const deleteVideo = async (req, res) => {
         }
 
         // Delete associated files
+        const variantFiles = Object.values(video.variants || {})
+            .flatMap(variant => [variant.audioPath, variant.videoPath]);
+
         const filesToDelete = [
             video.filePath,
+            video.masterVideoPath,
+            video.reframedVideoPath,
             video.audioPath,
-            video.outputPath
+            video.processedVideoPath,
+            ...variantFiles
         ].filter(Boolean);
 
         filesToDelete.forEach(file => {
@@ -432,7 +987,10 @@ const deleteVideo = async (req, res) => {
 module.exports = {
     uploadVideo,
     processVideo,
+    resumeVideoProcessing,
+    dubVideo,
     getVideoStatus,
+    streamVideoEvents,
     downloadVideo,
     getVideoFrames,
     getGeneratedScript,
@@ -0,0 +1,124 @@
+const voiceService = require('../services/voiceService');
+const videoModel = require('../models/videoModel');
+const config = require('../config/config');
+const { successResponse, errorResponse, notFoundResponse } = require('../utils/responseUtils');
+
+// Voice settings accepted as preview query parameters
+const SETTING_KEYS = ['stability', 'similarityBoost', 'style', 'speakerBoost'];
+
+/**
+ * List voices, filtered by ?provider=&gender=&accent=&age=&useCase=&language=&search=
+ */
+const listVoices = async (req, res) => {
+    try {
+        const voices = await voiceService.listVoices(req.query);
+
+        successResponse(res, {
+            provider: req.query.provider || config.tts.provider,
+            voices,
+            total: voices.length
+        }, 'Voices retrieved successfully');
+
+    } catch (error) {
+        console.error('List voices error:', error);
+        errorResponse(res, 'Failed to list voices', 500, error);
+    }
+};
+
+/**
+ * Get a voice with its default settings
+ */
+const getVoice = async (req, res) => {
+    try {
+        const voice = await voiceService.getVoice(req.params.voiceId, req.query.provider);
+        if (!voice) {
+            return notFoundResponse(res, 'Voice');
+        }
+
+        successResponse(res, voice, 'Voice retrieved successfully');
+
+    } catch (error) {
+        console.error('Get voice error:', error);
+        errorResponse(res, 'Failed to get voice', 500, error);
+    }
+};
+
+/**
+ * Play a short sample of a voice. Without custom text or settings the
+ * provider's own preview clip is used when it has one.
+ */
+const previewVoice = async (req, res) => {
+    try {
+        const { voiceId } = req.params;
+        const { provider, text } = req.query;
+        const settings = {};
+        SETTING_KEYS.forEach(key => {
+            if (req.query[key] !== undefined) {
+                settings[key] = req.query[key];
+            }
+        });
+
+        const voice = await voiceService.getVoice(voiceId, provider);
+        if (!voice) {
+            return notFoundResponse(res, 'Voice');
+        }
+
+        if (voice.previewUrl && !text && Object.keys(settings).length === 0) {
+            return res.redirect(voice.previewUrl);
+        }
+
+        const preview = await voiceService.getPreview(voiceId, { provider, text, settings });
+
+        res.set({
+            'Content-Type': preview.mimeType,
+            'Content-Length': preview.buffer.length,
+            'Cache-Control': 'private, max-age=3600'
+        });
+        res.send(preview.buffer);
+
+    } catch (error) {
+        console.error('Voice preview error:', error);
+        errorResponse(res, 'Failed to generate voice preview', 500, error);
+    }
+};
+
+/**
+ * Save the voice, provider and voice settings used for a video's narration
+ */
+const updateVideoVoice = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const { voiceId, ttsProvider, settings } = req.body;
+
+        const video = videoModel.findById(videoId);
+        if (!video) {
+            return notFoundResponse(res, 'Video');
+        }
+
+        // Voice IDs belong to a provider, so switching provider alone resets the voice
+        const providerChanged = ttsProvider !== undefined && ttsProvider !== video.ttsProvider;
+        const updated = videoModel.updateVoice(videoId, {
+            voice: voiceId !== undefined ? voiceId : (providerChanged ? null : undefined),
+            ttsProvider,
+            voiceSettings: settings
+        });
+
+        successResponse(res, {
+            videoId,
+            voice: updated.voice,
+            ttsProvider: updated.ttsProvider,
+            voiceSettings: updated.voiceSettings
+        }, 'Voice updated successfully');
+
+    } catch (error) {
+        console.error('Update voice error:', error);
+        errorResponse(res, 'Failed to update voice', 500, error);
+    }
+};
+
+module.exports = {
+    listVoices,
+    getVoice,
+    previewVoice,
+    updateVideoVoice
+};
@@ -44,9 +44,61 @@ const upload = multer({
 // Video upload middleware
 const uploadVideo = upload.single('video');
 
+// Music tracks go to their own directory and only accept audio
+const musicStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        ensureDirectoryExists(config.upload.musicDir);
+        cb(null, config.upload.musicDir);
+    },
+    filename: function (req, file, cb) {
+        const uniqueName = `${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`;
+        cb(null, uniqueName);
+    }
+});
+
+const musicUpload = multer({
+    storage: musicStorage,
+    limits: {
+        fileSize: config.upload.maxSize
+    },
+    fileFilter: (req, file, cb) => {
+        if (config.upload.allowedAudioMimeTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only audio files are allowed'), false);
+        }
+    }
+});
+
+// Music track upload middleware
+const uploadMusicTrack = musicUpload.single('track');
+
+// Filler clips go to their own directory and only accept video
+const fillerStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        ensureDirectoryExists(config.upload.fillerDir);
+        cb(null, config.upload.fillerDir);
+    },
+    filename: function (req, file, cb) {
+        const uniqueName = `${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`;
+        cb(null, uniqueName);
+    }
+});
+
+const fillerUpload = multer({
+    storage: fillerStorage,
+    limits: {
+        fileSize: config.upload.maxSize
+    },
+    fileFilter: fileFilter
+});
+
+// Filler clip upload middleware
+const uploadFillerClip = fillerUpload.single('clip');
+
 // Error handling wrapper
-const handleUploadError = (req, res, next) => {
-    uploadVideo(req, res, (err) => {
+const withUploadErrors = (uploadMiddleware) => (req, res, next) => {
+    uploadMiddleware(req, res, (err) => {
         if (err) {
             if (err.code === 'LIMIT_FILE_SIZE') {
                 return res.status(400).json({
@@ -56,11 +108,11 @@ const handleUploadError = (req, res, next) => {
                     }
                 });
             }
-            if (err.message === 'Only video files are allowed') {
+            if (err.message === 'Only video files are allowed' || err.message === 'Only audio files are allowed') {
                 return res.status(400).json({
                     success: false,
                     error: {
-                        message: 'Only video files are allowed'
+                        message: err.message
                     }
                 });
             }
@@ -76,6 +128,8 @@ const handleUploadError = (req, res, next) => {
 };
 
 module.exports = { 
-    uploadVideo: handleUploadError,
+    uploadVideo: withUploadErrors(uploadVideo),
+    uploadMusic: withUploadErrors(uploadMusicTrack),
+    uploadFiller: withUploadErrors(uploadFillerClip),
     ensureDirectoryExists 
 }; 
\ No newline at end of file
@@ -1,4 +1,87 @@
 const Joi = require('joi');
+const fs = require('fs');
+const config = require('../config/config');
+const subtitleStyles = require('../config/subtitleStyles');
+const languages = require('../config/languages');
+const ttsService = require('../services/ttsService');
+
+// Subtitle colors: a known name or #RRGGBB
+const subtitleColor = Joi.alternatives().try(
+    Joi.string().valid(...Object.keys(subtitleStyles.colors)),
+    Joi.string().pattern(/^#[0-9a-fA-F]{6}$/)
+);
+
+// Subtitle styling fields. Values end up inside an FFmpeg filter string,
+// so free text is restricted to safe characters.
+const subtitleStylingSchema = Joi.object({
+    preset: Joi.string().valid(...Object.keys(subtitleStyles.presets)).optional(),
+    fontName: Joi.string().pattern(/^[A-Za-z0-9 _-]+$/).max(64).optional(),
+    fontSize: Joi.number().min(8).max(120).optional(),
+    fontColor: subtitleColor.optional(),
+    highlightColor: subtitleColor.optional(),
+    outlineColor: subtitleColor.optional(),
+    backgroundColor: subtitleColor.optional(),
+    backgroundOpacity: Joi.number().min(0).max(1).optional(),
+    outline: Joi.number().min(0).max(10).optional(),
+    shadow: Joi.number().min(0).max(10).optional(),
+    bold: Joi.boolean().optional(),
+    position: Joi.string().valid('top', 'center', 'bottom').optional(),
+    marginV: Joi.number().integer().min(0).max(500).optional(),
+    marginL: Joi.number().integer().min(0).max(500).optional(),
+    marginR: Joi.number().integer().min(0).max(500).optional(),
+    maxWordsPerLine: Joi.number().integer().min(1).max(10).optional()
+});
+
+// Gain (dB) and fades (seconds) for one audio track in a mix
+const audioTrackSchema = Joi.object({
+    gain: Joi.number().min(-40).max(20).optional(),
+    fadeIn: Joi.number().min(0).max(30).optional(),
+    fadeOut: Joi.number().min(0).max(30).optional()
+});
+
+// How the voiceover is combined with the clip's own audio
+// Background music from the library; level and fades override config.music
+const musicSelectionSchema = audioTrackSchema.keys({
+    trackId: Joi.string().uuid().required()
+});
+
+const audioMixSchema = Joi.object({
+    mode: Joi.string().valid('replace', 'mix').optional(),
+    voice: audioTrackSchema.optional(),
+    original: audioTrackSchema.optional(),
+    music: musicSelectionSchema.allow(null).optional(), // null skips music attached to the video
+    ducking: Joi.alternatives().try(
+        Joi.boolean(),
+        Joi.object({
+            threshold: Joi.number().min(0.001).max(1).optional(),
+            ratio: Joi.number().min(1).max(20).optional(),
+            attack: Joi.number().min(0.01).max(2000).optional(),
+            release: Joi.number().min(0.01).max(9000).optional()
+        })
+    ).optional()
+});
+
+// TTS voice settings, 0-1 like the ElevenLabs sliders
+const voiceSettingsSchema = Joi.object({
+    stability: Joi.number().min(0).max(1).optional(),
+    similarityBoost: Joi.number().min(0).max(1).optional(),
+    style: Joi.number().min(0).max(1).optional(),
+    speakerBoost: Joi.boolean().optional()
+});
+
+// Voice IDs across providers (ElevenLabs IDs, espeak-ng voices, piper models)
+const voiceIdSchema = Joi.string().pattern(/^[\w.()-]+$/).max(100);
+
+// Script styles the script service has prompts for
+const SCRIPT_STYLES = ['casual', 'professional', 'energetic', 'dramatic', 'commentary'];
+
+// Timed narration segments; each is voiced separately and placed at `start`
+const narrationSegmentsSchema = Joi.array().items(Joi.object({
+    start: Joi.number().min(0).max(3600).required(), // Seconds from the start of the video
+    end: Joi.number().greater(Joi.ref('start')).optional(),
+    text: Joi.string().trim().min(1).max(500).required(),
+    emphasis: Joi.string().valid('low', 'normal', 'high').optional()
+})).min(1).max(50);
 
 // Validate video upload
 const validateVideoUpload = (req, res, next) => {
@@ -14,7 +97,9 @@ const validateVideoUpload = (req, res, next) => {
     const schema = Joi.object({
         prompt: Joi.string().min(10).max(500).optional(),
         voice: Joi.string().optional(),
-        style: Joi.string().valid('casual', 'professional', 'energetic', 'dramatic').optional()
+        ttsProvider: Joi.string().valid(...ttsService.providers).optional(),
+        voiceSettings: voiceSettingsSchema.optional(),
+        style: Joi.string().valid(...SCRIPT_STYLES).optional()
     });
 
     const { error } = schema.validate(req.body);
@@ -30,13 +115,31 @@ const validateVideoUpload = (req, res, next) => {
     next();
 };
 
+// Vertical reframing modes ('auto' picks one from the aspect ratio)
+const REFRAME_MODES = ['auto', 'center', 'blur', 'track', 'none'];
+
+// Split-screen layout with filler footage: a specific clip, or a random one
+// (optionally with a tag)
+const layoutSchema = Joi.object({
+    type: Joi.string().valid('single', 'split', 'pip').required(),
+    fillerId: Joi.string().uuid().optional(),
+    tag: Joi.string().max(50).optional(),
+    mainPosition: Joi.string().valid('top', 'bottom').optional(),
+    corner: Joi.string().valid('top-left', 'top-right', 'bottom-left', 'bottom-right').optional()
+});
+
 // Validate script generation request
 const validateScriptGeneration = (req, res, next) => {
     const schema = Joi.object({
         prompt: Joi.string().min(10).max(500).optional(),
-        style: Joi.string().valid('casual', 'professional', 'energetic', 'dramatic').optional(),
+        style: Joi.string().valid(...SCRIPT_STYLES).optional(),
         tone: Joi.string().valid('funny', 'serious', 'informative', 'promotional').optional(),
-        duration: Joi.number().min(10).max(60).optional() // Target duration in seconds
+        duration: Joi.number().min(10).max(60).optional(), // Target duration in seconds
+        scriptMode: Joi.string().valid('timeline', 'freeform').optional(),
+        ttsProvider: Joi.string().valid(...ttsService.providers).optional(), // Overrides the video's provider for this run
+        reframe: Joi.string().valid(...REFRAME_MODES).optional(),
+        layout: layoutSchema.allow(null).optional(), // null skips the layout saved on the video
+        audioMix: audioMixSchema.optional()
     });
 
     const { error } = schema.validate(req.body);
@@ -52,6 +155,30 @@ const validateScriptGeneration = (req, res, next) => {
     next();
 };
 
+// Validate script and voiceover options sent with a /process upload; without
+// a script the backend writes one from the video's frames
+const validateProcessOptions = (req, res, next) => {
+    const schema = Joi.object({
+        prompt: Joi.string().max(500).allow('').optional(),
+        style: Joi.string().valid(...SCRIPT_STYLES).optional(),
+        scriptMode: Joi.string().valid('timeline', 'freeform').optional(),
+        ttsProvider: Joi.string().valid(...ttsService.providers).optional(),
+        reframe: Joi.string().valid(...REFRAME_MODES).optional()
+    }).unknown(true);
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    next();
+};
+
 // Validate video ID parameter
 const validateVideoId = (req, res, next) => {
     const schema = Joi.object({
@@ -74,9 +201,12 @@ const validateVideoId = (req, res, next) => {
 // Validate script update
 const validateScriptUpdate = (req, res, next) => {
     const schema = Joi.object({
-        script: Joi.string().min(10).max(2000).required(),
-        voice: Joi.string().optional()
-    });
+        script: Joi.string().min(10).max(2000).optional(),
+        segments: narrationSegmentsSchema.optional(),
+        voice: Joi.string().optional(),
+        ttsProvider: Joi.string().valid(...ttsService.providers).optional(),
+        summary: Joi.string().max(200).optional() // Change summary kept with the script version
+    }).or('script', 'segments');
 
     const { error } = schema.validate(req.body);
     if (error) {
@@ -96,8 +226,374 @@ const validateSubtitleGeneration = (req, res, next) => {
     const schema = Joi.object({
         script: Joi.string().min(10).max(5000).required(),
         videoDuration: Joi.number().positive().max(3600).required(), // Max 1 hour
+        format: Joi.string().valid('srt', 'vtt', 'ass').optional(),
+        options: Joi.object({
+            styling: subtitleStylingSchema.optional()
+        }).unknown(true).optional()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            }
+        });
+    }
+
+    next();
+};
+
+// Validate subtitle styling (multipart requests send it as a JSON string)
+const validateSubtitleStyling = (req, res, next) => {
+    let styling = req.body.styling;
+
+    if (typeof styling === 'string') {
+        try {
+            styling = JSON.parse(styling);
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Styling must be valid JSON'
+                }
+            });
+        }
+    }
+
+    const { error, value } = subtitleStylingSchema.validate(styling || {});
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: ['styling', ...detail.path].join('.'),
+                    message: detail.message
+                }))
+            }
+        });
+    }
+
+    req.body.styling = value;
+    next();
+};
+
+// Validate voice settings (multipart requests send them as a JSON string)
+const validateVoiceSettings = (req, res, next) => {
+    let voiceSettings = req.body.voiceSettings;
+
+    if (voiceSettings === undefined || voiceSettings === '') {
+        delete req.body.voiceSettings;
+        return next();
+    }
+
+    if (typeof voiceSettings === 'string') {
+        try {
+            voiceSettings = JSON.parse(voiceSettings);
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'voiceSettings must be valid JSON'
+                }
+            });
+        }
+    }
+
+    const { error, value } = voiceSettingsSchema.validate(voiceSettings);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: ['voiceSettings', ...detail.path].join('.'),
+                    message: detail.message
+                }))
+            }
+        });
+    }
+
+    req.body.voiceSettings = value;
+    next();
+};
+
+// Validate voice catalog filters
+const validateVoiceQuery = (req, res, next) => {
+    const schema = Joi.object({
+        provider: Joi.string().valid(...ttsService.providers).optional(),
+        gender: Joi.string().max(50).optional(),
+        accent: Joi.string().max(50).optional(),
+        age: Joi.string().max(50).optional(),
+        useCase: Joi.string().max(50).optional(),
+        language: Joi.string().max(50).optional(),
+        search: Joi.string().max(100).optional(),
+        refresh: Joi.boolean().optional()
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    req.query = value;
+    next();
+};
+
+// Validate voice ID parameter plus the provider and preview options in the query
+const validateVoiceRequest = (req, res, next) => {
+    const { error: idError } = voiceIdSchema.required().validate(req.params.voiceId);
+    if (idError) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Invalid voice ID'
+            }
+        });
+    }
+
+    const schema = voiceSettingsSchema.keys({
+        provider: Joi.string().valid(...ttsService.providers).optional(),
+        text: Joi.string().trim().min(1).max(300).optional()
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    req.query = value;
+    next();
+};
+
+// Validate a video's voice selection
+const validateVoiceSelection = (req, res, next) => {
+    const schema = Joi.object({
+        voiceId: voiceIdSchema.allow(null).optional(), // null uses the provider's default voice
+        ttsProvider: Joi.string().valid(...ttsService.providers).allow(null).optional(),
+        settings: voiceSettingsSchema.allow(null).optional()
+    }).or('voiceId', 'ttsProvider', 'settings');
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    next();
+};
+
+// Validate a script improvement request
+const validateScriptImprove = (req, res, next) => {
+    const schema = Joi.object({
+        feedback: Joi.string().min(3).max(1000).required(),
+        style: Joi.string().valid(...SCRIPT_STYLES).optional()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    next();
+};
+
+// Validate a script version number parameter
+const validateScriptVersion = (req, res, next) => {
+    const schema = Joi.object({
+        videoId: Joi.string().uuid().required(),
+        version: Joi.number().integer().min(1).required()
+    });
+
+    const { error, value } = schema.validate(req.params);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    req.params.version = value.version;
+    next();
+};
+
+// Validate the versions to compare (?from=&to=, `to` defaults to the current version)
+const validateScriptCompare = (req, res, next) => {
+    const schema = Joi.object({
+        from: Joi.number().integer().min(1).required(),
+        to: Joi.number().integer().min(1).optional()
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    req.query = value;
+    next();
+};
+
+// Validate a social metadata generation request
+const validateMetadataGeneration = (req, res, next) => {
+    const schema = Joi.object({
+        platforms: Joi.array().items(Joi.string().valid(...Object.keys(config.socialPlatforms))).min(1).unique().optional(),
+        style: Joi.string().valid(...SCRIPT_STYLES).optional()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    next();
+};
+
+// Validate edited social metadata; platform limits are checked by metadataService
+const validateMetadataUpdate = (req, res, next) => {
+    const variantSchema = Joi.object({
+        title: Joi.string().allow('', null).optional(),
+        description: Joi.string().allow('').optional(),
+        hashtags: Joi.array().items(Joi.string().max(100)).optional()
+    }).min(1);
+
+    const schema = Joi.object({
+        platforms: Joi.object(Object.fromEntries(
+            Object.keys(config.socialPlatforms).map(platform => [platform, variantSchema.optional()])
+        )).min(1).required()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    next();
+};
+
+// Validate audio mix options (multipart requests send them as a JSON string)
+const validateAudioMix = (req, res, next) => {
+    let audioMix = req.body.audioMix;
+
+    if (typeof audioMix === 'string') {
+        try {
+            audioMix = JSON.parse(audioMix);
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'audioMix must be valid JSON'
+                }
+            });
+        }
+    }
+
+    const { error, value } = audioMixSchema.validate(audioMix || {});
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: ['audioMix', ...detail.path].join('.'),
+                    message: detail.message
+                }))
+            }
+        });
+    }
+
+    req.body.audioMix = value;
+    next();
+};
+
+// Validate subtitle translation request
+const validateSubtitleTranslation = (req, res, next) => {
+    const languageCode = Joi.string().valid(...Object.keys(languages));
+    const schema = Joi.object({
+        targetLanguages: Joi.array().items(languageCode).min(1).max(10).unique().required(),
+        sourceLanguage: languageCode.optional(),
+        defaultLanguage: languageCode.optional(),
         format: Joi.string().valid('srt', 'vtt').optional(),
-        options: Joi.object().optional()
+        source: Joi.string().valid('processed', 'original').optional()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            }
+        });
+    }
+
+    // The default track has to be one of the tracks being written
+    const { targetLanguages, sourceLanguage = 'en', defaultLanguage } = req.body;
+    if (defaultLanguage && defaultLanguage !== sourceLanguage && !targetLanguages.includes(defaultLanguage)) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'defaultLanguage must be the source language or one of targetLanguages'
+            }
+        });
+    }
+
+    next();
+};
+
+// Validate dubbing request
+const validateDubbing = (req, res, next) => {
+    const languageCodes = Object.keys(languages);
+    const schema = Joi.object({
+        languages: Joi.array().items(Joi.string().valid(...languageCodes)).min(1).max(10).unique().required(),
+        voices: Joi.object().pattern(Joi.string().valid(...languageCodes), Joi.string()).optional(), // Voice ID per language
+        source: Joi.string().valid('original', 'processed').optional(),
+        audioMix: audioMixSchema.optional()
     });
 
     const { error } = schema.validate(req.body);
@@ -117,10 +613,434 @@ const validateSubtitleGeneration = (req, res, next) => {
     next();
 };
 
+// Validate optional timed segments sent with a multipart upload
+const validateNarrationSegments = (req, res, next) => {
+    let segments = req.body.segments;
+
+    if (segments === undefined || segments === '') {
+        delete req.body.segments;
+        return next();
+    }
+
+    if (typeof segments === 'string') {
+        try {
+            segments = JSON.parse(segments);
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'segments must be valid JSON'
+                }
+            });
+        }
+    }
+
+    const { error, value } = narrationSegmentsSchema.validate(segments);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: ['segments', ...detail.path].join('.'),
+                    message: detail.message
+                }))
+            }
+        });
+    }
+
+    req.body.segments = value;
+    next();
+};
+
+// Validate music track upload (multipart fields arrive as strings)
+const validateMusicUpload = (req, res, next) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'No audio file provided'
+            }
+        });
+    }
+
+    const schema = Joi.object({
+        title: Joi.string().max(200).optional(),
+        artist: Joi.string().max(200).optional(),
+        bpm: Joi.number().integer().min(40).max(250).optional(),
+        mood: Joi.string().max(50).optional(),
+        tags: Joi.alternatives().try(
+            Joi.array().items(Joi.string().max(50)).max(20),
+            Joi.string().max(500) // Comma-separated
+        ).optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            }
+        });
+    }
+
+    if (typeof value.tags === 'string') {
+        value.tags = value.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    req.body = value;
+    next();
+};
+
+// Validate the layout sent with a /process upload (multipart JSON string).
+// Without one, the video gets config.layout.type.
+const validateLayout = (req, res, next) => {
+    let layout = req.body.layout;
+    if (layout === undefined || layout === '') {
+        delete req.body.layout;
+        return next();
+    }
+
+    if (typeof layout === 'string') {
+        try {
+            layout = JSON.parse(layout);
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'layout must be valid JSON'
+                }
+            });
+        }
+    }
+
+    const { error, value } = layoutSchema.validate(layout);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: ['layout', ...detail.path].join('.'),
+                    message: detail.message
+                }))
+            }
+        });
+    }
+
+    req.body.layout = value;
+    next();
+};
+
+// Validate saving a layout on a video
+const validateLayoutSelection = (req, res, next) => {
+    const { error, value } = layoutSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            }
+        });
+    }
+
+    req.body = value;
+    next();
+};
+
+// Validate filler clip upload (multipart fields arrive as strings)
+const validateFillerUpload = (req, res, next) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'No video file provided'
+            }
+        });
+    }
+
+    const schema = Joi.object({
+        title: Joi.string().max(200).optional(),
+        tags: Joi.alternatives().try(
+            Joi.array().items(Joi.string().max(50)).max(20),
+            Joi.string().max(500) // Comma-separated
+        ).optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            }
+        });
+    }
+
+    if (typeof value.tags === 'string') {
+        value.tags = value.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    req.body = value;
+    next();
+};
+
+// Validate filler clip ID parameter
+const validateClipId = (req, res, next) => {
+    const schema = Joi.object({
+        clipId: Joi.string().uuid().required()
+    });
+
+    const { error } = schema.validate(req.params);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Invalid clip ID format'
+            }
+        });
+    }
+
+    next();
+};
+
+// Validate a highlight detection request
+const validateHighlightRequest = (req, res, next) => {
+    const schema = Joi.object({
+        duration: Joi.number().min(config.highlights.minDuration).max(config.highlights.maxDuration).optional(),
+        count: Joi.number().integer().min(1).max(10).optional(),
+        refresh: Joi.boolean().optional() // Analyze the upload again instead of reusing the last analysis
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    req.body = value;
+    next();
+};
+
+// Validate picking a highlight: a ranked candidate or a custom window
+const validateHighlightSelection = (req, res, next) => {
+    const schema = Joi.object({
+        rank: Joi.number().integer().min(1).optional(),
+        start: Joi.number().min(0).optional(),
+        end: Joi.number().greater(Joi.ref('start')).optional()
+    }).xor('rank', 'start').and('start', 'end');
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    req.body = value;
+    next();
+};
+
+// Validate an edit decision list; times are seconds on the upload
+const validateEditList = (req, res, next) => {
+    const range = {
+        start: Joi.number().min(0).required(),
+        end: Joi.number().greater(Joi.ref('start')).required()
+    };
+    const schema = Joi.object({
+        in: Joi.number().min(0).optional(),
+        out: Joi.number().min(0).optional(),
+        cuts: Joi.array().items(Joi.object(range)).default([]), // Removed ranges
+        speed: Joi.array().items(Joi.object({
+            ...range,
+            rate: Joi.number().min(config.edit.minRate).max(config.edit.maxRate).required()
+        })).default([]),
+        order: Joi.array().items(Joi.number().integer().min(0)).unique().allow(null).default(null) // Clip indexes in play order
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    req.body = value;
+    next();
+};
+
+// Fields of a compilation; all optional so the same schema serves updates
+const compilationFields = {
+    title: Joi.string().trim().min(1).max(200),
+    videoIds: Joi.array().items(Joi.string().uuid()).min(config.compilation.minClips).max(config.compilation.maxClips),
+    transition: Joi.object({
+        type: Joi.string().valid(...config.compilation.transitions).required(),
+        duration: Joi.number().min(0.1).max(config.compilation.maxTransitionDuration).optional()
+    }),
+    format: Joi.object({
+        width: Joi.number().integer().min(16).max(3840).optional(),
+        height: Joi.number().integer().min(16).max(3840).optional(),
+        fps: Joi.number().min(1).max(60).optional()
+    }).allow(null), // null uses the first clip's size
+    prompt: Joi.string().allow('').max(1000),
+    style: Joi.string().valid(...SCRIPT_STYLES)
+};
+
+// Validate creating a compilation from uploaded videos
+const validateCompilation = (req, res, next) => {
+    const schema = Joi.object({
+        ...compilationFields,
+        title: compilationFields.title.required(),
+        videoIds: compilationFields.videoIds.required()
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    req.body = value;
+    next();
+};
+
+// Validate changing a compilation
+const validateCompilationUpdate = (req, res, next) => {
+    const schema = Joi.object(compilationFields).min(1);
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: error.details[0].message
+            }
+        });
+    }
+
+    req.body = value;
+    next();
+};
+
+// Validate compilation ID parameter
+const validateCompilationId = (req, res, next) => {
+    const schema = Joi.object({
+        compilationId: Joi.string().uuid().required()
+    });
+
+    const { error } = schema.validate(req.params);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Invalid compilation ID format'
+            }
+        });
+    }
+
+    next();
+};
+
+// Validate music track ID parameter
+const validateTrackId = (req, res, next) => {
+    const schema = Joi.object({
+        trackId: Joi.string().uuid().required()
+    });
+
+    const { error } = schema.validate(req.params);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Invalid track ID format'
+            }
+        });
+    }
+
+    next();
+};
+
+// Validate attaching a music track to a video
+const validateMusicAttach = (req, res, next) => {
+    const { error, value } = musicSelectionSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            }
+        });
+    }
+
+    req.body = value;
+    next();
+};
+
 module.exports = {
     validateVideoUpload,
     validateScriptGeneration,
     validateVideoId,
     validateScriptUpdate,
-    validateSubtitleGeneration
+    validateSubtitleGeneration,
+    validateSubtitleStyling,
+    validateAudioMix,
+    validateSubtitleTranslation,
+    validateDubbing,
+    validateNarrationSegments,
+    validateProcessOptions,
+    validateMusicUpload,
+    validateTrackId,
+    validateMusicAttach,
+    validateVoiceSettings,
+    validateVoiceQuery,
+    validateVoiceRequest,
+    validateVoiceSelection,
+    validateScriptImprove,
+    validateScriptVersion,
+    validateScriptCompare,
+    validateMetadataGeneration,
+    validateMetadataUpdate,
+    validateLayout,
+    validateLayoutSelection,
+    validateFillerUpload,
+    validateClipId,
+    validateHighlightRequest,
+    validateHighlightSelection,
+    validateEditList,
+    validateCompilation,
+    validateCompilationUpdate,
+    validateCompilationId
 }; 
\ No newline at end of file
@@ -0,0 +1,108 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+
+// Storage backend; both implement the same repository interface
+const repository = config.database.driver === 'json'
+    ? require('./repositories/jsonRecordRepository').createRecordRepository(path.join(__dirname, '..', 'data', 'compilations.json'))
+    : require('./repositories/sqliteRecordRepository').createRecordRepository('compilations');
+
+/**
+ * Create a new compilation record
+ * @param {object} compilationData - { title, videoIds, transition, format, prompt, style }
+ * @returns {object} Created compilation record
+ */
+const create = (compilationData) => {
+    try {
+        const id = compilationData.id || uuidv4();
+        const now = new Date().toISOString();
+
+        const newCompilation = {
+            id,
+            title: compilationData.title,
+            videoIds: compilationData.videoIds,
+            transition: compilationData.transition || null, // null uses config.compilation.transition
+            format: compilationData.format || null,
+            prompt: compilationData.prompt || '', // Passed on to the rendered video
+            style: compilationData.style || 'casual',
+            status: 'draft',
+            videoId: null, // Video record of the stitched file, set on the first render
+            jobId: null, // Latest render job
+            clips: [],
+            duration: null,
+            error: null,
+            renderedAt: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        return repository.create(newCompilation);
+    } catch (error) {
+        console.error('Error creating compilation record:', error);
+        throw error;
+    }
+};
+
+/**
+ * Find a compilation by ID
+ * @param {string} id - Compilation ID
+ * @returns {object|null} Compilation record or null if not found
+ */
+const findById = (id) => {
+    try {
+        return repository.findById(id);
+    } catch (error) {
+        console.error('Error finding compilation by ID:', error);
+        return null;
+    }
+};
+
+/**
+ * Update a compilation record
+ * @param {string} id - Compilation ID
+ * @param {object} updates - Updates to apply
+ * @returns {object|null} Updated compilation record or null if not found
+ */
+const update = (id, updates) => {
+    try {
+        return repository.update(id, updates);
+    } catch (error) {
+        console.error('Error updating compilation record:', error);
+        throw error;
+    }
+};
+
+/**
+ * Find all compilations, newest first
+ * @returns {object[]} Array of compilation records
+ */
+const findAll = () => {
+    try {
+        return repository.findAll().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } catch (error) {
+        console.error('Error finding compilations:', error);
+        return [];
+    }
+};
+
+/**
+ * Delete a compilation record
+ * @param {string} id - Compilation ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+const deleteById = (id) => {
+    try {
+        return repository.deleteById(id);
+    } catch (error) {
+        console.error('Error deleting compilation record:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    create,
+    findById,
+    update,
+    findAll,
+    deleteById
+};
@@ -0,0 +1,107 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+
+// Storage backend; both implement the same repository interface
+const repository = config.database.driver === 'json'
+    ? require('./repositories/jsonRecordRepository').createRecordRepository(path.join(__dirname, '..', 'data', 'filler.json'))
+    : require('./repositories/sqliteRecordRepository').createRecordRepository('filler_clips');
+
+/**
+ * Create a new filler clip record
+ * @param {object} clipData - Clip data object
+ * @returns {object} Created clip record
+ */
+const create = (clipData) => {
+    try {
+        const id = clipData.id || uuidv4();
+        const now = new Date().toISOString();
+
+        const newClip = {
+            id,
+            title: clipData.title,
+            filePath: clipData.filePath,
+            originalName: clipData.originalName,
+            fileSize: clipData.fileSize || 0,
+            mimeType: clipData.mimeType,
+            duration: clipData.duration || null,
+            width: clipData.width || null,
+            height: clipData.height || null,
+            tags: clipData.tags || [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        return repository.create(newClip);
+    } catch (error) {
+        console.error('Error creating filler clip record:', error);
+        throw error;
+    }
+};
+
+/**
+ * Find a clip by ID
+ * @param {string} id - Clip ID
+ * @returns {object|null} Clip record or null if not found
+ */
+const findById = (id) => {
+    try {
+        return repository.findById(id);
+    } catch (error) {
+        console.error('Error finding filler clip by ID:', error);
+        return null;
+    }
+};
+
+/**
+ * Update a clip record
+ * @param {string} id - Clip ID
+ * @param {object} updates - Updates to apply
+ * @returns {object|null} Updated clip record or null if not found
+ */
+const update = (id, updates) => {
+    try {
+        return repository.update(id, updates);
+    } catch (error) {
+        console.error('Error updating filler clip record:', error);
+        throw error;
+    }
+};
+
+/**
+ * Find clips matching the given filters
+ * @param {object} filters - Optional tag filter
+ * @returns {object[]} Array of clip records, sorted by title
+ */
+const findAll = (filters = {}) => {
+    try {
+        return repository.findAll()
+            .filter(clip => !filters.tag || clip.tags.includes(filters.tag))
+            .sort((a, b) => a.title.localeCompare(b.title));
+    } catch (error) {
+        console.error('Error finding filler clips:', error);
+        return [];
+    }
+};
+
+/**
+ * Delete a clip record
+ * @param {string} id - Clip ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+const deleteById = (id) => {
+    try {
+        return repository.deleteById(id);
+    } catch (error) {
+        console.error('Error deleting filler clip record:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    create,
+    findById,
+    update,
+    findAll,
+    deleteById
+};
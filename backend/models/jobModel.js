@@ -0,0 +1,159 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+
+// Storage backend; both implement the same repository interface
+const repository = config.database.driver === 'json'
+    ? require('./repositories/jsonRecordRepository').createRecordRepository(path.join(__dirname, '..', 'data', 'jobs.json'))
+    : require('./repositories/sqliteRecordRepository').createRecordRepository('jobs');
+
+/**
+ * Create a new job record
+ * @param {object} jobData - Job data object
+ * @returns {object} Created job record
+ */
+const create = (jobData) => {
+    try {
+        const id = jobData.id || uuidv4();
+        const now = new Date().toISOString();
+
+        const newJob = {
+            id,
+            type: jobData.type,
+            videoId: jobData.videoId || null,
+            payload: jobData.payload || {},
+            status: jobData.status || 'queued',
+            attempts: 0,
+            maxAttempts: jobData.maxAttempts || 1,
+            error: null,
+            result: null,
+            createdAt: now,
+            startedAt: null,
+            finishedAt: null,
+            interruptedAt: null,
+            updatedAt: now
+        };
+
+        return repository.create(newJob);
+    } catch (error) {
+        console.error('Error creating job record:', error);
+        throw error;
+    }
+};
+
+/**
+ * Find a job by ID
+ * @param {string} id - Job ID
+ * @returns {object|null} Job record or null if not found
+ */
+const findById = (id) => {
+    try {
+        return repository.findById(id);
+    } catch (error) {
+        console.error('Error finding job by ID:', error);
+        return null;
+    }
+};
+
+/**
+ * Update a job record
+ * @param {string} id - Job ID
+ * @param {object} updates - Updates to apply
+ * @returns {object|null} Updated job record or null if not found
+ */
+const update = (id, updates) => {
+    try {
+        return repository.update(id, updates);
+    } catch (error) {
+        console.error('Error updating job record:', error);
+        throw error;
+    }
+};
+
+/**
+ * Find jobs matching the given filters
+ * @param {object} filters - Optional status, type and videoId filters
+ * @returns {object[]} Array of job records, oldest first
+ */
+const findAll = (filters = {}) => {
+    try {
+        return repository.findAll()
+            .filter(job => !filters.status || job.status === filters.status)
+            .filter(job => !filters.type || job.type === filters.type)
+            .filter(job => !filters.videoId || job.videoId === filters.videoId);
+    } catch (error) {
+        console.error('Error finding jobs:', error);
+        return [];
+    }
+};
+
+/**
+ * Find jobs by status
+ * @param {string} status - Status to filter by
+ * @returns {object[]} Array of job records, oldest first
+ */
+const findByStatus = (status) => {
+    return findAll({ status });
+};
+
+/**
+ * Find the queued or running job for a video, if any
+ * @param {string} videoId - Video ID
+ * @returns {object|null} Active job record or null
+ */
+const findActiveByVideoId = (videoId) => {
+    return findAll({ videoId })
+        .find(job => job.status === 'queued' || job.status === 'running') || null;
+};
+
+/**
+ * Delete a job record
+ * @param {string} id - Job ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+const deleteById = (id) => {
+    try {
+        return repository.deleteById(id);
+    } catch (error) {
+        console.error('Error deleting job record:', error);
+        throw error;
+    }
+};
+
+/**
+ * Clean up finished jobs (older than specified days)
+ * @param {number} days - Number of days to keep
+ * @returns {number} Number of records cleaned up
+ */
+const cleanup = (days = 7) => {
+    try {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - days);
+
+        let cleanedCount = 0;
+
+        repository.findAll().forEach(job => {
+            const finished = job.status === 'completed' || job.status === 'failed';
+
+            if (finished && new Date(job.finishedAt) < cutoffDate && repository.deleteById(job.id)) {
+                cleanedCount++;
+            }
+        });
+
+        return cleanedCount;
+    } catch (error) {
+        console.error('Error cleaning up job records:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    create,
+    findById,
+    update,
+    findAll,
+    findByStatus,
+    findActiveByVideoId,
+    deleteById,
+    cleanup
+};
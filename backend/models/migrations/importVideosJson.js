@@ -0,0 +1,72 @@
+const fs = require('fs');
+
+// Meta key recording that the legacy JSON store has been imported
+const IMPORTED_KEY = 'videos_json_imported_at';
+
+/**
+ * Fill in fields older JSON records may lack, so they satisfy the schema
+ * @param {object} record - Legacy video record
+ * @returns {object} Normalized record
+ */
+const normalizeRecord = (record) => {
+    const now = new Date().toISOString();
+
+    return {
+        ...record,
+        status: record.status || 'uploaded',
+        uploadedAt: record.uploadedAt || record.updatedAt || now,
+        updatedAt: record.updatedAt || record.uploadedAt || now
+    };
+};
+
+/**
+ * Import data/videos.json into a repository, once. Existing records are
+ * left untouched, so running it again (with force) is safe.
+ * @param {object} repository - Repository with importRecords/getMeta/setMeta
+ * @param {string} jsonPath - Path to the legacy JSON store
+ * @param {object} options - { force: ignore the already-imported marker }
+ * @returns {number} Number of records imported
+ */
+const importVideosJson = (repository, jsonPath, options = {}) => {
+    if (!options.force && repository.getMeta(IMPORTED_KEY)) {
+        return 0;
+    }
+
+    if (!fs.existsSync(jsonPath)) {
+        repository.setMeta(IMPORTED_KEY, new Date().toISOString());
+        return 0;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    } catch (error) {
+        // Leave the marker unset so a fixed file is picked up next time
+        console.error('Error reading legacy videos file, skipping import:', error.message);
+        return 0;
+    }
+
+    const records = Object.values(data)
+        .filter(record => record && record.id)
+        .map(normalizeRecord);
+
+    const imported = repository.importRecords(records);
+    repository.setMeta(IMPORTED_KEY, new Date().toISOString());
+
+    return imported;
+};
+
+module.exports = {
+    importVideosJson
+};
+
+// Run directly to (re-)import: node models/migrations/importVideosJson.js [path]
+if (require.main === module) {
+    require('dotenv').config();
+    const config = require('../../config/config');
+    const repository = require('../repositories/sqliteVideoRepository');
+
+    const jsonPath = process.argv[2] || config.database.jsonPath;
+    const imported = importVideosJson(repository, jsonPath, { force: true });
+    console.log(`✅ Imported ${imported} new video record(s) from ${jsonPath} into ${config.database.sqlitePath}`);
+}
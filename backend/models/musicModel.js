@@ -0,0 +1,111 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+
+// Storage backend; both implement the same repository interface
+const repository = config.database.driver === 'json'
+    ? require('./repositories/jsonRecordRepository').createRecordRepository(path.join(__dirname, '..', 'data', 'music.json'))
+    : require('./repositories/sqliteRecordRepository').createRecordRepository('music_tracks');
+
+/**
+ * Create a new music track record
+ * @param {object} trackData - Track data object
+ * @returns {object} Created track record
+ */
+const create = (trackData) => {
+    try {
+        const id = trackData.id || uuidv4();
+        const now = new Date().toISOString();
+
+        const newTrack = {
+            id,
+            title: trackData.title,
+            artist: trackData.artist || null,
+            filePath: trackData.filePath,
+            originalName: trackData.originalName,
+            fileSize: trackData.fileSize || 0,
+            mimeType: trackData.mimeType,
+            duration: trackData.duration || null,
+            bpm: trackData.bpm || null,
+            mood: trackData.mood || null,
+            tags: trackData.tags || [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        return repository.create(newTrack);
+    } catch (error) {
+        console.error('Error creating music track record:', error);
+        throw error;
+    }
+};
+
+/**
+ * Find a track by ID
+ * @param {string} id - Track ID
+ * @returns {object|null} Track record or null if not found
+ */
+const findById = (id) => {
+    try {
+        return repository.findById(id);
+    } catch (error) {
+        console.error('Error finding music track by ID:', error);
+        return null;
+    }
+};
+
+/**
+ * Update a track record
+ * @param {string} id - Track ID
+ * @param {object} updates - Updates to apply
+ * @returns {object|null} Updated track record or null if not found
+ */
+const update = (id, updates) => {
+    try {
+        return repository.update(id, updates);
+    } catch (error) {
+        console.error('Error updating music track record:', error);
+        throw error;
+    }
+};
+
+/**
+ * Find tracks matching the given filters
+ * @param {object} filters - Optional mood, tag, minBpm and maxBpm filters
+ * @returns {object[]} Array of track records, sorted by title
+ */
+const findAll = (filters = {}) => {
+    try {
+        return repository.findAll()
+            .filter(track => !filters.mood || track.mood === filters.mood)
+            .filter(track => !filters.tag || track.tags.includes(filters.tag))
+            .filter(track => !filters.minBpm || (track.bpm && track.bpm >= filters.minBpm))
+            .filter(track => !filters.maxBpm || (track.bpm && track.bpm <= filters.maxBpm))
+            .sort((a, b) => a.title.localeCompare(b.title));
+    } catch (error) {
+        console.error('Error finding music tracks:', error);
+        return [];
+    }
+};
+
+/**
+ * Delete a track record
+ * @param {string} id - Track ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+const deleteById = (id) => {
+    try {
+        return repository.deleteById(id);
+    } catch (error) {
+        console.error('Error deleting music track record:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    create,
+    findById,
+    update,
+    findAll,
+    deleteById
+};
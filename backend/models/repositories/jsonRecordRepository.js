@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a repository that keeps one kind of record in a JSON file. Used
+ * with DB_DRIVER=json; same interface as sqliteRecordRepository.
+ * @param {string} dataFile - Path to the JSON file
+ * @returns {object} Repository with create/findById/update/updateWith/deleteById/findAll
+ */
+const createRecordRepository = (dataFile) => {
+    // Read data from file; a corrupt file is an error, never an empty store
+    const readData = () => {
+        if (!fs.existsSync(dataFile)) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+        } catch (error) {
+            console.error(`Error reading ${dataFile}:`, error);
+            throw error;
+        }
+    };
+
+    // Write data to a temp file and rename it into place, so a crash cannot leave a torn file
+    const writeData = (data) => {
+        try {
+            const tempFile = `${dataFile}.tmp`;
+            fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+            fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+            fs.renameSync(tempFile, dataFile);
+        } catch (error) {
+            console.error(`Error writing ${dataFile}:`, error);
+            throw error;
+        }
+    };
+
+    /**
+     * Store a new record
+     * @param {object} record - Complete record
+     * @returns {object} Stored record
+     */
+    const create = (record) => {
+        const data = readData();
+        data[record.id] = record;
+        writeData(data);
+        return record;
+    };
+
+    /**
+     * Find a record by ID
+     * @param {string} id - Record ID
+     * @returns {object|null} Record or null if not found
+     */
+    const findById = (id) => {
+        return readData()[id] || null;
+    };
+
+    /**
+     * Update a record using a function of its current state
+     * @param {string} id - Record ID
+     * @param {Function} updater - Receives the current record, returns updates
+     * @returns {object|null} Updated record or null if not found
+     */
+    const updateWith = (id, updater) => {
+        const data = readData();
+
+        if (!data[id]) {
+            return null;
+        }
+
+        data[id] = {
+            ...data[id],
+            ...updater(data[id]),
+            updatedAt: new Date().toISOString()
+        };
+
+        writeData(data);
+        return data[id];
+    };
+
+    /**
+     * Update a record
+     * @param {string} id - Record ID
+     * @param {object} updates - Updates to apply
+     * @returns {object|null} Updated record or null if not found
+     */
+    const update = (id, updates) => {
+        return updateWith(id, () => updates);
+    };
+
+    /**
+     * Delete a record
+     * @param {string} id - Record ID
+     * @returns {boolean} True if deleted, false if not found
+     */
+    const deleteById = (id) => {
+        const data = readData();
+
+        if (!data[id]) {
+            return false;
+        }
+
+        delete data[id];
+        writeData(data);
+        return true;
+    };
+
+    /**
+     * Find all records
+     * @returns {object[]} Array of records, oldest first
+     */
+    const findAll = () => {
+        return Object.values(readData()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    };
+
+    return {
+        create,
+        findById,
+        update,
+        updateWith,
+        deleteById,
+        findAll
+    };
+};
+
+module.exports = {
+    createRecordRepository
+};
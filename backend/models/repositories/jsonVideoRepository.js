@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+
+// Data storage file
+const DATA_FILE = config.database.jsonPath;
+
+// Ensure data directory exists
+const ensureDataDirectory = () => {
+    const dataDir = path.dirname(DATA_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+};
+
+// Initialize data file if it doesn't exist
+const initializeDataFile = () => {
+    ensureDataDirectory();
+    if (!fs.existsSync(DATA_FILE)) {
+        fs.writeFileSync(DATA_FILE, JSON.stringify({}));
+    }
+};
+
+// Read data from file
+const readData = () => {
+    try {
+        initializeDataFile();
+        const data = fs.readFileSync(DATA_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        console.error('Error reading data file:', error);
+        return {};
+    }
+};
+
+// Write data to file
+const writeData = (data) => {
+    try {
+        ensureDataDirectory();
+        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+    } catch (error) {
+        console.error('Error writing data file:', error);
+        throw error;
+    }
+};
+
+/**
+ * Store a new video record
+ * @param {object} record - Complete video record
+ * @returns {object} Stored video record
+ */
+const create = (record) => {
+    const data = readData();
+    data[record.id] = record;
+    writeData(data);
+    return record;
+};
+
+/**
+ * Find a video by ID
+ * @param {string} id - Video ID
+ * @returns {object|null} Video record or null if not found
+ */
+const findById = (id) => {
+    const data = readData();
+    return data[id] || null;
+};
+
+/**
+ * Update a video record using a function of its current state
+ * @param {string} id - Video ID
+ * @param {Function} updater - Receives the current record, returns updates
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateWith = (id, updater) => {
+    const data = readData();
+
+    if (!data[id]) {
+        return null;
+    }
+
+    // Merge updates with existing data
+    data[id] = {
+        ...data[id],
+        ...updater(data[id]),
+        updatedAt: new Date().toISOString()
+    };
+
+    writeData(data);
+    return data[id];
+};
+
+/**
+ * Update a video record
+ * @param {string} id - Video ID
+ * @param {object} updates - Updates to apply
+ * @returns {object|null} Updated video record or null if not found
+ */
+const update = (id, updates) => {
+    return updateWith(id, () => updates);
+};
+
+/**
+ * Delete a video record
+ * @param {string} id - Video ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+const deleteById = (id) => {
+    const data = readData();
+
+    if (!data[id]) {
+        return false;
+    }
+
+    delete data[id];
+    writeData(data);
+    return true;
+};
+
+/**
+ * Find all videos
+ * @returns {object[]} Array of video records
+ */
+const findAll = () => {
+    return Object.values(readData());
+};
+
+/**
+ * Find videos by status
+ * @param {string} status - Status to filter by
+ * @returns {object[]} Array of video records
+ */
+const findByStatus = (status) => {
+    return findAll().filter(video => video.status === status);
+};
+
+/**
+ * Find videos uploaded within a date range
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @returns {object[]} Array of video records
+ */
+const findByDateRange = (startDate, endDate) => {
+    return findAll().filter(video => {
+        const uploadedAt = new Date(video.uploadedAt);
+        return uploadedAt >= startDate && uploadedAt <= endDate;
+    });
+};
+
+/**
+ * Get video count
+ * @returns {number} Total number of videos
+ */
+const count = () => {
+    return Object.keys(readData()).length;
+};
+
+/**
+ * Get video statistics
+ * @param {string[]} stageNames - Stages to count completions for
+ * @returns {object} Statistics object
+ */
+const getStatistics = (stageNames) => {
+    const videos = findAll();
+
+    const stats = {
+        total: videos.length,
+        byStatus: {},
+        totalFileSize: 0,
+        averageFileSize: 0,
+        processingStages: {}
+    };
+
+    stageNames.forEach(stage => {
+        stats.processingStages[stage] = 0;
+    });
+
+    videos.forEach(video => {
+        // Count by status
+        stats.byStatus[video.status] = (stats.byStatus[video.status] || 0) + 1;
+
+        // Calculate file sizes
+        stats.totalFileSize += video.fileSize || 0;
+
+        // Count processing stages
+        stageNames.forEach(stage => {
+            if (video.stages?.[stage]?.completed) {
+                stats.processingStages[stage]++;
+            }
+        });
+    });
+
+    // Calculate average file size
+    stats.averageFileSize = stats.total > 0 ? stats.totalFileSize / stats.total : 0;
+
+    return stats;
+};
+
+/**
+ * Delete records uploaded before a cutoff date
+ * @param {Date} cutoffDate - Records uploaded before this date are removed
+ * @returns {number} Number of records cleaned up
+ */
+const cleanup = (cutoffDate) => {
+    const data = readData();
+    let cleanedCount = 0;
+
+    Object.keys(data).forEach(id => {
+        if (new Date(data[id].uploadedAt) < cutoffDate) {
+            delete data[id];
+            cleanedCount++;
+        }
+    });
+
+    if (cleanedCount > 0) {
+        writeData(data);
+    }
+
+    return cleanedCount;
+};
+
+module.exports = {
+    create,
+    findById,
+    update,
+    updateWith,
+    deleteById,
+    findAll,
+    findByStatus,
+    findByDateRange,
+    count,
+    getStatistics,
+    cleanup
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../../config/config');
+
+let db = null;
+
+// Key/value store for markers such as "legacy JSON already imported"
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+`;
+
+/**
+ * Open the database every SQLite repository shares
+ * @returns {Database} Database connection
+ */
+const getDb = () => {
+    if (db) {
+        return db;
+    }
+
+    const dbDir = path.dirname(config.database.sqlitePath);
+    if (!fs.existsSync(dbDir)) {
+        fs.mkdirSync(dbDir, { recursive: true });
+    }
+
+    db = new Database(config.database.sqlitePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(SCHEMA);
+
+    return db;
+};
+
+/**
+ * Read a meta value
+ * @param {string} key - Meta key
+ * @returns {string|null} Stored value or null
+ */
+const getMeta = (key) => {
+    const row = getDb().prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+};
+
+/**
+ * Write a meta value
+ * @param {string} key - Meta key
+ * @param {string} value - Value to store
+ */
+const setMeta = (key, value) => {
+    getDb()
+        .prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+        .run(key, value);
+};
+
+module.exports = {
+    getDb,
+    getMeta,
+    setMeta
+};
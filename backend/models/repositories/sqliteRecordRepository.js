@@ -0,0 +1,135 @@
+const { getDb } = require('./sqliteDatabase');
+
+// Turn a row back into a record
+const toRecord = (row) => (row ? JSON.parse(row.data) : null);
+
+// Column values for a record
+const toRow = (record) => ({
+    id: record.id,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    data: JSON.stringify(record)
+});
+
+/**
+ * Create a repository that keeps one kind of record (jobs, ...) in its
+ * own table. Records are stored whole as JSON, like videos, and filtered
+ * by the model.
+ * @param {string} table - Table name (from code, never from user input)
+ * @returns {object} Repository with create/findById/update/updateWith/deleteById/findAll
+ */
+const createRecordRepository = (table) => {
+    let initialized = false;
+
+    // Create the table on first use
+    const db = () => {
+        const database = getDb();
+        if (initialized) {
+            return database;
+        }
+
+        initialized = true;
+        database.exec(`
+            CREATE TABLE IF NOT EXISTS ${table} (
+                id TEXT PRIMARY KEY,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+        `);
+
+        return database;
+    };
+
+    /**
+     * Store a new record
+     * @param {object} record - Complete record
+     * @returns {object} Stored record
+     */
+    const create = (record) => {
+        db()
+            .prepare(`INSERT INTO ${table} (id, created_at, updated_at, data) VALUES (@id, @createdAt, @updatedAt, @data)`)
+            .run(toRow(record));
+
+        return record;
+    };
+
+    /**
+     * Find a record by ID
+     * @param {string} id - Record ID
+     * @returns {object|null} Record or null if not found
+     */
+    const findById = (id) => {
+        return toRecord(db().prepare(`SELECT data FROM ${table} WHERE id = ?`).get(id));
+    };
+
+    /**
+     * Update a record using a function of its current state, in one
+     * IMMEDIATE transaction so concurrent writers cannot lose updates
+     * @param {string} id - Record ID
+     * @param {Function} updater - Receives the current record, returns updates
+     * @returns {object|null} Updated record or null if not found
+     */
+    const updateWith = (id, updater) => {
+        const run = db().transaction(() => {
+            const current = findById(id);
+            if (!current) {
+                return null;
+            }
+
+            const next = {
+                ...current,
+                ...updater(current),
+                updatedAt: new Date().toISOString()
+            };
+
+            db()
+                .prepare(`UPDATE ${table} SET created_at = @createdAt, updated_at = @updatedAt, data = @data WHERE id = @id`)
+                .run(toRow(next));
+
+            return next;
+        });
+
+        return run.immediate();
+    };
+
+    /**
+     * Update a record
+     * @param {string} id - Record ID
+     * @param {object} updates - Updates to apply
+     * @returns {object|null} Updated record or null if not found
+     */
+    const update = (id, updates) => {
+        return updateWith(id, () => updates);
+    };
+
+    /**
+     * Delete a record
+     * @param {string} id - Record ID
+     * @returns {boolean} True if deleted, false if not found
+     */
+    const deleteById = (id) => {
+        return db().prepare(`DELETE FROM ${table} WHERE id = ?`).run(id).changes > 0;
+    };
+
+    /**
+     * Find all records
+     * @returns {object[]} Array of records, oldest first
+     */
+    const findAll = () => {
+        return db().prepare(`SELECT data FROM ${table} ORDER BY created_at`).all().map(toRecord);
+    };
+
+    return {
+        create,
+        findById,
+        update,
+        updateWith,
+        deleteById,
+        findAll
+    };
+};
+
+module.exports = {
+    createRecordRepository
+};
@@ -0,0 +1,260 @@
+const config = require('../../config/config');
+const { getDb: openDatabase, getMeta, setMeta } = require('./sqliteDatabase');
+const { importVideosJson } = require('../migrations/importVideosJson');
+
+let initialized = false;
+
+// Frequently queried fields live in their own indexed columns; the full
+// record is kept as JSON in `data` so new fields need no schema change.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS videos (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        uploaded_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        file_size INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_videos_status ON videos (status);
+    CREATE INDEX IF NOT EXISTS idx_videos_uploaded_at ON videos (uploaded_at);
+`;
+
+// Turn a row back into a video record
+const toRecord = (row) => (row ? JSON.parse(row.data) : null);
+
+// Column values for a video record
+const toRow = (record) => ({
+    id: record.id,
+    status: record.status,
+    uploadedAt: record.uploadedAt,
+    updatedAt: record.updatedAt,
+    fileSize: record.fileSize || 0,
+    data: JSON.stringify(record)
+});
+
+/**
+ * Open the database, create the schema and import the legacy JSON store
+ * the first time it runs
+ * @returns {Database} Database connection
+ */
+const getDb = () => {
+    const db = openDatabase();
+    if (initialized) {
+        return db;
+    }
+
+    initialized = true;
+    db.exec(SCHEMA);
+
+    const imported = importVideosJson(module.exports, config.database.jsonPath);
+    if (imported > 0) {
+        console.log(`📦 Imported ${imported} video record(s) from ${config.database.jsonPath}`);
+    }
+
+    return db;
+};
+
+/**
+ * Insert records that do not exist yet, in a single transaction
+ * @param {object[]} records - Complete video records
+ * @returns {number} Number of records inserted
+ */
+const importRecords = (records) => {
+    const insert = getDb().prepare(`
+        INSERT OR IGNORE INTO videos (id, status, uploaded_at, updated_at, file_size, data)
+        VALUES (@id, @status, @uploadedAt, @updatedAt, @fileSize, @data)
+    `);
+
+    const run = getDb().transaction((items) => {
+        let inserted = 0;
+        items.forEach(record => {
+            inserted += insert.run(toRow(record)).changes;
+        });
+        return inserted;
+    });
+
+    return run(records);
+};
+
+/**
+ * Store a new video record
+ * @param {object} record - Complete video record
+ * @returns {object} Stored video record
+ */
+const create = (record) => {
+    getDb()
+        .prepare(`
+            INSERT INTO videos (id, status, uploaded_at, updated_at, file_size, data)
+            VALUES (@id, @status, @uploadedAt, @updatedAt, @fileSize, @data)
+        `)
+        .run(toRow(record));
+
+    return record;
+};
+
+/**
+ * Find a video by ID
+ * @param {string} id - Video ID
+ * @returns {object|null} Video record or null if not found
+ */
+const findById = (id) => {
+    return toRecord(getDb().prepare('SELECT data FROM videos WHERE id = ?').get(id));
+};
+
+/**
+ * Update a video record using a function of its current state. The read
+ * and write happen in one IMMEDIATE transaction, so concurrent writers
+ * (other processes included) cannot interleave and lose updates.
+ * @param {string} id - Video ID
+ * @param {Function} updater - Receives the current record, returns updates
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateWith = (id, updater) => {
+    const run = getDb().transaction(() => {
+        const current = findById(id);
+        if (!current) {
+            return null;
+        }
+
+        const next = {
+            ...current,
+            ...updater(current),
+            updatedAt: new Date().toISOString()
+        };
+
+        getDb()
+            .prepare(`
+                UPDATE videos
+                SET status = @status, uploaded_at = @uploadedAt, updated_at = @updatedAt,
+                    file_size = @fileSize, data = @data
+                WHERE id = @id
+            `)
+            .run(toRow(next));
+
+        return next;
+    });
+
+    return run.immediate();
+};
+
+/**
+ * Update a video record
+ * @param {string} id - Video ID
+ * @param {object} updates - Updates to apply
+ * @returns {object|null} Updated video record or null if not found
+ */
+const update = (id, updates) => {
+    return updateWith(id, () => updates);
+};
+
+/**
+ * Delete a video record
+ * @param {string} id - Video ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+const deleteById = (id) => {
+    return getDb().prepare('DELETE FROM videos WHERE id = ?').run(id).changes > 0;
+};
+
+/**
+ * Find all videos
+ * @returns {object[]} Array of video records, oldest upload first
+ */
+const findAll = () => {
+    return getDb().prepare('SELECT data FROM videos ORDER BY uploaded_at').all().map(toRecord);
+};
+
+/**
+ * Find videos by status
+ * @param {string} status - Status to filter by
+ * @returns {object[]} Array of video records
+ */
+const findByStatus = (status) => {
+    return getDb()
+        .prepare('SELECT data FROM videos WHERE status = ? ORDER BY uploaded_at')
+        .all(status)
+        .map(toRecord);
+};
+
+/**
+ * Find videos uploaded within a date range
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @returns {object[]} Array of video records
+ */
+const findByDateRange = (startDate, endDate) => {
+    return getDb()
+        .prepare('SELECT data FROM videos WHERE uploaded_at BETWEEN ? AND ? ORDER BY uploaded_at')
+        .all(startDate.toISOString(), endDate.toISOString())
+        .map(toRecord);
+};
+
+/**
+ * Get video count
+ * @returns {number} Total number of videos
+ */
+const count = () => {
+    return getDb().prepare('SELECT COUNT(*) AS total FROM videos').get().total;
+};
+
+/**
+ * Get video statistics
+ * @param {string[]} stageNames - Stages to count completions for
+ * @returns {object} Statistics object
+ */
+const getStatistics = (stageNames) => {
+    const database = getDb();
+    const totals = database
+        .prepare('SELECT COUNT(*) AS total, COALESCE(SUM(file_size), 0) AS totalFileSize FROM videos')
+        .get();
+
+    const byStatus = {};
+    database
+        .prepare('SELECT status, COUNT(*) AS total FROM videos GROUP BY status')
+        .all()
+        .forEach(row => {
+            byStatus[row.status] = row.total;
+        });
+
+    // Stage names come from code, never from user input
+    const stageColumns = stageNames
+        .map(stage => `COALESCE(SUM(json_extract(data, '$.stages.${stage}.completed')), 0) AS "${stage}"`)
+        .join(', ');
+    const processingStages = stageNames.length > 0
+        ? { ...database.prepare(`SELECT ${stageColumns} FROM videos`).get() }
+        : {};
+
+    return {
+        total: totals.total,
+        byStatus,
+        totalFileSize: totals.totalFileSize,
+        averageFileSize: totals.total > 0 ? totals.totalFileSize / totals.total : 0,
+        processingStages
+    };
+};
+
+/**
+ * Delete records uploaded before a cutoff date
+ * @param {Date} cutoffDate - Records uploaded before this date are removed
+ * @returns {number} Number of records cleaned up
+ */
+const cleanup = (cutoffDate) => {
+    return getDb().prepare('DELETE FROM videos WHERE uploaded_at < ?').run(cutoffDate.toISOString()).changes;
+};
+
+module.exports = {
+    create,
+    findById,
+    update,
+    updateWith,
+    deleteById,
+    findAll,
+    findByStatus,
+    findByDateRange,
+    count,
+    getStatistics,
+    cleanup,
+    importRecords,
+    getMeta,
+    setMeta
+};
@@ -1,48 +1,15 @@
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const { diffWords, diffStats } = require('../utils/diffUtils');
 
-// Data storage file
-const DATA_FILE = path.join(__dirname, '..', 'data', 'videos.json');
+// Storage backend; both implement the same repository interface
+const repository = config.database.driver === 'json'
+    ? require('./repositories/jsonVideoRepository')
+    : require('./repositories/sqliteVideoRepository');
 
-// Ensure data directory exists
-const ensureDataDirectory = () => {
-    const dataDir = path.dirname(DATA_FILE);
-    if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-    }
-};
-
-// Initialize data file if it doesn't exist
-const initializeDataFile = () => {
-    ensureDataDirectory();
-    if (!fs.existsSync(DATA_FILE)) {
-        fs.writeFileSync(DATA_FILE, JSON.stringify({}));
-    }
-};
-
-// Read data from file
-const readData = () => {
-    try {
-        initializeDataFile();
-        const data = fs.readFileSync(DATA_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Error reading data file:', error);
-        return {};
-    }
-};
-
-// Write data to file
-const writeData = (data) => {
-    try {
-        ensureDataDirectory();
-        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-    } catch (error) {
-        console.error('Error writing data file:', error);
-        throw error;
-    }
-};
+// Stages counted in statistics
+const STATISTICS_STAGES = ['upload', 'edit', 'frameExtraction', 'scriptGeneration', 'audioGeneration', 'reframe', 'videoMerging'];
 
 /**
  * Create a new video record
@@ -51,7 +18,6 @@ const writeData = (data) => {
  */
 const create = (videoData) => {
     try {
-        const data = readData();
         const id = videoData.id || uuidv4();
         
         const newVideo = {
@@ -65,6 +31,8 @@ const create = (videoData) => {
             prompt: videoData.prompt || '',
             style: videoData.style || 'casual',
             voice: videoData.voice || null,
+            ttsProvider: videoData.ttsProvider || null,
+            voiceSettings: videoData.voiceSettings || null,
             
             // Processing data
             frames: videoData.frames || [],
@@ -75,6 +43,7 @@ const create = (videoData) => {
             // Metadata
             duration: videoData.duration || null,
             metadata: videoData.metadata || {},
+            compilation: videoData.compilation || null, // { id, clips } when stitched from other videos
             
             // Timestamps
             processedAt: videoData.processedAt || null,
@@ -83,17 +52,16 @@ const create = (videoData) => {
             // Processing stages
             stages: videoData.stages || {
                 upload: { completed: true, completedAt: new Date().toISOString() },
+                edit: { completed: false, completedAt: null },
                 frameExtraction: { completed: false, completedAt: null },
                 scriptGeneration: { completed: false, completedAt: null },
                 audioGeneration: { completed: false, completedAt: null },
+                reframe: { completed: false, completedAt: null },
                 videoMerging: { completed: false, completedAt: null }
             }
         };
 
-        data[id] = newVideo;
-        writeData(data);
-        
-        return newVideo;
+        return repository.create(newVideo);
     } catch (error) {
         console.error('Error creating video record:', error);
         throw error;
@@ -107,8 +75,7 @@ const create = (videoData) => {
  */
 const findById = (id) => {
     try {
-        const data = readData();
-        return data[id] || null;
+        return repository.findById(id);
     } catch (error) {
         console.error('Error finding video by ID:', error);
         return null;
@@ -123,21 +90,7 @@ const findById = (id) => {
  */
 const update = (id, updates) => {
     try {
-        const data = readData();
-        
-        if (!data[id]) {
-            return null;
-        }
-
-        // Merge updates with existing data
-        data[id] = {
-            ...data[id],
-            ...updates,
-            updatedAt: new Date().toISOString()
-        };
-
-        writeData(data);
-        return data[id];
+        return repository.update(id, updates);
     } catch (error) {
         console.error('Error updating video record:', error);
         throw error;
@@ -159,28 +112,293 @@ const updateStatus = (id, status) => {
  * @param {string} id - Video ID
  * @param {string} stage - Stage name
  * @param {boolean} completed - Whether stage is completed
+ * @param {object} artifacts - Files and values produced by the stage
  * @returns {object|null} Updated video record or null if not found
  */
-const updateStage = (id, stage, completed) => {
+const updateStage = (id, stage, completed, artifacts = {}) => {
     try {
-        const video = findById(id);
-        if (!video) {
-            return null;
-        }
+        // Read-modify-write in one repository call so concurrent stage
+        // updates cannot overwrite each other
+        return repository.updateWith(id, (video) => ({
+            stages: {
+                ...video.stages,
+                [stage]: {
+                    completed,
+                    completedAt: completed ? new Date().toISOString() : null,
+                    artifacts: completed ? artifacts : {}
+                }
+            }
+        }));
+    } catch (error) {
+        console.error('Error updating video stage:', error);
+        throw error;
+    }
+};
 
-        const stages = { ...video.stages };
-        stages[stage] = {
-            completed,
-            completedAt: completed ? new Date().toISOString() : null
-        };
+/**
+ * Create or update a per-language variant (e.g. a dubbed video)
+ * @param {string} id - Video ID
+ * @param {string} language - Language code the variant is keyed by
+ * @param {object} updates - Variant fields to set
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateVariant = (id, language, updates) => {
+    try {
+        return repository.updateWith(id, (video) => ({
+            variants: {
+                ...(video.variants || {}),
+                [language]: {
+                    ...((video.variants || {})[language] || {}),
+                    ...updates,
+                    language,
+                    updatedAt: new Date().toISOString()
+                }
+            }
+        }));
+    } catch (error) {
+        console.error('Error updating video variant:', error);
+        throw error;
+    }
+};
 
-        return update(id, { stages });
+/**
+ * Mark several processing stages as not completed
+ * @param {string} id - Video ID
+ * @param {string[]} stageNames - Stages to reset
+ * @returns {object|null} Updated video record or null if not found
+ */
+const resetStages = (id, stageNames) => {
+    try {
+        return repository.updateWith(id, (video) => {
+            const stages = { ...video.stages };
+            stageNames.forEach(stage => {
+                stages[stage] = { completed: false, completedAt: null, artifacts: {} };
+            });
+            return { stages };
+        });
     } catch (error) {
-        console.error('Error updating video stage:', error);
+        console.error('Error resetting video stages:', error);
         throw error;
     }
 };
 
+/**
+ * Update extracted frame paths
+ * @param {string} id - Video ID
+ * @param {string[]} frames - Frame file paths
+ * @param {number[]} frameTimestamps - Time of each frame in seconds (optional)
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateFrames = (id, frames, frameTimestamps = null) => {
+    return update(id, {
+        frames,
+        frameTimestamps,
+        framesPath: frames.length > 0 ? path.dirname(frames[0]) : null
+    });
+};
+
+/**
+ * Update generated script
+ * @param {string} id - Video ID
+ * @param {object|string} script - Script data ({ script, title, ... }) or plain text
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateScript = (id, script) => {
+    return update(id, {
+        script: typeof script === 'string' ? { script } : script
+    });
+};
+
+/**
+ * Describe a script version in one line
+ * @param {string} source - How the version was made
+ * @param {object} stats - { added, removed, unchanged } word counts
+ * @param {number|null} restoredFrom - Version restored, for 'restored'
+ * @returns {string} Change summary
+ */
+const describeScriptChange = (source, stats, restoredFrom) => {
+    const words = stats.added + stats.unchanged;
+    switch (source) {
+        case 'generated':
+            return `Generated a ${words}-word script`;
+        case 'fitted':
+            return `Rewritten to fit the clip length (${words} words)`;
+        case 'restored':
+            return `Restored version ${restoredFrom}`;
+        case 'edited':
+            return `Timings shifted to match the edit (${words} words)`;
+        case 'initial':
+            return `Script before version history (${words} words)`;
+        default:
+            return `${stats.added} word(s) added, ${stats.removed} removed`;
+    }
+};
+
+/**
+ * Replace the script and keep the new text as a numbered version with its
+ * diff against the script it replaces
+ * @param {string} id - Video ID
+ * @param {object|string} script - Script data ({ script, title, ... }) or plain text
+ * @param {object} details - { source, summary, changes, feedback, restoredFrom }; source is
+ *   'generated', 'improved', 'manual', 'fitted', 'restored' or 'edited'
+ * @returns {object|null} Updated video record or null if not found
+ */
+const addScriptVersion = (id, script, details = {}) => {
+    try {
+        return repository.updateWith(id, (video) => {
+            const scriptRecord = typeof script === 'string' ? { script } : script;
+            const versions = [...(video.scriptVersions || [])];
+            const createdAt = new Date().toISOString();
+            let current = video.scriptVersion || null;
+
+            const buildVersion = (record, previous, versionDetails) => {
+                const operations = diffWords(previous?.script, record.script);
+                const stats = diffStats(operations);
+                return {
+                    version: versions.length + 1,
+                    source: versionDetails.source || 'manual',
+                    script: record,
+                    summary: versionDetails.summary || describeScriptChange(versionDetails.source, stats, versionDetails.restoredFrom),
+                    changes: versionDetails.changes || [],
+                    feedback: versionDetails.feedback || null,
+                    restoredFrom: versionDetails.restoredFrom || null,
+                    basedOn: current,
+                    diff: { operations, stats },
+                    createdAt
+                };
+            };
+
+            // Records scripted before history existed keep that script as version 1
+            if (versions.length === 0 && video.script?.script) {
+                versions.push(buildVersion(video.script, null, { source: 'initial' }));
+                current = 1;
+            }
+
+            const version = buildVersion(scriptRecord, video.script, details);
+            versions.push(version);
+
+            return {
+                script: scriptRecord,
+                scriptVersion: version.version,
+                scriptVersions: versions
+            };
+        });
+    } catch (error) {
+        console.error('Error adding script version:', error);
+        throw error;
+    }
+};
+
+/**
+ * Update generated audio path
+ * @param {string} id - Video ID
+ * @param {string} audioPath - Audio file path
+ * @param {object[]} wordTimings - Word timings for the audio (optional)
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateAudio = (id, audioPath, wordTimings = null) => {
+    return update(id, { audioPath, wordTimings });
+};
+
+/**
+ * Update processed video output path
+ * @param {string} id - Video ID
+ * @param {string} outputPath - Processed video file path
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateOutput = (id, outputPath) => {
+    return update(id, {
+        processedVideoPath: outputPath,
+        processedAt: new Date().toISOString()
+    });
+};
+
+/**
+ * Update processing error
+ * @param {string} id - Video ID
+ * @param {string|null} error - Error message
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateError = (id, error) => {
+    return update(id, { error });
+};
+
+/**
+ * Update the selected voice; fields left undefined keep their current value
+ * @param {string} id - Video ID
+ * @param {object} selection - { voice, ttsProvider, voiceSettings }
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateVoice = (id, selection) => {
+    const updates = {};
+    ['voice', 'ttsProvider', 'voiceSettings'].forEach(key => {
+        if (selection[key] !== undefined) {
+            updates[key] = selection[key];
+        }
+    });
+    return update(id, updates);
+};
+
+/**
+ * Attach or detach background music
+ * @param {string} id - Video ID
+ * @param {object|null} music - { trackId, gain, fadeIn, fadeOut } or null to detach
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateMusic = (id, music) => {
+    return update(id, { music });
+};
+
+/**
+ * Pick or clear the highlight the pipeline runs on. The master clip is
+ * rendered again by the next run, so the old one is dropped.
+ * @param {string} id - Video ID
+ * @param {object|null} trim - { start, end, rank } or null for the full upload
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateTrim = (id, trim) => {
+    return update(id, { trim, masterVideoPath: null });
+};
+
+/**
+ * Save or clear the edit decision list, dropping the master rendered from
+ * the previous one
+ * @param {string} id - Video ID
+ * @param {object|null} editList - { in, out, cuts, speed, order } or null to clear
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateEditList = (id, editList) => {
+    return update(id, { editList, masterVideoPath: null });
+};
+
+/**
+ * Path of the clip processing works on: the edited master once it has
+ * been rendered, otherwise the upload
+ * @param {object} video - Video record
+ * @returns {string} Video file path
+ */
+const getSourcePath = (video) => video.masterVideoPath || video.filePath;
+
+/**
+ * Save or clear the split-screen layout used on the next render
+ * @param {string} id - Video ID
+ * @param {object|null} layout - { type, fillerId, tag, mainPosition, corner } or null to clear
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateLayout = (id, layout) => {
+    return update(id, { layout });
+};
+
+/**
+ * Store generated or edited social metadata
+ * @param {string} id - Video ID
+ * @param {object} socialMetadata - { hook, style, platforms, generatedAt, editedAt }
+ * @returns {object|null} Updated video record or null if not found
+ */
+const updateSocialMetadata = (id, socialMetadata) => {
+    return update(id, { socialMetadata });
+};
+
 /**
  * Delete a video record
  * @param {string} id - Video ID
@@ -188,15 +406,7 @@ const updateStage = (id, stage, completed) => {
  */
 const deleteById = (id) => {
     try {
-        const data = readData();
-        
-        if (!data[id]) {
-            return false;
-        }
-
-        delete data[id];
-        writeData(data);
-        return true;
+        return repository.deleteById(id);
     } catch (error) {
         console.error('Error deleting video record:', error);
         throw error;
@@ -209,8 +419,7 @@ const deleteById = (id) => {
  */
 const findAll = () => {
     try {
-        const data = readData();
-        return Object.values(data);
+        return repository.findAll();
     } catch (error) {
         console.error('Error finding all videos:', error);
         return [];
@@ -224,8 +433,7 @@ const findAll = () => {
  */
 const findByStatus = (status) => {
     try {
-        const data = readData();
-        return Object.values(data).filter(video => video.status === status);
+        return repository.findByStatus(status);
     } catch (error) {
         console.error('Error finding videos by status:', error);
         return [];
@@ -240,11 +448,7 @@ const findByStatus = (status) => {
  */
 const findByDateRange = (startDate, endDate) => {
     try {
-        const data = readData();
-        return Object.values(data).filter(video => {
-            const uploadedAt = new Date(video.uploadedAt);
-            return uploadedAt >= startDate && uploadedAt <= endDate;
-        });
+        return repository.findByDateRange(startDate, endDate);
     } catch (error) {
         console.error('Error finding videos by date range:', error);
         return [];
@@ -257,8 +461,7 @@ const findByDateRange = (startDate, endDate) => {
  */
 const count = () => {
     try {
-        const data = readData();
-        return Object.keys(data).length;
+        return repository.count();
     } catch (error) {
         console.error('Error counting videos:', error);
         return 0;
@@ -271,42 +474,7 @@ const count = () => {
  */
 const getStatistics = () => {
     try {
-        const data = readData();
-        const videos = Object.values(data);
-        
-        const stats = {
-            total: videos.length,
-            byStatus: {},
-            totalFileSize: 0,
-            averageFileSize: 0,
-            processingStages: {
-                upload: 0,
-                frameExtraction: 0,
-                scriptGeneration: 0,
-                audioGeneration: 0,
-                videoMerging: 0
-            }
-        };
-
-        videos.forEach(video => {
-            // Count by status
-            stats.byStatus[video.status] = (stats.byStatus[video.status] || 0) + 1;
-            
-            // Calculate file sizes
-            stats.totalFileSize += video.fileSize || 0;
-            
-            // Count processing stages
-            Object.keys(stats.processingStages).forEach(stage => {
-                if (video.stages[stage]?.completed) {
-                    stats.processingStages[stage]++;
-                }
-            });
-        });
-
-        // Calculate average file size
-        stats.averageFileSize = stats.total > 0 ? stats.totalFileSize / stats.total : 0;
-
-        return stats;
+        return repository.getStatistics(STATISTICS_STAGES);
     } catch (error) {
         console.error('Error getting video statistics:', error);
         return null;
@@ -320,27 +488,10 @@ const getStatistics = () => {
  */
 const cleanup = (days = 30) => {
     try {
-        const data = readData();
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - days);
         
-        let cleanedCount = 0;
-        
-        Object.keys(data).forEach(id => {
-            const video = data[id];
-            const uploadedAt = new Date(video.uploadedAt);
-            
-            if (uploadedAt < cutoffDate) {
-                delete data[id];
-                cleanedCount++;
-            }
-        });
-
-        if (cleanedCount > 0) {
-            writeData(data);
-        }
-
-        return cleanedCount;
+        return repository.cleanup(cutoffDate);
     } catch (error) {
         console.error('Error cleaning up video records:', error);
         throw error;
@@ -353,6 +504,21 @@ module.exports = {
     update,
     updateStatus,
     updateStage,
+    resetStages,
+    updateFrames,
+    updateScript,
+    addScriptVersion,
+    updateAudio,
+    updateOutput,
+    updateVariant,
+    updateError,
+    updateVoice,
+    updateMusic,
+    updateLayout,
+    updateTrim,
+    updateEditList,
+    getSourcePath,
+    updateSocialMetadata,
     deleteById,
     findAll,
     findByStatus,
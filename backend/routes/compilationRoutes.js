@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const compilationController = require('../controllers/compilationController');
+const {
+    validateCompilation,
+    validateCompilationUpdate,
+    validateCompilationId
+} = require('../middleware/validation');
+
+// List compilations
+router.get('/', compilationController.listCompilations);
+
+// Create a compilation from uploaded videos (`videoIds` in play order)
+router.post('/', validateCompilation, compilationController.createCompilation);
+
+// Get a single compilation
+router.get('/:compilationId', validateCompilationId, compilationController.getCompilation);
+
+// Change clips, order, transition or output format
+router.put('/:compilationId', validateCompilationId, validateCompilationUpdate, compilationController.updateCompilation);
+
+// Stitch the clips into a video that can then be processed
+router.post('/:compilationId/render', validateCompilationId, compilationController.renderCompilation);
+
+// Delete a compilation (its rendered video is kept)
+router.delete('/:compilationId', validateCompilationId, compilationController.deleteCompilation);
+
+module.exports = router;
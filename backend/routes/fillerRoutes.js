@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { uploadFiller } = require('../middleware/uploadMiddleware');
+const fillerController = require('../controllers/fillerController');
+const { validateFillerUpload, validateClipId } = require('../middleware/validation');
+
+// List clips (filter with ?tag=)
+router.get('/', fillerController.listClips);
+
+// Upload a clip (multipart field `clip`, plus title/tags)
+router.post('/', uploadFiller, validateFillerUpload, fillerController.uploadClip);
+
+// Get a single clip
+router.get('/:clipId', validateClipId, fillerController.getClip);
+
+// Delete a clip and its file
+router.delete('/:clipId', validateClipId, fillerController.deleteClip);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const config = require('../config/config');
 
 // Basic health check
 router.get('/', (req, res) => {
@@ -22,7 +23,10 @@ router.get('/detailed', (req, res) => {
         memory: process.memoryUsage(),
         cpu: process.cpuUsage(),
         services: {
+            llm: config.llm.provider,
+            tts: config.tts.provider,
             openai: !!process.env.OPENAI_API_KEY,
+            gemini: !!process.env.GEMINI_API_KEY,
             elevenlabs: !!process.env.ELEVENLABS_API_KEY
         }
     };
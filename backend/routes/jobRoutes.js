@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+
+// List jobs (filter with ?status=&type=&videoId=&limit=)
+router.get('/', jobController.listJobs);
+
+// Get a single job
+router.get('/:jobId', jobController.getJob);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { uploadMusic } = require('../middleware/uploadMiddleware');
+const musicController = require('../controllers/musicController');
+const { validateMusicUpload, validateTrackId } = require('../middleware/validation');
+
+// List tracks (filter with ?mood=&tag=&minBpm=&maxBpm=)
+router.get('/', musicController.listTracks);
+
+// Upload a track (multipart field `track`, plus title/artist/bpm/mood/tags)
+router.post('/', uploadMusic, validateMusicUpload, musicController.uploadTrack);
+
+// Get a single track
+router.get('/:trackId', validateTrackId, musicController.getTrack);
+
+// Delete a track and its file
+router.delete('/:trackId', validateTrackId, musicController.deleteTrack);
+
+module.exports = router;
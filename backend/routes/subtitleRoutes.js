@@ -2,16 +2,30 @@ const express = require('express');
 const router = express.Router();
 const { uploadVideo } = require('../middleware/uploadMiddleware');
 const subtitleController = require('../controllers/subtitleController');
-const { validateSubtitleGeneration } = require('../middleware/validation');
+const {
+    validateVideoId,
+    validateSubtitleGeneration,
+    validateSubtitleStyling,
+    validateAudioMix,
+    validateNarrationSegments,
+    validateProcessOptions,
+    validateVoiceSettings,
+    validateLayout,
+    validateSubtitleTranslation
+} = require('../middleware/validation');
+
+// List named subtitle style presets
+router.get('/styles', subtitleController.getStylePresets);
 
 // Generate subtitles from script text
 router.post('/generate', validateSubtitleGeneration, subtitleController.generateSubtitles);
 
 // Add subtitles to video
-router.post('/add-to-video/:videoId', subtitleController.addSubtitlesToVideo);
+router.post('/add-to-video/:videoId', validateSubtitleStyling, subtitleController.addSubtitlesToVideo);
 
-// Upload video and generate subtitles with script
-router.post('/process', uploadVideo, subtitleController.processVideoWithSubtitles);
+// Upload video and generate subtitles with script (or timed `segments`);
+// without either, a script is written from the video's frames
+router.post('/process', uploadVideo, validateSubtitleStyling, validateAudioMix, validateNarrationSegments, validateVoiceSettings, validateLayout, validateProcessOptions, subtitleController.processVideoWithSubtitles);
 
 // Download subtitle file
 router.get('/download/:videoId', subtitleController.downloadSubtitleFile);
@@ -19,6 +33,12 @@ router.get('/download/:videoId', subtitleController.downloadSubtitleFile);
 // Get subtitle content
 router.get('/content/:videoId', subtitleController.getSubtitleContent);
 
+// Translate subtitles and mux each language as a soft track
+router.post('/translate/:videoId', validateVideoId, validateSubtitleTranslation, subtitleController.translateSubtitles);
+
+// Download video with all subtitle language tracks
+router.get('/video/:videoId', validateVideoId, subtitleController.downloadMultiLanguageVideo);
+
 // Update subtitle timing
 router.put('/timing/:videoId', subtitleController.updateSubtitleTiming);
 
@@ -2,18 +2,97 @@ const express = require('express');
 const router = express.Router();
 const { uploadVideo } = require('../middleware/uploadMiddleware');
 const videoController = require('../controllers/videoController');
-const { validateVideoUpload, validateScriptGeneration } = require('../middleware/validation');
+const musicController = require('../controllers/musicController');
+const voiceController = require('../controllers/voiceController');
+const scriptController = require('../controllers/scriptController');
+const metadataController = require('../controllers/metadataController');
+const fillerController = require('../controllers/fillerController');
+const highlightController = require('../controllers/highlightController');
+const editController = require('../controllers/editController');
+const {
+    validateVideoUpload,
+    validateScriptGeneration,
+    validateVideoId,
+    validateScriptUpdate,
+    validateDubbing,
+    validateMusicAttach,
+    validateVoiceSettings,
+    validateVoiceSelection,
+    validateScriptImprove,
+    validateScriptVersion,
+    validateScriptCompare,
+    validateMetadataGeneration,
+    validateMetadataUpdate,
+    validateLayoutSelection,
+    validateHighlightRequest,
+    validateHighlightSelection,
+    validateEditList
+} = require('../middleware/validation');
 
 // Upload video
-router.post('/upload', uploadVideo, validateVideoUpload, videoController.uploadVideo);
+router.post('/upload', uploadVideo, validateVoiceSettings, validateVideoUpload, videoController.uploadVideo);
 
 // Process video (extract frames, generate script, create audio, merge)
 router.post('/process/:videoId', validateScriptGeneration, videoController.processVideo);
 
+// Resume processing from the first incomplete stage
+router.post('/process/:videoId/resume', validateScriptGeneration, videoController.resumeVideoProcessing);
+
+// Dub the video into other languages (one output video per language)
+router.post('/dub/:videoId', validateVideoId, validateDubbing, videoController.dubVideo);
+
+// Attach background music from the library (mixed in on the next merge)
+router.put('/:videoId/music', validateVideoId, validateMusicAttach, musicController.attachMusic);
+
+// Detach background music
+router.delete('/:videoId/music', validateVideoId, musicController.detachMusic);
+
+// Rank candidate highlight windows by loudness, motion and scene cuts
+router.post('/:videoId/highlights', validateVideoId, validateHighlightRequest, highlightController.findHighlights);
+
+// Get the last ranked highlights and the selected one
+router.get('/:videoId/highlights', validateVideoId, highlightController.getHighlights);
+
+// Pick a highlight (or a custom window); processing then runs on the trimmed clip
+router.put('/:videoId/highlights/selection', validateVideoId, validateHighlightSelection, highlightController.selectHighlight);
+
+// Process the full upload again
+router.delete('/:videoId/highlights/selection', validateVideoId, highlightController.clearHighlight);
+
+// Get the edit decision list and the master it compiles to
+router.get('/:videoId/edit', validateVideoId, editController.getEditList);
+
+// Save in/out points, cuts, speed ranges and clip order; the script is shifted to match
+router.put('/:videoId/edit', validateVideoId, validateEditList, editController.saveEditList);
+
+// Drop the edit list
+router.delete('/:videoId/edit', validateVideoId, editController.clearEditList);
+
+// Save the split-screen layout (filler clip or tag) used on the next render
+router.put('/:videoId/layout', validateVideoId, validateLayoutSelection, fillerController.setLayout);
+
+// Clear the saved layout
+router.delete('/:videoId/layout', validateVideoId, fillerController.clearLayout);
+
+// Set the narration voice, TTS provider and voice settings
+router.put('/:videoId/voice', validateVideoId, validateVoiceSelection, voiceController.updateVideoVoice);
+
+// Generate titles, descriptions and hashtags per platform (TikTok, YouTube Shorts, Instagram Reels)
+router.post('/:videoId/metadata', validateVideoId, validateMetadataGeneration, metadataController.generateMetadata);
+
+// Get stored social metadata
+router.get('/:videoId/metadata', validateVideoId, metadataController.getMetadata);
+
+// Save edited social metadata
+router.put('/:videoId/metadata', validateVideoId, validateMetadataUpdate, metadataController.updateMetadata);
+
 // Get video status
 router.get('/status/:videoId', videoController.getVideoStatus);
 
-// Get processed video
+// Stream status, stage and progress events (Server-Sent Events)
+router.get('/:videoId/events', validateVideoId, videoController.streamVideoEvents);
+
+// Get processed video (?lang=xx for a dubbed variant)
 router.get('/download/:videoId', videoController.downloadVideo);
 
 // Get video frames
@@ -22,8 +101,23 @@ router.get('/frames/:videoId', videoController.getVideoFrames);
 // Get generated script
 router.get('/script/:videoId', videoController.getGeneratedScript);
 
-// Update script (for editing before audio generation)
-router.put('/script/:videoId', videoController.updateScript);
+// Update script (for editing before audio generation); `segments` times each line
+router.put('/script/:videoId', validateScriptUpdate, videoController.updateScript);
+
+// Rewrite the script from feedback as a new version
+router.post('/script/:videoId/improve', validateVideoId, validateScriptImprove, scriptController.improveScript);
+
+// List script versions
+router.get('/script/:videoId/versions', validateVideoId, scriptController.listVersions);
+
+// Diff two script versions (?from=&to=)
+router.get('/script/:videoId/compare', validateVideoId, validateScriptCompare, scriptController.compareVersions);
+
+// Get one script version with its diff
+router.get('/script/:videoId/versions/:version', validateScriptVersion, scriptController.getVersion);
+
+// Make an earlier script version current again
+router.post('/script/:videoId/versions/:version/restore', validateScriptVersion, scriptController.restoreVersion);
 
 // Generate audio from script
 router.post('/audio/:videoId', videoController.generateAudio);
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const voiceController = require('../controllers/voiceController');
+const { validateVoiceQuery, validateVoiceRequest } = require('../middleware/validation');
+
+// List voices (filter with ?provider=&gender=&accent=&age=&useCase=&language=&search=; ?refresh=true skips the cache)
+router.get('/', validateVoiceQuery, voiceController.listVoices);
+
+// Get a voice with its default settings
+router.get('/:voiceId', validateVoiceRequest, voiceController.getVoice);
+
+// Play a sample (?provider=&text=&stability=&similarityBoost=&style=&speakerBoost=)
+router.get('/:voiceId/preview', validateVoiceRequest, voiceController.previewVoice);
+
+module.exports = router;
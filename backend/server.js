@@ -10,11 +10,18 @@ const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
 const config = require('./config/config');
 const { initializeStorage } = require('./utils/storageUtils');
+const jobQueueService = require('./services/jobQueueService');
+const compilationService = require('./services/compilationService');
 
 // Import routes
 const videoRoutes = require('./routes/videoRoutes');
 const healthRoutes = require('./routes/healthRoutes');
 const subtitleRoutes = require('./routes/subtitleRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const musicRoutes = require('./routes/musicRoutes');
+const fillerRoutes = require('./routes/fillerRoutes');
+const compilationRoutes = require('./routes/compilationRoutes');
+const voiceRoutes = require('./routes/voiceRoutes');
 
 const app = express();
 
@@ -42,6 +49,11 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/api/health', healthRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/subtitles', subtitleRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/music', musicRoutes);
+app.use('/api/filler', fillerRoutes);
+app.use('/api/compilations', compilationRoutes);
+app.use('/api/voices', voiceRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -52,11 +64,21 @@ const PORT = process.env.PORT || 5000;
 // Initialize storage directories
 initializeStorage();
 
+// Resume queued and interrupted jobs
+jobQueueService.start();
+
+// Compilations whose render job did not survive the restart can be rendered again
+const interruptedRenders = compilationService.failInterruptedRenders();
+if (interruptedRenders > 0) {
+    console.log(`⚠️  Marked ${interruptedRenders} interrupted compilation render(s) as failed`);
+}
+
 app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🎥 Video processing service ready`);
     console.log(`📦 Storage directories initialized`);
+    console.log(`🧵 Job queue running (concurrency: ${config.queue.concurrency})`);
 });
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,193 @@
+const ffmpegService = require('./ffmpegService');
+const ttsService = require('./ttsService');
+const config = require('../config/config');
+
+// Trailing punctuation that usually comes with a pause when spoken
+const PAUSE_PUNCTUATION = /[.,!?;:…—-]$/;
+
+/**
+ * Group ElevenLabs character timings into word timings
+ * @param {object} alignment - { characters, character_start_times_seconds, character_end_times_seconds }
+ * @returns {object[]} Array of { word, start, end } in seconds
+ */
+const wordsFromCharacterAlignment = (alignment) => {
+    if (!alignment || !Array.isArray(alignment.characters)) {
+        return [];
+    }
+
+    const {
+        characters,
+        character_start_times_seconds: starts,
+        character_end_times_seconds: ends
+    } = alignment;
+
+    const words = [];
+    let current = null;
+
+    characters.forEach((char, index) => {
+        if (/\s/.test(char)) {
+            if (current) {
+                words.push(current);
+                current = null;
+            }
+            return;
+        }
+
+        if (!current) {
+            current = { word: '', start: starts[index], end: ends[index] };
+        }
+
+        current.word += char;
+        current.end = ends[index];
+    });
+
+    if (current) {
+        words.push(current);
+    }
+
+    return words;
+};
+
+/**
+ * Turn silent intervals into the spoken intervals between them
+ * @param {object[]} silences - Array of { start, end } (end may be null)
+ * @param {number} duration - Total audio duration in seconds
+ * @returns {object[]} Array of { start, end } speech intervals
+ */
+const speechSegmentsFromSilences = (silences, duration) => {
+    const segments = [];
+    let cursor = 0;
+
+    silences.forEach(silence => {
+        const silenceEnd = silence.end === null ? duration : silence.end;
+
+        if (silence.start > cursor) {
+            segments.push({ start: cursor, end: Math.min(silence.start, duration) });
+        }
+        cursor = Math.max(cursor, silenceEnd);
+    });
+
+    if (cursor < duration) {
+        segments.push({ start: cursor, end: duration });
+    }
+
+    // Whole file below the threshold: treat everything as speech
+    return segments.length > 0 ? segments : [{ start: 0, end: duration }];
+};
+
+/**
+ * Estimate word timings from the audio itself: words are spread over the
+ * non-silent parts of the file in proportion to their length, so pauses
+ * in the voiceover become gaps between captions.
+ * @param {string} text - Text that was spoken
+ * @param {string} audioPath - Path to the generated audio (e.g. MP3)
+ * @returns {Promise<object[]>} Array of { word, start, end } in seconds
+ */
+const alignTextToAudio = async (text, audioPath) => {
+    const words = text.split(/\s+/).filter(word => word.length > 0);
+    if (words.length === 0) {
+        return [];
+    }
+
+    const metadata = await ffmpegService.getVideoMetadata(audioPath);
+    const duration = parseFloat(metadata.duration);
+    if (!duration || isNaN(duration)) {
+        throw new Error(`Could not read audio duration: ${audioPath}`);
+    }
+
+    const silences = await ffmpegService.detectSilences(audioPath);
+    const segments = speechSegmentsFromSilences(silences, duration);
+    const speechDuration = segments.reduce((total, segment) => total + (segment.end - segment.start), 0);
+
+    // Longer words take longer to say; punctuation adds a little breathing room
+    const weights = words.map(word => word.length + 1 + (PAUSE_PUNCTUATION.test(word) ? 2 : 0));
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+    // Map a position on the speech-only timeline to a real timestamp and
+    // the segment it falls in. atEnd keeps a boundary position inside the
+    // segment it closes.
+    const toAudioTime = (speechTime, atEnd) => {
+        let elapsed = 0;
+        for (let index = 0; index < segments.length; index++) {
+            const segment = segments[index];
+            const length = segment.end - segment.start;
+            const inside = atEnd ? speechTime <= elapsed + length : speechTime < elapsed + length;
+            if (inside) {
+                return { time: segment.start + (speechTime - elapsed), segment: index };
+            }
+            elapsed += length;
+        }
+        return { time: segments[segments.length - 1].end, segment: segments.length - 1 };
+    };
+
+    let consumed = 0;
+    return words.map((word, index) => {
+        const from = toAudioTime((consumed / totalWeight) * speechDuration, false);
+        consumed += weights[index];
+        const to = toAudioTime((consumed / totalWeight) * speechDuration, true);
+
+        let start = from.time;
+        let end = to.time;
+
+        // A word never spans a pause: keep it on the side holding most of it
+        if (from.segment !== to.segment) {
+            const before = segments[from.segment].end - start;
+            const after = end - segments[to.segment].start;
+            if (after >= before) {
+                start = segments[to.segment].start;
+            } else {
+                end = segments[from.segment].end;
+            }
+        }
+
+        return { word, start, end };
+    });
+};
+
+/**
+ * Generate the voiceover and word timings for it. With the 'elevenlabs'
+ * strategy the timings come from the TTS provider; if it returns none (or
+ * the strategy is 'local') they are estimated from the audio with the
+ * local aligner.
+ * @param {string} text - Text to convert to speech
+ * @param {string} voiceId - Voice ID (optional)
+ * @param {string} outputPath - Path to save the audio file
+ * @param {object} options - Options passed to ttsService, including `provider`
+ * @returns {Promise<object>} Audio info plus `wordTimings` (null if alignment failed)
+ */
+const generateAlignedAudio = async (text, voiceId, outputPath, options = {}) => {
+    let result = null;
+
+    if (config.subtitles.alignment === 'elevenlabs') {
+        try {
+            result = await ttsService.synthesize(text, voiceId, outputPath, { ...options, timestamps: true });
+            const wordTimings = wordsFromCharacterAlignment(result.alignment);
+
+            if (wordTimings.length > 0) {
+                return { ...result, wordTimings };
+            }
+        } catch (error) {
+            console.error('❌ ALIGNMENT ERROR: Timestamped TTS failed, falling back to local alignment:', error.message);
+        }
+    }
+
+    if (!result) {
+        result = await ttsService.synthesize(text, voiceId, outputPath, options);
+    }
+
+    let wordTimings = null;
+    try {
+        wordTimings = await alignTextToAudio(text, result.audioPath);
+    } catch (error) {
+        console.error('❌ ALIGNMENT ERROR: Local alignment failed:', error.message);
+    }
+
+    return { ...result, wordTimings };
+};
+
+module.exports = {
+    wordsFromCharacterAlignment,
+    speechSegmentsFromSilences,
+    alignTextToAudio,
+    generateAlignedAudio
+};
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpegService = require('./ffmpegService');
+const editService = require('./editService');
+const videoModel = require('../models/videoModel');
+const compilationModel = require('../models/compilationModel');
+const jobModel = require('../models/jobModel');
+const config = require('../config/config');
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+// libx264 with yuv420p needs even frame sizes
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Probe each video of a compilation. The edited master is used when one
+ * has been rendered, so trimmed highlights can be stitched.
+ * @param {object[]} videos - Video records in play order
+ * @returns {Promise<object[]>} Array of { videoId, title, path, duration, hasAudio, width, height }
+ * @throws {Error} When a clip's duration can't be read
+ */
+const probeClips = async (videos) => {
+    const clips = [];
+    for (const video of videos) {
+        const clipPath = videoModel.getSourcePath(video);
+        const metadata = await ffmpegService.getVideoMetadata(clipPath);
+        const duration = parseFloat(metadata.duration);
+        if (!Number.isFinite(duration) || duration <= 0) {
+            throw new Error(`Could not read the duration of ${video.originalName}`);
+        }
+
+        clips.push({
+            videoId: video.id,
+            title: video.script?.title || video.originalName,
+            path: clipPath,
+            duration,
+            hasAudio: !!metadata.audio,
+            width: metadata.video ? metadata.video.displayWidth : null,
+            height: metadata.video ? metadata.video.displayHeight : null
+        });
+    }
+    return clips;
+};
+
+/**
+ * Pick the common frame size and rate: the requested ones, or the first
+ * clip's size at config.compilation.fps
+ * @param {object[]} clips - From probeClips
+ * @param {object|null} format - { width, height, fps } (optional)
+ * @returns {object} { width, height, fps }
+ */
+const resolveFormat = (clips, format) => {
+    const requested = format || {};
+    const [first] = clips;
+    return {
+        width: even(requested.width || first.width || config.reframe.width),
+        height: even(requested.height || first.height || config.reframe.height),
+        fps: requested.fps || config.compilation.fps
+    };
+};
+
+/**
+ * Work out where each clip lands in the stitched video. A transition
+ * overlaps the end of one clip with the start of the next, so the video is
+ * shorter than the clips combined; each clip's range ends halfway through
+ * the transition out of it.
+ * @param {object[]} clips - Array of { videoId, title, duration } in play order
+ * @param {object|null} transition - { type, duration }; null uses the config defaults
+ * @returns {object} { transition, offsets, clips: [{ videoId, title, start, end }], duration }
+ */
+const planTimeline = (clips, transition) => {
+    const selection = transition || {};
+    const type = selection.type || config.compilation.transition;
+    const shortest = Math.min(...clips.map(clip => clip.duration));
+    const overlap = type === 'none'
+        ? 0
+        : round(Math.min(selection.duration ?? config.compilation.transitionDuration, shortest / 2));
+
+    // xfade offsets are measured on the video stitched so far
+    const offsets = [0];
+    let elapsed = clips[0].duration;
+    for (let index = 1; index < clips.length; index++) {
+        offsets.push(round(elapsed - overlap));
+        elapsed = offsets[index] + clips[index].duration;
+    }
+
+    return {
+        transition: { type, duration: overlap },
+        offsets,
+        clips: clips.map((clip, index) => ({
+            videoId: clip.videoId,
+            title: clip.title,
+            start: index === 0 ? 0 : round(offsets[index] + overlap / 2, 2),
+            end: index === clips.length - 1 ? round(elapsed, 2) : round(offsets[index + 1] + overlap / 2, 2)
+        })),
+        duration: round(elapsed)
+    };
+};
+
+/**
+ * Make sure no job other than the render itself works on the video, so
+ * the render doesn't reset stages under a running pipeline
+ * @param {string|null} videoId - Video the render writes to
+ * @param {string|null} jobId - The render's own job
+ * @throws {Error} When another job is queued or running for the video
+ */
+const assertVideoIdle = (videoId, jobId) => {
+    const busy = videoId && jobModel.findAll({ videoId })
+        .some(job => job.id !== jobId && (job.status === 'queued' || job.status === 'running'));
+    if (busy) {
+        throw new Error(`Video ${videoId} is being processed; render again once it finishes`);
+    }
+};
+
+/**
+ * Stitch a compilation's videos and register the result as a video, so
+ * the usual pipeline (frames, commentary, voiceover, subtitles) runs on
+ * it. Rendering again replaces the file of the same video record, but
+ * only once the new file is complete.
+ * @param {object} compilation - Compilation record
+ * @param {object} options - { videoId: ID for a first render's video, jobId: the render job holding the video's lock, onProgress: FFmpeg progress callback }
+ * @returns {Promise<object>} { video, timeline, format }
+ * @throws {Error} When another job works on the video or FFmpeg produces no output
+ */
+const renderCompilation = async (compilation, options = {}) => {
+    const videoId = compilation.videoId || options.videoId;
+    assertVideoIdle(videoId, options.jobId);
+
+    const videos = compilation.videoIds.map(id => videoModel.findById(id));
+    const clips = await probeClips(videos);
+    const format = resolveFormat(clips, compilation.format);
+    const timeline = planTimeline(clips, compilation.transition);
+
+    // The current file stays playable until the new one is complete
+    const outputPath = path.join(config.upload.uploadDir, `compilation-${compilation.id}.mp4`);
+    const renderPath = path.join(config.upload.uploadDir, `compilation-${compilation.id}.rendering.mp4`);
+    try {
+        await ffmpegService.concatenateClips(clips, renderPath, {
+            ...format,
+            transition: timeline.transition.type,
+            transitionDuration: timeline.transition.duration,
+            offsets: timeline.offsets,
+            onProgress: options.onProgress
+        });
+
+        if (!fs.existsSync(renderPath) || fs.statSync(renderPath).size === 0) {
+            throw new Error('FFmpeg did not produce the compilation video');
+        }
+        assertVideoIdle(videoId, options.jobId);
+        fs.renameSync(renderPath, outputPath);
+    } finally {
+        if (fs.existsSync(renderPath)) {
+            fs.unlinkSync(renderPath);
+        }
+    }
+
+    const record = {
+        originalName: `${compilation.title}.mp4`,
+        filePath: outputPath,
+        fileSize: fs.statSync(outputPath).size,
+        mimeType: 'video/mp4',
+        duration: timeline.duration,
+        compilation: { id: compilation.id, clips: timeline.clips }
+    };
+
+    const existing = compilation.videoId ? videoModel.findById(compilation.videoId) : null;
+    let video;
+    if (existing) {
+        // Timings picked on the old file no longer apply
+        video = videoModel.update(existing.id, {
+            ...record,
+            status: 'uploaded',
+            sourceDuration: timeline.duration,
+            trim: null,
+            editList: null,
+            masterVideoPath: null,
+            highlights: null,
+            highlightAnalysis: null
+        });
+        videoModel.resetStages(existing.id, Object.keys(existing.stages || {}).filter(stage => stage !== 'upload'));
+    } else {
+        video = videoModel.create({
+            ...record,
+            id: videoId,
+            prompt: compilation.prompt,
+            style: compilation.style
+        });
+    }
+
+    return { video, timeline, format };
+};
+
+/**
+ * Mark compilations left 'rendering' without a live render job as failed,
+ * so they can be edited and rendered again after a crash
+ * @returns {number} Number of compilations updated
+ */
+const failInterruptedRenders = () => {
+    let count = 0;
+
+    compilationModel.findAll()
+        .filter(compilation => compilation.status === 'rendering')
+        .filter(compilation => {
+            const job = compilation.jobId ? jobModel.findById(compilation.jobId) : null;
+            return !job || (job.status !== 'queued' && job.status !== 'running');
+        })
+        .forEach(compilation => {
+            compilationModel.update(compilation.id, {
+                status: 'failed',
+                error: 'Rendering was interrupted by a server restart'
+            });
+            count++;
+        });
+
+    return count;
+};
+
+/**
+ * Clip ranges of a compilation video on the clip the pipeline works on,
+ * shifted through its edit list when it has one
+ * @param {object} video - Video record
+ * @returns {object[]|null} Array of { videoId, title, start, end }, or null for other videos
+ */
+const getClipTimeline = (video) => {
+    const clips = video.compilation?.clips;
+    if (!clips?.length) {
+        return null;
+    }
+    if (!editService.hasEdits(video)) {
+        return clips;
+    }
+
+    const sourceDuration = video.sourceDuration || clips[clips.length - 1].end;
+    const original = editService.compileEditList(null, null, sourceDuration);
+    const edited = editService.compileEditList(video.editList, video.trim, sourceDuration);
+    const shifted = editService.remapTimings(clips, original.pieces, edited.pieces);
+    return shifted.length ? shifted : null;
+};
+
+module.exports = {
+    probeClips,
+    resolveFormat,
+    planTimeline,
+    renderCompilation,
+    failInterruptedRenders,
+    getClipTimeline
+};
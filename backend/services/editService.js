@@ -0,0 +1,201 @@
+const config = require('../config/config');
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+/**
+ * Whether a video is rendered to a master clip before processing
+ * @param {object} video - Video record
+ * @returns {boolean} True when a highlight or an edit list is set
+ */
+const hasEdits = (video) => !!(video.trim || video.editList);
+
+/**
+ * Remove ranges from a span
+ * @param {number} start - Span start
+ * @param {number} end - Span end
+ * @param {object[]} cuts - Array of { start, end } to remove
+ * @returns {object[]} Remaining { start, end } ranges in order
+ */
+const subtractRanges = (start, end, cuts) => {
+    let ranges = [{ start, end }];
+    [...cuts].sort((a, b) => a.start - b.start).forEach(cut => {
+        ranges = ranges.flatMap(range => {
+            if (cut.end <= range.start || cut.start >= range.end) {
+                return [range];
+            }
+            return [
+                { start: range.start, end: cut.start },
+                { start: cut.end, end: range.end }
+            ].filter(part => part.end > part.start);
+        });
+    });
+    return ranges;
+};
+
+/**
+ * Turn an edit list into the pieces the master is rendered from. Times in
+ * the edit list are on the upload; in/out default to the picked highlight.
+ * Cuts split the in/out span into clips (numbered in upload order), `order`
+ * rearranges them, and speed ranges split clips further where the rate changes.
+ * @param {object|null} editList - { in, out, cuts, speed, order }
+ * @param {object|null} trim - Picked highlight { start, end }
+ * @param {number} sourceDuration - Upload duration in seconds
+ * @returns {object} { clips, pieces: [{ start, end, rate, outStart, outEnd }], duration }
+ * @throws {Error} When the edit list doesn't fit the upload
+ */
+const compileEditList = (editList, trim, sourceDuration) => {
+    const { minClipDuration } = config.edit;
+    const edits = editList || {};
+    const inPoint = edits.in ?? trim?.start ?? 0;
+    const outPoint = Math.min(edits.out ?? trim?.end ?? sourceDuration, sourceDuration);
+
+    if (inPoint >= outPoint) {
+        throw new Error(`The in point (${inPoint}s) must be before the out point and the end of the video (${round(sourceDuration, 2)}s)`);
+    }
+
+    const clips = subtractRanges(inPoint, outPoint, edits.cuts || [])
+        .filter(clip => clip.end - clip.start >= minClipDuration);
+    if (clips.length === 0) {
+        throw new Error('The edit removes the whole video');
+    }
+
+    const order = edits.order || clips.map((_, index) => index);
+    const sortedOrder = [...order].sort((a, b) => a - b);
+    if (sortedOrder.length !== clips.length || sortedOrder.some((clip, index) => clip !== index)) {
+        throw new Error(`order must list each of the ${clips.length} clip(s) (0-${clips.length - 1}) exactly once`);
+    }
+
+    const speed = [...(edits.speed || [])].sort((a, b) => a.start - b.start);
+    speed.forEach((range, index) => {
+        if (index > 0 && range.start < speed[index - 1].end) {
+            throw new Error(`Speed ranges overlap at ${range.start}s`);
+        }
+    });
+
+    const pieces = [];
+    let outTime = 0;
+    order.forEach(clipIndex => {
+        const clip = clips[clipIndex];
+        // Cut the clip where speed ranges begin and end
+        const bounds = [clip.start, clip.end];
+        speed.forEach(range => {
+            [range.start, range.end].forEach(time => {
+                if (time > clip.start && time < clip.end) {
+                    bounds.push(time);
+                }
+            });
+        });
+        bounds.sort((a, b) => a - b);
+
+        for (let index = 0; index < bounds.length - 1; index++) {
+            const start = bounds[index];
+            const end = bounds[index + 1];
+            const range = speed.find(entry => entry.start <= start && entry.end >= end);
+            const rate = range ? range.rate : 1;
+            const length = (end - start) / rate;
+            pieces.push({
+                clip: clipIndex,
+                start: round(start),
+                end: round(end),
+                rate,
+                outStart: round(outTime),
+                outEnd: round(outTime + length)
+            });
+            outTime += length;
+        }
+    });
+
+    return {
+        clips: clips.map(clip => ({ start: round(clip.start), end: round(clip.end) })),
+        pieces,
+        duration: round(outTime)
+    };
+};
+
+/**
+ * Map a range on one master onto another. The range is split where it
+ * crosses pieces of the old master, each part is followed back to the
+ * upload and onto the new master, and the longest surviving part is kept.
+ * @param {number} start - Range start on the old master
+ * @param {number} end - Range end on the old master
+ * @param {object[]} fromPieces - Pieces of the old master
+ * @param {object[]} toPieces - Pieces of the new master
+ * @returns {object|null} { start, end } on the new master, or null if it was cut
+ */
+const mapRange = (start, end, fromPieces, toPieces) => {
+    let best = null;
+
+    fromPieces.forEach(from => {
+        const outStart = Math.max(start, from.outStart);
+        const outEnd = Math.min(end, from.outEnd);
+        if (outEnd <= outStart) {
+            return;
+        }
+
+        const sourceStart = from.start + (outStart - from.outStart) * from.rate;
+        const sourceEnd = from.start + (outEnd - from.outStart) * from.rate;
+
+        toPieces.forEach(to => {
+            const keptStart = Math.max(sourceStart, to.start);
+            const keptEnd = Math.min(sourceEnd, to.end);
+            if (keptEnd <= keptStart) {
+                return;
+            }
+
+            const mapped = {
+                start: to.outStart + (keptStart - to.start) / to.rate,
+                end: to.outStart + (keptEnd - to.start) / to.rate
+            };
+            if (!best || mapped.end - mapped.start > best.end - best.start) {
+                best = mapped;
+            }
+        });
+    });
+
+    return best ? { start: round(best.start, 2), end: round(best.end, 2) } : null;
+};
+
+/**
+ * Shift timed items (script segments, word timings) from one master to
+ * another. Items inside removed ranges, or cut down below `minDuration`,
+ * are dropped; the rest are sorted by their new start.
+ * @param {object[]} items - Array of objects with start and end in seconds
+ * @param {object[]} fromPieces - Pieces of the master the items are timed on
+ * @param {object[]} toPieces - Pieces of the new master
+ * @param {number} minDuration - Shortest item kept
+ * @returns {object[]} Items with new start and end
+ */
+const remapTimings = (items, fromPieces, toPieces, minDuration = 0) => items
+    .map(item => {
+        const mapped = mapRange(item.start, item.end, fromPieces, toPieces);
+        return mapped && mapped.end - mapped.start >= minDuration ? { ...item, ...mapped } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+/**
+ * Shift a timed script from one master to another
+ * @param {object} script - Script record with `segments`
+ * @param {object[]} fromPieces - Pieces of the master the script is timed on
+ * @param {object[]} toPieces - Pieces of the new master
+ * @returns {object} { script, dropped } with the shifted script and the number of segments removed
+ */
+const remapScript = (script, fromPieces, toPieces) => {
+    const segments = remapTimings(script.segments, fromPieces, toPieces, config.edit.minSegmentDuration);
+    return {
+        script: {
+            ...script,
+            segments,
+            script: segments.map(segment => segment.text).join(' ')
+        },
+        dropped: script.segments.length - segments.length
+    };
+};
+
+module.exports = {
+    hasEdits,
+    compileEditList,
+    mapRange,
+    remapTimings,
+    remapScript
+};
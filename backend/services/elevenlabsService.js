@@ -6,6 +6,29 @@ const config = require('../config/config');
 // ElevenLabs API configuration
 const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
 
+/**
+ * Map an ElevenLabs request failure to a readable error
+ * @param {Error} error - Axios or internal error
+ * @returns {Error} Error with a user-facing message
+ */
+const toAudioError = (error) => {
+    if (error.response) {
+        const { status, data } = error.response;
+
+        if (status === 401) {
+            return new Error('Invalid ElevenLabs API key');
+        } else if (status === 422) {
+            return new Error('Invalid request parameters');
+        } else if (status === 429) {
+            return new Error('Rate limit exceeded. Please try again later.');
+        }
+
+        return new Error(`ElevenLabs API error: ${data?.message || 'Unknown error'}`);
+    }
+
+    return new Error(`Failed to generate audio: ${error.message}`);
+};
+
 /**
  * Get available voices from ElevenLabs
  * @returns {Promise<Array>} Array of available voices
@@ -70,7 +93,8 @@ const generateAudio = async (text, voiceId = null, outputPath, options = {}) =>
                 stability: stability,
                 similarity_boost: similarityBoost,
                 style: style,
-                use_speaker_boost: speakerBoost
+                use_speaker_boost: speakerBoost,
+                speed: speed
             }
         };
 
@@ -114,23 +138,85 @@ const generateAudio = async (text, voiceId = null, outputPath, options = {}) =>
 
     } catch (error) {
         console.error('ElevenLabs audio generation error:', error);
-        
-        // Handle specific API errors
-        if (error.response) {
-            const { status, data } = error.response;
-            
-            if (status === 401) {
-                throw new Error('Invalid ElevenLabs API key');
-            } else if (status === 422) {
-                throw new Error('Invalid request parameters');
-            } else if (status === 429) {
-                throw new Error('Rate limit exceeded. Please try again later.');
-            } else {
-                throw new Error(`ElevenLabs API error: ${data.message || 'Unknown error'}`);
+        throw toAudioError(error);
+    }
+};
+
+/**
+ * Generate audio plus per-character timings, used to time subtitles
+ * against the actual voiceover
+ * @param {string} text - Text to convert to speech
+ * @param {string} voiceId - Voice ID to use (optional, uses default if not provided)
+ * @param {string} outputPath - Path to save the audio file
+ * @param {object} options - Same options as generateAudio
+ * @returns {Promise<object>} Generated audio info including `alignment`
+ */
+const generateAudioWithTimestamps = async (text, voiceId = null, outputPath, options = {}) => {
+    try {
+        if (!text || text.trim().length === 0) {
+            throw new Error('Text is required for audio generation');
+        }
+
+        const selectedVoiceId = voiceId || config.elevenlabs.voiceId;
+
+        const {
+            model = config.elevenlabs.model,
+            stability = 0.5,
+            similarityBoost = 0.5,
+            style = 0.5,
+            speakerBoost = true,
+            speed = 1.0
+        } = options;
+
+        const payload = {
+            text: text,
+            model_id: model,
+            voice_settings: {
+                stability: stability,
+                similarity_boost: similarityBoost,
+                style: style,
+                use_speaker_boost: speakerBoost,
+                speed: speed
+            }
+        };
+
+        // Returns JSON with base64 audio instead of a raw audio body
+        const response = await axios.post(
+            `${ELEVENLABS_API_URL}/text-to-speech/${selectedVoiceId}/with-timestamps?output_format=mp3_44100_128`,
+            payload,
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'xi-api-key': config.elevenlabs.apiKey
+                }
             }
+        );
+
+        const outputDir = path.dirname(outputPath);
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
         }
 
-        throw new Error(`Failed to generate audio: ${error.message}`);
+        fs.writeFileSync(outputPath, Buffer.from(response.data.audio_base64, 'base64'));
+
+        const stats = fs.statSync(outputPath);
+
+        return {
+            success: true,
+            data: {
+                audioPath: outputPath,
+                fileSize: stats.size,
+                voiceId: selectedVoiceId,
+                model: model,
+                textLength: text.length,
+                alignment: response.data.alignment || null,
+                generatedAt: new Date().toISOString()
+            }
+        };
+
+    } catch (error) {
+        console.error('ElevenLabs timestamped audio generation error:', error);
+        throw toAudioError(error);
     }
 };
 
@@ -218,10 +304,10 @@ const streamAudio = async (text, voiceId, options = {}) => {
             text: text,
             model_id: options.model || config.elevenlabs.model,
             voice_settings: {
-                stability: options.stability || 0.5,
-                similarity_boost: options.similarityBoost || 0.5,
-                style: options.style || 0.5,
-                use_speaker_boost: options.speakerBoost || true
+                stability: options.stability ?? 0.5,
+                similarity_boost: options.similarityBoost ?? 0.5,
+                style: options.style ?? 0.5,
+                use_speaker_boost: options.speakerBoost ?? true
             }
         };
 
@@ -300,6 +386,7 @@ const speechToSpeech = async (audioPath, voiceId, outputPath) => {
 module.exports = {
     getAvailableVoices,
     generateAudio,
+    generateAudioWithTimestamps,
     generateAudioWithCustomSettings,
     getVoiceSettings,
     getUserInfo,
@@ -78,6 +78,526 @@ const extractFrames = (videoPath, outputDir, frameRate = config.ffmpeg.frameRate
     });
 };
 
+/**
+ * Find the timestamps where the picture changes scene
+ * @param {string} videoPath - Path to the video file
+ * @param {number} threshold - Scene score (0-1) above which a frame starts a new scene
+ * @returns {Promise<number[]>} Scene start times in seconds, in order
+ */
+const detectSceneChanges = (videoPath, threshold = config.ffmpeg.sceneThreshold) => {
+    return new Promise((resolve, reject) => {
+        const changes = [];
+
+        ffmpeg(videoPath)
+            .videoFilters(`select='gt(scene,${threshold})',showinfo`)
+            .noAudio()
+            .format('null')
+            .output('-')
+            .on('stderr', (line) => {
+                const match = line.includes('showinfo') && line.match(/pts_time:\s*([\d.]+)/);
+                if (match) {
+                    changes.push(parseFloat(match[1]));
+                }
+            })
+            .on('end', () => {
+                resolve(changes.sort((a, b) => a - b));
+            })
+            .on('error', (err) => {
+                console.error('Scene detection error:', err);
+                reject(err);
+            })
+            .run();
+    });
+};
+
+/**
+ * Measure how a video changes over time in a single decoding pass: the
+ * scene score of every frame (frame-to-frame change, 0-1) and the momentary
+ * loudness every 100ms
+ * @param {string} videoPath - Path to the video file
+ * @param {object} options - { width: analysis width, audio: false to skip loudness }
+ * @returns {Promise<object>} { scenes: [{ time, score }], loudness: [{ time, value }] (LUFS) }
+ */
+const analyzeActivity = (videoPath, options = {}) => {
+    const { width = config.highlights.analysisWidth, audio = true } = options;
+
+    return new Promise((resolve, reject) => {
+        const scenes = [];
+        const loudness = [];
+        let frameTime = null;
+
+        const command = ffmpeg(videoPath)
+            .videoFilters([
+                `scale=${width}:-2`,
+                "select='gte(scene,0)'",
+                'metadata=print:key=lavfi.scene_score'
+            ]);
+
+        if (audio) {
+            command.audioFilters('ebur128');
+        } else {
+            command.noAudio();
+        }
+
+        command
+            .format('null')
+            .output('-')
+            .on('stderr', (line) => {
+                const time = line.match(/pts_time:\s*([\d.]+)/);
+                const score = line.match(/lavfi\.scene_score=([\d.]+)/);
+                const momentary = line.match(/\bt:\s*([\d.]+)\s+TARGET:.*?\bM:\s*(-?[\d.]+|-inf)/);
+
+                if (time) {
+                    frameTime = parseFloat(time[1]);
+                } else if (score && frameTime !== null) {
+                    scenes.push({ time: frameTime, score: parseFloat(score[1]) });
+                } else if (momentary) {
+                    const value = parseFloat(momentary[2]);
+                    loudness.push({ time: parseFloat(momentary[1]), value: Number.isFinite(value) ? value : -70 });
+                }
+            })
+            .on('end', () => {
+                resolve({ scenes, loudness });
+            })
+            .on('error', (err) => {
+                console.error('Activity analysis error:', err);
+                reject(err);
+            })
+            .run();
+    });
+};
+
+/**
+ * Cut a section out of a video, re-encoding so it starts on the exact frame
+ * @param {string} videoPath - Path to the video file
+ * @param {string} outputPath - Path for the trimmed clip
+ * @param {number} start - Start time in seconds
+ * @param {number} end - End time in seconds
+ * @param {Function} onProgress - Progress callback (optional)
+ * @returns {Promise<string>} Path to the trimmed clip
+ */
+const trimVideo = (videoPath, outputPath, start, end, onProgress = null) => {
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    console.log(`✂️ Trimming ${start.toFixed(2)}s-${end.toFixed(2)}s`);
+
+    return new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+            .inputOptions(`-ss ${start}`)
+            .outputOptions([
+                `-t ${(end - start).toFixed(3)}`,
+                '-map 0:v:0',
+                '-map 0:a?',
+                '-c:v libx264',
+                `-preset ${config.highlights.preset}`,
+                `-crf ${config.highlights.crf}`,
+                '-pix_fmt yuv420p',
+                '-c:a aac',
+                '-movflags +faststart'
+            ])
+            .output(outputPath)
+            .on('end', () => {
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('Trim error:', err);
+                reject(err);
+            })
+            .on('progress', (progress) => {
+                if (onProgress) {
+                    onProgress(progress);
+                }
+            })
+            .run();
+    });
+};
+
+/**
+ * atempo only takes rates between 0.5 and 2 on older FFmpeg builds, so
+ * larger changes are chained
+ * @param {number} rate - Playback rate
+ * @returns {string[]} atempo filters whose product is the rate
+ */
+const buildAtempoChain = (rate) => {
+    const filters = [];
+    let remaining = rate;
+    while (remaining > 2 || remaining < 0.5) {
+        const step = remaining > 2 ? 2 : 0.5;
+        filters.push(`atempo=${step}`);
+        remaining /= step;
+    }
+    if (Math.abs(remaining - 1) > 1e-6) {
+        filters.push(`atempo=${Number(remaining.toFixed(4))}`);
+    }
+    return filters;
+};
+
+/**
+ * Build the filter graph that cuts an upload into pieces, changes each
+ * piece's speed and joins them in order
+ * @param {object[]} pieces - Array of { start, end, rate } from editService.compileEditList
+ * @param {boolean} hasAudio - Whether the upload has an audio track
+ * @returns {string} Filter graph with `vout` (and `aout`) outputs
+ */
+const buildEditFilter = (pieces, hasAudio) => {
+    const graph = [];
+    const labels = [];
+
+    pieces.forEach((piece, index) => {
+        const pts = piece.rate === 1 ? 'PTS-STARTPTS' : `(PTS-STARTPTS)/${piece.rate}`;
+        graph.push(`[0:v]trim=start=${piece.start}:end=${piece.end},setpts=${pts}[v${index}]`);
+        labels.push(`[v${index}]`);
+
+        if (hasAudio) {
+            const audioFilters = [`atrim=start=${piece.start}:end=${piece.end}`, 'asetpts=PTS-STARTPTS', ...buildAtempoChain(piece.rate)];
+            graph.push(`[0:a]${audioFilters.join(',')}[a${index}]`);
+            labels.push(`[a${index}]`);
+        }
+    });
+
+    graph.push(`${labels.join('')}concat=n=${pieces.length}:v=1:a=${hasAudio ? 1 : 0}[vout]${hasAudio ? '[aout]' : ''}`);
+    return graph.join(';');
+};
+
+/**
+ * Render an edit list into a master clip: the kept pieces of the upload,
+ * each at its own speed, joined in the edit's order
+ * @param {string} videoPath - Path to the upload
+ * @param {string} outputPath - Path for the master clip
+ * @param {object[]} pieces - Array of { start, end, rate } from editService.compileEditList
+ * @param {function} onProgress - Progress callback (optional)
+ * @returns {Promise<string>} Path to the master clip
+ */
+const renderEditList = async (videoPath, outputPath, pieces, onProgress = null) => {
+    const metadata = await getVideoMetadata(videoPath);
+    const hasAudio = !!metadata.audio;
+
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    console.log(`🎞️ Rendering edit list (${pieces.length} piece(s)${hasAudio ? '' : ', no audio'})`);
+
+    return new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+            .complexFilter(buildEditFilter(pieces, hasAudio), hasAudio ? ['vout', 'aout'] : 'vout')
+            .outputOptions([
+                '-c:v libx264',
+                `-preset ${config.edit.preset}`,
+                `-crf ${config.edit.crf}`,
+                '-pix_fmt yuv420p',
+                ...(hasAudio ? ['-c:a aac'] : []),
+                '-movflags +faststart'
+            ])
+            .output(outputPath)
+            .on('end', () => {
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('Edit render error:', err);
+                reject(err);
+            })
+            .on('progress', (progress) => {
+                if (onProgress) {
+                    onProgress(progress);
+                }
+            })
+            .run();
+    });
+};
+
+/**
+ * Build the filter graph that stitches clips into one video. Each clip is
+ * fitted (letterboxed) to a common frame size and frame rate, clips without
+ * sound get silence, and clips are joined with hard cuts (`concat`) or
+ * `xfade`/`acrossfade` transitions.
+ * @param {object[]} clips - Array of { duration, hasAudio }, one per input
+ * @param {object} options - { width, height, fps, transition, transitionDuration, offsets }
+ *   where offsets[i] is when the transition into clip i starts
+ * @returns {string} Filter graph with `vout` and `aout` outputs
+ */
+const buildCompilationFilter = (clips, options) => {
+    const { width, height, fps, transition = 'none', transitionDuration = 0, offsets = [] } = options;
+    const sampleRate = config.compilation.sampleRate;
+    const graph = [];
+
+    clips.forEach((clip, index) => {
+        graph.push(`[${index}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p,settb=AVTB[v${index}]`);
+        graph.push(clip.hasAudio
+            ? `[${index}:a]aresample=${sampleRate},aformat=sample_fmts=fltp:channel_layouts=stereo[a${index}]`
+            : `anullsrc=channel_layout=stereo:sample_rate=${sampleRate},atrim=duration=${clip.duration}[a${index}]`);
+    });
+
+    if (transition === 'none' || clips.length < 2) {
+        const labels = clips.map((_, index) => `[v${index}][a${index}]`).join('');
+        graph.push(`${labels}concat=n=${clips.length}:v=1:a=1[vout][aout]`);
+        return graph.join(';');
+    }
+
+    // Each transition takes the output of the previous one
+    let video = 'v0';
+    let audio = 'a0';
+    for (let index = 1; index < clips.length; index++) {
+        const last = index === clips.length - 1;
+        const videoOut = last ? 'vout' : `vx${index}`;
+        const audioOut = last ? 'aout' : `ax${index}`;
+        graph.push(`[${video}][v${index}]xfade=transition=${transition}:duration=${transitionDuration}:offset=${offsets[index]}[${videoOut}]`);
+        graph.push(`[${audio}][a${index}]acrossfade=d=${transitionDuration}[${audioOut}]`);
+        video = videoOut;
+        audio = audioOut;
+    }
+
+    return graph.join(';');
+};
+
+/**
+ * Stitch clips into one video with a common frame size and frame rate
+ * @param {object[]} clips - Array of { path, duration, hasAudio } in play order
+ * @param {string} outputPath - Path for the stitched video
+ * @param {object} options - { width, height, fps, transition, transitionDuration, offsets, onProgress }
+ * @returns {Promise<string>} Path to the stitched video
+ */
+const concatenateClips = (clips, outputPath, options = {}) => {
+    const { onProgress = null } = options;
+
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const transition = options.transition && options.transition !== 'none'
+        ? `${options.transition} transitions (${options.transitionDuration}s)`
+        : 'hard cuts';
+    console.log(`🎬 Stitching ${clips.length} clips at ${options.width}x${options.height} ${options.fps}fps with ${transition}`);
+
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg();
+        clips.forEach(clip => command.input(clip.path));
+
+        command
+            .complexFilter(buildCompilationFilter(clips, options), ['vout', 'aout'])
+            .outputOptions([
+                '-c:v libx264',
+                `-preset ${config.compilation.preset}`,
+                `-crf ${config.compilation.crf}`,
+                '-pix_fmt yuv420p',
+                '-c:a aac',
+                '-movflags +faststart'
+            ])
+            .output(outputPath)
+            .on('end', () => {
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('Compilation error:', err);
+                reject(err);
+            })
+            .on('progress', (progress) => {
+                if (onProgress) {
+                    onProgress(progress);
+                }
+            })
+            .run();
+    });
+};
+
+/**
+ * Share a frame budget across scenes. Frames are handed out one per scene
+ * in turns (longest scenes first), so every scene is covered before any
+ * scene gets a second frame, and a scene only takes another frame if it
+ * is long enough to space them `minSpacing` apart. With more scenes than
+ * frames, scenes are picked evenly across the timeline.
+ * @param {number[]} sceneStarts - Scene change times in seconds
+ * @param {number} duration - Video duration in seconds
+ * @param {number} maxFrames - Frame budget
+ * @param {number} minSpacing - Seconds between frames in the same scene
+ * @returns {object[]} Array of { timestamp, scene } in time order
+ */
+const planSceneFrames = (sceneStarts, duration, maxFrames = config.ffmpeg.maxFrames, minSpacing = config.ffmpeg.minFrameSpacing) => {
+    const starts = [0, ...sceneStarts.filter(time => time > 0 && time < duration)];
+    let scenes = starts.map((start, index) => ({
+        index,
+        start,
+        end: index + 1 < starts.length ? starts[index + 1] : duration
+    }));
+
+    if (scenes.length > maxFrames) {
+        scenes = Array.from({ length: maxFrames }, (_, i) => scenes[Math.floor(i * scenes.length / maxFrames)]);
+    }
+
+    const capacity = scenes.map(scene => Math.max(1, Math.floor((scene.end - scene.start) / minSpacing)));
+    const counts = scenes.map(() => 0);
+    const byLength = scenes
+        .map((scene, i) => i)
+        .sort((a, b) => (scenes[b].end - scenes[b].start) - (scenes[a].end - scenes[a].start));
+
+    let remaining = maxFrames;
+    let assigned = true;
+    while (remaining > 0 && assigned) {
+        assigned = false;
+        byLength.forEach(i => {
+            if (remaining > 0 && counts[i] < capacity[i]) {
+                counts[i]++;
+                remaining--;
+                assigned = true;
+            }
+        });
+    }
+
+    // Spread each scene's frames over it, avoiding the cut itself
+    return scenes.flatMap((scene, i) => Array.from({ length: counts[i] }, (_, k) => ({
+        timestamp: scene.start + (scene.end - scene.start) * (k + 0.5) / counts[i],
+        scene: scene.index
+    })));
+};
+
+/**
+ * Plan frames for a compilation so every clip is covered. Each clip gets
+ * one frame, the rest of the budget is shared by clip length, and frames
+ * within a clip are placed per scene like planSceneFrames.
+ * @param {number[]} sceneStarts - Scene change times in seconds
+ * @param {object[]} clips - Array of { start, end } for each clip in the video
+ * @param {number} maxFrames - Frame budget
+ * @returns {object[]} Array of { timestamp, scene, clip } in time order
+ */
+const planClipFrames = (sceneStarts, clips, maxFrames = config.ffmpeg.maxFrames) => {
+    const lengths = clips.map(clip => clip.end - clip.start);
+    const total = lengths.reduce((sum, length) => sum + length, 0) || 1;
+    const spare = Math.max(0, maxFrames - clips.length);
+    const budgets = lengths.map(length => 1 + Math.floor(spare * length / total));
+
+    // Frames lost to rounding go to the longest clips
+    const byLength = lengths.map((_, index) => index).sort((a, b) => lengths[b] - lengths[a]);
+    let leftover = Math.max(0, maxFrames - budgets.reduce((sum, budget) => sum + budget, 0));
+    for (let i = 0; leftover > 0; i = (i + 1) % byLength.length) {
+        budgets[byLength[i]]++;
+        leftover--;
+    }
+
+    return clips.flatMap((clip, index) => {
+        const starts = sceneStarts
+            .filter(time => time > clip.start && time < clip.end)
+            .map(time => time - clip.start);
+        return planSceneFrames(starts, lengths[index], budgets[index]).map(frame => ({
+            timestamp: clip.start + frame.timestamp,
+            scene: frame.scene,
+            clip: index
+        }));
+    });
+};
+
+/**
+ * Save a single frame at a given time
+ * @param {string} videoPath - Path to the video file
+ * @param {number} timestamp - Time in seconds
+ * @param {string} outputPath - Path for the JPEG
+ * @returns {Promise<string>} Path to the frame
+ */
+const extractFrameAt = (videoPath, timestamp, outputPath) => {
+    return new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+            .seekInput(timestamp.toFixed(3))
+            .frames(1)
+            .outputOptions(['-q:v 2'])
+            .output(outputPath)
+            .on('end', () => {
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('Frame extraction error:', err);
+                reject(err);
+            })
+            .run();
+    });
+};
+
+/**
+ * Save the frames of a plan as numbered JPEGs
+ * @param {string} videoPath - Path to the video file
+ * @param {string} outputDir - Directory to save frames
+ * @param {object[]} plan - Array of { timestamp, ... }
+ * @returns {Promise<object[]>} Plan entries with their frame `path`
+ */
+const extractPlannedFrames = async (videoPath, outputDir, plan) => {
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const frames = [];
+    for (const [index, frame] of plan.entries()) {
+        const framePath = path.join(outputDir, `frame_${String(index + 1).padStart(3, '0')}.jpg`);
+        await extractFrameAt(videoPath, frame.timestamp, framePath);
+        frames.push({ path: framePath, ...frame });
+    }
+
+    return frames;
+};
+
+/**
+ * Extract one or more representative frames per scene
+ * @param {string} videoPath - Path to the video file
+ * @param {string} outputDir - Directory to save frames
+ * @param {object} options - { threshold, maxFrames, clips: [{ start, end }] for compilations }
+ * @returns {Promise<object[]>} Array of { path, timestamp, scene } in time order
+ */
+const extractSceneFrames = async (videoPath, outputDir, options = {}) => {
+    const {
+        threshold = config.ffmpeg.sceneThreshold,
+        maxFrames = config.ffmpeg.maxFrames,
+        clips = null
+    } = options;
+
+    const metadata = await getVideoMetadata(videoPath);
+    const duration = parseFloat(metadata.duration);
+    const sceneStarts = await detectSceneChanges(videoPath, threshold);
+    const plan = clips
+        ? planClipFrames(sceneStarts, clips, maxFrames)
+        : planSceneFrames(sceneStarts, duration, maxFrames);
+
+    console.log(`🎞️ ${sceneStarts.length + 1} scenes detected${clips ? ` across ${clips.length} clips` : ''}, extracting ${plan.length} frames`);
+
+    return extractPlannedFrames(videoPath, outputDir, plan);
+};
+
+/**
+ * Extract the frames used for script generation, one or more per scene
+ * when `config.ffmpeg.frameExtraction` is 'scene' and at a fixed rate
+ * otherwise (or when scene detection fails). For a compilation, frames
+ * are shared across its clips so each one is seen.
+ * @param {string} videoPath - Path to the video file
+ * @param {string} outputDir - Directory to save frames
+ * @param {object} options - { clips: [{ start, end }] of a compilation (optional) }
+ * @returns {Promise<object[]>} Array of { path, timestamp } in time order
+ */
+const sampleFrames = async (videoPath, outputDir, options = {}) => {
+    const { clips = null } = options;
+
+    if (config.ffmpeg.frameExtraction === 'scene') {
+        try {
+            const frames = await extractSceneFrames(videoPath, outputDir, { clips });
+            if (frames.length > 0) {
+                return frames.map(frame => ({ path: frame.path, timestamp: frame.timestamp }));
+            }
+        } catch (error) {
+            console.error('❌ Scene-based frame extraction failed, sampling at a fixed rate:', error.message);
+        }
+    }
+
+    // A fixed rate would stop at the frame budget before the later clips
+    if (clips) {
+        const frames = await extractPlannedFrames(videoPath, outputDir, planClipFrames([], clips));
+        return frames.map(frame => ({ path: frame.path, timestamp: frame.timestamp }));
+    }
+
+    const framePaths = await extractFrames(videoPath, outputDir);
+    // The fps filter takes frame n at n / frameRate seconds
+    return framePaths.map((framePath, index) => ({ path: framePath, timestamp: index / config.ffmpeg.frameRate }));
+};
+
 /**
  * Get video duration in seconds with detailed debugging
  * @param {string} videoPath - Path to the video file
@@ -167,6 +687,41 @@ const getVideoDuration = (videoPath) => {
     });
 };
 
+/**
+ * Read a video stream's rotation in degrees from its tags or display matrix
+ * @param {object} stream - ffprobe stream
+ * @returns {number} Rotation in degrees (0 if none)
+ */
+const getRotation = (stream) => {
+    const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+    const rotation = parseInt(sideData ? sideData.rotation : stream.tags?.rotate, 10);
+    return Number.isFinite(rotation) ? rotation : 0;
+};
+
+/**
+ * Pick a reframe mode for a source size: near-vertical clips are cropped in
+ * the middle, square-ish clips are padded over a blurred copy (cropping would
+ * lose too much), and wide clips get a crop that follows the subject
+ * @param {number} width - Displayed width
+ * @param {number} height - Displayed height
+ * @returns {string} 'none', 'center', 'blur' or 'track'
+ */
+const chooseReframeMode = (width, height) => {
+    const { width: targetWidth, height: targetHeight } = config.reframe;
+    if (!width || !height) {
+        return 'center';
+    }
+    if (width === targetWidth && height === targetHeight) {
+        return 'none';
+    }
+
+    const aspectRatio = width / height;
+    if (aspectRatio <= 0.65) {
+        return 'center';
+    }
+    return aspectRatio <= 1.2 ? 'blur' : 'track';
+};
+
 /**
  * Get video metadata
  * @param {string} videoPath - Path to the video file
@@ -182,6 +737,13 @@ const getVideoMetadata = (videoPath) => {
             
             const videoStream = metadata.streams.find(s => s.codec_type === 'video');
             const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+
+            // Phone clips are often stored landscape with a rotation flag;
+            // FFmpeg applies it when decoding, so report the displayed size
+            const rotation = videoStream ? getRotation(videoStream) : 0;
+            const sideways = Math.abs(rotation) % 180 === 90;
+            const displayWidth = videoStream ? (sideways ? videoStream.height : videoStream.width) : null;
+            const displayHeight = videoStream ? (sideways ? videoStream.width : videoStream.height) : null;
             
             resolve({
                 duration: metadata.format.duration,
@@ -191,6 +753,11 @@ const getVideoMetadata = (videoPath) => {
                     codec: videoStream.codec_name,
                     width: videoStream.width,
                     height: videoStream.height,
+                    rotation,
+                    displayWidth,
+                    displayHeight,
+                    aspectRatio: displayWidth / displayHeight,
+                    reframeMode: chooseReframeMode(displayWidth, displayHeight),
                     frameRate: videoStream.avg_frame_rate,
                     bitRate: videoStream.bit_rate
                 } : null,
@@ -205,14 +772,585 @@ const getVideoMetadata = (videoPath) => {
     });
 };
 
+/**
+ * Decode frames at a fixed rate as small grayscale images for analysis
+ * @param {string} videoPath - Path to the video file
+ * @param {object} options - { width, height, fps }; size of the decoded frames
+ * @returns {Promise<object>} { frames: Buffer[], timestamps: number[] }
+ */
+const readGrayFrames = (videoPath, options) => {
+    const { width, height, fps } = options;
+    const frameSize = width * height;
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const command = ffmpeg(videoPath)
+            .videoFilters([`fps=${fps}`, `scale=${width}:${height}`, 'format=gray'])
+            .noAudio()
+            .format('rawvideo')
+            .outputOptions(['-pix_fmt gray'])
+            .on('error', (err) => {
+                console.error('Frame analysis error:', err);
+                reject(err);
+            })
+            .on('end', () => {
+                const data = Buffer.concat(chunks);
+                const count = Math.floor(data.length / frameSize);
+                const frames = [];
+                for (let index = 0; index < count; index++) {
+                    frames.push(data.subarray(index * frameSize, (index + 1) * frameSize));
+                }
+                resolve({ frames, timestamps: frames.map((frame, index) => index / fps) });
+            });
+
+        command.pipe().on('data', chunk => chunks.push(chunk));
+    });
+};
+
+/**
+ * Score each column of each frame by motion (difference from the
+ * neighbouring frame) and saliency (horizontal edge contrast). Both parts
+ * are normalized per frame so a still shot is framed by its detail alone.
+ * @param {Buffer[]} frames - Grayscale frames
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {number} saliencyWeight - Share of saliency in the score (0-1)
+ * @returns {Float64Array[]} Column scores per frame
+ */
+const scoreColumns = (frames, width, height, saliencyWeight) => {
+    return frames.map((frame, index) => {
+        const other = frames[index > 0 ? index - 1 : index + 1];
+        const motion = new Float64Array(width);
+        const detail = new Float64Array(width);
+        let motionTotal = 0;
+        let detailTotal = 0;
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                const value = frame[row + x];
+                const moved = other ? Math.abs(value - other[row + x]) : 0;
+                const edge = x > 0 ? Math.abs(value - frame[row + x - 1]) : 0;
+                motion[x] += moved;
+                detail[x] += edge;
+                motionTotal += moved;
+                detailTotal += edge;
+            }
+        }
+
+        const motionShare = motionTotal > 0 ? 1 - saliencyWeight : 0;
+        const detailShare = 1 - motionShare;
+        const scores = new Float64Array(width);
+        for (let x = 0; x < width; x++) {
+            scores[x] = (motionTotal > 0 ? motionShare * motion[x] / motionTotal : 0)
+                + (detailTotal > 0 ? detailShare * detail[x] / detailTotal : 0);
+        }
+        return scores;
+    });
+};
+
+/**
+ * Plan where a crop window sits over time. Each sample puts the window over
+ * the columns with the highest total score; the path is then smoothed in
+ * both directions (so it doesn't lag), held still for small moves and
+ * limited to a maximum pan speed.
+ * @param {Float64Array[]} columnScores - Output of scoreColumns
+ * @param {number[]} timestamps - Time of each sample in seconds
+ * @param {number} windowWidth - Crop width in analysis columns
+ * @param {object} options - Defaults from config.reframe.tracking
+ * @returns {object[]} Keyframes { time, position } with position 0 (left) to 1 (right)
+ */
+const planCropPath = (columnScores, timestamps, windowWidth, options = {}) => {
+    const {
+        smoothing = config.reframe.tracking.smoothing,
+        maxPanSpeed = config.reframe.tracking.maxPanSpeed,
+        deadZone = config.reframe.tracking.deadZone,
+        maxKeyframes = config.reframe.tracking.maxKeyframes
+    } = options;
+
+    if (columnScores.length === 0) {
+        return [{ time: 0, position: 0.5 }];
+    }
+
+    const width = columnScores[0].length;
+    const range = width - windowWidth;
+    if (range <= 0) {
+        return [{ time: 0, position: 0.5 }];
+    }
+
+    // Best window start for each sample, from prefix sums of the scores
+    const raw = columnScores.map(scores => {
+        let sum = 0;
+        for (let x = 0; x < windowWidth; x++) {
+            sum += scores[x];
+        }
+        // Equally good starts (a subject narrower than the window) are
+        // resolved by centering the window on them
+        let best = sum;
+        let bestStart = 0;
+        let bestEnd = 0;
+        for (let start = 1; start <= range; start++) {
+            sum += scores[start + windowWidth - 1] - scores[start - 1];
+            if (sum > best + 1e-9) {
+                best = sum;
+                bestStart = start;
+                bestEnd = start;
+            } else if (sum >= best - 1e-9) {
+                bestEnd = start;
+            }
+        }
+        return best > 0 ? (bestStart + bestEnd) / 2 / range : 0.5;
+    });
+
+    // Forward then backward exponential smoothing cancels out the lag
+    const smoothed = [...raw];
+    for (let index = 1; index < smoothed.length; index++) {
+        smoothed[index] = smoothing * smoothed[index - 1] + (1 - smoothing) * smoothed[index];
+    }
+    for (let index = smoothed.length - 2; index >= 0; index--) {
+        smoothed[index] = smoothing * smoothed[index + 1] + (1 - smoothing) * smoothed[index];
+    }
+
+    // A resting window ignores small moves; once it pans it follows the
+    // target until it catches up, never faster than allowed
+    const path = [smoothed[0]];
+    let panning = false;
+    for (let index = 1; index < smoothed.length; index++) {
+        const previous = path[index - 1];
+        const offset = smoothed[index] - previous;
+        panning = panning ? Math.abs(offset) > 0.001 : Math.abs(offset) >= deadZone;
+
+        const limit = maxPanSpeed * (timestamps[index] - timestamps[index - 1]);
+        path.push(panning ? previous + Math.max(-limit, Math.min(limit, offset)) : previous);
+    }
+
+    // Keep only the points where the direction or speed changes
+    let keyframes = path.map((position, index) => ({ time: timestamps[index], position }));
+    keyframes = keyframes.filter((keyframe, index) => {
+        if (index === 0 || index === keyframes.length - 1) {
+            return true;
+        }
+        const before = keyframes[index - 1];
+        const after = keyframes[index + 1];
+        const expected = before.position + (after.position - before.position)
+            * (keyframe.time - before.time) / (after.time - before.time);
+        return Math.abs(keyframe.position - expected) > 0.005;
+    });
+
+    if (keyframes.length > maxKeyframes) {
+        const stride = (keyframes.length - 1) / (maxKeyframes - 1);
+        keyframes = Array.from({ length: maxKeyframes }, (_, index) => keyframes[Math.round(index * stride)]);
+    }
+
+    return keyframes.map(({ time, position }) => ({
+        time: Number(time.toFixed(3)),
+        position: Number(Math.min(1, Math.max(0, position)).toFixed(4))
+    }));
+};
+
+/**
+ * Turn crop keyframes into an FFmpeg expression of `t` that moves linearly
+ * between them and holds the first and last positions
+ * @param {object[]} keyframes - Array of { time, position }
+ * @returns {string} Expression giving the position (0-1) at time t
+ */
+const buildCropExpression = (keyframes) => {
+    const last = keyframes[keyframes.length - 1];
+    let expression = String(last.position);
+
+    for (let index = keyframes.length - 2; index >= 0; index--) {
+        const from = keyframes[index];
+        const to = keyframes[index + 1];
+        const slope = (to.position - from.position) / (to.time - from.time);
+        const segment = `${from.position}+${slope.toFixed(6)}*(t-${from.time})`;
+        expression = `if(lt(t,${to.time}),${segment},${expression})`;
+    }
+
+    const first = keyframes[0];
+    return first.time > 0 ? `if(lt(t,${first.time}),${first.position},${expression})` : expression;
+};
+
+/**
+ * Build the filter graph that turns a video into the configured vertical
+ * size. Cropping modes keep the full source height (or width, for sources
+ * narrower than 9:16) and only slide along the other axis.
+ * @param {string} mode - 'center', 'blur' or 'track'
+ * @param {object[]} keyframes - Crop path for 'track' (see planCropPath)
+ * @returns {string} Filter graph with output label [vout]
+ */
+const buildReframeFilter = (mode, keyframes = null) => {
+    const { width, height, blurStrength } = config.reframe;
+    const ratio = `${width}/${height}`;
+    const finish = `scale=${width}:${height},setsar=1`;
+
+    if (mode === 'blur') {
+        return [
+            '[0:v]split=2[bgsrc][fgsrc]',
+            `[bgsrc]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=${blurStrength}:2[bg]`,
+            `[fgsrc]scale=${width}:${height}:force_original_aspect_ratio=decrease[fg]`,
+            '[bg][fg]overlay=(W-w)/2:(H-h)/2,setsar=1[vout]'
+        ].join(';');
+    }
+
+    // Crop to 9:16, keeping sizes even for the encoder
+    const cropWidth = `trunc(min(iw\\,ih*${ratio})/2)*2`;
+    const cropHeight = `trunc(min(ih\\,iw*${height}/${width})/2)*2`;
+    const x = mode === 'track' && keyframes
+        ? `(iw-ow)*(${buildCropExpression(keyframes).replace(/,/g, '\\,')})`
+        : '(iw-ow)/2';
+
+    return `[0:v]crop=w=${cropWidth}:h=${cropHeight}:x=${x}:y=(ih-oh)/2,${finish}[vout]`;
+};
+
+/**
+ * Follow the most active part of a wide video with a 9:16 crop window
+ * @param {string} videoPath - Path to the video file
+ * @param {object} video - Video section of getVideoMetadata
+ * @returns {Promise<object[]>} Crop keyframes (see planCropPath)
+ */
+const trackSubject = async (videoPath, video) => {
+    const { sampleRate, analysisWidth, saliencyWeight } = config.reframe.tracking;
+    const { width: targetWidth, height: targetHeight } = config.reframe;
+
+    // Sources narrower than 9:16 are cropped vertically; stay centered
+    const cropShare = (video.displayHeight * targetWidth / targetHeight) / video.displayWidth;
+    if (cropShare >= 1) {
+        return [{ time: 0, position: 0.5 }];
+    }
+
+    const analysisHeight = Math.max(2, Math.round(analysisWidth * video.displayHeight / video.displayWidth / 2) * 2);
+    const { frames, timestamps } = await readGrayFrames(videoPath, {
+        width: analysisWidth,
+        height: analysisHeight,
+        fps: sampleRate
+    });
+
+    const scores = scoreColumns(frames, analysisWidth, analysisHeight, saliencyWeight);
+    const windowWidth = Math.max(1, Math.round(analysisWidth * cropShare));
+    return planCropPath(scores, timestamps, windowWidth);
+};
+
+/**
+ * Convert a video to vertical 9:16 (config.reframe.width x height)
+ * @param {string} videoPath - Path to the video file
+ * @param {string} outputPath - Path for the vertical video
+ * @param {object} options - { mode: 'auto' | 'center' | 'blur' | 'track' | 'none', onProgress }
+ * @returns {Promise<object>} { outputPath, mode, keyframes }; outputPath is the
+ *   input path when nothing had to change
+ */
+const reframeVideo = async (videoPath, outputPath, options = {}) => {
+    const { onProgress = null } = options;
+    const metadata = await getVideoMetadata(videoPath);
+    if (!metadata.video) {
+        throw new Error('Video has no video stream to reframe');
+    }
+
+    const requested = options.mode || config.reframe.mode;
+    const mode = requested === 'auto' ? metadata.video.reframeMode : requested;
+    if (mode === 'none') {
+        return { outputPath: videoPath, mode, keyframes: null };
+    }
+
+    let keyframes = null;
+    if (mode === 'track') {
+        try {
+            keyframes = await trackSubject(videoPath, metadata.video);
+        } catch (error) {
+            console.error('❌ Subject tracking failed, cropping the center:', error.message);
+        }
+    }
+
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    // Without a crop path, tracking falls back to the center
+    const applied = mode === 'track' && !keyframes ? 'center' : mode;
+    console.log(`📐 Reframing to ${config.reframe.width}x${config.reframe.height} (${applied}${keyframes ? `, ${keyframes.length} keyframes` : ''})`);
+
+    await new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+            .complexFilter(buildReframeFilter(applied, keyframes), 'vout')
+            .outputOptions([
+                '-map 0:a?',           // Keep the audio, if any
+                '-c:a copy',
+                '-c:v libx264',
+                `-preset ${config.reframe.preset}`,
+                `-crf ${config.reframe.crf}`,
+                '-pix_fmt yuv420p',
+                '-movflags +faststart'
+            ])
+            .output(outputPath)
+            .on('end', () => {
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('Reframe error:', err);
+                reject(err);
+            })
+            .on('progress', (progress) => {
+                if (onProgress) {
+                    onProgress(progress);
+                }
+            })
+            .run();
+    });
+
+    return { outputPath, mode: applied, keyframes };
+};
+
+// Overlay position of the picture-in-picture inset per corner
+const PIP_POSITIONS = {
+    'top-left': (margin) => `${margin}:${margin}`,
+    'top-right': (margin) => `W-w-${margin}:${margin}`,
+    'bottom-left': (margin) => `${margin}:H-h-${margin}`,
+    'bottom-right': (margin) => `W-w-${margin}:H-h-${margin}`
+};
+
+/**
+ * Build the filter graph that places the main clip (input 0) and a filler
+ * clip (input 1) on one vertical frame. 'split' stacks two half-height
+ * panels; 'pip' fills the frame with the main clip and insets the filler.
+ * @param {string} type - 'split' or 'pip'
+ * @param {object} options - { mainPosition: 'top' | 'bottom', corner, scale, margin }
+ * @returns {string} Filter graph with output label [vout]
+ */
+const buildLayoutFilter = (type, options = {}) => {
+    const { width, height } = config.reframe;
+    const cover = (w, h) => `scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h},setsar=1`;
+
+    if (type === 'pip') {
+        const { corner, scale, margin } = { ...config.layout.pip, ...options };
+        const insetWidth = Math.round(width * scale / 2) * 2;
+        const position = (PIP_POSITIONS[corner] || PIP_POSITIONS['bottom-right'])(margin);
+
+        return [
+            `[0:v]${cover(width, height)}[main]`,
+            `[1:v]scale=${insetWidth}:-2,setsar=1[filler]`,
+            `[main][filler]overlay=${position}:shortest=1[vout]`
+        ].join(';');
+    }
+
+    // Even panel height so both halves encode cleanly
+    const panelHeight = Math.floor(height / 4) * 2;
+    const mainPosition = options.mainPosition || config.layout.split.mainPosition;
+    const panels = mainPosition === 'bottom' ? '[filler][main]' : '[main][filler]';
+
+    return [
+        `[0:v]${cover(width, panelHeight)}[main]`,
+        `[1:v]${cover(width, panelHeight)}[filler]`,
+        `${panels}vstack=inputs=2:shortest=1,scale=${width}:${height},setsar=1[vout]`
+    ].join(';');
+};
+
+/**
+ * Compose the main clip and a filler clip into a vertical split-screen or
+ * picture-in-picture video. The filler plays from fillerStart, is looped
+ * when it is shorter than the main clip and cut to its length; only the
+ * main clip's audio is kept.
+ * @param {string} videoPath - Path to the main clip
+ * @param {string} fillerPath - Path to the filler clip
+ * @param {string} outputPath - Path for the composed video
+ * @param {object} options - { type: 'split' | 'pip', fillerStart, fillerDuration, mainPosition, corner, onProgress }
+ * @returns {Promise<string>} Path to the composed video
+ */
+const composeLayout = async (videoPath, fillerPath, outputPath, options = {}) => {
+    const { type = 'split', fillerStart = 0, onProgress = null } = options;
+    const duration = await getVideoDuration(videoPath);
+
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    // Filler starts at fillerStart; short (or unprobed) filler is looped, long filler is cut
+    const loopFiller = !options.fillerDuration || options.fillerDuration - fillerStart < duration;
+    const fillerInputOptions = loopFiller
+        ? ['-stream_loop -1', `-ss ${fillerStart}`]
+        : [`-ss ${fillerStart}`];
+
+    console.log(`🧩 Composing ${type} layout (${config.reframe.width}x${config.reframe.height}, ${duration.toFixed(1)}s)`);
+
+    return new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+            .input(fillerPath)
+            .inputOptions(fillerInputOptions)
+            .complexFilter(buildLayoutFilter(type, options), 'vout')
+            .outputOptions([
+                '-map 0:a?',           // Main clip audio only; filler is muted
+                '-c:a copy',
+                '-c:v libx264',
+                `-preset ${config.reframe.preset}`,
+                `-crf ${config.reframe.crf}`,
+                '-pix_fmt yuv420p',
+                `-t ${duration}`,
+                '-movflags +faststart'
+            ])
+            .output(outputPath)
+            .on('end', () => {
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('Layout compose error:', err);
+                reject(err);
+            })
+            .on('progress', (progress) => {
+                if (onProgress) {
+                    onProgress(progress);
+                }
+            })
+            .run();
+    });
+};
+
+/**
+ * Fill in audio mix options from the config defaults
+ * @param {object} options - { mode, voice: { gain, fadeIn, fadeOut }, original: {...}, music: { path, ... }, ducking }
+ * @returns {object} Complete mix settings (music is null unless a track path is given)
+ */
+const resolveAudioMix = (options = {}) => {
+    const defaults = config.audioMix;
+    const track = (settings = {}, gain) => ({
+        gain: settings.gain !== undefined ? settings.gain : gain,
+        fadeIn: settings.fadeIn || 0,
+        fadeOut: settings.fadeOut || 0
+    });
+
+    // ducking may be true/false or an object overriding the compressor
+    const ducking = options.ducking === false
+        ? null
+        : { ...defaults.ducking, ...(typeof options.ducking === 'object' ? options.ducking : {}) };
+
+    // Background music gets its own defaults, including fades
+    const music = options.music && options.music.path ? {
+        path: options.music.path,
+        gain: options.music.gain !== undefined ? options.music.gain : config.music.gain,
+        fadeIn: options.music.fadeIn !== undefined ? options.music.fadeIn : config.music.fadeIn,
+        fadeOut: options.music.fadeOut !== undefined ? options.music.fadeOut : config.music.fadeOut,
+        loudness: config.music.loudness
+    } : null;
+
+    return {
+        mode: options.mode || defaults.mode,
+        voice: track(options.voice, defaults.voiceGain),
+        original: track(options.original, defaults.originalGain),
+        music,
+        ducking
+    };
+};
+
+/**
+ * Build the audio filter chain for one track: gain, then fades
+ * @param {object} track - { gain, fadeIn, fadeOut }
+ * @param {number} duration - Track duration in seconds (needed for fade out)
+ * @returns {string} Comma-separated filters
+ */
+const trackFilters = (track, duration) => {
+    const filters = [`volume=${track.gain}dB`];
+
+    if (track.fadeIn > 0) {
+        filters.push(`afade=t=in:st=0:d=${track.fadeIn}`);
+    }
+    if (track.fadeOut > 0 && duration) {
+        filters.push(`afade=t=out:st=${Math.max(duration - track.fadeOut, 0).toFixed(3)}:d=${track.fadeOut}`);
+    }
+
+    return filters.join(',');
+};
+
+/**
+ * Build the filter chain for a looped music track: cut it to the video
+ * length, normalize loudness, then apply gain and fades
+ * @param {object} music - Music settings from resolveAudioMix
+ * @param {number} duration - Video duration in seconds
+ * @returns {string} Comma-separated filters
+ */
+const musicFilters = (music, duration) => [
+    `atrim=0:${duration.toFixed(3)}`,
+    'asetpts=PTS-STARTPTS',
+    `loudnorm=I=${music.loudness}:TP=-1.5:LRA=11`,
+    'aresample=48000', // loudnorm upsamples internally
+    trackFilters(music, duration)
+].join(',');
+
+/**
+ * Build the filter graph that mixes the voiceover (input 1) over beds
+ * underneath it: the video's own audio (input 0) and/or background music
+ * (input 2, looped). Each bed is ducked while the voice plays.
+ * @param {object} mix - Settings from resolveAudioMix
+ * @param {object} durations - { video, voice } in seconds
+ * @param {object} sources - { original: whether to mix in the video's audio }
+ * @returns {string} Filter graph with the result labelled [aout]
+ */
+const buildAudioMixFilter = (mix, durations = {}, sources = { original: true }) => {
+    const graph = [`[1:a]${trackFilters(mix.voice, durations.voice)}[voice]`];
+    const beds = [];
+
+    if (sources.original) {
+        graph.push(`[0:a]${trackFilters(mix.original, durations.video)}[original]`);
+        beds.push('original');
+    }
+    if (mix.music) {
+        graph.push(`[2:a]${musicFilters(mix.music, durations.video)}[music]`);
+        beds.push('music');
+    }
+
+    let mixed = beds;
+    let voice = 'voice';
+
+    if (mix.ducking) {
+        const { threshold, ratio, attack, release } = mix.ducking;
+        // The voice feeds the mix and one compressor sidechain per bed
+        graph.push(`[voice]asplit=${beds.length + 1}[voicemix]${beds.map(bed => `[${bed}key]`).join('')}`);
+        beds.forEach(bed => {
+            graph.push(`[${bed}][${bed}key]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[${bed}ducked]`);
+        });
+        mixed = beds.map(bed => `${bed}ducked`);
+        voice = 'voicemix';
+    }
+
+    // amix scales inputs by 1/n, so restore the level afterwards.
+    // duration=first keeps the full length of the first bed, which
+    // always runs for the whole video.
+    const inputs = mixed.length + 1;
+    graph.push(`${mixed.map(bed => `[${bed}]`).join('')}[${voice}]amix=inputs=${inputs}:duration=first:dropout_transition=0,volume=${inputs}[aout]`);
+
+    return graph.join(';');
+};
+
 /**
  * Merge video with new audio track
  * @param {string} videoPath - Path to the original video
  * @param {string} audioPath - Path to the new audio file
  * @param {string} outputPath - Path for the merged video
+ * @param {Function} onProgress - Optional callback receiving FFmpeg progress
+ * @param {object} mixOptions - Audio mix options (see resolveAudioMix); 'replace' mode by default
  * @returns {Promise<string>} Path to the merged video
  */
-const mergeVideoWithAudio = (videoPath, audioPath, outputPath) => {
+const mergeVideoWithAudio = async (videoPath, audioPath, outputPath, onProgress = null, mixOptions = {}) => {
+    const mix = resolveAudioMix(mixOptions);
+
+    let filterGraph = null;
+    if (mix.mode === 'mix' || mix.music) {
+        const [videoInfo, voiceInfo] = await Promise.all([
+            getVideoMetadata(videoPath),
+            getVideoMetadata(audioPath)
+        ]);
+
+        const original = mix.mode === 'mix' && Boolean(videoInfo.audio);
+        if (mix.mode === 'mix' && !original) {
+            console.log('Video has no audio track, replacing instead of mixing');
+        }
+
+        if (original || mix.music) {
+            filterGraph = buildAudioMixFilter(mix, {
+                video: parseFloat(videoInfo.duration),
+                voice: parseFloat(voiceInfo.duration)
+            }, { original });
+        }
+    }
+
     return new Promise((resolve, reject) => {
         // Ensure output directory exists
         const outputDir = path.dirname(outputPath);
@@ -220,10 +1358,30 @@ const mergeVideoWithAudio = (videoPath, audioPath, outputPath) => {
             fs.mkdirSync(outputDir, { recursive: true });
         }
 
-        ffmpeg()
+        const command = ffmpeg()
             .input(videoPath)
-            .input(audioPath)
-            .outputOptions([
+            .input(audioPath);
+
+        if (filterGraph && mix.music) {
+            // Loop the music forever; the filter graph trims it to the video
+            command
+                .input(mix.music.path)
+                .inputOptions('-stream_loop -1');
+        }
+
+        if (filterGraph) {
+            command
+                .complexFilter(filterGraph)
+                .outputOptions([
+                    '-c:v copy',           // Copy video codec (no re-encoding)
+                    '-c:a aac',            // Use AAC for audio
+                    '-b:a 128k',           // Audio bitrate
+                    '-map 0:v:0',          // Map video from first input
+                    '-map [aout]',         // Map the mixed audio
+                    '-avoid_negative_ts make_zero' // Handle timing issues
+                ]);
+        } else {
+            command.outputOptions([
                 '-c:v copy',           // Copy video codec (no re-encoding)
                 '-c:a aac',            // Use AAC for audio
                 '-b:a 128k',           // Audio bitrate
@@ -231,7 +1389,10 @@ const mergeVideoWithAudio = (videoPath, audioPath, outputPath) => {
                 '-map 1:a:0',          // Map audio from second input
                 '-shortest',           // End when shortest stream ends
                 '-avoid_negative_ts make_zero' // Handle timing issues
-            ])
+            ]);
+        }
+
+        command
             .output(outputPath)
             .on('end', () => {
                 resolve(outputPath);
@@ -242,6 +1403,9 @@ const mergeVideoWithAudio = (videoPath, audioPath, outputPath) => {
             })
             .on('progress', (progress) => {
                 console.log('Processing: ' + progress.percent + '% done');
+                if (onProgress) {
+                    onProgress(progress);
+                }
             })
             .run();
     });
@@ -276,6 +1440,87 @@ const convertToMp3 = (inputPath, outputPath) => {
     });
 };
 
+/**
+ * Speed audio up or down without changing its pitch
+ * @param {string} inputPath - Path to input audio file
+ * @param {string} outputPath - Path for the stretched audio
+ * @param {number} tempo - Playback rate; above 1 shortens the audio (0.5-2)
+ * @returns {Promise<string>} Path to the stretched audio
+ */
+const changeAudioTempo = (inputPath, outputPath, tempo) => {
+    return new Promise((resolve, reject) => {
+        const outputDir = path.dirname(outputPath);
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        ffmpeg(inputPath)
+            .audioFilters(`atempo=${tempo.toFixed(4)}`)
+            .audioCodec('libmp3lame')
+            .audioBitrate(config.ffmpeg.audioBitrate)
+            .format('mp3')
+            .output(outputPath)
+            .on('end', () => {
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('Audio tempo error:', err);
+                reject(err);
+            })
+            .run();
+    });
+};
+
+/**
+ * Lay separate audio clips out on one timeline, each starting at its own
+ * offset, and render them to a single MP3
+ * @param {object[]} clips - Array of { path, start } with start in seconds
+ * @param {string} outputPath - Path for the combined audio
+ * @param {number} duration - Length of the timeline in seconds
+ * @returns {Promise<string>} Path to the combined audio
+ */
+const placeAudioClips = (clips, outputPath, duration) => {
+    return new Promise((resolve, reject) => {
+        if (clips.length === 0) {
+            reject(new Error('At least one audio clip is required'));
+            return;
+        }
+
+        const outputDir = path.dirname(outputPath);
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        const command = ffmpeg();
+        clips.forEach(clip => command.input(clip.path));
+
+        // Pad every clip to the full timeline so amix sees the same number
+        // of inputs throughout and the level stays constant
+        const graph = clips.map((clip, index) => {
+            const delay = Math.round(clip.start * 1000);
+            return `[${index}:a]adelay=${delay}|${delay},apad=whole_dur=${duration.toFixed(3)}[clip${index}]`;
+        });
+        const labels = clips.map((clip, index) => `[clip${index}]`).join('');
+        graph.push(`${labels}amix=inputs=${clips.length}:duration=longest:dropout_transition=0,volume=${clips.length},atrim=0:${duration.toFixed(3)}[aout]`);
+
+        command
+            .complexFilter(graph.join(';'))
+            .outputOptions(['-map [aout]'])
+            .audioCodec('libmp3lame')
+            .audioBitrate(config.ffmpeg.audioBitrate)
+            .format('mp3')
+            .output(outputPath)
+            .on('end', () => {
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('Audio timeline error:', err);
+                reject(err);
+            })
+            .run();
+    });
+};
+
 /**
  * Add text overlay to video
  * @param {string} videoPath - Path to the video file
@@ -329,11 +1574,85 @@ const addTextOverlay = (videoPath, outputPath, text, options = {}) => {
     });
 };
 
+/**
+ * Detect silent intervals in an audio (or video) file
+ * @param {string} inputPath - Path to the media file
+ * @param {object} options - Detection options
+ * @param {number} options.noiseDb - Level below which audio counts as silence
+ * @param {number} options.minDuration - Minimum silence length in seconds
+ * @returns {Promise<object[]>} Array of { start, end } silences in seconds
+ */
+const detectSilences = (inputPath, options = {}) => {
+    return new Promise((resolve, reject) => {
+        const {
+            noiseDb = config.subtitles.silenceThresholdDb,
+            minDuration = config.subtitles.minSilenceDuration
+        } = options;
+
+        const silences = [];
+        let current = null;
+
+        ffmpeg(inputPath)
+            .audioFilters(`silencedetect=noise=${noiseDb}dB:d=${minDuration}`)
+            .noVideo()
+            .format('null')
+            .output('-')
+            .on('stderr', (line) => {
+                const start = line.match(/silence_start:\s*(-?[\d.]+)/);
+                const end = line.match(/silence_end:\s*([\d.]+)/);
+
+                if (start) {
+                    current = { start: Math.max(0, parseFloat(start[1])), end: null };
+                } else if (end && current) {
+                    current.end = parseFloat(end[1]);
+                    silences.push(current);
+                    current = null;
+                }
+            })
+            .on('end', () => {
+                // Trailing silence runs to the end of the file
+                if (current) {
+                    silences.push({ start: current.start, end: null });
+                }
+                resolve(silences);
+            })
+            .on('error', (err) => {
+                console.error('Silence detection error:', err);
+                reject(err);
+            })
+            .run();
+    });
+};
+
 module.exports = {
     extractFrames,
+    extractSceneFrames,
+    sampleFrames,
+    detectSceneChanges,
+    planSceneFrames,
+    planClipFrames,
+    analyzeActivity,
+    trimVideo,
+    buildAtempoChain,
+    buildEditFilter,
+    renderEditList,
+    buildCompilationFilter,
+    concatenateClips,
     getVideoDuration,
     getVideoMetadata,
+    chooseReframeMode,
+    reframeVideo,
+    scoreColumns,
+    planCropPath,
+    buildReframeFilter,
+    buildLayoutFilter,
+    composeLayout,
     mergeVideoWithAudio,
+    resolveAudioMix,
+    buildAudioMixFilter,
     convertToMp3,
-    addTextOverlay
+    changeAudioTempo,
+    placeAudioClips,
+    addTextOverlay,
+    detectSilences
 }; 
\ No newline at end of file
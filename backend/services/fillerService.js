@@ -0,0 +1,141 @@
+const fs = require('fs');
+const ffmpegService = require('./ffmpegService');
+const fillerModel = require('../models/fillerModel');
+const config = require('../config/config');
+
+// Layouts that need a filler clip
+const FILLER_LAYOUTS = ['split', 'pip'];
+
+/**
+ * Read a clip's duration and frame size, or nulls when it can't be probed
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<object>} { duration, width, height }
+ */
+const probeClip = async (filePath) => {
+    try {
+        const metadata = await ffmpegService.getVideoMetadata(filePath);
+        const duration = parseFloat(metadata.duration);
+        return {
+            duration: Number.isFinite(duration) ? duration : null,
+            width: metadata.video ? metadata.video.displayWidth : null,
+            height: metadata.video ? metadata.video.displayHeight : null
+        };
+    } catch (error) {
+        console.error('Filler probe error:', error.message);
+        return { duration: null, width: null, height: null };
+    }
+};
+
+/**
+ * Add an uploaded file to the filler library
+ * @param {object} file - Multer file object
+ * @param {object} details - { title, tags }
+ * @returns {Promise<object>} Created clip record
+ */
+const addClip = async (file, details = {}) => {
+    const probe = await probeClip(file.path);
+
+    return fillerModel.create({
+        title: details.title || file.originalname,
+        tags: details.tags,
+        filePath: file.path,
+        originalName: file.originalname,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        ...probe
+    });
+};
+
+/**
+ * Remove a clip from the library along with its file
+ * @param {string} clipId - Clip ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+const removeClip = (clipId) => {
+    const clip = fillerModel.findById(clipId);
+    if (!clip) {
+        return false;
+    }
+
+    if (clip.filePath && fs.existsSync(clip.filePath)) {
+        fs.unlinkSync(clip.filePath);
+    }
+
+    return fillerModel.deleteById(clipId);
+};
+
+/**
+ * Pick a filler clip: the requested one, or a random clip (with the tag,
+ * if one is given) whose file still exists
+ * @param {object} selection - { fillerId, tag }
+ * @returns {object|null} Clip record, or null if none matches
+ */
+const pickClip = (selection = {}) => {
+    if (selection.fillerId) {
+        const clip = fillerModel.findById(selection.fillerId);
+        return clip && fs.existsSync(clip.filePath) ? clip : null;
+    }
+
+    const candidates = fillerModel.findAll({ tag: selection.tag })
+        .filter(clip => fs.existsSync(clip.filePath));
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    return candidates[Math.floor(Math.random() * candidates.length)];
+};
+
+/**
+ * Turn a layout selection into the settings ffmpegService composes with
+ * @param {object} layout - { type, fillerId, tag, mainPosition, corner }
+ * @param {number} duration - Main clip duration in seconds
+ * @returns {object|null} Compose options with the filler path and start
+ *   time, or null for a single-clip layout or when no filler is available
+ */
+const resolveLayout = (layout, duration = 0) => {
+    const selection = layout || {};
+    const type = selection.type || config.layout.type;
+    if (!FILLER_LAYOUTS.includes(type)) {
+        return null;
+    }
+
+    const clip = pickClip(selection);
+    if (!clip) {
+        console.warn(`⚠️ No filler clip found${selection.tag ? ` tagged "${selection.tag}"` : ''}, keeping a single-clip layout`);
+        return null;
+    }
+
+    // Start long filler at a random point so repeated renders differ
+    const spare = clip.duration ? clip.duration - duration : 0;
+    const fillerStart = spare > 0 ? Number((Math.random() * spare).toFixed(2)) : 0;
+
+    return {
+        type,
+        fillerId: clip.id,
+        fillerPath: clip.filePath,
+        fillerDuration: clip.duration,
+        fillerStart,
+        mainPosition: selection.mainPosition || config.layout.split.mainPosition,
+        corner: selection.corner || config.layout.pip.corner
+    };
+};
+
+/**
+ * Build the layout for a video, using the request's selection or falling
+ * back to the layout saved on the video
+ * @param {object} video - Video record
+ * @param {object} layout - Layout options from the request
+ * @param {number} duration - Main clip duration in seconds
+ * @returns {object|null} Compose options (see resolveLayout)
+ */
+const buildLayoutOptions = (video, layout, duration) =>
+    resolveLayout(layout !== undefined ? layout : video.layout, duration);
+
+module.exports = {
+    FILLER_LAYOUTS,
+    addClip,
+    removeClip,
+    pickClip,
+    resolveLayout,
+    buildLayoutOptions
+};
@@ -0,0 +1,202 @@
+const ffmpegService = require('./ffmpegService');
+const config = require('../config/config');
+
+// Analysis signals are kept per second of video
+const BUCKET_SIZE = 1;
+
+// Loudness range (LUFS) mapped to 0-1; quieter counts as silence
+const LOUDNESS_FLOOR = -60;
+const LOUDNESS_CEILING = -10;
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+/**
+ * Average samples into one value per bucket
+ * @param {object[]} samples - Array of { time, value }
+ * @param {number} buckets - Number of buckets
+ * @param {number} fallback - Value for buckets without samples
+ * @returns {number[]} Mean value per bucket
+ */
+const bucketize = (samples, buckets, fallback = 0) => {
+    const sums = new Array(buckets).fill(0);
+    const counts = new Array(buckets).fill(0);
+
+    samples.forEach(({ time, value }) => {
+        const index = Math.min(buckets - 1, Math.floor(time / BUCKET_SIZE));
+        if (index >= 0) {
+            sums[index] += value;
+            counts[index]++;
+        }
+    });
+
+    return sums.map((sum, index) => (counts[index] > 0 ? sum / counts[index] : fallback));
+};
+
+/**
+ * Scale values to 0-1 by a high percentile, so one flash or bang does not
+ * flatten everything else
+ * @param {number[]} values - Raw values
+ * @param {number} percentile - Percentile that maps to 1
+ * @returns {number[]} Normalized values
+ */
+const normalize = (values, percentile = 0.95) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const top = sorted[Math.min(sorted.length - 1, Math.floor(percentile * sorted.length))] || 0;
+    return values.map(value => (top > 0 ? Math.min(1, value / top) : 0));
+};
+
+/**
+ * Turn raw activity samples into per-second signals
+ * @param {object} activity - { scenes, loudness } from ffmpegService.analyzeActivity
+ * @param {number} duration - Video duration in seconds
+ * @param {boolean} hasAudio - Whether loudness was measured
+ * @returns {object} { bucketSize, duration, hasAudio, audio, motion, scenes, cuts }
+ */
+const buildSignals = (activity, duration, hasAudio) => {
+    const buckets = Math.max(1, Math.ceil(duration / BUCKET_SIZE));
+    const threshold = config.ffmpeg.sceneThreshold;
+
+    // Scene cuts count toward scene density, not motion
+    const cuts = activity.scenes.filter(frame => frame.score > threshold).map(frame => frame.time);
+    const motion = bucketize(
+        activity.scenes.filter(frame => frame.score <= threshold).map(frame => ({ time: frame.time, value: frame.score })),
+        buckets
+    );
+    const cutCounts = new Array(buckets).fill(0);
+    cuts.forEach(time => {
+        cutCounts[Math.min(buckets - 1, Math.floor(time / BUCKET_SIZE))]++;
+    });
+
+    const loudness = bucketize(activity.loudness, buckets, LOUDNESS_FLOOR)
+        .map(value => (Math.min(LOUDNESS_CEILING, Math.max(LOUDNESS_FLOOR, value)) - LOUDNESS_FLOOR) / (LOUDNESS_CEILING - LOUDNESS_FLOOR));
+
+    return {
+        bucketSize: BUCKET_SIZE,
+        duration,
+        hasAudio,
+        audio: hasAudio ? normalize(loudness).map(value => round(value)) : null,
+        motion: normalize(motion).map(value => round(value)),
+        scenes: cutCounts.map(count => Math.min(1, count)),
+        cuts: cuts.map(time => round(time, 2))
+    };
+};
+
+/**
+ * Combine the signals into one interest score per second. Weights of a
+ * missing signal (no audio track) are shared among the others.
+ * @param {object} signals - From buildSignals
+ * @param {object} weights - { audio, motion, scenes }
+ * @returns {number[]} Score (0-1) per second
+ */
+const scoreTimeline = (signals, weights = config.highlights.weights) => {
+    const active = Object.keys(weights).filter(key => signals[key]);
+    const total = active.reduce((sum, key) => sum + weights[key], 0) || 1;
+
+    return signals.motion.map((_, index) =>
+        round(active.reduce((sum, key) => sum + weights[key] * signals[key][index], 0) / total));
+};
+
+/**
+ * Move a window's start onto a nearby scene cut so the clip opens on a
+ * clean shot, keeping its length and staying inside the video
+ * @param {number} start - Window start in seconds
+ * @param {number} length - Window length in seconds
+ * @param {number[]} cuts - Scene cut times
+ * @param {number} duration - Video duration
+ * @returns {number} Adjusted start
+ */
+const snapToCut = (start, length, cuts, duration) => {
+    const tolerance = config.highlights.snapTolerance;
+    const nearest = cuts
+        .filter(cut => Math.abs(cut - start) <= tolerance && cut + length <= duration)
+        .sort((a, b) => Math.abs(a - start) - Math.abs(b - start))[0];
+    return nearest !== undefined ? nearest : start;
+};
+
+/**
+ * Rank candidate windows of one length by their mean score. Windows that
+ * overlap a better one by more than config.highlights.maxOverlap are dropped.
+ * @param {object} signals - From buildSignals
+ * @param {object} options - { duration: window length, count, weights }
+ * @returns {object} { timeline, candidates: [{ rank, start, end, duration, score, signals }] }
+ */
+const rankWindows = (signals, options = {}) => {
+    const { step, maxOverlap, candidates: defaultCount } = config.highlights;
+    const count = options.count || defaultCount;
+    const timeline = scoreTimeline(signals, options.weights);
+    const buckets = timeline.length;
+    const length = Math.min(options.duration || config.highlights.duration, signals.duration);
+    const span = Math.max(1, Math.round(length / BUCKET_SIZE));
+
+    const mean = (values, from) => {
+        const slice = values.slice(from, from + span);
+        return slice.reduce((sum, value) => sum + value, 0) / (slice.length || 1);
+    };
+
+    const windows = [];
+    for (let index = 0; index <= Math.max(0, buckets - span); index += step) {
+        windows.push({ index, score: mean(timeline, index) });
+    }
+    windows.sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const picked = [];
+    for (const window of windows) {
+        const start = Math.min(window.index * BUCKET_SIZE, Math.max(0, signals.duration - length));
+        const overlaps = picked.some(other =>
+            Math.max(0, Math.min(other.start + length, start + length) - Math.max(other.start, start)) > maxOverlap * length);
+        if (!overlaps) {
+            picked.push({ ...window, start });
+        }
+        if (picked.length >= count) {
+            break;
+        }
+    }
+
+    return {
+        timeline,
+        candidates: picked.map((window, rank) => {
+            const start = round(snapToCut(window.start, length, signals.cuts, signals.duration), 2);
+            return {
+                rank: rank + 1,
+                start,
+                end: round(start + length, 2),
+                duration: round(length, 2),
+                score: round(window.score),
+                signals: {
+                    audio: signals.audio ? round(mean(signals.audio, window.index)) : null,
+                    motion: round(mean(signals.motion, window.index)),
+                    scenes: round(mean(signals.scenes, window.index))
+                }
+            };
+        })
+    };
+};
+
+/**
+ * Analyze a video's loudness, motion and scene cuts
+ * @param {string} videoPath - Path to the video file
+ * @returns {Promise<object>} Per-second signals (see buildSignals)
+ */
+const analyzeVideo = async (videoPath) => {
+    const metadata = await ffmpegService.getVideoMetadata(videoPath);
+    const duration = parseFloat(metadata.duration);
+    if (!Number.isFinite(duration) || duration <= 0) {
+        throw new Error('Could not read the video duration');
+    }
+
+    const hasAudio = !!metadata.audio;
+    console.log(`🔎 Analyzing ${duration.toFixed(1)}s of video for highlights${hasAudio ? '' : ' (no audio)'}`);
+    const activity = await ffmpegService.analyzeActivity(videoPath, { audio: hasAudio });
+
+    return {
+        ...buildSignals(activity, duration, hasAudio),
+        analyzedAt: new Date().toISOString()
+    };
+};
+
+module.exports = {
+    buildSignals,
+    scoreTimeline,
+    rankWindows,
+    analyzeVideo
+};
@@ -0,0 +1,198 @@
+const jobModel = require('../models/jobModel');
+const videoModel = require('../models/videoModel');
+const config = require('../config/config');
+
+// Job handlers keyed by job type
+const handlers = {};
+
+// Number of jobs currently running in this process
+let activeCount = 0;
+
+// Jobs are only picked up once the server has finished booting
+let started = false;
+
+// Video statuses that mean a pipeline is still working on the record
+const IN_FLIGHT_VIDEO_STATUSES = [
+    'queued',
+    'processing',
+    'adding_subtitles',
+    'editing',
+    'extracting_frames',
+    'generating_script',
+    'generating_audio',
+    'reframing',
+    'merging_audio'
+];
+
+/**
+ * Register the function that runs jobs of a given type
+ * @param {string} type - Job type
+ * @param {Function} handler - Async function receiving (payload, job)
+ */
+const registerHandler = (type, handler) => {
+    handlers[type] = handler;
+};
+
+/**
+ * Persist a new job and schedule it
+ * @param {string} type - Job type (must have a registered handler)
+ * @param {object} payload - Data passed to the handler
+ * @param {object} options - Job options (videoId, maxAttempts)
+ * @returns {object} Created job record
+ */
+const enqueue = (type, payload = {}, options = {}) => {
+    if (!handlers[type]) {
+        throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const job = jobModel.create({
+        type,
+        payload,
+        videoId: options.videoId || payload.videoId || null,
+        maxAttempts: options.maxAttempts || config.queue.maxAttempts
+    });
+
+    console.log(`📥 Job ${job.id} (${type}) queued`);
+    drain();
+
+    return job;
+};
+
+/**
+ * Run a single job and record its outcome
+ * @param {object} job - Job record
+ */
+const runJob = async (job) => {
+    activeCount++;
+
+    const attempts = job.attempts + 1;
+    jobModel.update(job.id, {
+        status: 'running',
+        attempts,
+        startedAt: new Date().toISOString()
+    });
+
+    console.log(`▶️  Job ${job.id} (${job.type}) started, attempt ${attempts}/${job.maxAttempts}`);
+
+    try {
+        const result = await handlers[job.type](job.payload, { ...job, attempts });
+
+        jobModel.update(job.id, {
+            status: 'completed',
+            result: result || null,
+            error: null,
+            finishedAt: new Date().toISOString()
+        });
+
+        console.log(`✅ Job ${job.id} completed`);
+    } catch (error) {
+        const retry = attempts < job.maxAttempts;
+
+        jobModel.update(job.id, {
+            status: retry ? 'queued' : 'failed',
+            error: error.message,
+            finishedAt: retry ? null : new Date().toISOString()
+        });
+
+        console.error(`❌ Job ${job.id} failed${retry ? ', will retry' : ''}:`, error.message);
+    } finally {
+        activeCount--;
+        drain();
+    }
+};
+
+/**
+ * Start queued jobs until the concurrency limit is reached
+ */
+const drain = () => {
+    if (!started) {
+        return;
+    }
+
+    const queued = jobModel.findByStatus('queued')
+        .filter(job => handlers[job.type]);
+
+    while (activeCount < config.queue.concurrency && queued.length > 0) {
+        runJob(queued.shift());
+    }
+};
+
+/**
+ * Mark videos left mid-pipeline without any live job as failed
+ * @returns {number} Number of videos updated
+ */
+const failOrphanedVideos = () => {
+    let count = 0;
+
+    videoModel.findAll()
+        .filter(video => IN_FLIGHT_VIDEO_STATUSES.includes(video.status))
+        .filter(video => !jobModel.findActiveByVideoId(video.id))
+        .forEach(video => {
+            videoModel.update(video.id, {
+                status: 'failed',
+                error: 'Processing was interrupted by a server restart'
+            });
+            count++;
+        });
+
+    return count;
+};
+
+/**
+ * Resume interrupted jobs and begin processing the queue.
+ * Jobs still marked as running belonged to a previous process, so they
+ * are put back in the queue without consuming an extra attempt.
+ */
+const start = () => {
+    if (started) {
+        return;
+    }
+
+    const interrupted = jobModel.findByStatus('running');
+    interrupted.forEach(job => {
+        jobModel.update(job.id, {
+            status: 'queued',
+            attempts: Math.max(job.attempts - 1, 0),
+            interruptedAt: new Date().toISOString()
+        });
+    });
+
+    if (interrupted.length > 0) {
+        console.log(`🔁 Resuming ${interrupted.length} interrupted job(s)`);
+    }
+
+    const orphaned = failOrphanedVideos();
+    if (orphaned > 0) {
+        console.log(`⚠️  Marked ${orphaned} orphaned video(s) as failed`);
+    }
+
+    started = true;
+    drain();
+};
+
+/**
+ * Get a snapshot of the queue state
+ * @returns {object} Queue statistics
+ */
+const getQueueStats = () => {
+    const jobs = jobModel.findAll();
+    const byStatus = {};
+
+    jobs.forEach(job => {
+        byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    });
+
+    return {
+        concurrency: config.queue.concurrency,
+        active: activeCount,
+        total: jobs.length,
+        byStatus
+    };
+};
+
+module.exports = {
+    registerHandler,
+    enqueue,
+    start,
+    getQueueStats
+};
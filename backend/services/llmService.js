@@ -0,0 +1,30 @@
+const config = require('../config/config');
+
+// Language model providers; each implements chat(messages, options)
+const PROVIDERS = {
+    openai: () => require('./providers/openaiProvider'),
+    gemini: () => require('./providers/geminiProvider'),
+    mock: () => require('./providers/mockProvider')
+};
+
+if (!PROVIDERS[config.llm.provider]) {
+    throw new Error(`Unknown LLM provider "${config.llm.provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+}
+
+const provider = PROVIDERS[config.llm.provider]();
+
+/**
+ * Send a chat request to the configured provider. Message content is a
+ * string or an array of parts: { type: 'text', text } or
+ * { type: 'image', path }.
+ * @param {object[]} messages - Array of { role: 'system'|'user'|'assistant', content }
+ * @param {object} options - { json, temperature, maxTokens, task, input }; `task` and
+ *   `input` describe the request for providers that don't call a model
+ * @returns {Promise<object>} { content, usage: { promptTokens, completionTokens, totalTokens } }
+ */
+const chat = (messages, options = {}) => provider.chat(messages, options);
+
+module.exports = {
+    provider: provider.name,
+    chat
+};
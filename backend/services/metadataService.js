@@ -0,0 +1,181 @@
+const scriptService = require('./scriptService');
+const config = require('../config/config');
+
+// Platform keys in config.socialPlatforms, e.g. 'tiktok'
+const PLATFORMS = Object.keys(config.socialPlatforms);
+
+/**
+ * Clean up hashtags: one '#', no spaces or punctuation, no duplicates
+ * @param {string[]} hashtags - Hashtags with or without '#'
+ * @returns {string[]} Normalized hashtags
+ */
+const normalizeHashtags = (hashtags = []) => {
+    const seen = new Set();
+    return hashtags
+        .map(tag => `#${String(tag).replace(/[^\p{L}\p{N}_]/gu, '')}`)
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (tag.length < 2 || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+};
+
+/**
+ * Shorten text to a limit, cutting at a word boundary when possible
+ * @param {string} text - Text to shorten
+ * @param {number} limit - Maximum length
+ * @returns {string} Text no longer than limit
+ */
+const truncate = (text = '', limit) => {
+    const trimmed = text.trim();
+    if (trimmed.length <= limit) {
+        return trimmed;
+    }
+
+    const cut = trimmed.slice(0, limit + 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > limit / 2 ? cut.slice(0, lastSpace) : trimmed.slice(0, limit)).trim();
+};
+
+/**
+ * Join a description and its hashtags into the text that is posted
+ * @param {string} description - Description text
+ * @param {string[]} hashtags - Hashtags
+ * @returns {string} Caption
+ */
+const buildCaption = (description, hashtags) =>
+    [description, hashtags.join(' ')].filter(Boolean).join('\n\n');
+
+/**
+ * Fit generated metadata to a platform's limits. Hashtags beyond the limit
+ * are dropped, and the description is shortened to leave room for them.
+ * @param {string} platform - Key of config.socialPlatforms
+ * @param {object} variant - { title, description, hashtags }
+ * @returns {object} { name, title, description, hashtags, caption }
+ */
+const fitVariant = (platform, variant) => {
+    const limits = config.socialPlatforms[platform];
+    const required = normalizeHashtags(limits.requiredHashtags);
+    const hashtags = normalizeHashtags([...required, ...(variant.hashtags || [])]).slice(0, limits.maxHashtags);
+
+    // Hashtags never take more than half the caption
+    while (hashtags.length > required.length && hashtags.join(' ').length + 2 > limits.descriptionLength / 2) {
+        hashtags.pop();
+    }
+
+    const tagsLength = hashtags.length > 0 ? hashtags.join(' ').length + 2 : 0;
+    const description = truncate(variant.description, limits.descriptionLength - tagsLength);
+
+    return {
+        name: limits.name,
+        title: limits.titleLength > 0 ? truncate(variant.title, limits.titleLength) : null,
+        description,
+        hashtags,
+        caption: buildCaption(description, hashtags)
+    };
+};
+
+/**
+ * Check edited metadata against a platform's limits
+ * @param {string} platform - Key of config.socialPlatforms
+ * @param {object} variant - { title, description, hashtags }
+ * @returns {string|null} What is over the limit, or null if it fits
+ */
+const checkLimits = (platform, variant) => {
+    const limits = config.socialPlatforms[platform];
+    const caption = buildCaption(variant.description, variant.hashtags);
+
+    if (limits.titleLength > 0 && (variant.title || '').length > limits.titleLength) {
+        return `${limits.name} titles are limited to ${limits.titleLength} characters`;
+    }
+    if (variant.hashtags.length > limits.maxHashtags) {
+        return `${limits.name} allows at most ${limits.maxHashtags} hashtags`;
+    }
+    if (caption.length > limits.descriptionLength) {
+        return `${limits.name} captions are limited to ${limits.descriptionLength} characters including hashtags (got ${caption.length})`;
+    }
+    return null;
+};
+
+/**
+ * Write titles, descriptions and hashtags for each platform from a script
+ * @param {string} script - Script text
+ * @param {object} options - { platforms, style }
+ * @returns {Promise<object>} { hook, style, platforms: { [key]: variant }, generatedAt }
+ */
+const generateMetadata = async (script, options = {}) => {
+    const platforms = options.platforms || PLATFORMS;
+    const style = options.style || 'casual';
+
+    const result = await scriptService.generateTitleAndDescription(script, style, platforms);
+    const generic = result.data;
+
+    // A platform the model skipped falls back to the generic title and description
+    const variants = {};
+    platforms.forEach(platform => {
+        variants[platform] = fitVariant(platform, { ...generic, ...(generic.platforms || {})[platform] });
+    });
+
+    return {
+        hook: generic.hook || null,
+        style,
+        platforms: variants,
+        generatedAt: new Date().toISOString()
+    };
+};
+
+/**
+ * Apply edits to stored metadata. Hashtags are normalized but nothing is
+ * shortened; edits over a limit are rejected.
+ * @param {object|null} metadata - Stored metadata
+ * @param {object} edits - { [platform]: { title, description, hashtags } }
+ * @returns {object} { metadata } or { error }
+ */
+const applyEdits = (metadata, edits) => {
+    const platforms = { ...(metadata?.platforms || {}) };
+
+    for (const [platform, changes] of Object.entries(edits)) {
+        const current = platforms[platform] || { title: null, description: '', hashtags: [] };
+        const variant = {
+            title: changes.title !== undefined ? changes.title : current.title,
+            description: changes.description !== undefined ? changes.description : current.description,
+            hashtags: changes.hashtags !== undefined ? normalizeHashtags(changes.hashtags) : current.hashtags
+        };
+
+        const error = checkLimits(platform, variant);
+        if (error) {
+            return { error };
+        }
+
+        platforms[platform] = {
+            name: config.socialPlatforms[platform].name,
+            title: config.socialPlatforms[platform].titleLength > 0 ? variant.title : null,
+            description: variant.description,
+            hashtags: variant.hashtags,
+            caption: buildCaption(variant.description, variant.hashtags)
+        };
+    }
+
+    return {
+        metadata: {
+            hook: null,
+            style: null,
+            generatedAt: null,
+            ...metadata,
+            platforms,
+            editedAt: new Date().toISOString()
+        }
+    };
+};
+
+module.exports = {
+    PLATFORMS,
+    normalizeHashtags,
+    fitVariant,
+    checkLimits,
+    generateMetadata,
+    applyEdits
+};
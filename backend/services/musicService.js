@@ -0,0 +1,106 @@
+const fs = require('fs');
+const ffmpegService = require('./ffmpegService');
+const musicModel = require('../models/musicModel');
+
+/**
+ * Read a track's duration, or null when it can't be probed
+ * @param {string} filePath - Path to the audio file
+ * @returns {Promise<number|null>} Duration in seconds
+ */
+const probeDuration = async (filePath) => {
+    try {
+        const metadata = await ffmpegService.getVideoMetadata(filePath);
+        const duration = parseFloat(metadata.duration);
+        return Number.isFinite(duration) ? duration : null;
+    } catch (error) {
+        console.error('Music probe error:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Add an uploaded file to the music library
+ * @param {object} file - Multer file object
+ * @param {object} details - { title, artist, bpm, mood, tags }
+ * @returns {Promise<object>} Created track record
+ */
+const addTrack = async (file, details = {}) => {
+    const duration = await probeDuration(file.path);
+
+    return musicModel.create({
+        title: details.title || file.originalname,
+        artist: details.artist,
+        bpm: details.bpm,
+        mood: details.mood,
+        tags: details.tags,
+        filePath: file.path,
+        originalName: file.originalname,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        duration
+    });
+};
+
+/**
+ * Remove a track from the library along with its file
+ * @param {string} trackId - Track ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+const removeTrack = (trackId) => {
+    const track = musicModel.findById(trackId);
+    if (!track) {
+        return false;
+    }
+
+    if (track.filePath && fs.existsSync(track.filePath)) {
+        fs.unlinkSync(track.filePath);
+    }
+
+    return musicModel.deleteById(trackId);
+};
+
+/**
+ * Turn a music selection into the settings ffmpegService mixes with
+ * @param {object} music - { trackId, gain, fadeIn, fadeOut }
+ * @returns {object|null} { path, gain, fadeIn, fadeOut }, or null if the track is gone
+ */
+const resolveMusicForMix = (music) => {
+    if (!music || !music.trackId) {
+        return null;
+    }
+
+    const track = musicModel.findById(music.trackId);
+    if (!track || !fs.existsSync(track.filePath)) {
+        console.warn(`⚠️ Music track ${music.trackId} not found, mixing without music`);
+        return null;
+    }
+
+    return {
+        path: track.filePath,
+        gain: music.gain,
+        fadeIn: music.fadeIn,
+        fadeOut: music.fadeOut
+    };
+};
+
+/**
+ * Build mix options for a video, using the request's music selection or
+ * falling back to the track attached to the video
+ * @param {object} video - Video record
+ * @param {object} audioMix - Audio mix options from the request
+ * @returns {object} Mix options with music resolved to a file path
+ */
+const buildMixOptions = (video, audioMix = {}) => {
+    const selection = audioMix.music !== undefined ? audioMix.music : video.music;
+    return {
+        ...audioMix,
+        music: resolveMusicForMix(selection)
+    };
+};
+
+module.exports = {
+    addTrack,
+    removeTrack,
+    resolveMusicForMix,
+    buildMixOptions
+};
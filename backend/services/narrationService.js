@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpegService = require('./ffmpegService');
+const scriptService = require('./scriptService');
+const alignmentService = require('./alignmentService');
+const config = require('../config/config');
+
+// ElevenLabs style exaggeration for each segment emphasis
+const EMPHASIS_STYLE = {
+    low: 0.2,
+    normal: 0.5,
+    high: 0.8
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Read the length of a generated voiceover
+ * @param {string} audioPath - Path to the audio file
+ * @returns {Promise<number|null>} Duration in seconds, or null if it can't be probed
+ */
+const measureDuration = async (audioPath) => {
+    try {
+        const metadata = await ffmpegService.getVideoMetadata(audioPath);
+        const duration = parseFloat(metadata.duration);
+        return Number.isFinite(duration) && duration > 0 ? duration : null;
+    } catch (error) {
+        console.error('❌ NARRATION FIT: Could not measure audio:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Time-stretch a voiceover in place and shift its word timings to match
+ * @param {object} narration - { audioPath, wordTimings }
+ * @param {number} tempo - atempo rate; above 1 shortens the audio
+ * @returns {Promise<object>} Narration with stretched audio and timings
+ */
+const stretchNarration = async (narration, tempo) => {
+    const stretchedPath = `${narration.audioPath}.fit.mp3`;
+    await ffmpegService.changeAudioTempo(narration.audioPath, stretchedPath, tempo);
+    fs.renameSync(stretchedPath, narration.audioPath);
+
+    return {
+        ...narration,
+        fileSize: fs.statSync(narration.audioPath).size,
+        wordTimings: narration.wordTimings
+            ? narration.wordTimings.map(timing => ({
+                ...timing,
+                start: timing.start / tempo,
+                end: timing.end / tempo
+            }))
+            : null
+    };
+};
+
+/**
+ * Generate a voiceover that lands within tolerance of the clip length.
+ * The audio is generated once and measured. If speed and tempo alone
+ * can't close the gap the script is rewritten to a new word count; then
+ * the TTS speed is adjusted and any remaining difference is taken
+ * up with an atempo stretch.
+ * @param {string} text - Script to narrate
+ * @param {string} voiceId - Voice ID (optional)
+ * @param {string} outputPath - Path to save the audio file
+ * @param {number} targetDuration - Clip length in seconds
+ * @param {object} options - Options passed to ttsService, including `provider`
+ * @returns {Promise<object>} Audio info plus `wordTimings`, the spoken `script` and a `fit` summary
+ */
+const generateFittedNarration = async (text, voiceId, outputPath, targetDuration, options = {}) => {
+    const settings = config.narrationFit;
+    let script = text;
+    let speed = options.speed || 1.0;
+    let rewrites = 0;
+    let tempo = 1.0;
+
+    const generate = () => alignmentService.generateAlignedAudio(script, voiceId, outputPath, { ...options, speed });
+
+    let narration = await generate();
+    let duration = await measureDuration(narration.audioPath);
+
+    if (!settings.enabled || !targetDuration || duration === null) {
+        return { ...narration, script, fit: null };
+    }
+
+    // Narration must not run past the clip (it would be cut off), and may
+    // finish up to `tolerance` early. Aim for the middle of that window.
+    const fits = () => duration <= targetDuration && duration >= targetDuration * (1 - settings.tolerance);
+    const aim = targetDuration * (1 - settings.tolerance / 2);
+
+    // Combined speed x tempo that speed and stretching can reach
+    const maxRate = settings.maxSpeed * settings.maxTempo;
+    const minRate = settings.minSpeed / settings.maxTempo;
+
+    while (!fits() && rewrites < settings.maxRewrites) {
+        const neededRate = speed * duration / aim;
+        if (neededRate <= maxRate && neededRate >= minRate) {
+            break;
+        }
+
+        // Words per second at the current speed gives the word count to aim for
+        const targetWords = Math.max(Math.round(countWords(script) * aim / duration), 1);
+        console.log(`📝 Narration is ${duration.toFixed(1)}s for a ${targetDuration.toFixed(1)}s clip, rewriting to ~${targetWords} words`);
+
+        try {
+            const resized = await scriptService.resizeScript(script, targetWords, targetDuration);
+            script = resized.data.script;
+        } catch (error) {
+            console.error('❌ NARRATION FIT: Script rewrite failed:', error.message);
+            break;
+        }
+
+        rewrites++;
+        narration = await generate();
+        duration = await measureDuration(narration.audioPath);
+        if (duration === null) {
+            return { ...narration, script, fit: null };
+        }
+    }
+
+    if (!fits()) {
+        // Narration length scales roughly with 1 / speed
+        const nextSpeed = clamp(speed * duration / aim, settings.minSpeed, settings.maxSpeed);
+
+        if (Math.abs(nextSpeed - speed) > 0.01) {
+            console.log(`⏩ Regenerating narration at speed ${nextSpeed.toFixed(2)}`);
+            speed = nextSpeed;
+            narration = await generate();
+            duration = await measureDuration(narration.audioPath);
+            if (duration === null) {
+                return { ...narration, script, fit: null };
+            }
+        }
+    }
+
+    if (!fits()) {
+        tempo = clamp(duration / aim, 1 / settings.maxTempo, settings.maxTempo);
+        console.log(`🎚️ Stretching narration by ${tempo.toFixed(3)}x`);
+        narration = await stretchNarration(narration, tempo);
+        duration = duration / tempo;
+    }
+
+    const fit = {
+        targetDuration,
+        duration,
+        speed,
+        tempo,
+        rewrites,
+        withinTolerance: fits()
+    };
+    console.log(`✅ Narration ${duration.toFixed(1)}s for a ${targetDuration.toFixed(1)}s clip${fit.withinTolerance ? '' : ' (outside tolerance)'}`);
+
+    return { ...narration, script, fit };
+};
+
+/**
+ * Spread a segment's words over its audio when no word timings came back
+ * @param {string} text - Segment text
+ * @param {number} duration - Segment audio length in seconds
+ * @returns {object[]} Array of { word, start, end } relative to the segment
+ */
+const spreadWords = (text, duration) => {
+    const words = text.split(/\s+/).filter(Boolean);
+    const totalLength = words.reduce((sum, word) => sum + word.length, 0) || 1;
+    let cursor = 0;
+
+    return words.map(word => {
+        const start = cursor;
+        cursor += duration * word.length / totalLength;
+        return { word, start, end: cursor };
+    });
+};
+
+/**
+ * Voice each timed segment separately and place it at its timestamp, so
+ * lines land on the moments they describe. A segment that would run into
+ * the next one is sped up (TTS speed, then atempo); if it still doesn't
+ * fit, the following segments are pushed back.
+ * @param {object[]} segments - Array of { start, text, emphasis } with start in seconds
+ * @param {string} voiceId - Voice ID (optional)
+ * @param {string} outputPath - Path for the combined narration
+ * @param {number} targetDuration - Clip length in seconds
+ * @param {object} options - Options passed to ttsService, including `provider`
+ * @returns {Promise<object>} Audio info plus `wordTimings` (tagged with `segment`), the full `script` and the placed `segments`
+ */
+const generateSegmentedNarration = async (segments, voiceId, outputPath, targetDuration, options = {}) => {
+    const settings = config.narrationFit;
+    const ordered = [...segments].sort((a, b) => a.start - b.start);
+    const baseName = path.basename(outputPath, path.extname(outputPath));
+    const placed = [];
+    const wordTimings = [];
+    const clipPaths = [];
+    let voice = voiceId;
+    let cursor = 0;
+
+    try {
+        for (let index = 0; index < ordered.length; index++) {
+            const segment = ordered[index];
+            const clipPath = path.join(path.dirname(outputPath), `${baseName}_segment${index}.mp3`);
+            clipPaths.push(clipPath);
+            const start = Math.max(segment.start, cursor);
+            const nextStart = index + 1 < ordered.length ? ordered[index + 1].start : targetDuration;
+            const available = nextStart ? nextStart - start - settings.segmentGap : null;
+
+            // Emphasis sets how expressive the delivery is
+            const segmentOptions = segment.emphasis ? { ...options, style: EMPHASIS_STYLE[segment.emphasis] } : options;
+            let speed = options.speed || 1.0;
+            let narration = await alignmentService.generateAlignedAudio(segment.text, voiceId, clipPath, { ...segmentOptions, speed });
+            let duration = await measureDuration(clipPath);
+            if (duration === null) {
+                throw new Error(`Could not measure narration for segment ${index}`);
+            }
+
+            let tempo = 1.0;
+            if (settings.enabled && available > 0 && duration > available) {
+                const nextSpeed = clamp(speed * duration / available, speed, settings.maxSpeed);
+                if (nextSpeed - speed > 0.01) {
+                    speed = nextSpeed;
+                    narration = await alignmentService.generateAlignedAudio(segment.text, voiceId, clipPath, { ...segmentOptions, speed });
+                    duration = (await measureDuration(clipPath)) || duration;
+                }
+                if (duration > available) {
+                    tempo = Math.min(duration / available, settings.maxTempo);
+                    narration = await stretchNarration(narration, tempo);
+                    duration = duration / tempo;
+                }
+            }
+
+            const words = narration.wordTimings && narration.wordTimings.length > 0
+                ? narration.wordTimings
+                : spreadWords(segment.text, duration);
+            words.forEach(word => {
+                wordTimings.push({ ...word, start: word.start + start, end: word.end + start, segment: index });
+            });
+
+            if (start > segment.start) {
+                console.log(`⏱️ Segment ${index} pushed back ${(start - segment.start).toFixed(2)}s to avoid overlap`);
+            }
+
+            voice = narration.voiceId || voice;
+            placed.push({
+                index,
+                text: segment.text,
+                emphasis: segment.emphasis || null,
+                requestedStart: segment.start,
+                start,
+                end: start + duration,
+                speed,
+                tempo,
+                audioPath: clipPath
+            });
+            cursor = start + duration + settings.segmentGap;
+        }
+
+        const timelineDuration = Math.max(targetDuration || 0, placed[placed.length - 1].end);
+        await ffmpegService.placeAudioClips(
+            placed.map(segment => ({ path: segment.audioPath, start: segment.start })),
+            outputPath,
+            timelineDuration
+        );
+
+        console.log(`✅ Placed ${placed.length} narration segments on a ${timelineDuration.toFixed(1)}s timeline`);
+
+        return {
+            audioPath: outputPath,
+            fileSize: fs.statSync(outputPath).size,
+            voiceId: voice,
+            script: placed.map(segment => segment.text).join(' '),
+            wordTimings,
+            segments: placed.map(({ audioPath, ...segment }) => segment)
+        };
+    } finally {
+        // The per-segment clips are only needed to build the timeline
+        clipPaths.forEach(clipPath => {
+            if (fs.existsSync(clipPath)) {
+                fs.unlinkSync(clipPath);
+            }
+        });
+    }
+};
+
+module.exports = {
+    generateFittedNarration,
+    generateSegmentedNarration
+};
@@ -0,0 +1,91 @@
+const { EventEmitter } = require('events');
+const videoModel = require('../models/videoModel');
+
+// One channel per video ID; any number of SSE clients may listen
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an event to everyone watching a video
+ * @param {string} videoId - Video ID
+ * @param {string} type - Event type (status, stage, progress)
+ * @param {object} data - Event payload
+ */
+const publish = (videoId, type, data = {}) => {
+    emitter.emit(videoId, type, {
+        videoId,
+        ...data,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * Listen to events for a video
+ * @param {string} videoId - Video ID
+ * @param {Function} listener - Called with (type, data)
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (videoId, listener) => {
+    emitter.on(videoId, listener);
+    return () => emitter.off(videoId, listener);
+};
+
+/**
+ * Persist a status change and publish it
+ * @param {string} videoId - Video ID
+ * @param {string} status - New status
+ * @param {object} extra - Additional fields to store (e.g. error)
+ * @returns {object|null} Updated video record
+ */
+const reportStatus = (videoId, status, extra = {}) => {
+    const video = videoModel.update(videoId, { status, ...extra });
+    publish(videoId, 'status', { status, ...extra });
+    return video;
+};
+
+/**
+ * Persist a completed stage and publish it
+ * @param {string} videoId - Video ID
+ * @param {string} stage - Stage name
+ * @param {object} artifacts - Stage artifacts
+ * @returns {object|null} Updated video record
+ */
+const reportStage = (videoId, stage, artifacts = {}) => {
+    const video = videoModel.updateStage(videoId, stage, true, artifacts);
+    publish(videoId, 'stage', { stage, completed: true, artifacts });
+    return video;
+};
+
+/**
+ * Build an FFmpeg progress callback that publishes percentages for a step.
+ * fluent-ffmpeg reports nothing useful when the duration is unknown, and
+ * may overshoot 100 on the last frame, so values are filtered and clamped.
+ * @param {string} videoId - Video ID
+ * @param {string} step - Step name shown to clients
+ * @returns {Function} Progress callback receiving fluent-ffmpeg progress
+ */
+const progressReporter = (videoId, step) => {
+    let lastPercent = -1;
+
+    return (progress) => {
+        if (typeof progress?.percent !== 'number' || isNaN(progress.percent)) {
+            return;
+        }
+
+        const percent = Math.min(100, Math.max(0, Math.round(progress.percent)));
+        if (percent === lastPercent) {
+            return;
+        }
+
+        lastPercent = percent;
+        publish(videoId, 'progress', { step, percent });
+    };
+};
+
+module.exports = {
+    publish,
+    subscribe,
+    reportStatus,
+    reportStage,
+    progressReporter
+};
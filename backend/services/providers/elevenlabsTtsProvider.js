@@ -0,0 +1,63 @@
+const elevenlabsService = require('../elevenlabsService');
+
+/**
+ * List the account's ElevenLabs voices
+ * @returns {Promise<object[]>} Array of { id, name, category, description, previewUrl, labels }
+ */
+const listVoices = async () => {
+    const result = await elevenlabsService.getAvailableVoices();
+    return result.data;
+};
+
+/**
+ * Get a voice's default settings
+ * @param {string} voiceId - Voice ID
+ * @returns {Promise<object>} { stability, similarityBoost, style, speakerBoost }
+ */
+const getVoiceSettings = async (voiceId) => {
+    const result = await elevenlabsService.getVoiceSettings(voiceId);
+    return {
+        stability: result.data.stability,
+        similarityBoost: result.data.similarity_boost,
+        style: result.data.style,
+        speakerBoost: result.data.use_speaker_boost
+    };
+};
+
+/**
+ * Synthesize speech to an MP3 file
+ * @param {string} text - Text to speak
+ * @param {string} voiceId - Voice ID (optional, uses the configured default)
+ * @param {string} outputPath - Path to save the audio file
+ * @param {object} options - ElevenLabs options plus `timestamps` to request character timings
+ * @returns {Promise<object>} { audioPath, fileSize, voiceId, model, textLength, alignment, generatedAt }
+ */
+const synthesize = async (text, voiceId, outputPath, options = {}) => {
+    const { timestamps = false, ...ttsOptions } = options;
+
+    const result = timestamps
+        ? await elevenlabsService.generateAudioWithTimestamps(text, voiceId, outputPath, ttsOptions)
+        : await elevenlabsService.generateAudio(text, voiceId, outputPath, ttsOptions);
+
+    return { alignment: null, ...result.data };
+};
+
+/**
+ * Stream speech as it is generated
+ * @param {string} text - Text to speak
+ * @param {string} voiceId - Voice ID (optional)
+ * @param {object} options - ElevenLabs options
+ * @returns {Promise<object>} { stream, mimeType }
+ */
+const stream = async (text, voiceId, options = {}) => ({
+    stream: await elevenlabsService.streamAudio(text, voiceId, options),
+    mimeType: 'audio/mpeg'
+});
+
+module.exports = {
+    name: 'elevenlabs',
+    listVoices,
+    getVoiceSettings,
+    synthesize,
+    stream
+};
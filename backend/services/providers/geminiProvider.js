@@ -0,0 +1,102 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+
+// Gemini API configuration
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+/**
+ * Convert a message content part to the Gemini format
+ * @param {object} part - { type: 'text', text } or { type: 'image', path }
+ * @returns {object} Gemini part
+ */
+const toPart = (part) => {
+    if (part.type === 'image') {
+        return {
+            inline_data: {
+                mime_type: path.extname(part.path).toLowerCase() === '.jpg' ? 'image/jpeg' : 'image/png',
+                data: fs.readFileSync(part.path).toString('base64')
+            }
+        };
+    }
+    return { text: part.text };
+};
+
+/**
+ * Run a chat completion with Gemini's generateContent endpoint
+ * @param {object[]} messages - Array of { role, content } (content is a string or parts)
+ * @param {object} options - { json, temperature, maxTokens }
+ * @returns {Promise<object>} { content, usage }
+ */
+const chat = async (messages, options = {}) => {
+    const {
+        json = false,
+        temperature = 0.7,
+        maxTokens = config.gemini.maxTokens
+    } = options;
+
+    if (!config.gemini.apiKey) {
+        throw new Error('GEMINI_API_KEY is not set');
+    }
+
+    const toParts = (content) => (Array.isArray(content) ? content : [{ type: 'text', text: content }]).map(toPart);
+    const system = messages.filter(message => message.role === 'system');
+
+    const payload = {
+        // Gemini calls the assistant role "model"
+        contents: messages
+            .filter(message => message.role !== 'system')
+            .map(message => ({
+                role: message.role === 'assistant' ? 'model' : 'user',
+                parts: toParts(message.content)
+            })),
+        generationConfig: {
+            temperature,
+            maxOutputTokens: maxTokens,
+            ...(json && { responseMimeType: 'application/json' })
+        }
+    };
+
+    if (system.length > 0) {
+        payload.systemInstruction = { parts: system.flatMap(message => toParts(message.content)) };
+    }
+
+    try {
+        const response = await axios.post(
+            `${GEMINI_API_URL}/models/${config.gemini.model}:generateContent`,
+            payload,
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-goog-api-key': config.gemini.apiKey
+                }
+            }
+        );
+
+        const candidate = response.data.candidates?.[0];
+        if (!candidate?.content?.parts) {
+            throw new Error(`No content returned (${candidate?.finishReason || response.data.promptFeedback?.blockReason || 'unknown reason'})`);
+        }
+
+        const usage = response.data.usageMetadata || {};
+        return {
+            content: candidate.content.parts.map(part => part.text || '').join(''),
+            usage: {
+                promptTokens: usage.promptTokenCount || 0,
+                completionTokens: usage.candidatesTokenCount || 0,
+                totalTokens: usage.totalTokenCount || 0
+            }
+        };
+    } catch (error) {
+        if (error.response) {
+            throw new Error(`Gemini API error: ${error.response.data?.error?.message || error.response.status}`);
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    name: 'gemini',
+    chat
+};
@@ -0,0 +1,170 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const ffmpegService = require('../ffmpegService');
+const config = require('../../config/config');
+
+/**
+ * Run the local TTS binary, optionally writing text to its stdin
+ * @param {string[]} args - Command line arguments
+ * @param {string|null} input - Text for stdin
+ * @returns {Promise<string>} stdout
+ */
+const run = (args, input = null) => {
+    const settings = config.tts.local;
+    const binary = settings.binary || settings.engine;
+
+    return new Promise((resolve, reject) => {
+        const child = execFile(binary, args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(error.code === 'ENOENT'
+                    ? `${binary} is not installed (set LOCAL_TTS_PATH)`
+                    : `${binary} failed: ${stderr || error.message}`));
+                return;
+            }
+            resolve(stdout);
+        });
+
+        if (input !== null) {
+            child.stdin.end(input);
+        }
+    });
+};
+
+/**
+ * Render speech to a WAV file with the configured engine
+ * @param {string} text - Text to speak
+ * @param {string} voice - espeak-ng voice or piper model name
+ * @param {string} wavPath - Path for the WAV output
+ * @param {number} speed - Speaking rate, 1.0 is normal
+ * @returns {Promise<string>} Path to the WAV file
+ */
+const renderWav = async (text, voice, wavPath, speed = 1.0) => {
+    const settings = config.tts.local;
+
+    if (settings.engine === 'piper') {
+        const modelPath = path.join(settings.piperModelDir, `${voice}.onnx`);
+        if (!fs.existsSync(modelPath)) {
+            throw new Error(`Piper model not found: ${modelPath}`);
+        }
+        // Piper stretches phoneme lengths, so a faster speed is a shorter length
+        await run(['--model', modelPath, '--output_file', wavPath, '--length_scale', (1 / speed).toFixed(3)], text);
+    } else {
+        await run(['-v', voice, '-s', String(Math.round(settings.wordsPerMinute * speed)), '-w', wavPath, '--stdin'], text);
+    }
+
+    return wavPath;
+};
+
+/**
+ * List the voices the local engine has installed
+ * @returns {Promise<object[]>} Array of { id, name, category, description, previewUrl, labels }
+ */
+const listVoices = async () => {
+    const settings = config.tts.local;
+
+    if (settings.engine === 'piper') {
+        if (!fs.existsSync(settings.piperModelDir)) {
+            return [];
+        }
+        return fs.readdirSync(settings.piperModelDir)
+            .filter(file => file.endsWith('.onnx'))
+            .map(file => {
+                const id = path.basename(file, '.onnx');
+                return { id, name: id, category: 'piper', description: null, previewUrl: null, labels: {} };
+            });
+    }
+
+    // Columns: Pty Language Age/Gender VoiceName File Other Languages
+    const output = await run(['--voices']);
+    return output.split('\n')
+        .slice(1)
+        .map(line => line.trim().split(/\s+/))
+        .filter(columns => columns.length >= 5)
+        .map(([, language, ageGender, name]) => ({
+            id: language,
+            name: name.replace(/_/g, ' '),
+            category: 'espeak-ng',
+            description: null,
+            previewUrl: null,
+            labels: {
+                language,
+                gender: ageGender.split('/')[1] === 'F' ? 'female' : 'male'
+            }
+        }));
+};
+
+/**
+ * Synthesize speech to an MP3 file. The engine writes WAV, which is then
+ * encoded with FFmpeg. No timings are returned, so subtitles fall back to
+ * the local aligner.
+ * @param {string} text - Text to speak
+ * @param {string} voiceId - Voice (optional, uses config.tts.local.voice)
+ * @param {string} outputPath - Path to save the audio file
+ * @param {object} options - { speed }; other options are ignored
+ * @returns {Promise<object>} { audioPath, fileSize, voiceId, model, textLength, alignment, generatedAt }
+ */
+const synthesize = async (text, voiceId, outputPath, options = {}) => {
+    if (!text || text.trim().length === 0) {
+        throw new Error('Text is required for audio generation');
+    }
+
+    const settings = config.tts.local;
+    const voice = voiceId || settings.voice;
+    const wavPath = `${outputPath}.wav`;
+
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    try {
+        await renderWav(text, voice, wavPath, options.speed || 1.0);
+        await ffmpegService.convertToMp3(wavPath, outputPath);
+    } finally {
+        if (fs.existsSync(wavPath)) {
+            fs.unlinkSync(wavPath);
+        }
+    }
+
+    return {
+        audioPath: outputPath,
+        fileSize: fs.statSync(outputPath).size,
+        voiceId: voice,
+        model: settings.engine,
+        textLength: text.length,
+        alignment: null,
+        generatedAt: new Date().toISOString()
+    };
+};
+
+/**
+ * Stream speech. The local engines render the whole clip first, so this
+ * streams the finished WAV and removes it once it has been read.
+ * @param {string} text - Text to speak
+ * @param {string} voiceId - Voice (optional)
+ * @param {object} options - { speed }
+ * @returns {Promise<object>} { stream, mimeType }
+ */
+const stream = async (text, voiceId, options = {}) => {
+    const wavPath = path.join(config.upload.tempDir, `tts_${Date.now()}_${process.pid}.wav`);
+    if (!fs.existsSync(config.upload.tempDir)) {
+        fs.mkdirSync(config.upload.tempDir, { recursive: true });
+    }
+
+    await renderWav(text, voiceId || config.tts.local.voice, wavPath, options.speed || 1.0);
+
+    const audioStream = fs.createReadStream(wavPath);
+    audioStream.on('close', () => {
+        fs.unlink(wavPath, () => {});
+    });
+
+    return { stream: audioStream, mimeType: 'audio/wav' };
+};
+
+module.exports = {
+    name: 'local',
+    listVoices,
+    synthesize,
+    stream
+};
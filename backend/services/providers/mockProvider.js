@@ -0,0 +1,127 @@
+// Offline stand-in for a language model. Answers are built from the
+// request's `task` and `input` only, so the same request always gets the
+// same response and the pipeline can run without network access or keys.
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Repeat or trim a script's words to reach a word count
+ * @param {string} script - Script text
+ * @param {number} targetWords - Word count to return
+ * @returns {string} Resized script
+ */
+const resizeWords = (script, targetWords) => {
+    const words = script.split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        return '';
+    }
+    return Array.from({ length: targetWords }, (value, index) => words[index % words.length]).join(' ');
+};
+
+/**
+ * One narration line per frame, padded to about three words per second
+ * @param {object} input - { frameCount, duration, style }
+ * @returns {string} Script text
+ */
+const buildScript = ({ frameCount = 1, duration = null, style = 'casual' }) => {
+    const lines = Array.from({ length: frameCount }, (value, index) => `Moment ${index + 1} keeps this ${style} story moving.`);
+    const script = lines.join(' ');
+    return duration ? resizeWords(script, Math.max(Math.round(duration * 3), 1)) : script;
+};
+
+// Response builders, by task
+const TASKS = {
+    script: (input) => ({
+        script: buildScript(input),
+        title: 'Mock Video Script',
+        description: 'Deterministic script from the mock provider',
+        estimatedDuration: input.duration ? `${Math.round(input.duration)} seconds` : '30 seconds',
+        keyPoints: ['Opening', 'Middle', 'Ending'],
+        tone: input.style || 'casual'
+    }),
+    timedScript: ({ timestamps = [], duration = null, style = 'casual' }) => {
+        const end = duration || (timestamps[timestamps.length - 1] || 0) + 3;
+        return {
+            title: 'Mock Timed Script',
+            description: 'Deterministic timed script from the mock provider',
+            tone: style,
+            segments: timestamps
+                .filter(timestamp => timestamp < end)
+                .map((timestamp, index, starts) => ({
+                    start: timestamp,
+                    end: Math.min(starts[index + 1] !== undefined ? starts[index + 1] : end, timestamp + 3, end),
+                    text: `Moment ${index + 1} at ${timestamp.toFixed(1)} seconds.`,
+                    emphasis: 'normal'
+                }))
+                .filter(segment => segment.end > segment.start)
+        };
+    },
+    improveScript: ({ script, feedback }) => ({
+        script,
+        changes: [`Applied feedback: ${feedback}`],
+        improvementSummary: 'Mock provider returns the script unchanged'
+    }),
+    titleAndDescription: ({ script, platforms = [] }) => {
+        const base = {
+            title: script.split(/\s+/).slice(0, 5).join(' '),
+            description: script.slice(0, 150),
+            hashtags: ['#video', '#mock'],
+            hook: script.split(/[.!?]/)[0]
+        };
+        return {
+            ...base,
+            platforms: Object.fromEntries(platforms.map(platform => [platform, {
+                title: base.title,
+                description: `${base.hook} (${platform})`,
+                hashtags: [...base.hashtags, `#${platform}`]
+            }]))
+        };
+    },
+    translateScript: ({ script, language }) => ({
+        script: `[${language}] ${script}`
+    }),
+    translateLines: ({ lines, language }) => ({
+        lines: lines.map(line => `[${language}] ${line}`)
+    }),
+    resizeScript: ({ script, targetWords }) => ({
+        script: resizeWords(script, targetWords)
+    })
+};
+
+/**
+ * Answer a chat request without calling a model
+ * @param {object[]} messages - Array of { role, content }; used for token counts only
+ * @param {object} options - { task, input } describing the request
+ * @returns {Promise<object>} { content, usage }
+ */
+const chat = async (messages, options = {}) => {
+    const { task, input = {} } = options;
+
+    if (!TASKS[task]) {
+        throw new Error(`Mock provider has no response for task "${task}"`);
+    }
+
+    const content = JSON.stringify(TASKS[task](input));
+    const promptText = messages
+        .map(message => (Array.isArray(message.content)
+            ? message.content.filter(part => part.type === 'text').map(part => part.text).join(' ')
+            : message.content))
+        .join(' ');
+
+    const promptTokens = countWords(promptText);
+    const completionTokens = countWords(content);
+
+    return {
+        content,
+        usage: {
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens
+        }
+    };
+};
+
+module.exports = {
+    name: 'mock',
+    chat
+};
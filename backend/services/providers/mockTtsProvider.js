@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const config = require('../../config/config');
+
+// Offline stand-in for a TTS engine. Each word becomes a short beep (or
+// silence) sized by its length, and character timings are returned in the
+// ElevenLabs alignment format, so narration and subtitles can be exercised
+// without keys or installed voices.
+
+const VOICES = [
+    { id: 'mock-tone', name: 'Mock Tone', description: 'One beep per word' },
+    { id: 'mock-silence', name: 'Mock Silence', description: 'Silent audio of speech length' }
+];
+
+// Share of each word's slot that is sounded; the rest is the gap before the next word
+const WORD_FILL = 0.8;
+
+/**
+ * Lay the words of a text out in time
+ * @param {string} text - Text to speak
+ * @param {number} speed - Speaking rate, 1.0 is normal
+ * @returns {object} { words: [{ start, end }], characters, starts, ends, duration }
+ */
+const planSpeech = (text, speed) => {
+    const settings = config.tts.mock;
+    const wordCount = text.split(/\s+/).filter(Boolean).length || 1;
+    const duration = wordCount / (settings.wordsPerSecond * speed);
+    const letters = text.replace(/\s+/g, '').length || 1;
+
+    const characters = [];
+    const starts = [];
+    const ends = [];
+    const words = [];
+    let cursor = 0;
+
+    // Words get time in proportion to their length
+    text.trim().split(/(\s+)/).filter(Boolean).forEach(token => {
+        if (/^\s+$/.test(token)) {
+            characters.push(' ');
+            starts.push(cursor);
+            ends.push(cursor);
+            return;
+        }
+
+        const slot = duration * token.length / letters;
+        const spoken = slot * WORD_FILL;
+        words.push({ start: cursor, end: cursor + spoken });
+
+        [...token].forEach((char, index) => {
+            characters.push(char);
+            starts.push(cursor + spoken * index / token.length);
+            ends.push(cursor + spoken * (index + 1) / token.length);
+        });
+        cursor += slot;
+    });
+
+    return { words, characters, starts, ends, duration };
+};
+
+/**
+ * Render a plan to 16-bit mono PCM WAV
+ * @param {object[]} words - Array of { start, end } in seconds
+ * @param {number} duration - Total length in seconds
+ * @param {boolean} silent - Write silence instead of tones
+ * @returns {Buffer} WAV file contents
+ */
+const renderWav = (words, duration, silent) => {
+    const { sampleRate, frequency } = config.tts.mock;
+    const sampleCount = Math.ceil(duration * sampleRate);
+    const buffer = Buffer.alloc(44 + sampleCount * 2);
+
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + sampleCount * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(1, 22); // Mono
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(sampleCount * 2, 40);
+
+    if (!silent) {
+        words.forEach(word => {
+            const first = Math.floor(word.start * sampleRate);
+            const last = Math.min(Math.floor(word.end * sampleRate), sampleCount);
+            for (let sample = first; sample < last; sample++) {
+                const value = Math.sin(2 * Math.PI * frequency * sample / sampleRate) * 0.3 * 32767;
+                buffer.writeInt16LE(Math.round(value), 44 + sample * 2);
+            }
+        });
+    }
+
+    return buffer;
+};
+
+/**
+ * List the mock voices
+ * @returns {Promise<object[]>} Array of { id, name, category, description, previewUrl, labels }
+ */
+const listVoices = async () => VOICES.map(voice => ({
+    ...voice,
+    category: 'mock',
+    previewUrl: null,
+    labels: {}
+}));
+
+/**
+ * Write mock speech. The file holds WAV data whatever its extension;
+ * FFmpeg detects the format from the content.
+ * @param {string} text - Text to speak
+ * @param {string} voiceId - 'mock-tone' or 'mock-silence' (optional)
+ * @param {string} outputPath - Path to save the audio file
+ * @param {object} options - { speed }; other options are ignored
+ * @returns {Promise<object>} { audioPath, fileSize, voiceId, model, textLength, alignment, generatedAt }
+ */
+const synthesize = async (text, voiceId, outputPath, options = {}) => {
+    if (!text || text.trim().length === 0) {
+        throw new Error('Text is required for audio generation');
+    }
+
+    const voice = VOICES.some(entry => entry.id === voiceId) ? voiceId : config.tts.mock.voice;
+    const plan = planSpeech(text, options.speed || 1.0);
+
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+    fs.writeFileSync(outputPath, renderWav(plan.words, plan.duration, voice === 'mock-silence'));
+
+    return {
+        audioPath: outputPath,
+        fileSize: fs.statSync(outputPath).size,
+        voiceId: voice,
+        model: 'mock',
+        textLength: text.length,
+        alignment: {
+            characters: plan.characters,
+            character_start_times_seconds: plan.starts,
+            character_end_times_seconds: plan.ends
+        },
+        generatedAt: new Date().toISOString()
+    };
+};
+
+/**
+ * Stream mock speech
+ * @param {string} text - Text to speak
+ * @param {string} voiceId - Voice (optional)
+ * @param {object} options - { speed }
+ * @returns {Promise<object>} { stream, mimeType }
+ */
+const stream = async (text, voiceId, options = {}) => {
+    const plan = planSpeech(text, options.speed || 1.0);
+    const audioStream = new PassThrough();
+    audioStream.end(renderWav(plan.words, plan.duration, voiceId === 'mock-silence'));
+
+    return { stream: audioStream, mimeType: 'audio/wav' };
+};
+
+module.exports = {
+    name: 'mock',
+    listVoices,
+    synthesize,
+    stream
+};
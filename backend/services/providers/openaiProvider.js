@@ -0,0 +1,77 @@
+const { OpenAI } = require('openai');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+
+// Created on first use so other providers work without an OpenAI key
+let client = null;
+
+const getClient = () => {
+    if (!client) {
+        if (!config.openai.apiKey) {
+            throw new Error('OPENAI_API_KEY is not set');
+        }
+        client = new OpenAI({
+            apiKey: config.openai.apiKey,
+        });
+    }
+    return client;
+};
+
+/**
+ * Convert a message content part to the OpenAI format
+ * @param {object} part - { type: 'text', text } or { type: 'image', path }
+ * @returns {object} OpenAI content part
+ */
+const toContentPart = (part) => {
+    if (part.type === 'image') {
+        const base64Image = fs.readFileSync(part.path).toString('base64');
+        const mimeType = path.extname(part.path).toLowerCase() === '.jpg' ? 'image/jpeg' : 'image/png';
+        return {
+            type: 'image_url',
+            image_url: {
+                url: `data:${mimeType};base64,${base64Image}`
+            }
+        };
+    }
+    return { type: 'text', text: part.text };
+};
+
+/**
+ * Run a chat completion
+ * @param {object[]} messages - Array of { role, content } (content is a string or parts)
+ * @param {object} options - { json, temperature, maxTokens }
+ * @returns {Promise<object>} { content, usage }
+ */
+const chat = async (messages, options = {}) => {
+    const {
+        json = false,
+        temperature = 0.7,
+        maxTokens = config.openai.maxTokens
+    } = options;
+
+    const response = await getClient().chat.completions.create({
+        model: config.openai.model,
+        messages: messages.map(message => ({
+            role: message.role,
+            content: Array.isArray(message.content) ? message.content.map(toContentPart) : message.content
+        })),
+        max_tokens: maxTokens,
+        temperature,
+        ...(json && { response_format: { type: 'json_object' } })
+    });
+
+    return {
+        content: response.choices[0].message.content,
+        usage: {
+            promptTokens: response.usage.prompt_tokens,
+            completionTokens: response.usage.completion_tokens,
+            totalTokens: response.usage.total_tokens
+        }
+    };
+};
+
+module.exports = {
+    name: 'openai',
+    chat
+};
@@ -0,0 +1,689 @@
+const Joi = require('joi');
+const llmService = require('./llmService');
+const config = require('../config/config');
+
+/**
+ * Build the image parts of a vision request, each labelled with its time
+ * when timestamps are known
+ * @param {string[]} framePaths - Array of frame file paths
+ * @param {number[]|null} timestamps - Seconds for each frame
+ * @returns {object[]} Message content parts
+ */
+const buildFrameContent = (framePaths, timestamps = null) => {
+    const timed = Array.isArray(timestamps) && timestamps.length === framePaths.length;
+
+    return framePaths.flatMap((framePath, index) => {
+        const image = { type: 'image', path: framePath };
+
+        return timed
+            ? [{ type: 'text', text: `Frame at ${timestamps[index].toFixed(1)}s:` }, image]
+            : [image];
+    });
+};
+
+/**
+ * Describe a compilation's clips so the model writes one commentary that
+ * runs across them instead of starting over at each clip
+ * @param {object[]|null} clips - Array of { title, start, end } in play order
+ * @returns {string} Prompt text, empty for a single video
+ */
+const describeClips = (clips) => {
+    if (!clips || clips.length < 2) {
+        return '';
+    }
+
+    const list = clips
+        .map((clip, index) => `- Clip ${index + 1}${clip.title ? ` "${clip.title}"` : ''}: ${clip.start.toFixed(1)}s-${clip.end.toFixed(1)}s`)
+        .join('\n');
+
+    return `
+
+The video is a compilation of ${clips.length} clips played back to back:
+${list}
+
+Write one continuous commentary for the whole compilation, like a host counting down top moments: open by setting it up, carry the energy from clip to clip and bridge each cut, rather than narrating every clip on its own. `;
+};
+
+// System prompts for script generation, by style
+const SCRIPT_SYSTEM_PROMPTS = {
+    casual: "You are a creative content creator who writes engaging, casual scripts for short videos. Make it conversational and relatable.",
+    professional: "You are a professional scriptwriter who creates polished, informative scripts for business content.",
+    humorous: "You are a comedy writer who creates funny, entertaining scripts that make people laugh.",
+    educational: "You are an educational content creator who writes clear, informative scripts that teach viewers something new.",
+    motivational: "You are a motivational speaker who creates inspiring, uplifting scripts that motivate viewers.",
+    commentary: "You are a commentary scriptwriter for POV and action clips. Narrate in the third person and present tense, react to what people, animals and objects are doing, and add suspense or humor like a TikTok voiceover. Never sound robotic or overly descriptive."
+};
+
+/**
+ * Generate script from video frames with the configured vision model
+ * @param {string[]} framePaths - Array of frame file paths
+ * @param {string} prompt - User's custom prompt
+ * @param {string} style - Script style (casual, professional, humorous, etc.)
+ * @param {object} options - { timestamps: seconds for each frame, duration: video length, clips: compilation clips }
+ * @returns {Promise<object>} Generated script data
+ */
+const generateScript = async (framePaths, prompt = '', style = 'casual', options = {}) => {
+    try {
+        if (!framePaths || framePaths.length === 0) {
+            throw new Error('No frames provided for script generation');
+        }
+
+        const { timestamps = null, duration = null, clips = null } = options;
+        const timed = Array.isArray(timestamps) && timestamps.length === framePaths.length;
+
+        const images = buildFrameContent(framePaths, timestamps);
+
+        // Create system prompt based on style
+        const systemPrompt = SCRIPT_SYSTEM_PROMPTS[style] || SCRIPT_SYSTEM_PROMPTS.casual;
+
+        // Create user prompt
+        let userPrompt = `Analyze these video frames and create an engaging script for a short video. `;
+        
+        if (prompt) {
+            userPrompt += `The user wants: ${prompt}. `;
+        }
+
+        if (timed) {
+            userPrompt += `Each frame is labelled with the time it appears${duration ? ` in the ${Math.round(duration)}-second video` : ''}, so you know when each moment happens. `;
+        }
+
+        userPrompt += describeClips(clips);
+        
+        userPrompt += `
+        
+Requirements:
+- ${duration ? `Write a script that takes about ${Math.round(duration)} seconds to read aloud (about ${Math.round(duration * 3)} words)` : 'Write a script that would take 30-60 seconds to read aloud'}
+- Make it engaging and suitable for social media
+- Include natural pauses and emphasis points
+- Don't describe what's happening in the frames, instead create a narrative script
+- Make sure it flows naturally when spoken
+- Style: ${style}
+
+Please format your response as a JSON object with the following structure:
+{
+  "script": "Your script here...",
+  "title": "Suggested video title",
+  "description": "Brief description of what the video should convey",
+  "estimatedDuration": "estimated seconds to read aloud",
+  "keyPoints": ["key point 1", "key point 2", "key point 3"],
+  "tone": "description of the tone used"
+}`;
+
+        const response = await llmService.chat([
+            {
+                role: 'system',
+                content: systemPrompt
+            },
+            {
+                role: 'user',
+                content: [
+                    {
+                        type: 'text',
+                        text: userPrompt
+                    },
+                    ...images
+                ]
+            }
+        ], {
+            temperature: 0.7,
+            task: 'script',
+            input: { frameCount: framePaths.length, duration, style }
+        });
+
+        const content = response.content;
+        
+        // Try to parse as JSON, fallback to plain text
+        let scriptData;
+        try {
+            scriptData = JSON.parse(content);
+        } catch (jsonError) {
+            // If JSON parsing fails, create a structured response
+            scriptData = {
+                script: content,
+                title: "Generated Video Script",
+                description: "AI-generated script based on video frames",
+                estimatedDuration: "45-60 seconds",
+                keyPoints: ["Engaging content", "Natural flow", "Social media optimized"],
+                tone: style
+            };
+        }
+
+        return {
+            success: true,
+            data: scriptData,
+            usage: response.usage
+        };
+
+    } catch (error) {
+        console.error('LLM script generation error:', error);
+        throw new Error(`Failed to generate script: ${error.message}`);
+    }
+};
+
+// Shape of a timed script returned by the model
+const timelineSchema = Joi.object({
+    title: Joi.string().allow('').optional(),
+    description: Joi.string().allow('').optional(),
+    tone: Joi.string().allow('').optional(),
+    segments: Joi.array().items(Joi.object({
+        start: Joi.number().min(0).required(),
+        end: Joi.number().greater(Joi.ref('start')).required(),
+        text: Joi.string().trim().min(1).max(500).required(),
+        emphasis: Joi.string().valid('low', 'normal', 'high').default('normal')
+    })).min(1).max(50).required()
+}).unknown(true);
+
+/**
+ * Check a timed script from the model: it must match the schema, and its
+ * segments must be in order, must not overlap and must start in the video.
+ * A segment running past the end is cut off at the end.
+ * @param {string} content - Raw response content
+ * @param {number|null} duration - Video length in seconds
+ * @returns {object} Parsed and normalized timeline
+ */
+const parseTimeline = (content, duration) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (jsonError) {
+        throw new Error('Response was not valid JSON');
+    }
+
+    const { error, value } = timelineSchema.validate(parsed, { stripUnknown: true });
+    if (error) {
+        throw new Error(error.details[0].message);
+    }
+
+    value.segments.forEach((segment, index) => {
+        const previous = value.segments[index - 1];
+        if (previous && segment.start < previous.end) {
+            throw new Error(`segments[${index}] starts at ${segment.start}s, before the previous segment ends at ${previous.end}s`);
+        }
+        if (duration && segment.start >= duration) {
+            throw new Error(`segments[${index}] starts at ${segment.start}s, after the video ends at ${duration}s`);
+        }
+        if (duration && segment.end > duration) {
+            segment.end = duration;
+        }
+    });
+
+    return value;
+};
+
+/**
+ * Generate a timed script: frames are sent with their timestamps and the
+ * model returns segments { start, end, text, emphasis } that line up with
+ * what is on screen. Malformed responses are sent back with the error and
+ * retried up to `config.llm.maxRetries` times.
+ * @param {string[]} framePaths - Array of frame file paths
+ * @param {string} prompt - User's custom prompt
+ * @param {string} style - Script style
+ * @param {object} options - { timestamps: seconds for each frame (required), duration: video length, clips: compilation clips }
+ * @returns {Promise<object>} Script data with `segments` and the joined `script` text
+ */
+const generateTimedScript = async (framePaths, prompt = '', style = 'casual', options = {}) => {
+    try {
+        const { timestamps = null, duration = null, clips = null } = options;
+
+        if (!framePaths || framePaths.length === 0) {
+            throw new Error('No frames provided for script generation');
+        }
+        if (!Array.isArray(timestamps) || timestamps.length !== framePaths.length) {
+            throw new Error('A timestamp is required for every frame');
+        }
+
+        const systemPrompt = SCRIPT_SYSTEM_PROMPTS[style] || SCRIPT_SYSTEM_PROMPTS.casual;
+        const lastFrame = timestamps[timestamps.length - 1];
+
+        let userPrompt = `These frames come from a ${duration ? `${Math.round(duration)}-second ` : ''}video. Each frame is labelled with the time it appears. Write voiceover narration as timed segments that react to each moment as it happens. `;
+
+        if (prompt) {
+            userPrompt += `The user wants: ${prompt}. `;
+        }
+
+        userPrompt += describeClips(clips);
+
+        userPrompt += `
+
+Requirements:
+- Segments are in time order and do not overlap
+- Each segment's text can be spoken comfortably between its start and end (about 3 words per second)
+- Leave short gaps between segments; not every second needs narration
+- Every segment starts before ${duration ? `${duration.toFixed(1)}s` : `${(lastFrame + 3).toFixed(1)}s`}
+- Mark punchlines and big moments with "emphasis": "high", quiet asides with "low"
+- Style: ${style}
+
+Respond with only a JSON object:
+{
+  "title": "Suggested video title",
+  "description": "Brief description of the video",
+  "tone": "description of the tone used",
+  "segments": [
+    { "start": 0.0, "end": 2.5, "text": "Narration for this moment", "emphasis": "normal" }
+  ]
+}`;
+
+        const messages = [
+            {
+                role: 'system',
+                content: systemPrompt
+            },
+            {
+                role: 'user',
+                content: [
+                    {
+                        type: 'text',
+                        text: userPrompt
+                    },
+                    ...buildFrameContent(framePaths, timestamps)
+                ]
+            }
+        ];
+
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= config.llm.maxRetries; attempt++) {
+            const response = await llmService.chat(messages, {
+                json: true,
+                temperature: 0.7,
+                task: 'timedScript',
+                input: { timestamps, duration, style }
+            });
+
+            usage.promptTokens += response.usage.promptTokens;
+            usage.completionTokens += response.usage.completionTokens;
+            usage.totalTokens += response.usage.totalTokens;
+
+            const content = response.content;
+
+            try {
+                const timeline = parseTimeline(content, duration);
+                return {
+                    success: true,
+                    data: {
+                        ...timeline,
+                        script: timeline.segments.map(segment => segment.text).join(' ')
+                    },
+                    attempts: attempt + 1,
+                    usage
+                };
+            } catch (validationError) {
+                lastError = validationError;
+                console.warn(`⚠️ Timed script attempt ${attempt + 1} was malformed: ${validationError.message}`);
+
+                // Show the model its answer and what was wrong with it
+                messages.push({ role: 'assistant', content });
+                messages.push({
+                    role: 'user',
+                    content: `That response was invalid: ${validationError.message}. Reply again with only the corrected JSON object.`
+                });
+            }
+        }
+
+        throw new Error(`Model returned a malformed timeline after ${config.llm.maxRetries + 1} attempts (${lastError.message})`);
+
+    } catch (error) {
+        console.error('LLM timed script generation error:', error);
+        throw new Error(`Failed to generate timed script: ${error.message}`);
+    }
+};
+
+/**
+ * Write a script for a set of frames in the requested mode. Timeline mode
+ * needs a timestamp for every frame and falls back to a free-form script
+ * if the model can't produce a valid timeline.
+ * @param {string[]} framePaths - Array of frame file paths
+ * @param {string} prompt - User's custom prompt
+ * @param {string} style - Script style
+ * @param {object} options - { timestamps, duration, clips, scriptMode: 'timeline' or 'freeform' }
+ * @returns {Promise<object>} Script result; `data.segments` is set for timed scripts
+ */
+const generateVideoScript = async (framePaths, prompt = '', style = 'casual', options = {}) => {
+    const { timestamps = null, duration = null, clips = null, scriptMode = config.llm.scriptMode } = options;
+
+    if (scriptMode === 'timeline' && timestamps?.length === framePaths.length) {
+        try {
+            return await generateTimedScript(framePaths, prompt, style, { timestamps, duration, clips });
+        } catch (error) {
+            console.error('❌ Timed script generation failed, writing a free-form script:', error.message);
+        }
+    }
+
+    return generateScript(framePaths, prompt, style, { timestamps, duration, clips });
+};
+
+/**
+ * Improve or modify an existing script
+ * @param {string} originalScript - The original script text
+ * @param {string} userFeedback - User's feedback for improvement
+ * @param {string} style - Script style
+ * @returns {Promise<object>} Improved script data
+ */
+const improveScript = async (originalScript, userFeedback, style = 'casual') => {
+    try {
+        const systemPrompt = `You are a skilled script editor who improves video scripts based on user feedback. Maintain the core message while incorporating the requested changes.`;
+
+        const userPrompt = `Please improve this script based on the feedback provided:
+
+Original Script: "${originalScript}"
+
+User Feedback: "${userFeedback}"
+
+Style: ${style}
+
+Please provide an improved version formatted as JSON:
+{
+  "script": "Your improved script here...",
+  "changes": ["change 1", "change 2"],
+  "improvementSummary": "Brief summary of what was improved"
+}`;
+
+        const response = await llmService.chat([
+            {
+                role: 'system',
+                content: systemPrompt
+            },
+            {
+                role: 'user',
+                content: userPrompt
+            }
+        ], {
+            json: true,
+            temperature: 0.7,
+            task: 'improveScript',
+            input: { script: originalScript, feedback: userFeedback }
+        });
+
+        const content = response.content;
+        
+        let improvedData;
+        try {
+            improvedData = JSON.parse(content);
+        } catch (jsonError) {
+            improvedData = {
+                script: content,
+                changes: ["Content improved based on feedback"],
+                improvementSummary: "Script updated according to user request"
+            };
+        }
+
+        return {
+            success: true,
+            data: improvedData,
+            usage: response.usage
+        };
+
+    } catch (error) {
+        console.error('LLM script improvement error:', error);
+        throw new Error(`Failed to improve script: ${error.message}`);
+    }
+};
+
+/**
+ * Generate a title and description for a video, optionally with a variant
+ * for each social platform
+ * @param {string} script - The video script
+ * @param {string} style - Content style
+ * @param {string[]} platforms - Keys of config.socialPlatforms to write variants for (optional)
+ * @returns {Promise<object>} Generated title and description, with `platforms` when requested
+ */
+const generateTitleAndDescription = async (script, style = 'casual', platforms = []) => {
+    try {
+        let userPrompt = `Based on this video script, generate an engaging title and description:
+
+Script: "${script}"
+
+Style: ${style}
+
+Please format as JSON:
+{
+  "title": "Catchy video title",
+  "description": "Engaging description for social media",
+  "hashtags": ["#tag1", "#tag2", "#tag3"],
+  "hook": "Opening hook to grab attention"${platforms.length > 0 ? `,
+  "platforms": {
+    ${platforms.map(platform => `"${platform}": { "title": "...", "description": "...", "hashtags": ["#tag"] }`).join(',\n    ')}
+  }` : ''}
+}`;
+
+        if (platforms.length > 0) {
+            const rules = platforms.map(platform => {
+                const limits = config.socialPlatforms[platform];
+                const title = limits.titleLength > 0 ? `title up to ${limits.titleLength} characters` : 'no title (use an empty string)';
+                return `- ${platform} (${limits.name}): ${title}; description plus hashtags up to ${limits.descriptionLength} characters; at most ${limits.maxHashtags} hashtags`;
+            }).join('\n');
+
+            userPrompt += `
+
+Also write a variant for each platform in "platforms", matching how people post there:
+${rules}`;
+        }
+
+        const response = await llmService.chat([
+            {
+                role: 'user',
+                content: userPrompt
+            }
+        ], {
+            json: true,
+            maxTokens: 300 + platforms.length * 300,
+            temperature: 0.8,
+            task: 'titleAndDescription',
+            input: { script, style, platforms }
+        });
+
+        const content = response.content;
+        
+        let titleData;
+        try {
+            titleData = JSON.parse(content);
+        } catch (jsonError) {
+            titleData = {
+                title: "Engaging Video Content",
+                description: "Check out this amazing video!",
+                hashtags: ["#video", "#content", "#ai"],
+                hook: "You won't believe what happens next!"
+            };
+        }
+
+        return {
+            success: true,
+            data: titleData
+        };
+
+    } catch (error) {
+        console.error('LLM title generation error:', error);
+        throw new Error(`Failed to generate title: ${error.message}`);
+    }
+};
+
+/**
+ * Translate a narration script for dubbing
+ * @param {string} script - Script text
+ * @param {string} targetLanguage - Language name (e.g. "Spanish")
+ * @returns {Promise<object>} Translated script
+ */
+const translateScript = async (script, targetLanguage) => {
+    try {
+        const systemPrompt = `You are a dubbing translator. Translate video narration so it sounds natural when spoken aloud, keeping the tone, energy and roughly the same length as the original.`;
+
+        const userPrompt = `Translate this video script into ${targetLanguage}:
+
+Script: "${script}"
+
+Please format as JSON:
+{
+  "script": "Translated script here..."
+}`;
+
+        const response = await llmService.chat([
+            {
+                role: 'system',
+                content: systemPrompt
+            },
+            {
+                role: 'user',
+                content: userPrompt
+            }
+        ], {
+            json: true,
+            temperature: 0.3,
+            task: 'translateScript',
+            input: { script, language: targetLanguage }
+        });
+
+        const content = response.content;
+        const translated = JSON.parse(content).script;
+
+        if (!translated || typeof translated !== 'string') {
+            throw new Error('Translation response did not include a script');
+        }
+
+        return {
+            success: true,
+            data: {
+                language: targetLanguage,
+                script: translated.trim()
+            },
+            usage: response.usage
+        };
+
+    } catch (error) {
+        console.error('LLM script translation error:', error);
+        throw new Error(`Failed to translate script: ${error.message}`);
+    }
+};
+
+/**
+ * Rewrite a narration script to a target length, keeping its language,
+ * tone and content
+ * @param {string} script - Script text
+ * @param {number} targetWords - Word count to aim for
+ * @param {number} targetDuration - Clip length in seconds, for context
+ * @returns {Promise<object>} Resized script
+ */
+const resizeScript = async (script, targetWords, targetDuration) => {
+    try {
+        const currentWords = script.split(/\s+/).filter(Boolean).length;
+        const direction = targetWords < currentWords ? 'Shorten' : 'Lengthen';
+
+        const systemPrompt = `You are a voiceover script editor. You adjust the length of narration so it fits a video exactly, without changing its language, tone or the events it describes.`;
+
+        const userPrompt = `${direction} this ${currentWords}-word video script to about ${targetWords} words so it can be read aloud in ${Math.round(targetDuration)} seconds:
+
+Script: "${script}"
+
+Please format as JSON:
+{
+  "script": "Resized script here..."
+}`;
+
+        const response = await llmService.chat([
+            {
+                role: 'system',
+                content: systemPrompt
+            },
+            {
+                role: 'user',
+                content: userPrompt
+            }
+        ], {
+            json: true,
+            temperature: 0.5,
+            task: 'resizeScript',
+            input: { script, targetWords }
+        });
+
+        const content = response.content;
+        const resized = JSON.parse(content).script;
+
+        if (!resized || typeof resized !== 'string') {
+            throw new Error('Resize response did not include a script');
+        }
+
+        return {
+            success: true,
+            data: {
+                script: resized.trim(),
+                targetWords
+            },
+            usage: response.usage
+        };
+
+    } catch (error) {
+        console.error('LLM script resize error:', error);
+        throw new Error(`Failed to resize script: ${error.message}`);
+    }
+};
+
+/**
+ * Translate subtitle lines, keeping one output line per input line so the
+ * original cue timing can be reused
+ * @param {string[]} lines - Subtitle lines in order
+ * @param {string} targetLanguage - Language name (e.g. "Spanish")
+ * @returns {Promise<object>} Translated lines
+ */
+const translateLines = async (lines, targetLanguage) => {
+    try {
+        const systemPrompt = `You are a subtitle translator. Translate naturally and keep each line short enough to read on screen. Never merge or split lines.`;
+
+        const userPrompt = `Translate each of these subtitle lines into ${targetLanguage}.
+
+Lines:
+${JSON.stringify(lines)}
+
+Please format as JSON with exactly ${lines.length} lines, in the same order:
+{
+  "lines": ["translated line 1", "translated line 2"]
+}`;
+
+        const response = await llmService.chat([
+            {
+                role: 'system',
+                content: systemPrompt
+            },
+            {
+                role: 'user',
+                content: userPrompt
+            }
+        ], {
+            json: true,
+            temperature: 0.3,
+            task: 'translateLines',
+            input: { lines, language: targetLanguage }
+        });
+
+        const content = response.content;
+        const translated = JSON.parse(content).lines;
+
+        if (!Array.isArray(translated) || translated.length !== lines.length) {
+            throw new Error(`Expected ${lines.length} translated lines, got ${Array.isArray(translated) ? translated.length : 'none'}`);
+        }
+
+        return {
+            success: true,
+            data: {
+                language: targetLanguage,
+                lines: translated.map(line => String(line).trim())
+            },
+            usage: response.usage
+        };
+
+    } catch (error) {
+        console.error('LLM translation error:', error);
+        throw new Error(`Failed to translate subtitles: ${error.message}`);
+    }
+};
+
+module.exports = {
+    generateScript,
+    generateTimedScript,
+    parseTimeline,
+    generateVideoScript,
+    improveScript,
+    generateTitleAndDescription,
+    translateScript,
+    translateLines,
+    resizeScript
+}; 
\ No newline at end of file
@@ -2,6 +2,38 @@ const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const config = require('../config/config');
+const subtitleStyles = require('../config/subtitleStyles');
+const alignmentService = require('./alignmentService');
+const ffmpegService = require('./ffmpegService');
+const scriptService = require('./scriptService');
+const languages = require('../config/languages');
+
+// Karaoke caption defaults. Sizes and margins are relative to a 720px-tall
+// frame and scale with the video.
+const ASS_DEFAULTS = {
+    fontName: 'Arial',
+    fontSize: 40,
+    fontColor: 'white', // Words not yet spoken
+    highlightColor: 'yellow', // Spoken words
+    outlineColor: 'black',
+    outline: 3,
+    shadow: 1,
+    bold: true,
+    position: 'center',
+    marginV: 40,
+    marginL: 20,
+    marginR: 20,
+    maxWordsPerLine: 3
+};
+
+const ASS_REFERENCE_HEIGHT = 720;
+
+// Numpad-style ASS alignment (bottom/middle/top, centered)
+const ASS_ALIGNMENT = {
+    bottom: 2,
+    center: 5,
+    top: 8
+};
 
 /**
  * Convert script text to SRT subtitle format
@@ -140,6 +172,309 @@ const createSmartSubtitles = (scriptText, videoDuration, format = 'srt') => {
     return subtitles;
 };
 
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} format - Subtitle format ('srt' uses a comma, 'vtt' a dot)
+ * @returns {string} HH:MM:SS,mmm or HH:MM:SS.mmm
+ */
+const formatTimestamp = (seconds, format = 'srt') => {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const milliseconds = totalMs % 1000;
+    const separator = format === 'srt' ? ',' : '.';
+
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}${separator}${milliseconds.toString().padStart(3, '0')}`;
+};
+
+/**
+ * Group timed words into subtitle cues. A cue ends at sentence punctuation,
+ * after a long pause, at the end of a narration segment (words tagged with
+ * `segment`), or when it reaches the word or duration limit.
+ * @param {object[]} words - Array of { word, start, end } in seconds
+ * @param {object} options - { maxWords, maxDuration, maxGap }
+ * @returns {object[]} Array of { start, end, text, words }
+ */
+const buildCuesFromWords = (words, options = {}) => {
+    const {
+        maxWords = config.subtitles.maxWordsPerCue,
+        maxDuration = config.subtitles.maxCueDuration,
+        maxGap = config.subtitles.maxCueGap
+    } = options;
+
+    const cues = [];
+    let current = [];
+
+    const flush = () => {
+        if (current.length === 0) {
+            return;
+        }
+        cues.push({
+            start: current[0].start,
+            end: current[current.length - 1].end,
+            text: current.map(w => w.word).join(' '),
+            words: current
+        });
+        current = [];
+    };
+
+    words.forEach((word, index) => {
+        const next = words[index + 1];
+
+        if (current.length > 0 && word.end - current[0].start > maxDuration) {
+            flush();
+        }
+
+        current.push(word);
+
+        const sentenceEnd = /[.!?…]["')\]]*$/.test(word.word);
+        const longPause = next && next.start - word.end > maxGap;
+        const segmentEnd = next && next.segment !== word.segment;
+
+        if (sentenceEnd || longPause || segmentEnd || current.length >= maxWords) {
+            flush();
+        }
+    });
+
+    flush();
+    return cues;
+};
+
+/**
+ * Convert timed cues to SRT or WebVTT
+ * @param {object[]} cues - Array of { start, end, text }
+ * @param {string} format - Subtitle format ('srt' or 'vtt')
+ * @returns {string} Formatted subtitles
+ */
+const createTimedSubtitles = (cues, format = 'srt') => {
+    let subtitles = format === 'vtt' ? 'WEBVTT\n\n' : '';
+
+    cues.forEach((cue, index) => {
+        if (format === 'srt') {
+            subtitles += `${index + 1}\n`;
+        }
+
+        subtitles += `${formatTimestamp(cue.start, format)} --> ${formatTimestamp(cue.end, format)}\n`;
+        subtitles += `${cue.text}\n\n`;
+    });
+
+    return subtitles;
+};
+
+/**
+ * Spread words evenly over the fixed sentence slots used by
+ * createSmartSubtitles, for formats that need word timing when no audio
+ * alignment is available
+ * @param {string} scriptText - The script text
+ * @param {number} videoDuration - Video duration in seconds
+ * @returns {object[]} Array of { word, start, end } in seconds
+ */
+const estimateWordTimings = (scriptText, videoDuration) => {
+    const sentences = (scriptText.match(/[^.!?]+[.!?]*/g) || [])
+        .map(s => s.trim())
+        .filter(s => s.length > 0);
+
+    const subtitleDuration = 2.0;
+    const words = [];
+    let currentTime = 0;
+
+    sentences.forEach(sentence => {
+        const endTime = Math.min(currentTime + subtitleDuration, videoDuration);
+        const sentenceWords = sentence.split(/\s+/);
+        const perWord = Math.max(endTime - currentTime, 0) / sentenceWords.length;
+
+        sentenceWords.forEach((word, index) => {
+            words.push({
+                word,
+                start: currentTime + index * perWord,
+                end: currentTime + (index + 1) * perWord
+            });
+        });
+
+        currentTime = endTime + 0.1;
+    });
+
+    return words;
+};
+
+/**
+ * Convert a color name or #RRGGBB hex to an ASS color (&HAABBGGRR)
+ * @param {string} color - Color name or hex value
+ * @param {string} fallback - Color used when the value is not recognised
+ * @param {number} opacity - 0 (transparent) to 1 (opaque)
+ * @returns {string} ASS color
+ */
+const toAssColor = (color, fallback = 'white', opacity = 1) => {
+    const parse = (value) => /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i
+        .exec(subtitleStyles.colors[String(value).toLowerCase()] || String(value));
+
+    const [, r, g, b] = parse(color) || parse(fallback) || parse('white');
+    // ASS alpha is inverted: 00 is opaque, FF is transparent
+    const alpha = Math.round((1 - Math.min(Math.max(opacity, 0), 1)) * 255)
+        .toString(16)
+        .padStart(2, '0');
+
+    return `&H${alpha}${b}${g}${r}`.toUpperCase();
+};
+
+/**
+ * Merge a named preset with explicit styling fields
+ * @param {object} styling - Styling options, optionally with `preset`
+ * @returns {object} Styling with the preset applied
+ */
+const resolveStyling = (styling = {}) => {
+    const { preset, ...overrides } = styling;
+
+    if (preset && !subtitleStyles.presets[preset]) {
+        console.warn(`⚠️  Unknown subtitle style preset "${preset}", ignoring it`);
+    }
+
+    return {
+        ...(subtitleStyles.presets[preset] || {}),
+        ...overrides
+    };
+};
+
+/**
+ * Map styling options to a libass force_style string for the subtitles filter
+ * @param {object} styling - Resolved styling options
+ * @returns {string} Comma-separated force_style overrides (empty if none)
+ */
+const buildForceStyle = (styling = {}) => {
+    const style = [];
+
+    if (styling.fontName) {
+        style.push(`FontName=${styling.fontName}`);
+    }
+    if (styling.fontSize) {
+        style.push(`FontSize=${styling.fontSize}`);
+    }
+    if (styling.fontColor) {
+        style.push(`PrimaryColour=${toAssColor(styling.fontColor)}`);
+    }
+    if (styling.outlineColor) {
+        style.push(`OutlineColour=${toAssColor(styling.outlineColor, 'black')}`);
+    }
+    if (styling.backgroundColor) {
+        // BorderStyle 3 draws an opaque box behind the text
+        const opacity = styling.backgroundOpacity !== undefined ? styling.backgroundOpacity : 1;
+        style.push('BorderStyle=3');
+        style.push(`BackColour=${toAssColor(styling.backgroundColor, 'black', opacity)}`);
+    }
+    if (styling.outline !== undefined) {
+        style.push(`Outline=${styling.outline}`);
+    }
+    if (styling.shadow !== undefined) {
+        style.push(`Shadow=${styling.shadow}`);
+    }
+    if (styling.bold !== undefined) {
+        style.push(`Bold=${styling.bold ? -1 : 0}`);
+    }
+    if (ASS_ALIGNMENT[styling.position]) {
+        style.push(`Alignment=${ASS_ALIGNMENT[styling.position]}`);
+    }
+    if (styling.marginV !== undefined) {
+        style.push(`MarginV=${styling.marginV}`);
+    }
+    if (styling.marginL !== undefined) {
+        style.push(`MarginL=${styling.marginL}`);
+    }
+    if (styling.marginR !== undefined) {
+        style.push(`MarginR=${styling.marginR}`);
+    }
+
+    return style.join(',');
+};
+
+/**
+ * Format seconds as an ASS timestamp (H:MM:SS.cc)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} ASS timestamp
+ */
+const formatAssTimestamp = (seconds) => {
+    const totalCs = Math.max(0, Math.round(seconds * 100));
+    const hours = Math.floor(totalCs / 360000);
+    const minutes = Math.floor((totalCs % 360000) / 6000);
+    const secs = Math.floor((totalCs % 6000) / 100);
+    const centiseconds = totalCs % 100;
+
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${centiseconds.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Convert timed cues to an ASS script with per-word karaoke highlighting.
+ * Each word switches from fontColor to highlightColor as it is spoken.
+ * @param {object[]} cues - Array of { start, end, words } from buildCuesFromWords
+ * @param {object} options - Styling (see ASS_DEFAULTS) plus video width/height
+ * @returns {string} ASS formatted subtitles
+ */
+const createAssSubtitles = (cues, options = {}) => {
+    const settings = { ...ASS_DEFAULTS, ...options };
+    const { width = 1080, height = 1920 } = options;
+
+    // Keep the frame's aspect ratio so libass does not stretch the text
+    const playResY = ASS_REFERENCE_HEIGHT;
+    const playResX = Math.round(playResY * (width / height));
+
+    const style = [
+        'Karaoke',
+        settings.fontName,
+        settings.fontSize,
+        toAssColor(settings.highlightColor, ASS_DEFAULTS.highlightColor),
+        toAssColor(settings.fontColor, ASS_DEFAULTS.fontColor),
+        toAssColor(settings.outlineColor, ASS_DEFAULTS.outlineColor),
+        settings.backgroundColor
+            ? toAssColor(settings.backgroundColor, 'black', settings.backgroundOpacity !== undefined ? settings.backgroundOpacity : 1)
+            : '&H80000000',
+        settings.bold ? -1 : 0,
+        0, 0, 0, 100, 100, 0, 0,
+        settings.backgroundColor ? 3 : 1,
+        settings.outline,
+        settings.shadow,
+        ASS_ALIGNMENT[settings.position] || ASS_ALIGNMENT.center,
+        settings.marginL,
+        settings.marginR,
+        settings.marginV,
+        1
+    ].join(',');
+
+    let subtitles = '[Script Info]\n';
+    subtitles += 'ScriptType: v4.00+\n';
+    subtitles += `PlayResX: ${playResX}\n`;
+    subtitles += `PlayResY: ${playResY}\n`;
+    subtitles += 'WrapStyle: 2\n';
+    subtitles += 'ScaledBorderAndShadow: yes\n\n';
+
+    subtitles += '[V4+ Styles]\n';
+    subtitles += 'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding\n';
+    subtitles += `Style: ${style}\n\n`;
+
+    subtitles += '[Events]\n';
+    subtitles += 'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\n';
+
+    const toCs = (seconds) => Math.round(seconds * 100);
+
+    cues.forEach(cue => {
+        const text = cue.words.map((word, index) => {
+            // Each word lasts until the next one starts so pauses stay lit
+            const next = cue.words[index + 1];
+            const duration = toCs(next ? next.start : cue.end) - toCs(word.start);
+            const separator = index === 0
+                ? ''
+                : index % settings.maxWordsPerLine === 0 ? '\\N' : ' ';
+            const safeWord = word.word.replace(/[{}\\]/g, '');
+
+            return `${separator}{\\k${Math.max(duration, 1)}}${safeWord}`;
+        }).join('');
+
+        subtitles += `Dialogue: 0,${formatAssTimestamp(cue.start)},${formatAssTimestamp(cue.end)},Karaoke,,0,0,0,,${text}\n`;
+    });
+
+    return subtitles;
+};
+
 /**
  * Save subtitle content to file
  * @param {string} subtitleContent - Subtitle content
@@ -164,15 +499,36 @@ const saveSubtitleFile = async (subtitleContent, outputPath) => {
     });
 };
 
+/**
+ * Build the video filter that burns a subtitle file in. ASS files carry
+ * their own styling and karaoke tags; SRT/VTT are styled through libass
+ * force_style.
+ * @param {string} subtitlePath - Subtitle file
+ * @param {object} styling - Resolved styling options
+ * @returns {string} ass or subtitles filter
+ */
+const buildSubtitleFilter = (subtitlePath, styling = {}) => {
+    const filterPath = subtitlePath.replace(/\\/g, '/');
+    if (path.extname(subtitlePath).toLowerCase() === '.ass') {
+        return `ass=${filterPath}`;
+    }
+
+    const forceStyle = buildForceStyle(styling);
+    return forceStyle
+        ? `subtitles=${filterPath}:force_style='${forceStyle}'`
+        : `subtitles=${filterPath}`;
+};
+
 /**
  * Burn subtitles directly into video (hard subtitles)
  * @param {string} videoPath - Input video path
  * @param {string} subtitlePath - Subtitle file path
  * @param {string} outputPath - Output video path
  * @param {object} options - Subtitle styling options
+ * @param {Function} onProgress - Optional callback receiving FFmpeg progress
  * @returns {Promise<string>} Path to output video
  */
-const burnSubtitlesIntoVideo = (videoPath, subtitlePath, outputPath, options = {}) => {
+const burnSubtitlesIntoVideo = (videoPath, subtitlePath, outputPath, options = {}, onProgress = null) => {
     return new Promise((resolve, reject) => {
         console.log('🔍 BURN DEBUG: Starting SIMPLIFIED burnSubtitlesIntoVideo');
         console.log('🔍 BURN DEBUG: Video path:', videoPath);
@@ -237,8 +593,8 @@ const burnSubtitlesIntoVideo = (videoPath, subtitlePath, outputPath, options = {
                 console.log('🔍 BURN DEBUG: Created output directory');
             }
 
-            // Use simple subtitle filter without complex styling
-            console.log('🔍 BURN DEBUG: Using simplified subtitle approach');
+            const subtitleFilter = buildSubtitleFilter(subtitlePath, options);
+            console.log('🔍 BURN DEBUG: Using subtitle filter:', subtitleFilter);
             
             // Add timeout for very long operations
             const timeout = setTimeout(() => {
@@ -246,9 +602,11 @@ const burnSubtitlesIntoVideo = (videoPath, subtitlePath, outputPath, options = {
                 reject(new Error('Subtitle burning timeout after 10 minutes'));
             }, 600000); // 10 minute timeout
 
+            // videoFilters keeps the filter as one argument; outputOptions
+            // would split it at a space (e.g. in a font name)
             ffmpeg(videoPath)
+                .videoFilters(subtitleFilter)
                 .outputOptions([
-                    '-vf', `subtitles=${subtitlePath.replace(/\\/g, '/')}`,
                     '-c:a copy' // Copy audio without re-encoding
                 ])
                 .output(outputPath)
@@ -283,6 +641,9 @@ const burnSubtitlesIntoVideo = (videoPath, subtitlePath, outputPath, options = {
                     } else {
                         console.log('🔍 BURN PROGRESS: Processing...');
                     }
+                    if (onProgress) {
+                        onProgress(progress);
+                    }
                 })
                 .run();
         }
@@ -290,18 +651,21 @@ const burnSubtitlesIntoVideo = (videoPath, subtitlePath, outputPath, options = {
 };
 
 /**
- * Add soft subtitles to video (as separate track)
+ * Mux one or more subtitle files into a video as separate tracks
  * @param {string} videoPath - Input video path
- * @param {string} subtitlePath - Subtitle file path
+ * @param {object[]} tracks - Array of { path, language } (ISO 639-1 code)
  * @param {string} outputPath - Output video path
- * @param {string} language - Subtitle language code
+ * @param {object} options - { defaultLanguage } track shown by default
+ * @param {Function} onProgress - Optional callback receiving FFmpeg progress
  * @returns {Promise<string>} Path to output video
  */
-const addSoftSubtitles = (videoPath, subtitlePath, outputPath, language = 'en') => {
+const addSubtitleTracks = (videoPath, tracks, outputPath, options = {}, onProgress = null) => {
     return new Promise((resolve, reject) => {
-        console.log('🔍 SOFT DEBUG: Starting addSoftSubtitles');
+        const { defaultLanguage = tracks[0]?.language } = options;
+
+        console.log('🔍 SOFT DEBUG: Starting addSubtitleTracks');
         console.log('🔍 SOFT DEBUG: Video path:', videoPath);
-        console.log('🔍 SOFT DEBUG: Subtitle path:', subtitlePath);
+        console.log('🔍 SOFT DEBUG: Tracks:', tracks.map(track => track.language).join(', '));
         console.log('🔍 SOFT DEBUG: Output path:', outputPath);
 
         // Check if input files exist
@@ -311,9 +675,10 @@ const addSoftSubtitles = (videoPath, subtitlePath, outputPath, language = 'en')
             return;
         }
 
-        if (!fs.existsSync(subtitlePath)) {
+        const missing = tracks.find(track => !fs.existsSync(track.path));
+        if (missing) {
             console.log('❌ SOFT ERROR: Subtitle file not found');
-            reject(new Error(`Subtitle file not found: ${subtitlePath}`));
+            reject(new Error(`Subtitle file not found: ${missing.path}`));
             return;
         }
 
@@ -332,16 +697,33 @@ const addSoftSubtitles = (videoPath, subtitlePath, outputPath, language = 'en')
             reject(new Error('Soft subtitle addition timeout after 5 minutes'));
         }, 300000); // 5 minute timeout
 
+        const command = ffmpeg().input(videoPath);
+        tracks.forEach(track => command.input(track.path));
+
+        // Video and audio from the first input, one subtitle stream per file.
+        // MP4 only holds mov_text subtitles; other containers keep the source codec.
+        const outputOptions = [
+            '-map 0:v',
+            '-map 0:a?',
+            '-c:v copy',
+            '-c:a copy',
+            `-c:s ${path.extname(outputPath).toLowerCase() === '.mp4' ? 'mov_text' : 'copy'}`
+        ];
+
+        tracks.forEach((track, index) => {
+            const language = languages[track.language];
+            outputOptions.push(`-map ${index + 1}:0`);
+            outputOptions.push(`-metadata:s:s:${index} language=${language ? language.iso3 : track.language}`);
+            if (language) {
+                outputOptions.push(`-metadata:s:s:${index} title=${language.name}`);
+            }
+            outputOptions.push(`-disposition:s:${index} ${track.language === defaultLanguage ? 'default' : '0'}`);
+        });
+
         console.log('🔍 SOFT DEBUG: Starting FFmpeg process...');
 
-        ffmpeg()
-            .input(videoPath)
-            .input(subtitlePath)
-            .outputOptions([
-                '-c copy', // Copy all streams without re-encoding
-                `-metadata:s:s:0 language=${language}`,
-                '-disposition:s:0 default' // Make subtitle track default
-            ])
+        command
+            .outputOptions(outputOptions)
             .output(outputPath)
             .on('start', (commandLine) => {
                 console.log('✅ SOFT DEBUG: FFmpeg command started successfully!');
@@ -373,6 +755,9 @@ const addSoftSubtitles = (videoPath, subtitlePath, outputPath, language = 'en')
                 } else {
                     console.log('🔍 SOFT PROGRESS: Processing...');
                 }
+                if (onProgress) {
+                    onProgress(progress);
+                }
             })
             .run();
 
@@ -380,6 +765,54 @@ const addSoftSubtitles = (videoPath, subtitlePath, outputPath, language = 'en')
     });
 };
 
+/**
+ * Add soft subtitles to video (as separate track)
+ * @param {string} videoPath - Input video path
+ * @param {string} subtitlePath - Subtitle file path
+ * @param {string} outputPath - Output video path
+ * @param {string} language - Subtitle language code
+ * @param {Function} onProgress - Optional callback receiving FFmpeg progress
+ * @returns {Promise<string>} Path to output video
+ */
+const addSoftSubtitles = (videoPath, subtitlePath, outputPath, language = 'en', onProgress = null) => {
+    return addSubtitleTracks(videoPath, [{ path: subtitlePath, language }], outputPath, { defaultLanguage: language }, onProgress);
+};
+
+/**
+ * Translate timed cues, keeping their timing
+ * @param {object[]} cues - Array of { start, end, text }
+ * @param {string} language - Target ISO 639-1 code
+ * @returns {Promise<object[]>} Translated cues
+ */
+const translateCues = async (cues, language) => {
+    const result = await scriptService.translateLines(cues.map(cue => cue.text), languages[language].name);
+
+    return cues.map((cue, index) => ({
+        start: cue.start,
+        end: cue.end,
+        text: result.data.lines[index]
+    }));
+};
+
+/**
+ * Read the frame size used to lay out ASS captions
+ * @param {string} videoPath - Video path (optional)
+ * @returns {Promise<object>} { width, height }, or {} if unknown
+ */
+const getFrameSize = async (videoPath) => {
+    if (!videoPath) {
+        return {};
+    }
+
+    try {
+        const metadata = await ffmpegService.getVideoMetadata(videoPath);
+        return metadata.video ? { width: metadata.video.width, height: metadata.video.height } : {};
+    } catch (error) {
+        console.error('❌ SUBTITLE ERROR: Could not read frame size:', error.message);
+        return {};
+    }
+};
+
 /**
  * Generate subtitle file and optionally add to video
  * @param {string} scriptText - Script text
@@ -398,19 +831,46 @@ const processSubtitles = async (scriptText, videoDuration, outputDir, videoId, o
         console.log('🔍 SUBTITLE DEBUG: Options:', JSON.stringify(options, null, 2));
         
         const {
-            format = 'srt', // 'srt' or 'vtt'
+            format = 'srt', // 'srt', 'vtt' or 'ass' (karaoke, burned only)
             addToVideo = false,
             videoPath = null,
             subtitleType = 'hard', // 'hard' (burned) or 'soft' (separate track)
-            styling = {}
+            styling: requestedStyling = {}, // Styling fields and/or a named `preset`
+            onProgress = null, // FFmpeg progress callback for the video step
+            wordTimings = null, // [{ word, start, end }] from the TTS provider
+            audioPath = null // Voiceover to align against when no timings are given
         } = options;
 
+        const styling = resolveStyling(requestedStyling);
+
         console.log('🔍 SUBTITLE DEBUG: Parsed options:', { format, addToVideo, subtitleType, videoPath: !!videoPath });
 
         // Generate subtitle content
         console.log('🔍 SUBTITLE DEBUG: Step 7.1 - Generating subtitle content...');
-        const subtitleContent = createSmartSubtitles(scriptText, videoDuration, format);
-        console.log('✅ SUBTITLE DEBUG: Step 7.1 complete - Subtitle content generated:', subtitleContent.length, 'characters');
+        // Prefer real timings from the voiceover; fall back to estimates
+        let words = wordTimings && wordTimings.length > 0 ? wordTimings : null;
+        if (!words && audioPath && fs.existsSync(audioPath)) {
+            try {
+                words = await alignmentService.alignTextToAudio(scriptText, audioPath);
+            } catch (alignError) {
+                console.error('❌ SUBTITLE ERROR: Audio alignment failed, using estimated timing:', alignError.message);
+            }
+        }
+
+        let subtitleContent;
+        let cues = null;
+        const timing = words && words.length > 0 ? 'aligned' : 'estimated';
+        if (format === 'ass') {
+            // Karaoke needs word timing even without audio
+            cues = buildCuesFromWords(words && words.length > 0 ? words : estimateWordTimings(scriptText, videoDuration));
+            subtitleContent = createAssSubtitles(cues, { ...styling, ...(await getFrameSize(videoPath)) });
+        } else if (timing === 'aligned') {
+            cues = buildCuesFromWords(words);
+            subtitleContent = createTimedSubtitles(cues, format);
+        } else {
+            subtitleContent = createSmartSubtitles(scriptText, videoDuration, format);
+        }
+        console.log('✅ SUBTITLE DEBUG: Step 7.1 complete - Subtitle content generated:', subtitleContent.length, 'characters', `(${timing} timing)`);
         
         // Save subtitle file
         console.log('🔍 SUBTITLE DEBUG: Step 7.2 - Saving subtitle file...');
@@ -424,7 +884,9 @@ const processSubtitles = async (scriptText, videoDuration, outputDir, videoId, o
         const result = {
             subtitlePath,
             subtitleContent,
-            format
+            format,
+            timing,
+            cues
         };
 
         // Optionally add subtitles to video
@@ -439,7 +901,7 @@ const processSubtitles = async (scriptText, videoDuration, outputDir, videoId, o
             if (subtitleType === 'soft') {
                 console.log('🔍 SUBTITLE DEBUG: Step 7.3a - Adding soft subtitles...');
                 try {
-                    await addSoftSubtitles(videoPath, subtitlePath, outputVideoPath);
+                    await addSoftSubtitles(videoPath, subtitlePath, outputVideoPath, 'en', onProgress);
                     console.log('✅ SUBTITLE DEBUG: Step 7.3a complete - Soft subtitles added');
                     result.videoWithSubtitles = outputVideoPath;
                 } catch (error) {
@@ -454,7 +916,7 @@ const processSubtitles = async (scriptText, videoDuration, outputDir, videoId, o
                 console.log('⏰ SUBTITLE INFO: Please wait, FFmpeg is processing your video...');
                 
                 try {
-                    await burnSubtitlesIntoVideo(videoPath, subtitlePath, outputVideoPath, styling);
+                    await burnSubtitlesIntoVideo(videoPath, subtitlePath, outputVideoPath, styling, onProgress);
                     console.log('✅ SUBTITLE DEBUG: Step 7.3b complete - Hard subtitles burned');
                     result.videoWithSubtitles = outputVideoPath;
                 } catch (error) {
@@ -462,7 +924,7 @@ const processSubtitles = async (scriptText, videoDuration, outputDir, videoId, o
                     // Fallback: try soft subtitles
                     console.log('🔧 SUBTITLE FALLBACK: Trying soft subtitles instead...');
                     try {
-                        await addSoftSubtitles(videoPath, subtitlePath, outputVideoPath);
+                        await addSoftSubtitles(videoPath, subtitlePath, outputVideoPath, 'en', onProgress);
                         console.log('✅ SUBTITLE FALLBACK: Soft subtitles added successfully');
                         result.videoWithSubtitles = outputVideoPath;
                     } catch (fallbackError) {
@@ -494,8 +956,19 @@ module.exports = {
     convertScriptToSRT,
     convertScriptToVTT,
     createSmartSubtitles,
+    formatTimestamp,
+    buildCuesFromWords,
+    createTimedSubtitles,
+    estimateWordTimings,
+    toAssColor,
+    resolveStyling,
+    buildForceStyle,
+    buildSubtitleFilter,
+    createAssSubtitles,
     saveSubtitleFile,
     burnSubtitlesIntoVideo,
+    addSubtitleTracks,
     addSoftSubtitles,
+    translateCues,
     processSubtitles
 }; 
\ No newline at end of file
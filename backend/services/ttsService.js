@@ -0,0 +1,78 @@
+const config = require('../config/config');
+
+// Text-to-speech providers; each implements listVoices, synthesize and stream
+const PROVIDERS = {
+    elevenlabs: () => require('./providers/elevenlabsTtsProvider'),
+    local: () => require('./providers/localTtsProvider'),
+    mock: () => require('./providers/mockTtsProvider')
+};
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name (optional, uses config.tts.provider)
+ * @returns {object} Provider module
+ */
+const getProvider = (name = null) => {
+    const providerName = name || config.tts.provider;
+    if (!PROVIDERS[providerName]) {
+        throw new Error(`Unknown TTS provider "${providerName}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return PROVIDERS[providerName]();
+};
+
+/**
+ * List a provider's voices
+ * @param {string} providerName - Provider name (optional)
+ * @returns {Promise<object[]>} Array of { id, name, category, description, previewUrl, labels, provider }
+ */
+const listVoices = async (providerName = null) => {
+    const provider = getProvider(providerName);
+    const voices = await provider.listVoices();
+    return voices.map(voice => ({ ...voice, provider: provider.name }));
+};
+
+/**
+ * Get a voice's default settings, for providers that have them
+ * @param {string} voiceId - Voice ID
+ * @param {string} providerName - Provider name (optional)
+ * @returns {Promise<object|null>} { stability, similarityBoost, style, speakerBoost }, or null
+ */
+const getVoiceSettings = async (voiceId, providerName = null) => {
+    const provider = getProvider(providerName);
+    return provider.getVoiceSettings ? provider.getVoiceSettings(voiceId) : null;
+};
+
+/**
+ * Synthesize speech to a file
+ * @param {string} text - Text to speak
+ * @param {string} voiceId - Voice ID (optional, provider default)
+ * @param {string} outputPath - Path to save the audio file
+ * @param {object} options - { provider, timestamps, speed, ... }; the rest is passed to the provider
+ * @returns {Promise<object>} { audioPath, fileSize, voiceId, model, textLength, alignment, generatedAt, provider }
+ */
+const synthesize = async (text, voiceId, outputPath, options = {}) => {
+    const { provider: providerName = null, ...ttsOptions } = options;
+    const provider = getProvider(providerName);
+    const result = await provider.synthesize(text, voiceId, outputPath, ttsOptions);
+    return { ...result, provider: provider.name };
+};
+
+/**
+ * Stream speech
+ * @param {string} text - Text to speak
+ * @param {string} voiceId - Voice ID (optional)
+ * @param {object} options - { provider, speed, ... }
+ * @returns {Promise<object>} { stream, mimeType }
+ */
+const stream = async (text, voiceId, options = {}) => {
+    const { provider: providerName = null, ...ttsOptions } = options;
+    return getProvider(providerName).stream(text, voiceId, ttsOptions);
+};
+
+module.exports = {
+    providers: Object.keys(PROVIDERS),
+    listVoices,
+    getVoiceSettings,
+    synthesize,
+    stream
+};
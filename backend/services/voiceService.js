@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const ttsService = require('./ttsService');
+const config = require('../config/config');
+
+// Voice lists by provider: { voices, fetchedAt }
+const catalogCache = new Map();
+
+// Synthesized previews by request key: { buffer, mimeType }, least recently used first
+const previewCache = new Map();
+
+// Label filters accepted by listVoices
+const LABEL_FILTERS = ['gender', 'accent', 'age', 'useCase', 'language'];
+
+/**
+ * Read a voice label, accepting the snake_case keys ElevenLabs uses
+ * @param {object} voice - Voice from the catalog
+ * @param {string} key - camelCase label name
+ * @returns {string|undefined} Label value
+ */
+const labelValue = (voice, key) => {
+    const labels = voice.labels || {};
+    return labels[key] ?? labels[key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)];
+};
+
+/**
+ * Get a provider's voices, fetching them at most once per `voiceCacheTtl`
+ * @param {string} providerName - Provider name (optional)
+ * @param {boolean} refresh - Skip the cache
+ * @returns {Promise<object[]>} Voices
+ */
+const getCatalog = async (providerName = null, refresh = false) => {
+    const name = providerName || config.tts.provider;
+    const cached = catalogCache.get(name);
+
+    if (!refresh && cached && Date.now() - cached.fetchedAt < config.tts.voiceCacheTtl) {
+        return cached.voices;
+    }
+
+    const voices = await ttsService.listVoices(name);
+    catalogCache.set(name, { voices, fetchedAt: Date.now() });
+    return voices;
+};
+
+/**
+ * List voices matching the given filters
+ * @param {object} filters - { provider, gender, accent, age, useCase, language, search, refresh }
+ * @returns {Promise<object[]>} Matching voices, in provider order
+ */
+const listVoices = async (filters = {}) => {
+    const voices = await getCatalog(filters.provider, filters.refresh);
+    const search = filters.search ? filters.search.toLowerCase() : null;
+
+    return voices
+        .filter(voice => LABEL_FILTERS.every(key =>
+            !filters[key] || String(labelValue(voice, key) || '').toLowerCase() === filters[key].toLowerCase()
+        ))
+        .filter(voice => !search || `${voice.name} ${voice.description || ''}`.toLowerCase().includes(search));
+};
+
+/**
+ * Find a voice and its default settings
+ * @param {string} voiceId - Voice ID
+ * @param {string} providerName - Provider name (optional)
+ * @returns {Promise<object|null>} Voice with `settings` (null if the provider has none), or null if not found
+ */
+const getVoice = async (voiceId, providerName = null) => {
+    const voices = await getCatalog(providerName);
+    const voice = voices.find(entry => entry.id === voiceId);
+    if (!voice) {
+        return null;
+    }
+
+    let settings = null;
+    try {
+        settings = await ttsService.getVoiceSettings(voiceId, providerName);
+    } catch (error) {
+        console.error('Voice settings error:', error.message);
+    }
+
+    return { ...voice, settings };
+};
+
+/**
+ * Synthesize a short sample of a voice. Samples are cached in memory by
+ * voice, text and settings, so moving back to a slider position or
+ * replaying doesn't use more TTS credits.
+ * @param {string} voiceId - Voice ID
+ * @param {object} options - { provider, text, settings: { stability, similarityBoost, style, speakerBoost } }
+ * @returns {Promise<object>} { buffer, mimeType }
+ */
+const getPreview = async (voiceId, options = {}) => {
+    const { provider = null, text = config.tts.previewText, settings = {} } = options;
+    const key = crypto.createHash('sha1')
+        .update(JSON.stringify([provider || config.tts.provider, voiceId, text, settings]))
+        .digest('hex');
+
+    if (previewCache.has(key)) {
+        const cached = previewCache.get(key);
+        // Move to the end so it is evicted last
+        previewCache.delete(key);
+        previewCache.set(key, cached);
+        return cached;
+    }
+
+    const { stream, mimeType } = await ttsService.stream(text, voiceId, { provider, ...settings });
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+
+    const preview = { buffer: Buffer.concat(chunks), mimeType };
+    previewCache.set(key, preview);
+    if (previewCache.size > config.tts.previewCacheSize) {
+        previewCache.delete(previewCache.keys().next().value);
+    }
+
+    return preview;
+};
+
+module.exports = {
+    listVoices,
+    getVoice,
+    getPreview
+};
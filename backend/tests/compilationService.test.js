@@ -0,0 +1,58 @@
+const { planTimeline, resolveFormat } = require('../services/compilationService');
+
+const clips = [
+    { videoId: 'a', title: 'A', duration: 8 },
+    { videoId: 'b', title: 'B', duration: 4 },
+    { videoId: 'c', title: 'C', duration: 6 }
+];
+
+describe('planTimeline', () => {
+    test('places clips back to back with hard cuts', () => {
+        expect(planTimeline(clips, { type: 'none' })).toEqual({
+            transition: { type: 'none', duration: 0 },
+            offsets: [0, 8, 12],
+            clips: [
+                { videoId: 'a', title: 'A', start: 0, end: 8 },
+                { videoId: 'b', title: 'B', start: 8, end: 12 },
+                { videoId: 'c', title: 'C', start: 12, end: 18 }
+            ],
+            duration: 18
+        });
+    });
+
+    test('overlaps clips by the transition and splits ranges halfway through it', () => {
+        expect(planTimeline(clips, { type: 'fade', duration: 1 })).toEqual({
+            transition: { type: 'fade', duration: 1 },
+            offsets: [0, 7, 10],
+            clips: [
+                { videoId: 'a', title: 'A', start: 0, end: 7.5 },
+                { videoId: 'b', title: 'B', start: 7.5, end: 10.5 },
+                { videoId: 'c', title: 'C', start: 10.5, end: 16 }
+            ],
+            duration: 16
+        });
+    });
+
+    test('caps the transition at half the shortest clip', () => {
+        const timeline = planTimeline([clips[0], { videoId: 'b', title: 'B', duration: 1 }], { type: 'fade', duration: 2 });
+
+        expect(timeline.transition).toEqual({ type: 'fade', duration: 0.5 });
+        expect(timeline.offsets).toEqual([0, 7.5]);
+        expect(timeline.duration).toBe(8.5);
+    });
+
+    test('uses the configured transition when none is set', () => {
+        expect(planTimeline(clips.slice(0, 2), null).transition).toEqual({ type: 'none', duration: 0 });
+    });
+});
+
+describe('resolveFormat', () => {
+    test('uses the first clip size rounded to even numbers', () => {
+        expect(resolveFormat([{ width: 1281, height: 719 }], null)).toEqual({ width: 1282, height: 720, fps: 30 });
+    });
+
+    test('prefers the requested format', () => {
+        expect(resolveFormat([{ width: 1280, height: 720 }], { width: 1080, height: 1920, fps: 24 }))
+            .toEqual({ width: 1080, height: 1920, fps: 24 });
+    });
+});
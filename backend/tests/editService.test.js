@@ -0,0 +1,110 @@
+const { compileEditList, mapRange, remapTimings, remapScript } = require('../services/editService');
+
+describe('compileEditList', () => {
+    test('keeps the whole upload when there is nothing to edit', () => {
+        expect(compileEditList(null, null, 10)).toEqual({
+            clips: [{ start: 0, end: 10 }],
+            pieces: [{ clip: 0, start: 0, end: 10, rate: 1, outStart: 0, outEnd: 10 }],
+            duration: 10
+        });
+    });
+
+    test('defaults in and out to the picked highlight', () => {
+        const plan = compileEditList(null, { start: 2, end: 6 }, 10);
+
+        expect(plan.pieces).toEqual([{ clip: 0, start: 2, end: 6, rate: 1, outStart: 0, outEnd: 4 }]);
+        expect(plan.duration).toBe(4);
+    });
+
+    test('cuts, reorders and changes speed', () => {
+        const plan = compileEditList({
+            in: 1,
+            out: 9,
+            cuts: [{ start: 4, end: 5 }],
+            speed: [{ start: 6, end: 8, rate: 2 }],
+            order: [1, 0]
+        }, null, 10);
+
+        expect(plan.clips).toEqual([{ start: 1, end: 4 }, { start: 5, end: 9 }]);
+        expect(plan.pieces).toEqual([
+            { clip: 1, start: 5, end: 6, rate: 1, outStart: 0, outEnd: 1 },
+            { clip: 1, start: 6, end: 8, rate: 2, outStart: 1, outEnd: 2 },
+            { clip: 1, start: 8, end: 9, rate: 1, outStart: 2, outEnd: 3 },
+            { clip: 0, start: 1, end: 4, rate: 1, outStart: 3, outEnd: 6 }
+        ]);
+        expect(plan.duration).toBe(6);
+    });
+
+    test('clamps the out point to the end of the upload', () => {
+        expect(compileEditList({ out: 30 }, null, 10).duration).toBe(10);
+    });
+
+    test('rejects an in point after the out point', () => {
+        expect(() => compileEditList({ in: 6, out: 4 }, null, 10))
+            .toThrow('The in point (6s) must be before the out point and the end of the video (10s)');
+    });
+
+    test('rejects an edit that cuts everything', () => {
+        expect(() => compileEditList({ cuts: [{ start: 0, end: 10 }] }, null, 10)).toThrow('The edit removes the whole video');
+    });
+
+    test('rejects an order that does not list every clip once', () => {
+        expect(() => compileEditList({ cuts: [{ start: 4, end: 5 }], order: [0, 0] }, null, 10))
+            .toThrow('order must list each of the 2 clip(s) (0-1) exactly once');
+    });
+
+    test('rejects overlapping speed ranges', () => {
+        expect(() => compileEditList({ speed: [{ start: 0, end: 5, rate: 2 }, { start: 4, end: 6, rate: 0.5 }] }, null, 10))
+            .toThrow('Speed ranges overlap at 4s');
+    });
+});
+
+describe('remapTimings', () => {
+    const original = compileEditList(null, null, 10).pieces;
+    const edited = compileEditList({ cuts: [{ start: 2, end: 4 }], speed: [{ start: 6, end: 10, rate: 2 }] }, null, 10).pieces;
+
+    test('shifts items after a cut and through a speed change', () => {
+        expect(remapTimings([{ start: 4, end: 5, text: 'after the cut' }, { start: 6, end: 8, text: 'sped up' }], original, edited))
+            .toEqual([{ start: 2, end: 3, text: 'after the cut' }, { start: 4, end: 5, text: 'sped up' }]);
+    });
+
+    test('drops items inside a cut', () => {
+        expect(remapTimings([{ start: 2.5, end: 3.5 }], original, edited)).toEqual([]);
+    });
+
+    test('keeps the longest surviving part of an item across a cut', () => {
+        expect(mapRange(1, 4.5, original, edited)).toEqual({ start: 1, end: 2 });
+    });
+
+    test('drops items cut down below the minimum duration and sorts the rest', () => {
+        const reordered = compileEditList({ cuts: [{ start: 5, end: 6 }], order: [1, 0] }, null, 10).pieces;
+        const items = [{ start: 0, end: 1 }, { start: 4.9, end: 6 }, { start: 7, end: 8 }];
+
+        expect(remapTimings(items, original, reordered, 0.5)).toEqual([{ start: 1, end: 2 }, { start: 4, end: 5 }]);
+    });
+});
+
+describe('remapScript', () => {
+    test('shifts segments, rebuilds the text and counts the dropped ones', () => {
+        const original = compileEditList(null, null, 10).pieces;
+        const edited = compileEditList({ cuts: [{ start: 2, end: 4 }] }, null, 10).pieces;
+        const script = {
+            title: 'Clip',
+            script: 'One Two Three',
+            segments: [
+                { start: 0, end: 2, text: 'One' },
+                { start: 2, end: 4, text: 'Two' },
+                { start: 4, end: 6, text: 'Three' }
+            ]
+        };
+
+        expect(remapScript(script, original, edited)).toEqual({
+            script: {
+                title: 'Clip',
+                script: 'One Three',
+                segments: [{ start: 0, end: 2, text: 'One' }, { start: 2, end: 4, text: 'Three' }]
+            },
+            dropped: 1
+        });
+    });
+});
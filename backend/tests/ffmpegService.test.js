@@ -0,0 +1,107 @@
+const { buildAtempoChain, buildEditFilter, buildCompilationFilter, planClipFrames } = require('../services/ffmpegService');
+
+describe('buildAtempoChain', () => {
+    test('needs no filter at normal speed', () => {
+        expect(buildAtempoChain(1)).toEqual([]);
+    });
+
+    test('uses one filter within the 0.5-2 range atempo accepts', () => {
+        expect(buildAtempoChain(1.5)).toEqual(['atempo=1.5']);
+        expect(buildAtempoChain(0.5)).toEqual(['atempo=0.5']);
+    });
+
+    test('chains filters for rates outside that range', () => {
+        expect(buildAtempoChain(4)).toEqual(['atempo=2', 'atempo=2']);
+        expect(buildAtempoChain(3)).toEqual(['atempo=2', 'atempo=1.5']);
+        expect(buildAtempoChain(0.25)).toEqual(['atempo=0.5', 'atempo=0.5']);
+    });
+});
+
+describe('buildEditFilter', () => {
+    const pieces = [
+        { start: 5, end: 6, rate: 1 },
+        { start: 6, end: 8, rate: 4 }
+    ];
+
+    test('trims, retimes and joins each piece with its audio', () => {
+        expect(buildEditFilter(pieces, true).split(';')).toEqual([
+            '[0:v]trim=start=5:end=6,setpts=PTS-STARTPTS[v0]',
+            '[0:a]atrim=start=5:end=6,asetpts=PTS-STARTPTS[a0]',
+            '[0:v]trim=start=6:end=8,setpts=(PTS-STARTPTS)/4[v1]',
+            '[0:a]atrim=start=6:end=8,asetpts=PTS-STARTPTS,atempo=2,atempo=2[a1]',
+            '[v0][a0][v1][a1]concat=n=2:v=1:a=1[vout][aout]'
+        ]);
+    });
+
+    test('joins video only when the upload has no audio', () => {
+        expect(buildEditFilter(pieces, false).split(';')).toEqual([
+            '[0:v]trim=start=5:end=6,setpts=PTS-STARTPTS[v0]',
+            '[0:v]trim=start=6:end=8,setpts=(PTS-STARTPTS)/4[v1]',
+            '[v0][v1]concat=n=2:v=1:a=0[vout]'
+        ]);
+    });
+});
+
+describe('buildCompilationFilter', () => {
+    const clips = [
+        { duration: 8, hasAudio: true },
+        { duration: 4, hasAudio: false },
+        { duration: 6, hasAudio: true }
+    ];
+    const format = { width: 1280, height: 720, fps: 30 };
+
+    test('fits every clip to the common format and gives silent clips a silent track', () => {
+        const graph = buildCompilationFilter(clips, format).split(';');
+
+        expect(graph[0]).toBe('[0:v]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p,settb=AVTB[v0]');
+        expect(graph[1]).toBe('[0:a]aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo[a0]');
+        expect(graph[3]).toBe('anullsrc=channel_layout=stereo:sample_rate=48000,atrim=duration=4[a1]');
+    });
+
+    test('joins clips with concat for hard cuts', () => {
+        const graph = buildCompilationFilter(clips, format).split(';');
+
+        expect(graph).toHaveLength(7);
+        expect(graph[6]).toBe('[v0][a0][v1][a1][v2][a2]concat=n=3:v=1:a=1[vout][aout]');
+    });
+
+    test('chains xfade and acrossfade for transitions', () => {
+        const graph = buildCompilationFilter(clips, { ...format, transition: 'fade', transitionDuration: 1, offsets: [0, 7, 10] }).split(';');
+
+        expect(graph.slice(6)).toEqual([
+            '[v0][v1]xfade=transition=fade:duration=1:offset=7[vx1]',
+            '[a0][a1]acrossfade=d=1[ax1]',
+            '[vx1][v2]xfade=transition=fade:duration=1:offset=10[vout]',
+            '[ax1][a2]acrossfade=d=1[aout]'
+        ]);
+    });
+});
+
+describe('planClipFrames', () => {
+    const clips = [{ start: 0, end: 8 }, { start: 8, end: 10 }, { start: 10, end: 20 }];
+
+    test('gives every clip a frame and shares the rest of the budget by length', () => {
+        expect(planClipFrames([3, 12], clips, 6)).toEqual([
+            { timestamp: 1.5, scene: 0, clip: 0 },
+            { timestamp: 5.5, scene: 1, clip: 0 },
+            { timestamp: 9, scene: 0, clip: 1 },
+            { timestamp: 11, scene: 0, clip: 2 },
+            { timestamp: 14, scene: 1, clip: 2 },
+            { timestamp: 18, scene: 1, clip: 2 }
+        ]);
+    });
+
+    test('covers a short clip even when a long one dominates', () => {
+        const frames = planClipFrames([], [{ start: 0, end: 30 }, { start: 30, end: 31 }], 3);
+
+        expect(frames.map(frame => frame.clip)).toEqual([0, 0, 1]);
+        expect(frames[2].timestamp).toBe(30.5);
+    });
+
+    test('keeps every frame inside its clip', () => {
+        planClipFrames([2, 9, 15], clips, 10).forEach(frame => {
+            expect(frame.timestamp).toBeGreaterThanOrEqual(clips[frame.clip].start);
+            expect(frame.timestamp).toBeLessThan(clips[frame.clip].end);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const { scoreTimeline, rankWindows } = require('../services/highlightService');
+
+// Per-second signals for a video of the given length, quiet everywhere
+const makeSignals = (duration, fields = {}) => ({
+    bucketSize: 1,
+    duration,
+    hasAudio: true,
+    audio: new Array(duration).fill(0),
+    motion: new Array(duration).fill(0),
+    scenes: new Array(duration).fill(0),
+    cuts: [],
+    ...fields
+});
+
+// Set seconds [from, to) of a signal to a value
+const fill = (values, from, to, value) => values.map((current, index) => (index >= from && index < to ? value : current));
+
+describe('scoreTimeline', () => {
+    test('weights each signal per second', () => {
+        const signals = makeSignals(2, { audio: [1, 0], motion: [0, 1], scenes: [1, 1] });
+
+        expect(scoreTimeline(signals, { audio: 0.5, motion: 0.25, scenes: 0.25 })).toEqual([0.75, 0.5]);
+    });
+
+    test('shares the audio weight among the other signals when there is no audio', () => {
+        const signals = makeSignals(2, { hasAudio: false, audio: null, motion: [1, 0], scenes: [0, 1] });
+
+        expect(scoreTimeline(signals, { audio: 0.5, motion: 0.3, scenes: 0.2 })).toEqual([0.6, 0.4]);
+    });
+});
+
+describe('rankWindows', () => {
+    test('ranks the loudest stretch first', () => {
+        const signals = makeSignals(60, { audio: fill(new Array(60).fill(0), 40, 50, 1) });
+
+        const { timeline, candidates } = rankWindows(signals, { duration: 10, count: 1 });
+
+        expect(timeline).toHaveLength(60);
+        expect(candidates).toEqual([{
+            rank: 1,
+            start: 40,
+            end: 50,
+            duration: 10,
+            score: 0.4,
+            signals: { audio: 1, motion: 0, scenes: 0 }
+        }]);
+    });
+
+    test('drops windows that overlap a better one too much', () => {
+        const audio = fill(fill(new Array(60).fill(0), 10, 20, 1), 40, 50, 0.5);
+        const { candidates } = rankWindows(makeSignals(60, { audio }), { duration: 10, count: 2 });
+
+        expect(candidates.map(candidate => candidate.start)).toEqual([10, 40]);
+    });
+
+    test('snaps the start onto a nearby scene cut', () => {
+        const audio = fill(new Array(60).fill(0), 20, 30, 1);
+        const { candidates } = rankWindows(makeSignals(60, { audio, cuts: [19] }), { duration: 10, count: 1 });
+
+        expect(candidates[0]).toMatchObject({ start: 19, end: 29 });
+    });
+
+    test('never runs past the end of a short video', () => {
+        const { candidates } = rankWindows(makeSignals(8), { duration: 30, count: 3 });
+
+        expect(candidates).toHaveLength(1);
+        expect(candidates[0]).toMatchObject({ start: 0, end: 8, duration: 8 });
+    });
+});
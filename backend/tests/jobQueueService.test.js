@@ -0,0 +1,156 @@
+// In-memory stand-ins for the job and video stores
+const mockJobs = new Map();
+const mockVideos = new Map();
+
+jest.mock('../models/jobModel', () => ({
+    create: (data) => {
+        const job = {
+            id: `job-${mockJobs.size + 1}`,
+            type: data.type,
+            videoId: data.videoId || null,
+            payload: data.payload || {},
+            status: 'queued',
+            attempts: data.attempts || 0,
+            maxAttempts: data.maxAttempts || 1,
+            createdAt: new Date(Date.now() + mockJobs.size).toISOString()
+        };
+        mockJobs.set(job.id, job);
+        return job;
+    },
+    update: (id, updates) => {
+        const job = { ...mockJobs.get(id), ...updates };
+        mockJobs.set(id, job);
+        return job;
+    },
+    findAll: () => [...mockJobs.values()],
+    findByStatus: (status) => [...mockJobs.values()].filter(job => job.status === status),
+    findActiveByVideoId: (videoId) => [...mockJobs.values()]
+        .find(job => job.videoId === videoId && (job.status === 'queued' || job.status === 'running')) || null
+}));
+
+jest.mock('../models/videoModel', () => ({
+    findAll: () => [...mockVideos.values()],
+    update: (id, updates) => {
+        mockVideos.set(id, { ...mockVideos.get(id), ...updates });
+        return mockVideos.get(id);
+    }
+}));
+
+const jobModel = require('../models/jobModel');
+
+// Let pending handler promises settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// A promise the test resolves by hand
+const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+};
+
+let jobQueueService;
+
+beforeEach(() => {
+    mockJobs.clear();
+    mockVideos.clear();
+    jest.isolateModules(() => {
+        jobQueueService = require('../services/jobQueueService');
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('jobQueueService', () => {
+    test('refuses job types without a handler', () => {
+        expect(() => jobQueueService.enqueue('unknown')).toThrow('No handler registered');
+    });
+
+    test('keeps jobs queued until the queue is started', async () => {
+        const handler = jest.fn().mockResolvedValue({ ok: true });
+        jobQueueService.registerHandler('test', handler);
+
+        const job = jobQueueService.enqueue('test', { videoId: 'v1' });
+        expect(handler).not.toHaveBeenCalled();
+        expect(job.videoId).toBe('v1');
+
+        jobQueueService.start();
+        await flush();
+
+        expect(handler).toHaveBeenCalledWith({ videoId: 'v1' }, expect.objectContaining({ id: job.id, attempts: 1 }));
+        expect(jobModel.findAll()[0]).toMatchObject({ status: 'completed', attempts: 1, result: { ok: true } });
+    });
+
+    test('claims no more jobs than the concurrency limit', async () => {
+        const runs = [deferred(), deferred(), deferred()];
+        let call = 0;
+        jobQueueService.registerHandler('test', () => runs[call++].promise);
+
+        jobQueueService.enqueue('test');
+        jobQueueService.enqueue('test');
+        jobQueueService.enqueue('test');
+        jobQueueService.start();
+
+        expect(jobQueueService.getQueueStats()).toMatchObject({ active: 2, byStatus: { running: 2, queued: 1 } });
+
+        runs[0].resolve();
+        await flush();
+
+        expect(jobQueueService.getQueueStats()).toMatchObject({ active: 2, byStatus: { completed: 1, running: 2 } });
+
+        runs[1].resolve();
+        runs[2].resolve();
+        await flush();
+
+        expect(jobQueueService.getQueueStats()).toMatchObject({ active: 0, byStatus: { completed: 3 } });
+    });
+
+    test('retries a failing job until it runs out of attempts', async () => {
+        const handler = jest.fn().mockRejectedValue(new Error('boom'));
+        jobQueueService.registerHandler('test', handler);
+        jobQueueService.start();
+
+        jobQueueService.enqueue('test', {}, { maxAttempts: 2 });
+        await flush();
+        await flush();
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(jobModel.findAll()[0]).toMatchObject({ status: 'failed', attempts: 2, error: 'boom' });
+    });
+
+    test('resumes jobs left running without using up an attempt', async () => {
+        const handler = jest.fn().mockResolvedValue(null);
+        jobQueueService.registerHandler('test', handler);
+
+        const job = jobModel.create({ type: 'test', maxAttempts: 1 });
+        jobModel.update(job.id, { status: 'running', attempts: 1 });
+
+        jobQueueService.start();
+        await flush();
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(jobModel.findAll()[0]).toMatchObject({ status: 'completed', attempts: 1 });
+        expect(jobModel.findAll()[0].interruptedAt).toEqual(expect.any(String));
+    });
+
+    test('fails videos left mid-pipeline without a live job', () => {
+        jobQueueService.registerHandler('test', () => new Promise(() => {}));
+        mockVideos.set('orphan', { id: 'orphan', status: 'processing' });
+        mockVideos.set('waiting', { id: 'waiting', status: 'queued' });
+        mockVideos.set('done', { id: 'done', status: 'completed' });
+        jobModel.create({ type: 'test', videoId: 'waiting' });
+
+        jobQueueService.start();
+
+        expect(mockVideos.get('orphan')).toMatchObject({ status: 'failed', error: expect.stringContaining('interrupted') });
+        expect(mockVideos.get('waiting').status).toBe('queued');
+        expect(mockVideos.get('done').status).toBe('completed');
+    });
+});
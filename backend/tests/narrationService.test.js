@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../services/ffmpegService', () => ({
+    getVideoMetadata: jest.fn(),
+    changeAudioTempo: jest.fn()
+}));
+jest.mock('../services/alignmentService', () => ({
+    generateAlignedAudio: jest.fn()
+}));
+jest.mock('../services/scriptService', () => ({
+    resizeScript: jest.fn()
+}));
+
+const ffmpegService = require('../services/ffmpegService');
+const alignmentService = require('../services/alignmentService');
+const scriptService = require('../services/scriptService');
+const { generateFittedNarration } = require('../services/narrationService');
+
+// Fake voice: half a second per word at speed 1, unless speed is ignored
+const SECONDS_PER_WORD = 0.5;
+const words = (count) => Array.from({ length: count }, (_, index) => `w${index}`).join(' ');
+
+let tempDir;
+let outputPath;
+let lengths;
+
+// Fake TTS that writes a file and records the length it "spoke" for
+const voice = ({ honorSpeed = true } = {}) => {
+    alignmentService.generateAlignedAudio.mockImplementation(async (script, voiceId, audioPath, options) => {
+        const count = script.split(' ').length;
+        const length = count * SECONDS_PER_WORD / (honorSpeed ? options.speed : 1);
+        fs.writeFileSync(audioPath, 'audio');
+        lengths.set(audioPath, length);
+        return { audioPath, voiceId: 'voice', wordTimings: [{ word: 'w0', start: 1, end: 2 }] };
+    });
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brainrot-narration-'));
+    outputPath = path.join(tempDir, 'voiceover.mp3');
+    lengths = new Map();
+
+    ffmpegService.getVideoMetadata.mockImplementation(async (audioPath) => ({ duration: String(lengths.get(audioPath)) }));
+    ffmpegService.changeAudioTempo.mockImplementation(async (input, output, tempo) => {
+        fs.copyFileSync(input, output);
+        lengths.set(input, lengths.get(input) / tempo);
+    });
+    scriptService.resizeScript.mockImplementation(async (script, targetWords) => ({ data: { script: words(targetWords) } }));
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('generateFittedNarration', () => {
+    test('keeps narration that already fits', async () => {
+        voice();
+
+        const result = await generateFittedNarration(words(20), null, outputPath, 10);
+
+        expect(alignmentService.generateAlignedAudio).toHaveBeenCalledTimes(1);
+        expect(result.fit).toMatchObject({ duration: 10, speed: 1, tempo: 1, rewrites: 0, withinTolerance: true });
+    });
+
+    test('closes a small gap by regenerating at a new speed', async () => {
+        voice();
+
+        const result = await generateFittedNarration(words(21), null, outputPath, 10);
+
+        expect(alignmentService.generateAlignedAudio).toHaveBeenCalledTimes(2);
+        expect(scriptService.resizeScript).not.toHaveBeenCalled();
+        expect(result.fit.speed).toBeCloseTo(10.5 / 9.75);
+        expect(result.fit).toMatchObject({ tempo: 1, rewrites: 0, withinTolerance: true });
+    });
+
+    test('rewrites the script when speed and tempo cannot reach the length', async () => {
+        voice();
+
+        const result = await generateFittedNarration(words(60), null, outputPath, 10);
+
+        expect(scriptService.resizeScript).toHaveBeenCalledWith(words(60), 20, 10);
+        expect(result.script).toBe(words(20));
+        expect(result.fit).toMatchObject({ duration: 10, rewrites: 1, withinTolerance: true });
+    });
+
+    test('stretches the audio and its word timings when speed has no effect', async () => {
+        voice({ honorSpeed: false });
+
+        const result = await generateFittedNarration(words(21), null, outputPath, 10);
+        const tempo = 10.5 / 9.75;
+
+        expect(ffmpegService.changeAudioTempo).toHaveBeenCalledWith(outputPath, `${outputPath}.fit.mp3`, tempo);
+        expect(result.fit.tempo).toBeCloseTo(tempo);
+        expect(result.fit.duration).toBeCloseTo(9.75);
+        expect(result.wordTimings[0].start).toBeCloseTo(1 / tempo);
+        expect(fs.existsSync(`${outputPath}.fit.mp3`)).toBe(false);
+    });
+
+    test('gives up fitting when the audio cannot be measured', async () => {
+        voice();
+        ffmpegService.getVideoMetadata.mockRejectedValue(new Error('no ffprobe'));
+
+        const result = await generateFittedNarration(words(60), null, outputPath, 10);
+
+        expect(result.fit).toBeNull();
+        expect(result.script).toBe(words(60));
+    });
+});
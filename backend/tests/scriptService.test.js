@@ -0,0 +1,52 @@
+const { parseTimeline } = require('../services/scriptService');
+
+const timeline = (segments) => JSON.stringify({ title: 'Clip', segments });
+
+describe('parseTimeline', () => {
+    test('returns ordered segments with a default emphasis', () => {
+        const result = parseTimeline(timeline([
+            { start: 0, end: 2.5, text: 'Here we go' },
+            { start: 3, end: 5, text: 'No way', emphasis: 'high' }
+        ]), 10);
+
+        expect(result.segments).toEqual([
+            { start: 0, end: 2.5, text: 'Here we go', emphasis: 'normal' },
+            { start: 3, end: 5, text: 'No way', emphasis: 'high' }
+        ]);
+    });
+
+    test('cuts a segment that runs past the end of the video off at the end', () => {
+        const result = parseTimeline(timeline([
+            { start: 0, end: 4, text: 'Watch this' },
+            { start: 8, end: 12, text: 'And done' }
+        ]), 10);
+
+        expect(result.segments[1]).toMatchObject({ start: 8, end: 10 });
+    });
+
+    test('keeps segment ends when the duration is unknown', () => {
+        const result = parseTimeline(timeline([{ start: 8, end: 12, text: 'And done' }]), null);
+
+        expect(result.segments[0].end).toBe(12);
+    });
+
+    test('rejects a segment that starts after the video ends', () => {
+        expect(() => parseTimeline(timeline([{ start: 10, end: 12, text: 'Too late' }]), 10))
+            .toThrow('segments[0] starts at 10s, after the video ends at 10s');
+    });
+
+    test('rejects overlapping segments', () => {
+        expect(() => parseTimeline(timeline([
+            { start: 0, end: 4, text: 'One' },
+            { start: 3, end: 6, text: 'Two' }
+        ]), 10)).toThrow('segments[1] starts at 3s, before the previous segment ends at 4s');
+    });
+
+    test('rejects a segment that ends before it starts', () => {
+        expect(() => parseTimeline(timeline([{ start: 4, end: 2, text: 'Backwards' }]), 10)).toThrow(/end/);
+    });
+
+    test('rejects responses that are not JSON', () => {
+        expect(() => parseTimeline('Sure! Here is your script', 10)).toThrow('Response was not valid JSON');
+    });
+});
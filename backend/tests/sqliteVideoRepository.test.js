@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each run gets its own database and legacy JSON store
+const mockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brainrot-repo-'));
+
+jest.mock('../config/config', () => {
+    const actual = jest.requireActual('../config/config');
+    return {
+        ...actual,
+        database: {
+            ...actual.database,
+            sqlitePath: `${mockDir}/videos.db`,
+            jsonPath: `${mockDir}/videos.json`
+        }
+    };
+});
+
+const legacyPath = path.join(mockDir, 'videos.json');
+fs.writeFileSync(legacyPath, JSON.stringify({
+    old: { id: 'old', status: 'completed', uploadedAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-02T00:00:00.000Z' }
+}));
+
+const repository = require('../models/repositories/sqliteVideoRepository');
+const { importVideosJson } = require('../models/migrations/importVideosJson');
+
+// A minimal video record
+const makeVideo = (id, fields = {}) => ({
+    id,
+    status: 'uploaded',
+    uploadedAt: '2024-02-01T00:00:00.000Z',
+    updatedAt: '2024-02-01T00:00:00.000Z',
+    ...fields
+});
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(mockDir, { recursive: true, force: true });
+});
+
+describe('sqliteVideoRepository.updateWith', () => {
+    test('passes the current record to the updater and stores the merge', () => {
+        repository.create(makeVideo('counter', { count: 0 }));
+
+        repository.updateWith('counter', video => ({ count: video.count + 1 }));
+        const updated = repository.updateWith('counter', video => ({ count: video.count + 1, status: 'processing' }));
+
+        expect(updated).toMatchObject({ count: 2, status: 'processing' });
+        expect(repository.findById('counter')).toEqual(updated);
+        expect(repository.findByStatus('processing').map(video => video.id)).toEqual(['counter']);
+    });
+
+    test('rolls the transaction back when the updater throws', () => {
+        repository.create(makeVideo('rollback', { count: 1 }));
+
+        expect(() => repository.updateWith('rollback', () => {
+            throw new Error('boom');
+        })).toThrow('boom');
+        expect(repository.findById('rollback').count).toBe(1);
+    });
+
+    test('returns null for unknown videos', () => {
+        const updater = jest.fn();
+
+        expect(repository.updateWith('missing', updater)).toBeNull();
+        expect(updater).not.toHaveBeenCalled();
+    });
+});
+
+describe('importVideosJson', () => {
+    test('imports the legacy store the first time the database opens', () => {
+        expect(repository.findById('old')).toMatchObject({ status: 'completed', uploadedAt: '2024-01-01T00:00:00.000Z' });
+    });
+
+    test('skips the import once it has run unless forced', () => {
+        fs.writeFileSync(legacyPath, JSON.stringify({
+            old: { id: 'old', status: 'failed' },
+            late: { id: 'late' }
+        }));
+
+        expect(importVideosJson(repository, legacyPath)).toBe(0);
+        expect(importVideosJson(repository, legacyPath, { force: true })).toBe(1);
+        expect(repository.findById('old').status).toBe('completed');
+    });
+
+    test('fills in the status and dates older records lack', () => {
+        const late = repository.findById('late');
+
+        expect(late.status).toBe('uploaded');
+        expect(late.uploadedAt).toEqual(expect.any(String));
+        expect(late.updatedAt).toBe(late.uploadedAt);
+    });
+
+    test('leaves a corrupt file for the next run instead of throwing', () => {
+        const corruptPath = path.join(mockDir, 'corrupt.json');
+        fs.writeFileSync(corruptPath, '{"broken"');
+
+        expect(importVideosJson(repository, corruptPath, { force: true })).toBe(0);
+    });
+});
@@ -0,0 +1,28 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { buildSubtitleFilter } = require('../services/subtitleService');
+
+describe('buildSubtitleFilter', () => {
+    test('uses the ass filter for ASS files, which carry their own styling', () => {
+        expect(buildSubtitleFilter('/tmp/captions.ass', { fontName: 'Arial' })).toBe('ass=/tmp/captions.ass');
+    });
+
+    test('styles SRT files through force_style', () => {
+        expect(buildSubtitleFilter('/tmp/captions.srt', { fontName: 'Comic Sans MS', fontSize: 24 }))
+            .toBe("subtitles=/tmp/captions.srt:force_style='FontName=Comic Sans MS,FontSize=24'");
+    });
+
+    test('leaves force_style out when there is no styling', () => {
+        expect(buildSubtitleFilter('/tmp/captions.vtt')).toBe('subtitles=/tmp/captions.vtt');
+    });
+
+    test('uses forward slashes in Windows paths', () => {
+        expect(buildSubtitleFilter('C:\\subs\\captions.ass')).toBe('ass=C:/subs/captions.ass');
+    });
+
+    test('stays a single FFmpeg argument when the font name has spaces', () => {
+        const filter = buildSubtitleFilter('/tmp/captions.srt', { fontName: 'Comic Sans MS' });
+        const args = ffmpeg('/tmp/in.mp4').videoFilters(filter).output('/tmp/out.mp4')._getArguments();
+
+        expect(args[args.indexOf('-filter:v') + 1]).toBe(filter);
+    });
+});
@@ -0,0 +1,73 @@
+// Word-level diff between two texts, used for script version history.
+// Longest common subsequence over whitespace-separated words.
+
+/**
+ * Diff two texts word by word
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {object[]} Array of { type: 'equal' | 'added' | 'removed', text }
+ */
+const diffWords = (before, after) => {
+    const a = (before || '').split(/\s+/).filter(Boolean);
+    const b = (after || '').split(/\s+/).filter(Boolean);
+    const width = b.length + 1;
+
+    // lengths[i * width + j] = LCS length of a[i..] and b[j..]
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const operations = [];
+    const push = (type, word) => {
+        const last = operations[operations.length - 1];
+        if (last && last.type === type) {
+            last.words.push(word);
+        } else {
+            operations.push({ type, words: [word] });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return operations.map(({ type, words }) => ({ type, text: words.join(' ') }));
+};
+
+/**
+ * Count the words a diff adds, removes and keeps
+ * @param {object[]} operations - Output of diffWords
+ * @returns {object} { added, removed, unchanged }
+ */
+const diffStats = (operations) => {
+    const stats = { added: 0, removed: 0, unchanged: 0 };
+    const keys = { added: 'added', removed: 'removed', equal: 'unchanged' };
+
+    operations.forEach(({ type, text }) => {
+        stats[keys[type]] += text.split(' ').length;
+    });
+
+    return stats;
+};
+
+module.exports = {
+    diffWords,
+    diffStats
+};
@@ -12,6 +12,8 @@ const initializeStorage = () => {
         config.upload.tempDir,
         config.upload.framesDir,
         config.upload.audioDir,
+        config.upload.musicDir,
+        config.upload.fillerDir,
         path.join(__dirname, '..', 'data')
     ];
 
@@ -0,0 +1,153 @@
+"use client";
+import { useEffect, useState } from "react";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { BACKEND_URL } from "@/lib/backend";
+
+export type LayoutType = "single" | "split" | "pip";
+
+export interface LayoutSelection {
+  type: LayoutType;
+  tag: string | null;
+  mainPosition: "top" | "bottom";
+}
+
+export const DEFAULT_LAYOUT: LayoutSelection = {
+  type: "single",
+  tag: null,
+  mainPosition: "top",
+};
+
+// Radix Select items can't have an empty value
+const ANY = "any";
+
+const LAYOUTS: { value: LayoutType; label: string }[] = [
+  { value: "single", label: "Single clip" },
+  { value: "split", label: "Split screen" },
+  { value: "pip", label: "Picture-in-picture" },
+];
+
+const capitalize = (value: string) =>
+  value.charAt(0).toUpperCase() + value.slice(1);
+
+export default function LayoutPicker({
+  value,
+  onChange,
+  disabled,
+}: {
+  value: LayoutSelection;
+  onChange: (value: LayoutSelection) => void;
+  disabled?: boolean;
+}) {
+  const [tags, setTags] = useState<string[]>([]);
+  const [clipCount, setClipCount] = useState<number | null>(null);
+
+  useEffect(() => {
+    fetch(`${BACKEND_URL}/api/filler`)
+      .then((response) => response.json())
+      .then((result) => {
+        if (!result.success) {
+          throw new Error(result.message || "Failed to load filler clips");
+        }
+        setTags(result.data.tags);
+        setClipCount(result.data.total);
+      })
+      .catch((err) => console.error("Filler list error:", err));
+  }, []);
+
+  const usesFiller = value.type !== "single";
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-2">
+        <Label>Layout</Label>
+        <Select
+          value={value.type}
+          disabled={disabled}
+          onValueChange={(type: string) =>
+            onChange({ ...value, type: type as LayoutType })
+          }
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {LAYOUTS.map((layout) => (
+              <SelectItem key={layout.value} value={layout.value}>
+                {layout.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {usesFiller && (
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label>Filler Footage</Label>
+            <Select
+              value={value.tag ?? ANY}
+              disabled={disabled}
+              onValueChange={(tag: string) =>
+                onChange({ ...value, tag: tag === ANY ? null : tag })
+              }
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ANY}>Random</SelectItem>
+                {tags.map((tag) => (
+                  <SelectItem key={tag} value={tag}>
+                    {capitalize(tag)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {value.type === "split" && (
+            <div className="space-y-2">
+              <Label>Main Clip</Label>
+              <Select
+                value={value.mainPosition}
+                disabled={disabled}
+                onValueChange={(mainPosition: string) =>
+                  onChange({
+                    ...value,
+                    mainPosition: mainPosition as "top" | "bottom",
+                  })
+                }
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="top">Top</SelectItem>
+                  <SelectItem value="bottom">Bottom</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+        </div>
+      )}
+
+      {usesFiller && clipCount === 0 && (
+        <p className="text-sm text-amber-600">
+          The filler library is empty; the clip will be rendered on its own
+        </p>
+      )}
+      {value.type === "split" && (
+        <p className="text-xs text-gray-500">
+          Captions are placed on the seam between the two halves
+        </p>
+      )}
+    </div>
+  );
+}
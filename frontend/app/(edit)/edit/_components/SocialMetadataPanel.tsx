@@ -0,0 +1,333 @@
+"use client";
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Check, Copy, FileJson, Loader2, Save, Sparkles } from "lucide-react";
+import { BACKEND_URL } from "@/lib/backend";
+import { cn } from "@/lib/utils";
+
+interface PlatformLimits {
+  name: string;
+  titleLength: number;
+  descriptionLength: number;
+  maxHashtags: number;
+}
+
+interface PlatformVariant {
+  name: string;
+  title: string | null;
+  description: string;
+  hashtags: string[];
+  caption: string;
+}
+
+interface SocialMetadata {
+  hook: string | null;
+  platforms: Record<string, PlatformVariant>;
+}
+
+// Editable copy of a variant; hashtags are edited as one line of text
+interface Draft {
+  title: string;
+  description: string;
+  hashtags: string;
+}
+
+const toDrafts = (metadata: SocialMetadata): Record<string, Draft> =>
+  Object.fromEntries(
+    Object.entries(metadata.platforms).map(([platform, variant]) => [
+      platform,
+      {
+        title: variant.title ?? "",
+        description: variant.description,
+        hashtags: variant.hashtags.join(" "),
+      },
+    ])
+  );
+
+const splitHashtags = (text: string) => text.split(/[\s,]+/).filter(Boolean);
+
+// Same layout the backend posts: description, blank line, hashtags
+const buildCaption = (draft: Draft) =>
+  [draft.description, splitHashtags(draft.hashtags).join(" ")]
+    .filter(Boolean)
+    .join("\n\n");
+
+const Counter = ({ value, limit }: { value: number; limit: number }) => (
+  <span
+    className={cn(
+      "text-xs",
+      value > limit ? "text-red-600 font-medium" : "text-gray-500"
+    )}
+  >
+    {value}/{limit}
+  </span>
+);
+
+export default function SocialMetadataPanel({ videoId }: { videoId: string }) {
+  const [limits, setLimits] = useState<Record<string, PlatformLimits>>({});
+  const [metadata, setMetadata] = useState<SocialMetadata | null>(null);
+  const [drafts, setDrafts] = useState<Record<string, Draft>>({});
+  const [platform, setPlatform] = useState("tiktok");
+  const [busy, setBusy] = useState<"" | "generating" | "saving">("");
+  const [copied, setCopied] = useState("");
+  const [error, setError] = useState("");
+
+  const metadataUrl = `${BACKEND_URL}/api/videos/${videoId}/metadata`;
+
+  const applyResult = (data: {
+    metadata: SocialMetadata | null;
+    limits: Record<string, PlatformLimits>;
+  }) => {
+    setLimits(data.limits);
+    setMetadata(data.metadata);
+    if (data.metadata) {
+      setDrafts(toDrafts(data.metadata));
+    }
+  };
+
+  // Load metadata generated earlier for this video
+  useEffect(() => {
+    fetch(metadataUrl)
+      .then((response) => response.json())
+      .then((result) => result.success && applyResult(result.data))
+      .catch((err) => console.error("Metadata load error:", err));
+  }, [metadataUrl]);
+
+  const request = async (
+    method: "POST" | "PUT",
+    body: object,
+    state: "generating" | "saving"
+  ) => {
+    setBusy(state);
+    setError("");
+    try {
+      const response = await fetch(metadataUrl, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.message || result.error?.message);
+      }
+      applyResult(result.data);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Request failed");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const generate = () => request("POST", {}, "generating");
+
+  const save = () =>
+    request(
+      "PUT",
+      {
+        platforms: Object.fromEntries(
+          Object.entries(drafts).map(([key, draft]) => [
+            key,
+            {
+              ...(limits[key]?.titleLength > 0 && { title: draft.title }),
+              description: draft.description,
+              hashtags: splitHashtags(draft.hashtags),
+            },
+          ])
+        ),
+      },
+      "saving"
+    );
+
+  const copy = async (label: string, text: string) => {
+    await navigator.clipboard.writeText(text);
+    setCopied(label);
+    setTimeout(() => setCopied(""), 1500);
+  };
+
+  // Download the platform variants as they are currently edited
+  const exportJson = () => {
+    const platforms = Object.fromEntries(
+      Object.entries(drafts).map(([key, draft]) => [
+        key,
+        {
+          name: limits[key]?.name,
+          title: limits[key]?.titleLength > 0 ? draft.title : null,
+          description: draft.description,
+          hashtags: splitHashtags(draft.hashtags),
+          caption: buildCaption(draft),
+        },
+      ])
+    );
+    const blob = new Blob(
+      [JSON.stringify({ videoId, hook: metadata?.hook, platforms }, null, 2)],
+      { type: "application/json" }
+    );
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${videoId}-metadata.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const updateDraft = (field: keyof Draft, value: string) =>
+    setDrafts((prev) => ({
+      ...prev,
+      [platform]: { ...prev[platform], [field]: value },
+    }));
+
+  const draft = drafts[platform];
+  const platformLimits = limits[platform];
+
+  if (!metadata || !draft || !platformLimits) {
+    return (
+      <div className="space-y-3">
+        <Button
+          onClick={generate}
+          disabled={busy !== ""}
+          className="w-full"
+          variant="outline"
+        >
+          {busy === "generating" ? (
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+          ) : (
+            <Sparkles className="mr-2 h-4 w-4" />
+          )}
+          Generate Titles & Captions
+        </Button>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    );
+  }
+
+  const caption = buildCaption(draft);
+  const hashtagCount = splitHashtags(draft.hashtags).length;
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label>Platform</Label>
+        <Select value={platform} onValueChange={setPlatform}>
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(limits).map(([key, { name }]) => (
+              <SelectItem key={key} value={key}>
+                {name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {platformLimits.titleLength > 0 && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <Label htmlFor="metadata-title">Title</Label>
+            <Counter
+              value={draft.title.length}
+              limit={platformLimits.titleLength}
+            />
+          </div>
+          <div className="flex gap-2">
+            <Input
+              id="metadata-title"
+              value={draft.title}
+              onChange={(event) => updateDraft("title", event.target.value)}
+            />
+            <Button
+              variant="outline"
+              size="icon"
+              aria-label="Copy title"
+              onClick={() => copy("title", draft.title)}
+            >
+              {copied === "title" ? (
+                <Check className="h-4 w-4" />
+              ) : (
+                <Copy className="h-4 w-4" />
+              )}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <Label htmlFor="metadata-description">Description</Label>
+          <Counter
+            value={caption.length}
+            limit={platformLimits.descriptionLength}
+          />
+        </div>
+        <textarea
+          id="metadata-description"
+          value={draft.description}
+          onChange={(event) => updateDraft("description", event.target.value)}
+          rows={5}
+          className="border-input w-full rounded-md border bg-transparent px-3 py-2 text-sm shadow-xs outline-none focus-visible:border-ring focus-visible:ring-ring/50 focus-visible:ring-[3px]"
+        />
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <Label htmlFor="metadata-hashtags">Hashtags</Label>
+          <Counter value={hashtagCount} limit={platformLimits.maxHashtags} />
+        </div>
+        <Input
+          id="metadata-hashtags"
+          value={draft.hashtags}
+          onChange={(event) => updateDraft("hashtags", event.target.value)}
+        />
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <Button variant="outline" onClick={() => copy("caption", caption)}>
+          {copied === "caption" ? (
+            <Check className="mr-2 h-4 w-4" />
+          ) : (
+            <Copy className="mr-2 h-4 w-4" />
+          )}
+          Copy Caption
+        </Button>
+        <Button variant="outline" onClick={save} disabled={busy !== ""}>
+          {busy === "saving" ? (
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+          ) : (
+            <Save className="mr-2 h-4 w-4" />
+          )}
+          Save
+        </Button>
+        <Button variant="outline" onClick={exportJson}>
+          <FileJson className="mr-2 h-4 w-4" />
+          Export JSON
+        </Button>
+      </div>
+
+      <Button
+        variant="ghost"
+        onClick={generate}
+        disabled={busy !== ""}
+        className="w-full"
+      >
+        {busy === "generating" ? (
+          <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+        ) : (
+          <Sparkles className="mr-2 h-4 w-4" />
+        )}
+        Regenerate
+      </Button>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
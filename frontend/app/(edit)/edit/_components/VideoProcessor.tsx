@@ -1,5 +1,5 @@
 "use client";
-import { useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import {
   Card,
   CardContent,
@@ -29,33 +29,99 @@ import {
   Clock,
   Loader2,
 } from "lucide-react";
+import { BACKEND_URL } from "@/lib/backend";
+import VoicePicker, {
+  DEFAULT_VOICE_SETTINGS,
+  VoiceSelection,
+} from "./VoicePicker";
+import SocialMetadataPanel from "./SocialMetadataPanel";
+import LayoutPicker, { DEFAULT_LAYOUT, LayoutSelection } from "./LayoutPicker";
 
 interface ProcessingStep {
   name: string;
   status: "pending" | "processing" | "completed" | "error";
   message?: string;
+  progress?: number;
 }
 
+// Backend stage and status names mapped to the step they drive
+const STAGE_STEPS: Record<string, string> = {
+  subtitleGeneration: "Process Subtitles",
+  audioGeneration: "Generate Voiceover",
+  reframe: "Reframe to 9:16",
+  videoMerging: "Add to Video",
+};
+
+const STATUS_STEPS: Record<string, string> = {
+  adding_subtitles: "Process Subtitles",
+  generating_audio: "Generate Voiceover",
+  reframing: "Reframe to 9:16",
+  merging_audio: "Add to Video",
+};
+
+type SubtitleFormat = "srt" | "vtt" | "ass";
+type CaptionPreset = "classic" | "karaoke";
+
+// Settings applied when a caption preset is picked
+const CAPTION_PRESETS: Record<
+  CaptionPreset,
+  {
+    format: SubtitleFormat;
+    subtitleType: "hard" | "soft";
+    fontSize: number;
+    position: "bottom" | "top" | "center";
+  }
+> = {
+  classic: {
+    format: "srt",
+    subtitleType: "hard",
+    fontSize: 24,
+    position: "bottom",
+  },
+  // Big centered captions, each word lights up as it is spoken
+  karaoke: {
+    format: "ass",
+    subtitleType: "hard",
+    fontSize: 40,
+    position: "center",
+  },
+};
+
 export default function VideoProcessor() {
   const [selectedFile, setSelectedFile] = useState<File | null>(null);
   const [videoDuration, setVideoDuration] = useState<number | null>(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [generatedScript, setGeneratedScript] = useState<string>("");
   const [processedVideoUrl, setProcessedVideoUrl] = useState<string>("");
+  const [processedVideoId, setProcessedVideoId] = useState<string>("");
   const [subtitleOptions, setSubtitleOptions] = useState({
-    format: "srt" as "srt" | "vtt",
+    captionPreset: "classic" as CaptionPreset,
+    format: "srt" as SubtitleFormat,
     subtitleType: "hard" as "hard" | "soft",
     fontSize: 24,
     fontColor: "white",
+    highlightColor: "yellow",
     position: "bottom" as "bottom" | "top" | "center",
   });
+  const isKaraoke = subtitleOptions.captionPreset === "karaoke";
+  const [voice, setVoice] = useState<VoiceSelection>({
+    voiceId: null,
+    settings: DEFAULT_VOICE_SETTINGS,
+  });
+  const [layout, setLayout] = useState<LayoutSelection>(DEFAULT_LAYOUT);
   const [error, setError] = useState<string>("");
   const [processingSteps, setProcessingSteps] = useState<ProcessingStep[]>([
     { name: "Extract Duration", status: "pending" },
     { name: "Generate Script", status: "pending" },
+    { name: "Generate Voiceover", status: "pending" },
+    { name: "Reframe to 9:16", status: "pending" },
     { name: "Process Subtitles", status: "pending" },
     { name: "Add to Video", status: "pending" },
   ]);
+  const eventSourceRef = useRef<EventSource | null>(null);
+
+  // Close the progress stream when the component unmounts
+  useEffect(() => () => eventSourceRef.current?.close(), []);
 
   const updateProcessingStep = (
     stepName: string,
@@ -69,6 +135,55 @@ export default function VideoProcessor() {
     );
   };
 
+  const updateStepProgress = (stepName: string, progress: number) => {
+    setProcessingSteps((prev) =>
+      prev.map((step) =>
+        step.name === stepName
+          ? { ...step, status: "processing", progress, message: `${progress}%` }
+          : step
+      )
+    );
+  };
+
+  // Follow backend progress over Server-Sent Events
+  const subscribeToProgress = (videoId: string) => {
+    eventSourceRef.current?.close();
+    const source = new EventSource(
+      `${BACKEND_URL}/api/videos/${videoId}/events`
+    );
+    eventSourceRef.current = source;
+
+    source.addEventListener("status", (event) => {
+      const { status, error } = JSON.parse((event as MessageEvent).data);
+
+      // The backend only creates the record once the script is ready
+      if (status === "processing") {
+        updateProcessingStep("Generate Script", "completed");
+      } else if (STATUS_STEPS[status]) {
+        updateProcessingStep(STATUS_STEPS[status], "processing");
+      } else if (status === "completed" || status === "failed") {
+        if (status === "failed") {
+          updateProcessingStep("Add to Video", "error", error);
+        }
+        source.close();
+      }
+    });
+
+    source.addEventListener("progress", (event) => {
+      const { step, percent } = JSON.parse((event as MessageEvent).data);
+      if (STAGE_STEPS[step]) {
+        updateStepProgress(STAGE_STEPS[step], percent);
+      }
+    });
+
+    source.addEventListener("stage", (event) => {
+      const { stage } = JSON.parse((event as MessageEvent).data);
+      if (STAGE_STEPS[stage]) {
+        updateProcessingStep(STAGE_STEPS[stage], "completed");
+      }
+    });
+  };
+
   // Function to extract video duration
   const extractVideoDuration = (file: File): Promise<number> => {
     return new Promise((resolve, reject) => {
@@ -133,10 +248,30 @@ export default function VideoProcessor() {
       // Step 2: Generate script and process video using API route
       updateProcessingStep("Generate Script", "processing");
 
+      // Pick the video ID up front so progress can be streamed while the
+      // request is still running
+      const videoId = crypto.randomUUID();
+      subscribeToProgress(videoId);
+
       const formData = new FormData();
       formData.append("video", selectedFile);
+      formData.append("videoId", videoId);
       formData.append("videoDuration", videoDuration.toString());
       formData.append("subtitleOptions", JSON.stringify(subtitleOptions));
+      if (voice.voiceId) {
+        formData.append("voiceId", voice.voiceId);
+      }
+      formData.append("voiceSettings", JSON.stringify(voice.settings));
+      formData.append(
+        "layout",
+        JSON.stringify({
+          type: layout.type,
+          ...(layout.tag && { tag: layout.tag }),
+          ...(layout.type === "split" && {
+            mainPosition: layout.mainPosition,
+          }),
+        })
+      );
 
       const response = await fetch("/api/video-process", {
         method: "POST",
@@ -157,13 +292,21 @@ export default function VideoProcessor() {
           "completed",
           `${result.data.wordCount} words`
         );
-        updateProcessingStep("Process Subtitles", "completed");
-        updateProcessingStep("Add to Video", "completed");
+        // Steps the backend skipped (e.g. voiceover fallback) never report
+        // completion, so settle whatever is still open
+        setProcessingSteps((prev) =>
+          prev.map((step) =>
+            step.status === "processing" || step.status === "pending"
+              ? { ...step, status: "completed", progress: undefined }
+              : step
+          )
+        );
 
         // Set the processed video URL for download
         if (result.data.downloadUrl) {
           setProcessedVideoUrl(result.data.downloadUrl);
         }
+        setProcessedVideoId(result.data.videoId);
       } else {
         throw new Error(result.error || "Processing failed");
       }
@@ -173,13 +316,15 @@ export default function VideoProcessor() {
       setError(`Failed to process video: ${errorMessage}`);
 
       // Update failed step
-      const currentStep = processingSteps.find(
-        (step) => step.status === "processing"
+      setProcessingSteps((prev) =>
+        prev.map((step) =>
+          step.status === "processing"
+            ? { ...step, status: "error", message: errorMessage }
+            : step
+        )
       );
-      if (currentStep) {
-        updateProcessingStep(currentStep.name, "error", errorMessage);
-      }
     } finally {
+      eventSourceRef.current?.close();
       setIsProcessing(false);
     }
   };
@@ -302,15 +447,40 @@ export default function VideoProcessor() {
                 </CardDescription>
               </CardHeader>
               <CardContent className="space-y-6">
+                <div className="space-y-2">
+                  <Label>Caption Style</Label>
+                  <Select
+                    value={subtitleOptions.captionPreset}
+                    onValueChange={(value: string) =>
+                      setSubtitleOptions((prev) => ({
+                        ...prev,
+                        ...CAPTION_PRESETS[value as CaptionPreset],
+                        captionPreset: value as CaptionPreset,
+                      }))
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="classic">Classic</SelectItem>
+                      <SelectItem value="karaoke">
+                        Karaoke (word highlight)
+                      </SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+
                 <div className="grid grid-cols-2 gap-4">
                   <div className="space-y-2">
                     <Label>Format</Label>
                     <Select
                       value={subtitleOptions.format}
+                      disabled={isKaraoke}
                       onValueChange={(value: string) =>
                         setSubtitleOptions((prev) => ({
                           ...prev,
-                          format: value as "srt" | "vtt",
+                          format: value as SubtitleFormat,
                         }))
                       }
                     >
@@ -320,6 +490,9 @@ export default function VideoProcessor() {
                       <SelectContent>
                         <SelectItem value="srt">SRT (SubRip)</SelectItem>
                         <SelectItem value="vtt">WebVTT</SelectItem>
+                        {isKaraoke && (
+                          <SelectItem value="ass">ASS (Karaoke)</SelectItem>
+                        )}
                       </SelectContent>
                     </Select>
                   </div>
@@ -328,6 +501,7 @@ export default function VideoProcessor() {
                     <Label>Type</Label>
                     <Select
                       value={subtitleOptions.subtitleType}
+                      disabled={isKaraoke}
                       onValueChange={(value: string) =>
                         setSubtitleOptions((prev) => ({
                           ...prev,
@@ -409,6 +583,65 @@ export default function VideoProcessor() {
                     </Select>
                   </div>
                 </div>
+
+                {isKaraoke && (
+                  <div className="space-y-2">
+                    <Label>Highlight Color</Label>
+                    <Select
+                      value={subtitleOptions.highlightColor}
+                      onValueChange={(value: string) =>
+                        setSubtitleOptions((prev) => ({
+                          ...prev,
+                          highlightColor: value,
+                        }))
+                      }
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="yellow">Yellow</SelectItem>
+                        <SelectItem value="green">Green</SelectItem>
+                        <SelectItem value="cyan">Cyan</SelectItem>
+                        <SelectItem value="red">Red</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Layout */}
+            <Card className="border-0 shadow-lg">
+              <CardHeader>
+                <CardTitle>Layout</CardTitle>
+                <CardDescription>
+                  Pair the clip with filler footage from the library
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <LayoutPicker
+                  value={layout}
+                  onChange={setLayout}
+                  disabled={isProcessing}
+                />
+              </CardContent>
+            </Card>
+
+            {/* Voice */}
+            <Card className="border-0 shadow-lg">
+              <CardHeader>
+                <CardTitle>Voice</CardTitle>
+                <CardDescription>
+                  Pick the narrator and preview how they sound
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <VoicePicker
+                  value={voice}
+                  onChange={setVoice}
+                  disabled={isProcessing}
+                />
               </CardContent>
             </Card>
 
@@ -454,6 +687,15 @@ export default function VideoProcessor() {
                     {processingSteps.map((step, index) => (
                       <div key={index}>
                         <ProcessingStepIndicator step={step} />
+                        {step.status === "processing" &&
+                          step.progress !== undefined && (
+                            <div className="ml-7 mt-2 h-1.5 rounded-full bg-gray-200 overflow-hidden">
+                              <div
+                                className="h-full bg-blue-500 transition-all duration-300"
+                                style={{ width: `${step.progress}%` }}
+                              />
+                            </div>
+                          )}
                         {index < processingSteps.length - 1 && (
                           <Separator className="mt-4" />
                         )}
@@ -513,6 +755,25 @@ export default function VideoProcessor() {
               </Card>
             )}
 
+            {/* Social Metadata */}
+            {processedVideoId && (
+              <Card className="border-0 shadow-lg">
+                <CardHeader>
+                  <CardTitle>Titles & Captions</CardTitle>
+                  <CardDescription>
+                    Ready-to-post text for TikTok, YouTube Shorts and Instagram
+                    Reels
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <SocialMetadataPanel
+                    key={processedVideoId}
+                    videoId={processedVideoId}
+                  />
+                </CardContent>
+              </Card>
+            )}
+
             {/* Error Display */}
             {error && (
               <Card className="border-0 shadow-lg border-red-200 bg-red-50">
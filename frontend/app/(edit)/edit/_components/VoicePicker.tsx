@@ -0,0 +1,244 @@
+"use client";
+import { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { Loader2, Pause, Play } from "lucide-react";
+import { BACKEND_URL } from "@/lib/backend";
+
+export interface VoiceSettings {
+  stability: number;
+  similarityBoost: number;
+  style: number;
+}
+
+export interface VoiceSelection {
+  voiceId: string | null;
+  settings: VoiceSettings;
+}
+
+interface Voice {
+  id: string;
+  name: string;
+  provider: string;
+  labels: Record<string, string>;
+}
+
+export const DEFAULT_VOICE_SETTINGS: VoiceSettings = {
+  stability: 0.5,
+  similarityBoost: 0.75,
+  style: 0,
+};
+
+// Radix Select items can't have an empty value
+const ANY = "any";
+
+const SETTING_SLIDERS: { key: keyof VoiceSettings; label: string }[] = [
+  { key: "stability", label: "Stability" },
+  { key: "similarityBoost", label: "Similarity" },
+  { key: "style", label: "Style" },
+];
+
+const capitalize = (value: string) =>
+  value.charAt(0).toUpperCase() + value.slice(1);
+
+export default function VoicePicker({
+  value,
+  onChange,
+  disabled,
+}: {
+  value: VoiceSelection;
+  onChange: (value: VoiceSelection) => void;
+  disabled?: boolean;
+}) {
+  const [allVoices, setAllVoices] = useState<Voice[]>([]);
+  const [voices, setVoices] = useState<Voice[]>([]);
+  const [gender, setGender] = useState(ANY);
+  const [accent, setAccent] = useState(ANY);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [previewState, setPreviewState] = useState<
+    "idle" | "loading" | "playing"
+  >("idle");
+  const audioRef = useRef<HTMLAudioElement | null>(null);
+
+  // Filter options come from the labels of the full catalog
+  const labelOptions = (key: string) =>
+    Array.from(
+      new Set(allVoices.map((voice) => voice.labels?.[key]).filter(Boolean))
+    ).sort();
+  const genders = labelOptions("gender");
+  const accents = labelOptions("accent");
+
+  useEffect(() => {
+    const params = new URLSearchParams();
+    if (gender !== ANY) params.set("gender", gender);
+    if (accent !== ANY) params.set("accent", accent);
+    const filtered = params.size > 0;
+
+    setIsLoading(true);
+    fetch(`${BACKEND_URL}/api/voices?${params}`)
+      .then((response) => response.json())
+      .then((result) => {
+        if (!result.success) {
+          throw new Error(result.message || "Failed to load voices");
+        }
+        setVoices(result.data.voices);
+        if (!filtered) setAllVoices(result.data.voices);
+        setLoadError("");
+      })
+      .catch((err) => {
+        console.error("Voice list error:", err);
+        setLoadError("Voices are unavailable; the default voice will be used");
+      })
+      .finally(() => setIsLoading(false));
+  }, [gender, accent]);
+
+  // Stop any preview when the picker goes away
+  useEffect(() => () => audioRef.current?.pause(), []);
+
+  const stopPreview = () => {
+    audioRef.current?.pause();
+    audioRef.current = null;
+    setPreviewState("idle");
+  };
+
+  const playPreview = () => {
+    if (!value.voiceId) return;
+    stopPreview();
+
+    const params = new URLSearchParams({
+      stability: String(value.settings.stability),
+      similarityBoost: String(value.settings.similarityBoost),
+      style: String(value.settings.style),
+    });
+    const audio = new Audio(
+      `${BACKEND_URL}/api/voices/${encodeURIComponent(
+        value.voiceId
+      )}/preview?${params}`
+    );
+    audioRef.current = audio;
+    setPreviewState("loading");
+
+    audio.onplaying = () => setPreviewState("playing");
+    audio.onended = () => setPreviewState("idle");
+    audio.onerror = () => {
+      setPreviewState("idle");
+      setLoadError("Preview failed to load");
+    };
+    audio.play().catch(() => setPreviewState("idle"));
+  };
+
+  const updateSetting = (key: keyof VoiceSettings, setting: number) =>
+    onChange({ ...value, settings: { ...value.settings, [key]: setting } });
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Gender</Label>
+          <Select value={gender} onValueChange={setGender} disabled={disabled}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ANY}>Any</SelectItem>
+              {genders.map((option) => (
+                <SelectItem key={option} value={option}>
+                  {capitalize(option)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="space-y-2">
+          <Label>Accent</Label>
+          <Select value={accent} onValueChange={setAccent} disabled={disabled}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ANY}>Any</SelectItem>
+              {accents.map((option) => (
+                <SelectItem key={option} value={option}>
+                  {capitalize(option)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Voice</Label>
+        <div className="flex gap-2">
+          <Select
+            value={value.voiceId ?? ANY}
+            disabled={disabled || isLoading}
+            onValueChange={(voiceId: string) => {
+              stopPreview();
+              onChange({ ...value, voiceId: voiceId === ANY ? null : voiceId });
+            }}
+          >
+            <SelectTrigger className="flex-1">
+              <SelectValue placeholder="Loading voices..." />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ANY}>Default voice</SelectItem>
+              {voices.map((voice) => (
+                <SelectItem key={voice.id} value={voice.id}>
+                  {voice.name}
+                  {voice.labels?.accent && ` (${voice.labels.accent})`}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button
+            type="button"
+            variant="outline"
+            size="icon"
+            disabled={disabled || !value.voiceId}
+            onClick={previewState === "idle" ? playPreview : stopPreview}
+            aria-label={previewState === "idle" ? "Play preview" : "Stop preview"}
+          >
+            {previewState === "loading" ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : previewState === "playing" ? (
+              <Pause className="h-4 w-4" />
+            ) : (
+              <Play className="h-4 w-4" />
+            )}
+          </Button>
+        </div>
+        {loadError && <p className="text-sm text-red-600">{loadError}</p>}
+      </div>
+
+      {SETTING_SLIDERS.map(({ key, label }) => (
+        <div key={key} className="space-y-2">
+          <Label>
+            {label}: {value.settings[key].toFixed(2)}
+          </Label>
+          <Slider
+            value={[value.settings[key]]}
+            onValueChange={(setting: number[]) =>
+              updateSetting(key, setting[0])
+            }
+            disabled={disabled}
+            max={1}
+            min={0}
+            step={0.05}
+            className="w-full"
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,4 @@
+// Base URL of the Express backend, reachable from both the browser and
+// Next.js route handlers
+export const BACKEND_URL =
+  process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:5000";